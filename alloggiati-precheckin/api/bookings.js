@@ -0,0 +1,123 @@
+// Vercel Serverless Function: link di pre check-in per prenotazione
+// Path: /api/bookings.js
+//
+// POST (host, Authorization: Bearer HOST_API_KEY)
+//   { appartamento, appartamenti?, dataArrivo, dataPartenza, ospiti, validitaGiorni? }
+//   appartamenti: altri appartamenti della stessa prenotazione (id)
+//   -> crea la prenotazione e restituisce il link firmato
+// GET ?token=...&lingua=de
+//   -> verifica il link e restituisce i dati da precompilare nel form
+//   (lingua facoltativa: lingua del messaggio se il link non è valido)
+
+import crypto from 'crypto';
+import { signBooking, checkBookingToken, BOOKING_LINK_ERRORS } from '../lib/booking-link.js';
+import { isHostAuthorized } from '../lib/host-auth.js';
+import { getProperty } from '../lib/properties.js';
+import { saveRecord } from '../lib/storage.js';
+import { LINGUE, LINGUA_PREDEFINITA, traduci } from '../lib/i18n.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_VALIDITY_DAYS = 30;
+
+const isIsoDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d));
+
+async function createBooking(req, res) {
+  if (!isHostAuthorized(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { appartamento, appartamenti, dataArrivo, dataPartenza, ospiti, validitaGiorni } = req.body || {};
+
+  const property = getProperty(appartamento);
+  if (!property) {
+    return res.status(400).json({ error: "Unknown apartment" });
+  }
+  const altri = Array.isArray(appartamenti) ? appartamenti.map(id => getProperty(id)) : [];
+  if (altri.some(p => !p)) {
+    return res.status(400).json({ error: "Unknown apartment" });
+  }
+  const ids = [...new Set([property.id, ...altri.map(p => p.id)])];
+  if (!isIsoDate(dataArrivo) || !isIsoDate(dataPartenza)) {
+    return res.status(400).json({ error: "Invalid date format" });
+  }
+  if (dataPartenza <= dataArrivo) {
+    return res.status(400).json({ error: "Departure must be after arrival" });
+  }
+  const numOspiti = parseInt(ospiti, 10);
+  if (!numOspiti || numOspiti < 1) {
+    return res.status(400).json({ error: "Invalid guest count" });
+  }
+
+  // Scadenza: validitaGiorni da ora, ma mai oltre la data di partenza
+  const days = parseInt(validitaGiorni, 10) || DEFAULT_VALIDITY_DAYS;
+  const exp = Math.min(Date.now() + days * DAY, Date.parse(dataPartenza) + DAY);
+
+  const booking = {
+    id: crypto.randomUUID(),
+    appartamento: property.id,
+    ...(ids.length > 1 ? { appartamenti: ids } : {}),
+    dataArrivo,
+    dataPartenza,
+    ospiti: numOspiti,
+    exp
+  };
+  const token = signBooking(booking);
+
+  await saveRecord('bookings', booking.id, {
+    ...booking,
+    createdAt: new Date().toISOString(),
+    submittedAt: null
+  });
+
+  const baseUrl = process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+  return res.status(201).json({
+    id: booking.id,
+    link: `${baseUrl.replace(/\/$/, '')}/?booking=${encodeURIComponent(token)}`,
+    token,
+    scadenza: new Date(exp).toISOString()
+  });
+}
+
+async function getBooking(req, res) {
+  const token = req.query ? req.query.token : null;
+  const lingua = LINGUE.includes(req.query && req.query.lingua) ? req.query.lingua : LINGUA_PREDEFINITA;
+  const check = await checkBookingToken(token);
+  if (!check.ok) {
+    return res.status(check.error === "already-submitted" ? 409 : 400).json({
+      error: "Invalid booking link",
+      reason: check.error,
+      message: traduci(lingua, BOOKING_LINK_ERRORS[check.error] || BOOKING_LINK_ERRORS.malformed)
+    });
+  }
+
+  const { booking } = check;
+  const nome = (id) => (getProperty(id) || { nome: id }).nome;
+  const appartamenti = booking.appartamenti || [booking.appartamento];
+  return res.status(200).json({
+    booking: {
+      appartamento: booking.appartamento,
+      appartamenti,
+      appartamentoNome: appartamenti.map(nome).join(" + "),
+      dataArrivo: booking.dataArrivo,
+      dataPartenza: booking.dataPartenza,
+      ospiti: booking.ospiti
+    }
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "POST") return await createBooking(req, res);
+    if (req.method === "GET") return await getBooking(req, res);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
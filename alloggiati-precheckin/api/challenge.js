@@ -0,0 +1,28 @@
+// Vercel Serverless Function: token anti-bot per il form
+// Path: /api/challenge.js
+//
+// GET -> { token, bits, minFillMs } (vedi lib/anti-bot.js)
+// token null se ANTIBOT_SECRET non è impostata: il form invia senza verifica
+
+import { issueChallenge } from '../lib/anti-bot.js';
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    // Un token nuovo a ogni apertura del form: mai dalla cache
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(issueChallenge());
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
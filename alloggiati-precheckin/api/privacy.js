@@ -0,0 +1,72 @@
+// Vercel Serverless Function: conservazione dei dati e richieste GDPR
+// Path: /api/privacy.js
+//
+// POST (host, Authorization: Bearer HOST_API_KEY)
+//   { azione: "esporta", cognome, nome, dataNascita }
+//     -> dati dell'ospite in archivio (soggiorni ed esiti degli invii)
+//   { azione: "cancella", cognome, nome, dataNascita }
+//     -> cancella i dati dell'ospite dall'archivio
+//   { azione: "scadenza" }
+//     -> elimina i record oltre il periodo di conservazione (RETENTION_DAYS);
+//        da richiamare periodicamente, ad esempio una volta al giorno
+// Vedi lib/privacy.js
+
+import { isHostAuthorized } from '../lib/host-auth.js';
+import { exportGuestData, eraseGuestData, purgeExpired, getRetentionDays } from '../lib/privacy.js';
+
+const isIsoDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d));
+
+// Ospite individuato da cognome, nome e data di nascita
+function getCriteri(body) {
+  const { cognome, nome, dataNascita } = body;
+  if (typeof cognome !== 'string' || !cognome.trim() || typeof nome !== 'string' || !nome.trim() || !isIsoDate(dataNascita)) {
+    return null;
+  }
+  return { cognome, nome, dataNascita };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    if (!isHostAuthorized(req)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const body = req.body || {};
+
+    if (body.azione === "scadenza") {
+      const eliminati = await purgeExpired();
+      console.log('[PRIVACY] Retention purge', { eliminati, giorni: getRetentionDays() });
+      return res.status(200).json({ status: "ok", giorniConservazione: getRetentionDays(), eliminati });
+    }
+
+    if (body.azione !== "esporta" && body.azione !== "cancella") {
+      return res.status(400).json({ error: "Unknown action" });
+    }
+    const criteri = getCriteri(body);
+    if (!criteri) {
+      return res.status(400).json({ error: "Missing guest identification (cognome, nome, dataNascita)" });
+    }
+
+    if (body.azione === "esporta") {
+      // I dati personali non devono finire nelle cache intermedie
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ status: "ok", soggiorni: await exportGuestData(criteri) });
+    }
+
+    const cancellati = await eraseGuestData(criteri);
+    console.log('[PRIVACY] Guest data erased', cancellati);
+    return res.status(200).json({ status: "ok", ...cancellati });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
@@ -0,0 +1,24 @@
+// Vercel Serverless Function: elenco appartamenti per il form
+// Path: /api/properties.js
+
+import { publicProperties } from '../lib/properties.js';
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({ properties: publicProperties() });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
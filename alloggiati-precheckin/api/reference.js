@@ -0,0 +1,55 @@
+// Vercel Serverless Function: tabelle di riferimento per il form
+// Path: /api/reference.js
+//
+// GET ?table=documenti               -> tipi documento Alloggiati Web
+// GET ?table=belfiore&codice=405028001 -> codice catastale di un comune/stato
+// GET ?table=comuni&q=abano          -> ricerca (anche stati, province, luoghi)
+// GET ?table=comuni&q=abano&data=1980-05-01 -> solo comuni esistenti alla data
+// GET ?table=stati&iso3=DEU          -> ricerca per codice (codice / iso3)
+// GET ?table=stati&q=deu&lingua=de    -> nomi degli stati nella lingua del form
+// Parametro facoltativo limite (massimo 50 risultati)
+
+import { loadDocumentTypes } from '../lib/documents.js';
+import { getBelfiore } from '../lib/validation.js';
+import { TABELLE_RICERCA, cercaRiferimenti } from '../lib/reference-search.js';
+
+const TABLES = {
+  documenti: () => loadDocumentTypes(),
+  belfiore: (query) => getBelfiore(String(query.codice || ""))
+};
+
+for (const tabella of TABELLE_RICERCA) {
+  TABLES[tabella] = (query) => cercaRiferimenti(tabella, {
+    q: String(query.q || ""),
+    codice: String(query.codice || ""),
+    iso3: String(query.iso3 || ""),
+    data: String(query.data || ""),
+    limite: query.limite,
+    lingua: String(query.lingua || "")
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const table = req.query ? req.query.table : null;
+  if (!TABLES[table]) {
+    return res.status(400).json({ error: "Unknown table" });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json({ [table]: TABLES[table](req.query) });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// Vercel Serverless Function: prenotazioni dai calendari iCal
+// Path: /api/reservations.js
+//
+// GET ?token=<link di prenotazione>
+//   -> { prenotazioni: [{ dataArrivo, dataPartenza }] } dell'appartamento
+//      della prenotazione, solo nel suo periodo: date segnate nel form
+//      (vuoto se l'appartamento non ha calendari)
+// GET ?appartamento=station (host, Authorization: Bearer HOST_API_KEY)
+//   -> stesse informazioni, con partenza da oggi in poi
+// Le date dei calendari dicono quando l'appartamento è occupato: mai
+// pubbliche, mai in cache condivise né nel service worker.
+// POST (host, Authorization: Bearer HOST_API_KEY)
+//   -> scarica di nuovo i calendari di tutti gli appartamenti; da
+//      richiamare periodicamente, ad esempio ogni ora
+// Vedi lib/ical.js
+
+import { isHostAuthorized } from '../lib/host-auth.js';
+import { checkBookingToken } from '../lib/booking-link.js';
+import { getProperty, loadProperties } from '../lib/properties.js';
+import { getCalendarFeeds, getReservations, refreshReservations } from '../lib/ical.js';
+
+async function listReservations(req, res) {
+  const query = req.query || {};
+  let property;
+  // Con il link: solo le prenotazioni che si sovrappongono a quella dell'ospite
+  let periodo = null;
+  if (query.token) {
+    const check = await checkBookingToken(query.token);
+    if (!check.ok) {
+      return res.status(check.error === "already-submitted" ? 409 : 400).json({ error: "Invalid booking link", reason: check.error });
+    }
+    property = getProperty(check.record.appartamento);
+    periodo = { dataArrivo: check.record.dataArrivo, dataPartenza: check.record.dataPartenza };
+  } else if (isHostAuthorized(req)) {
+    property = getProperty(query.appartamento);
+  } else {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  if (!property) {
+    return res.status(400).json({ error: "Unknown apartment" });
+  }
+  const oggi = new Date().toISOString().slice(0, 10);
+  const prenotazioni = (await getReservations(property)) || [];
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).json({
+    // Solo le date: nessun dato degli ospiti
+    prenotazioni: prenotazioni
+      .filter(p => periodo
+        ? p.dataArrivo < periodo.dataPartenza && periodo.dataArrivo < p.dataPartenza
+        : p.dataPartenza >= oggi)
+      .map(p => ({ dataArrivo: p.dataArrivo, dataPartenza: p.dataPartenza }))
+  });
+}
+
+async function refreshAll(req, res) {
+  if (!isHostAuthorized(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  const aggiornati = {};
+  for (const property of loadProperties().filter(p => getCalendarFeeds(p).length > 0)) {
+    const record = await refreshReservations(property);
+    aggiornati[property.id] = {
+      // Prenotazioni lette da ciascun calendario (anche ripetute tra calendari sincronizzati)
+      prenotazioni: record.calendari.map(c => c.prenotazioni.length),
+      // Numero (da 1) dei calendari non scaricati, nell'ordine di ICAL_FEEDS
+      errori: record.calendari.map((c, i) => c.ok ? null : { calendario: i + 1, errore: c.errore }).filter(Boolean)
+    };
+  }
+  console.log('[ICAL] Calendars refreshed', aggiornati);
+  return res.status(200).json({ status: "ok", aggiornati });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") return await listReservations(req, res);
+    if (req.method === "POST") return await refreshAll(req, res);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
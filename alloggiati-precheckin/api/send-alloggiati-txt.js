@@ -1,15 +1,35 @@
-﻿// Vercel Serverless Function: Send Alloggiati TXT via Resend
+﻿// Vercel Serverless Function: Send Alloggiati TXT via email (Resend o SMTP)
 // Path: /api/send-alloggiati-txt.js
 
-import fs from 'fs';
-import path from 'path';
+import crypto from 'crypto';
+import { getAlloggiatiCredentials, inviaSchedine } from '../lib/alloggiati-ws.js';
+import { saveRecord } from '../lib/storage.js';
+import { getProperty, getPublicKeys } from '../lib/properties.js';
+import { MAX_OSPITI_APPARTAMENTO, cameraOspite, determineTipoAlloggiato } from '../lib/guests.js';
+import { validateGuests } from '../lib/validation.js';
+import { getDocumentType } from '../lib/documents.js';
+import { buildAlloggi } from '../lib/alloggi.js';
+import { buildAnteprima } from '../lib/anteprima.js';
+import { sezioneImposta } from '../lib/imposta-soggiorno.js';
+import { sendEmail, isEmailConfigured, encryptEmail } from '../lib/email.js';
+import { renderEmail, guestConfirmationEmail } from '../lib/email-templates.js';
+import { checkBookingToken, reserveBooking, releaseBooking, markBookingSubmitted, BOOKING_LINK_ERRORS } from '../lib/booking-link.js';
+import { LINGUE, LINGUA_PREDEFINITA, traduci } from '../lib/i18n.js';
+import { nomeLuogo } from '../lib/reference-search.js';
+import { getKvStore } from '../lib/kv-store.js';
+import { beginSubmission, saveTransmission, completeSubmission, releaseSubmission, isValidSubmissionKey } from '../lib/idempotency.js';
+import { isAntiBotEnabled, verifyChallenge, consumeChallenge, releaseChallenge, logBotRejection } from '../lib/anti-bot.js';
+import { checkStay } from '../lib/ical.js';
+import { indexStay } from '../lib/stays-index.js';
 
 /**********************************************
- * RATE LIMITING - In-memory store
+ * RATE LIMITING - Archivio condiviso (lib/kv-store.js)
+ * Su serverless una Map in memoria ripartirebbe da zero a ogni istanza
  **********************************************/
-const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 ora in ms
 const RATE_LIMIT_MAX = 10; // max 10 invii per IP per ora
+// Anteprime (anteprima: true): l'ospite può tornare al form e riprovare più volte
+const RATE_LIMIT_MAX_ANTEPRIMA = 30;
 
 function getRateLimitKey(req) {
   const forwarded = req.headers['x-forwarded-for'];
@@ -17,56 +37,135 @@ function getRateLimitKey(req) {
   return ip;
 }
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const record = rateLimitMap.get(ip);
-  
-  if (!record) {
-    rateLimitMap.set(ip, { count: 1, firstRequest: now });
-    return { allowed: true, remaining: RATE_LIMIT_MAX - 1 };
-  }
-  
-  if (now - record.firstRequest > RATE_LIMIT_WINDOW) {
-    rateLimitMap.set(ip, { count: 1, firstRequest: now });
-    return { allowed: true, remaining: RATE_LIMIT_MAX - 1 };
-  }
-  
-  record.count++;
-  if (record.count > RATE_LIMIT_MAX) {
-    return { allowed: false, remaining: 0 };
+async function checkRateLimit(key, max) {
+  try {
+    const store = await getKvStore();
+    const { count } = await store.incr(key, RATE_LIMIT_WINDOW);
+    return { allowed: count <= max, remaining: max - count };
+  } catch (e) {
+    // Archivio non raggiungibile: meglio accettare l'invio che bloccare l'ospite
+    console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+    return { allowed: true, remaining: max };
   }
-  return { allowed: true, remaining: RATE_LIMIT_MAX - record.count };
 }
 
+// Email dell'ospite: controllo di forma (la conferma è facoltativa)
+const EMAIL_RE = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+// Esito di un portale con almeno una riga accettata
+const accettato = (esito) => Boolean(esito && (esito.stato === "inviato" || esito.stato === "parziale"));
+
+// Lingua scelta nel form: messaggi di errore e conferma all'ospite
+const linguaRichiesta = (req) => LINGUE.includes(req.body && req.body.lingua) ? req.body.lingua : LINGUA_PREDEFINITA;
+
 export default async function handler(req, res) {
+  // Chiave di invio acquisita da questa richiesta (lib/idempotency.js)
+  let submissionKey = null;
+  let invioCompletato = false;
+  // Esiti dei portali di un tentativo precedente con la stessa chiave
+  let trasmissionePrecedente = null;
+  // Token anti-bot usato da questa richiesta; torna libero se non parte nulla
+  let challengeId = null;
+  let trasmissioneAvviata = false;
+  // Prenotazione riservata da questa richiesta; torna libera se nessun
+  // portale ha accettato i dati e l'email all'host non è partita
+  let bookingRiservato = null;
+  let datiTrasmessi = false;
+
   try {
     if (req.method !== "POST") {
       return res.status(405).json({ error: "Method not allowed" });
     }
 
+    // ANTEPRIMA: stessi controlli e stessi dati dell'invio, senza inviare
+    // né salvare nulla (revisione dell'ospite prima della conferma)
+    const anteprima = Boolean(req.body && req.body.anteprima === true);
+    const lingua = linguaRichiesta(req);
+
+    // INVIO GIÀ RICEVUTO: stessa chiave generata dal form per gli stessi dati
+    const chiave = req.body ? req.body.submissionKey : null;
+    if (chiave !== undefined && chiave !== null && !isValidSubmissionKey(chiave)) {
+      return res.status(400).json({ error: "Invalid submission key" });
+    }
+    if (chiave && !anteprima) {
+      let invio = null;
+      try {
+        invio = await beginSubmission(chiave, req.body);
+      } catch (e) {
+        // Senza archivio l'invio procede come se la chiave fosse nuova
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      }
+      if (invio && invio.stato === "completato") {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(200).json(invio.risposta);
+      }
+      if (invio && invio.stato === "in-corso") {
+        return res.status(409).json({
+          error: "Submission in progress",
+          message: traduci(lingua, "invio-in-corso-server")
+        });
+      }
+      if (invio && invio.stato === "diverso") {
+        return res.status(422).json({
+          error: "Submission key reused with different data",
+          message: traduci(lingua, "dati-modificati")
+        });
+      }
+      if (invio) submissionKey = chiave;
+      if (invio && invio.stato === "ripresa") {
+        trasmissionePrecedente = invio.trasmissione;
+        datiTrasmessi = true;
+      }
+    }
+
     // RATE LIMITING CHECK
     const clientIP = getRateLimitKey(req);
-    const rateCheck = checkRateLimit(clientIP);
-    res.setHeader('X-RateLimit-Limit', RATE_LIMIT_MAX);
+    const rateMax = anteprima ? RATE_LIMIT_MAX_ANTEPRIMA : RATE_LIMIT_MAX;
+    const rateCheck = await checkRateLimit(anteprima ? `rate:anteprima:${clientIP}` : `rate:${clientIP}`, rateMax);
+    res.setHeader('X-RateLimit-Limit', rateMax);
     res.setHeader('X-RateLimit-Remaining', Math.max(0, rateCheck.remaining));
     
     if (!rateCheck.allowed) {
       return res.status(429).json({ 
         error: "Too many requests",
-        message: "Troppe richieste. Riprova più tardi."
+        message: traduci(lingua, "troppe-richieste")
       });
     }
 
     // HONEYPOT CHECK
     const { honeypot } = req.body;
     if (honeypot) {
-      console.log(`[SECURITY] Honeypot triggered by IP: ${clientIP}`);
+      logBotRejection("honeypot", clientIP);
       return res.status(200).json({ status: "ok" });
     }
 
-    const apiKey = process.env.RESEND_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: "Missing RESEND_API_KEY" });
+    // VERIFICA ANTI-BOT: token firmato, tempo minimo di compilazione,
+    // prova di lavoro e un solo invio per token (lib/anti-bot.js).
+    // L'anteprima non consuma il token: serve ancora per la conferma
+    if (isAntiBotEnabled()) {
+      const check = verifyChallenge(req.body.challenge);
+      let motivo = check.ok ? null : check.error;
+      if (check.ok && !anteprima) {
+        try {
+          if (await consumeChallenge(check.id, check.exp)) challengeId = check.id;
+          else motivo = "replayed";
+        } catch (e) {
+          // Archivio non raggiungibile: come per il rate limit, l'invio prosegue
+          console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+        }
+      }
+      if (motivo) {
+        logBotRejection(motivo, clientIP);
+        return res.status(403).json({
+          error: "Bot check failed",
+          reason: motivo,
+          message: traduci(lingua, "verifica-anti-bot")
+        });
+      }
+    }
+
+    if (!isEmailConfigured()) {
+      return res.status(500).json({ error: "Email transport not configured" });
     }
 
     const {
@@ -82,6 +181,30 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Invalid apartment" });
     }
 
+    // L'appartamento deve esistere nell'anagrafica (data/properties.json)
+    const property = getProperty(appartamento);
+    if (!property) {
+      return res.status(400).json({
+        error: "Unknown apartment",
+        message: traduci(lingua, "appartamento-non-riconosciuto")
+      });
+    }
+
+    // Altri appartamenti della stessa prenotazione (famiglie e gruppi numerosi)
+    const altriAppartamenti = Array.isArray(req.body.appartamenti) ? req.body.appartamenti : [];
+    const appartamenti = [property];
+    for (const id of altriAppartamenti) {
+      const p = getProperty(id);
+      if (!p) {
+        return res.status(400).json({
+          error: "Unknown apartment",
+          message: traduci(lingua, "appartamento-non-riconosciuto")
+        });
+      }
+      if (!appartamenti.includes(p)) appartamenti.push(p);
+    }
+    const nomeAppartamento = appartamenti.map(p => p.nome).join(" + ");
+
     if (!dataArrivo || !/^\d{4}-\d{2}-\d{2}$/.test(dataArrivo)) {
       return res.status(400).json({ error: "Invalid arrival date format" });
     }
@@ -94,418 +217,224 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Missing required fields: guests" });
     }
 
-    if (guests.length > 5) {
-      return res.status(400).json({ error: "Maximum 5 guests allowed" });
+    const maxOspiti = MAX_OSPITI_APPARTAMENTO * appartamenti.length;
+    if (guests.length > maxOspiti) {
+      return res.status(400).json({ error: `Maximum ${maxOspiti} guests allowed` });
     }
 
-    /**********************************************
-     * HELPER FUNCTIONS
-     **********************************************/
-    
-    // Determina tipo alloggiato (evita duplicazione codice)
-    const determineTipoAlloggiato = (guest, index, totalGuests) => {
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      let tipo = clean(guest.tipoAlloggiato);
-      
-      if (!tipo) {
-        tipo = (index === 0 && totalGuests > 1) ? "17" : (index === 0 ? "16" : "19");
-      } else if (index === 0 && totalGuests > 1 && tipo === "16") {
-        tipo = "17";
-      }
-      
-      return tipo;
-    };
-
-    /**********************************************
-     * GENERAZIONE TXT SECONDO IL FORMATO ALLOGGIATI WEB
-     * Formato ufficiale Polizia di Stato
-     **********************************************/
-    const pad = (val, len) => String(val || "").substring(0, len).padEnd(len, " ");
-    const padNum = (val, len) => String(val || "0").padStart(len, "0").substring(0, len);
-
-    // Formato data: gg/mm/aaaa (10 caratteri)
-    const formatDate = (d) => {
-      if (!d) return "          "; // 10 spazi
-      const parts = d.split("-");
-      if (parts.length !== 3) return "          ";
-      const [year, month, day] = parts;
-      return `${day}/${month}/${year}`; // gg/mm/aaaa
-    };
-
-    let lines = [];
-
-    for (let i = 0; i < guests.length; i++) {
-      const g = guests[i];
-      
-      // Helper per pulire undefined/null
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      
-      // Determina tipo alloggiato usando funzione helper
-      const tipoAlloggiato = determineTipoAlloggiato(g, i, guests.length);
+    // Validazione campo per campo (tabelle ISTAT + regole Alloggiati Web):
+    // il form mostra ogni errore accanto al campo corrispondente
+    const validationErrors = validateGuests(guests, { dataArrivo, dataPartenza, appartamenti, lingua });
+    // Email facoltativa per la conferma all'ospite
+    const emailOspite = typeof req.body.emailOspite === 'string' ? req.body.emailOspite.trim() : "";
+    if (emailOspite && (emailOspite.length > 254 || !EMAIL_RE.test(emailOspite))) {
+      validationErrors.push({
+        guest: null,
+        field: "emailOspite",
+        message: traduci(lingua, "email-non-valida")
+      });
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid guest data",
+        message: traduci(lingua, "dati-non-validi"),
+        errors: validationErrors
+      });
+    }
 
-      // Sesso: deve essere 1 (maschio) o 2 (femmina) - NON convertire in M/F
-      let sesso = clean(g.sesso);
-      if (!sesso) sesso = " "; // fallback: spazio se vuoto
-      
-      // Mappatura tipo documento al formato Alloggiati Web
-      const mapTipoDoc = (tipo) => {
-        const mapping = {
-          "PASS": "PASAP",  // Passaporto
-          "ID": "IDENT",    // Carta d'identità
-          "DL": "PATEN"     // Patente
-        };
-        return mapping[tipo?.toUpperCase()] || tipo || "";
-      };
-      
-      // Solo il primo ospite (capofamiglia/capogruppo) ha i dati documento
-      // Per familiari e membri gruppo (i > 0), i campi documento sono vuoti
-      const isFirstGuest = (i === 0);
-      const tipoDoc = isFirstGuest ? mapTipoDoc(clean(g.tipoDocumento)) : "";
-      const numDoc = isFirstGuest ? clean(g.numeroDocumento).toUpperCase() : "";
-      const luogoRil = isFirstGuest ? clean(g.luogoRilascio) : "";
-      
-      // Costruisce la riga secondo formato Alloggiati Web (168 caratteri totali)
-      // Tipo(2) + DataArrivo(10) + Permanenza(2) + Cognome(50) + Nome(30) + Sesso(1) + DataNascita(10) + ComuneNascita(9) + ProvinciaNascita(2) + StatoNascita(9) + Cittadinanza(9) + TipoDoc(5) + NumeroDoc(20) + LuogoRilascio(9) = 168 caratteri
-      
-      // Per clienti stranieri: comune e provincia nascita vuoti, stato nascita = cittadinanza, luogo rilascio = cittadinanza
-      const ITALY_CODE = "100000100";
-      const cittadinanzaCode = clean(g.cittadinanza) || "";
-      const isItalian = cittadinanzaCode === ITALY_CODE;
-      
-      // Comune nascita: solo per italiani, altrimenti vuoto
-      const comuneNascitaTxt = isItalian ? pad(clean(g.comuneNascita), 9) : pad("", 9);
-      
-      // Provincia nascita: solo per italiani, altrimenti vuoto
-      const provinciaNascitaTxt = isItalian ? pad(clean(g.provinciaNascita).toUpperCase(), 2) : pad("", 2);
-      
-      // Stato nascita: per stranieri = cittadinanza, per italiani = dal form
-      const statoNascitaTxt = isItalian 
-        ? pad(clean(g.statoNascita) || "", 9)
-        : pad(cittadinanzaCode, 9);
-      
-      // Luogo rilascio: per stranieri = cittadinanza se vuoto, altrimenti dal form
-      let luogoRilTxt = luogoRil;
-      if (!isItalian && !luogoRilTxt && cittadinanzaCode) {
-        luogoRilTxt = cittadinanzaCode;
+    // LINK PRENOTAZIONE: appartamento e date devono coincidere con quelli firmati dall'host
+    const { bookingToken } = req.body;
+    let booking = null;
+    if (bookingToken || process.env.REQUIRE_BOOKING_LINK === 'true') {
+      const bookingCheck = await checkBookingToken(bookingToken);
+      if (!bookingCheck.ok) {
+        console.log(`[SECURITY] Booking link rejected (${bookingCheck.error}) for IP: ${clientIP}`);
+        return res.status(bookingCheck.error === "already-submitted" ? 409 : 400).json({
+          error: "Invalid booking link",
+          message: traduci(lingua, BOOKING_LINK_ERRORS[bookingCheck.error] || BOOKING_LINK_ERRORS.malformed)
+        });
       }
-      
-      // Costruisce la riga esatta secondo formato Alloggiati Web (168 caratteri totali)
-      const line = 
-        pad(tipoAlloggiato, 2) +                                              // Tipo Alloggiato (2)
-        formatDate(dataArrivo) +                                              // Data Arrivo gg/mm/aaaa (10)
-        padNum(clean(g.giorni) || numeroNotti || 1, 2) +                      // Permanenza giorni (2)
-        pad(clean(g.cognome).toLowerCase(), 50) +                             // Cognome (50)
-        pad(clean(g.nome).toLowerCase(), 30) +                                // Nome (30)
-        pad(sesso, 1) +                                                       // Sesso 1/2 (1)
-        formatDate(clean(g.dataNascita)) +                                    // Data Nascita gg/mm/aaaa (10)
-        comuneNascitaTxt +                                                     // Comune Nascita cod. ISTAT (9) - vuoto per stranieri
-        provinciaNascitaTxt +                                                  // Provincia Nascita (2) - vuoto per stranieri
-        statoNascitaTxt +                                                      // Stato Nascita cod. (9) - = cittadinanza per stranieri
-        pad(cittadinanzaCode, 9) +                                            // Cittadinanza cod. (9)
-        pad(tipoDoc, 5) +                                                     // Tipo Documento (5)
-        pad(numDoc, 20) +                                                     // Numero Documento (20)
-        pad(luogoRilTxt, 9);                                                  // Luogo Rilascio cod. (9) - = cittadinanza per stranieri se vuoto
-
-      lines.push(line);
-    }
-
-    const finalTxt = lines.join("\r\n");
-
-    const encodedTxt = Buffer.from(finalTxt, "utf8").toString("base64");
+      booking = bookingCheck.record;
+      const appartamentiPrenotati = booking.appartamenti || [booking.appartamento];
+      const stessiAppartamenti = appartamentiPrenotati.length === appartamenti.length
+        && appartamenti.every(p => appartamentiPrenotati.includes(p.id));
+      if (booking.appartamento !== property.id || !stessiAppartamenti || booking.dataArrivo !== dataArrivo || booking.dataPartenza !== dataPartenza) {
+        console.log(`[SECURITY] Booking data mismatch for booking ${booking.id}, IP: ${clientIP}`);
+        return res.status(400).json({
+          error: "Booking data mismatch",
+          message: traduci(lingua, "soggiorno-diverso")
+        });
+      }
+      if (guests.length > booking.ospiti) {
+        return res.status(400).json({
+          error: "Too many guests for booking",
+          message: traduci(lingua, "ospiti-prenotazione", { max: booking.ospiti })
+        });
+      }
+    }
 
     /**********************************************
-     * GENERAZIONE FILE GIES PER ROSS1000
-     * Formato pipe-delimited compatibile con gestionale Ross1000
-     * 
-     * Campi obbligatori (da screenshot Ross1000):
-     * - Tipo alloggiato
-     * - Camere occupate (default 1)
-     * - Data arrivo / Data partenza
-     * - Sesso, Cognome, Nome, Data nascita
-     * - Cittadinanza, Stato nascita, Comune nascita
-     * - Stato residenza, Comune residenza
-     * - Tipo documento, Numero documento
-     * - Stato rilascio, Comune rilascio
-     * 
-     * Struttura GIES:
-     * HDR|CODICE_STRUTTURA|PRODOTTO
-     * MOV|DATA|APERTURA|CAMERE_OCC|CAMERE_DISP|LETTI_DISP
-     * ARR|IDSWH|TIPO|IDCAPO|SESSO|CITT|STATO_RES|COMUNE_RES|DATA_NASC|STATO_NASC|COMUNE_NASC|TIPO_TUR|MEZZO|CANALE|TITOLO|PROF|ESEN
-     * PAR|IDSWH|TIPO|DATA_ARRIVO
-     * PRE|IDSWH|ARRIVO|PARTENZA|OSPITI|CAMERE|PREZZO|CANALE|STATO_PROV|COMUNE_PROV
-     * END
+     * SUDDIVISIONE PER APPARTAMENTO
+     * Ogni appartamento ha le proprie credenziali Alloggiati Web e il
+     * proprio sistema di statistiche regionali: schedine e movimenti si
+     * generano e si inviano separatamente per il gruppo di ospiti di ciascuno
      **********************************************/
-    
-    // Formato data GIES: AAAAMMGG
-    const formatDateGIES = (d) => {
-      if (!d) return "";
-      const parts = d.split("-");
-      if (parts.length !== 3) return d.replace(/-/g, "");
-      const [year, month, day] = parts;
-      return `${year}${month}${day}`;
-    };
-
-    // Codice struttura Ross1000 per appartamento
-    const getCodiceStrutturaRoss = (apt) => {
-      const codes = {
-        "Station Apartment": "Z07886",
-        "Skyline Apartment": "Z07887",
-        "Dream Studio": "M0270425422",
-        "Sweet Dream Apartment": "Z04263"
-      };
-      return codes[apt] || "Z07886";
-    };
+    // Nuovo tentativo dopo una trasmissione riuscita: stesso riferimento
+    const submissionId = trasmissionePrecedente ? trasmissionePrecedente.submissionId : crypto.randomUUID();
+    // Esiti dei portali che hanno accettato almeno una riga, per appartamento
+    const trasmissione = { submissionId, alloggi: { ...(trasmissionePrecedente ? trasmissionePrecedente.alloggi : {}) } };
+
+    // Schedine Alloggiati e statistiche regionali di ogni appartamento
+    // (vedi lib/alloggi.js)
+    const alloggi = buildAlloggi({ appartamenti, dataArrivo, dataPartenza, numeroNotti, guests, lingua });
+
+    // Dati che non rientrano nei tracciati Alloggiati Web e delle statistiche
+    // (caratteri non latini, campi troppo lunghi): nessun file con righe non valide
+    const erroriTracciati = alloggi.flatMap(a => a.errori);
+    if (erroriTracciati.length > 0) {
+      return res.status(400).json({
+        error: "Invalid guest data",
+        message: traduci(lingua, "dati-non-validi"),
+        errors: erroriTracciati
+      });
+    }
 
-    // Mappatura tipo alloggiato GIES
-    // 16 = Capo Famiglia, 17 = Capo Gruppo, 18 = Ospite Singolo, 19 = Familiare, 20 = Membro Gruppo
-    const mapTipoGIES = (tipo) => {
-      const mapping = {
-        "16": "18",  // Ospite singolo nel form -> 18 in GIES
-        "17": "16",  // Capofamiglia nel form -> 16 in GIES
-        "18": "17",  // Capogruppo nel form -> 17 in GIES
-        "19": "19",  // Familiare
-        "20": "20"   // Membro gruppo
-      };
-      return mapping[tipo] || "18";
-    };
+    if (anteprima) {
+      return res.status(200).json({ status: "ok", anteprima: buildAnteprima(alloggi) });
+    }
 
-    // Sesso: M = Maschio, F = Femmina (formato XML Ross1000)
-    const mapSessoGIES = (s) => {
-      if (s === "1" || s === 1) return "M";
-      if (s === "2" || s === 2) return "F";
-      return "";
-    };
+    // Un solo invio per link: la verifica di submittedAt non basta con due
+    // invii contemporanei, la prenotazione va riservata prima di trasmettere
+    if (booking) {
+      if (!(await reserveBooking(booking, submissionId))) {
+        console.log(`[SECURITY] Booking ${booking.id} already reserved by another submission, IP: ${clientIP}`);
+        return res.status(409).json({
+          error: "Invalid booking link",
+          message: traduci(lingua, BOOKING_LINK_ERRORS["already-submitted"])
+        });
+      }
+      bookingRiservato = booking;
+    }
 
-    const codiceStruttura = getCodiceStrutturaRoss(appartamento);
-    const dataArrivoGIES = formatDateGIES(dataArrivo);
-    const dataPartenzaGIES = formatDateGIES(dataPartenza);
-    
-    // Genera ID ospiti univoci (basati su timestamp)
-    const baseId = Date.now().toString().slice(-7);
-    
-    // Determina il tipo del primo ospite
-    const firstGuestType = guests[0]?.tipoAlloggiato || "16";
-    const tipoGIESFirst = mapTipoGIES(firstGuestType);
+    // Da qui i dati escono verso i portali e via email: il token resta usato
+    trasmissioneAvviata = true;
+
+    for (const a of alloggi) {
+      const { property: prop, lines, stay, esportatore, statistiche } = a;
+      // Con più appartamenti gli esiti sono salvati separatamente per ciascuno
+      const recordId = alloggi.length > 1 ? `${submissionId}-${prop.id}` : submissionId;
+      // Esiti già accettati in un tentativo precedente: non si trasmettono di nuovo
+      const precedente = trasmissione.alloggi[prop.id] || {};
+
+      /**********************************************
+       * INVIO DIRETTO AD ALLOGGIATI WEB (opzionale)
+       * Solo se per l'appartamento sono configurate le credenziali
+       * del web service. In caso di righe rifiutate o errori si ricade
+       * sull'invio email del file alloggiati.txt.
+       **********************************************/
+      let alloggiatiWs = accettato(precedente.alloggiatiWs) ? precedente.alloggiatiWs : null;
+      const wsCredentials = getAlloggiatiCredentials(prop);
+      if (wsCredentials && !alloggiatiWs) {
+        alloggiatiWs = await inviaSchedine(wsCredentials, lines);
+        try {
+          await saveRecord('alloggiati-ws', recordId, {
+            appartamento: prop.id,
+            dataArrivo,
+            stato: alloggiatiWs.stato,
+            fase: alloggiatiWs.fase,
+            errore: alloggiatiWs.errore,
+            esiti: alloggiatiWs.esiti.map(e => ({ ...e, schedina: lines[e.riga - 1] })),
+            ricevuta: alloggiatiWs.ricevuta,
+            inviatoAt: alloggiatiWs.inviatoAt
+          });
+        } catch (e) {
+          console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+        }
+      }
 
-    let giesLines = [];
-    
-    // HDR - Header
-    giesLines.push(`HDR|${codiceStruttura}|GIES`);
-    
-    // MOV - Movimento giornaliero
-    // MOV|DATA|APERTURA|CAMERE_OCCUPATE|CAMERE_DISPONIBILI|LETTI_DISPONIBILI
-    const camereOccupate = 1; // Modifica qui se vuoi rendere dinamico in futuro
-    giesLines.push(`MOV|${dataArrivoGIES}|SI|${camereOccupate}|1|${guests.length}`);
-    
-    // ARR - Arrivi (uno per ogni ospite)
-    let firstGuestId = null;
-    for (let i = 0; i < guests.length; i++) {
-      const g = guests[i];
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      
-      const guestId = parseInt(baseId) + i;
-      if (i === 0) firstGuestId = guestId;
-      
-      const isFirstGuest = (i === 0);
-      let tipoAlloggiato = clean(g.tipoAlloggiato);
-      if (!tipoAlloggiato) {
-        // Se ci sono più ospiti, il primo è automaticamente capofamiglia
-        tipoAlloggiato = (i === 0 && guests.length > 1) ? "17" : (i === 0 ? "16" : "19");
-      } else if (i === 0 && guests.length > 1 && tipoAlloggiato === "16") {
-        // Se il primo ospite è marcato come "Ospite Singolo" ma ci sono altri ospiti, cambialo in Capofamiglia
-        tipoAlloggiato = "17";
+      // Righe da allegare all'email: tutte, tranne quelle già accettate dal web service
+      const rejectedLines = alloggiatiWs && alloggiatiWs.stato === "parziale"
+        ? alloggiatiWs.esiti.filter(e => !e.esito).map(e => lines[e.riga - 1])
+        : null;
+
+      /**********************************************
+       * INVIO DIRETTO DELLE STATISTICHE (opzionale)
+       * Solo per i sistemi con web service (Ross1000) e se per
+       * l'appartamento sono configurate le credenziali. Se l'invio non è
+       * completo il file resta allegato all'email per il caricamento manuale.
+       **********************************************/
+      let statisticheWs = accettato(precedente.statisticheWs) ? precedente.statisticheWs : null;
+      const ws = esportatore.webService;
+      const statisticheCredentials = ws ? ws.credenziali(prop) : null;
+      if (statisticheCredentials && !statisticheWs) {
+        statisticheWs = await ws.invia(statisticheCredentials, statistiche);
+        try {
+          await saveRecord(ws.collezione, recordId, {
+            appartamento: prop.id,
+            codiceStruttura: stay.codiceStruttura,
+            dataArrivo,
+            stato: statisticheWs.stato,
+            errore: statisticheWs.errore,
+            esiti: statisticheWs.esiti,
+            inviatoAt: statisticheWs.inviatoAt
+          });
+        } catch (e) {
+          console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+        }
       }
-      const tipoGIES = mapTipoGIES(tipoAlloggiato);
-      
-      // ID Capogruppo: vuoto per primo ospite, ID del primo per gli altri
-      const idCapo = isFirstGuest ? "" : firstGuestId;
-      
-      const sesso = mapSessoGIES(clean(g.sesso));
-      // Usa il codice fornito dal form, se presente; altrimenti prova a mappare dal nome
-      const cittadinanza = clean(g.cittadinanza) || "";
-
-      // Stato di nascita: nel XML deve essere uguale alla cittadinanza
-      let statoNascita = cittadinanza || "";
-      // Se non c'è cittadinanza, prova a usare il valore dal form come fallback
-      if (!statoNascita) {
-        statoNascita = clean(g.statoNascita) || "";
-        if (!statoNascita) {
+
+      // File delle statistiche da allegare: dopo un invio parziale solo i
+      // movimenti rifiutati, se il sistema li sa separare
+      const fileStatistiche = statisticheWs && statisticheWs.stato === "parziale" && esportatore.soloRifiutati
+        ? esportatore.soloRifiutati(stay, statistiche, statisticheWs.esiti)
+        : statistiche.file;
+
+      // Esiti salvati subito con la chiave di invio (lib/idempotency.js): se
+      // l'email fallisce il nuovo tentativo non ripete la trasmissione.
+      // La ricevuta PDF resta solo nell'archivio alloggiati-ws
+      if (accettato(alloggiatiWs) || accettato(statisticheWs)) {
+        datiTrasmessi = true;
+        trasmissione.alloggi[prop.id] = {
+          alloggiatiWs: accettato(alloggiatiWs) ? { ...alloggiatiWs, ricevuta: null } : null,
+          statisticheWs: accettato(statisticheWs) ? statisticheWs : null
+        };
+        if (submissionKey) {
           try {
-            const statiPath = path.join(process.cwd(), 'data', 'stati_istat.json');
-            const statiIstat = JSON.parse(fs.readFileSync(statiPath, 'utf8'));
-            const statoInput = (clean(g.statoNascitaNome || g.statoNascita || "") || "").toLowerCase().trim();
-            if (statoInput) {
-              const statoObj = statiIstat.find(s => s.nome.toLowerCase().includes(statoInput));
-              statoNascita = statoObj ? statoObj.codice : "";
-            }
+            await saveTransmission(submissionKey, req.body, trasmissione);
           } catch (e) {
-            statoNascita = "";
+            console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
           }
         }
       }
-      const comuneNascita = clean(g.comuneNascita) || "";
-      const dataNascita = formatDateGIES(clean(g.dataNascita));
-      
-      // Residenza: per cittadini stranieri, se comuneResidenza è vuoto, usa il codice della cittadinanza
-      const statoResidenza = cittadinanza;
-      let comuneResidenza = clean(g.comuneResidenza) || "";
-      // Se comuneResidenza è vuoto e non è italiano, usa il codice della cittadinanza come luogo di residenza
-      const ITALY_CODE = "100000100";
-      if (!comuneResidenza && cittadinanza && cittadinanza !== ITALY_CODE) {
-        comuneResidenza = cittadinanza;
-      }
-      
-      // ARR|IDSWH|TIPO|IDCAPO|SESSO|CITT|STATO_RES|COMUNE_RES|DATA_NASC|STATO_NASC|COMUNE_NASC|TIPO_TUR|MEZZO|CANALE|TITOLO|PROF|ESEN
-      giesLines.push(`ARR|${guestId}|${tipoGIES}|${idCapo}|${sesso}|${cittadinanza}|${statoResidenza}|${comuneResidenza}|${dataNascita}|${statoNascita}|${comuneNascita}|Non specificato|Non specificato|Non specificato|||`);
-    }
-    
-    // PAR - Partenze (uno per ogni ospite)
-    for (let i = 0; i < guests.length; i++) {
-      const g = guests[i];
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      
-      const guestId = parseInt(baseId) + i;
-      const tipoAlloggiato = determineTipoAlloggiato(g, i, guests.length);
-      const tipoGIES = mapTipoGIES(tipoAlloggiato);
-      
-      // PAR|IDSWH|TIPO|DATA_ARRIVO
-      giesLines.push(`PAR|${guestId}|${tipoGIES}|${dataArrivoGIES}`);
+
+      Object.assign(a, {
+        alloggiatiWs,
+        attachTxt: !alloggiatiWs || alloggiatiWs.stato !== "inviato",
+        txt: (rejectedLines || lines).join("\r\n"),
+        rejectedLines,
+        statisticheWs,
+        fileStatistiche,
+        attachStatistiche: !statisticheWs || statisticheWs.stato !== "inviato"
+      });
     }
-    
-    // PRE - Prenotazione
-    // PRE|IDSWH|ARRIVO|PARTENZA|OSPITI|CAMERE|PREZZO|CANALE|STATO_PROV|COMUNE_PROV
-    const prenotazioneId = `P${baseId}`;
-    const statoProvFirst = guests[0]?.cittadinanza || "100000100";
-    const comuneProvFirst = guests[0]?.comuneResidenza || "";
-    giesLines.push(`PRE|${prenotazioneId}|${dataArrivoGIES}|${dataPartenzaGIES}|${guests.length}|1|0.00|Non specificato|${statoProvFirst}|${comuneProvFirst}`);
-    
-    // END
-    giesLines.push(`END`);
-    
-    const finalGIES = giesLines.join("\r\n");
+    const piuAppartamenti = alloggi.length > 1;
 
     /**********************************************
-     * CONVERSIONE GIES TXT -> XML
+     * CONTROLLO CON LE PRENOTAZIONI (lib/ical.js)
+     * Date confrontate con i calendari iCal degli appartamenti e con i
+     * soggiorni già inviati: le differenze sono segnalate all'host
      **********************************************/
-    const escapeXml = (str) => {
-      if (!str) return "";
-      return String(str)
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&apos;");
-    };
-
-    let xmlArrivi = "";
-    let xmlPartenze = "";
-    
-    for (let i = 0; i < guests.length; i++) {
-      const g = guests[i];
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      
-      const guestId = parseInt(baseId) + i;
-      const isFirstGuest = (i === 0);
-      const tipoAlloggiato = determineTipoAlloggiato(g, i, guests.length);
-      const tipoGIES = mapTipoGIES(tipoAlloggiato);
-      const idCapo = isFirstGuest ? "" : firstGuestId;
-      
-      const sesso = mapSessoGIES(clean(g.sesso));
-      const cittadinanza = clean(g.cittadinanza) || "";
-      // Stato di nascita: nel XML deve essere uguale alla cittadinanza
-      let statoNascita = cittadinanza || "";
-      // Se non c'è cittadinanza, prova a usare il valore dal form come fallback
-      if (!statoNascita) {
-        statoNascita = clean(g.statoNascita) || "";
-        if (!statoNascita) {
-          try {
-            const statiPath = path.join(process.cwd(), 'data', 'stati_istat.json');
-            const statiIstat = JSON.parse(fs.readFileSync(statiPath, 'utf8'));
-            const statoInput = clean(g.statoNascitaNome || g.statoNascita || "").toLowerCase().trim();
-            const statoObj = statiIstat.find(s => s.nome.toLowerCase().includes(statoInput));
-            statoNascita = statoObj ? statoObj.codice : "";
-          } catch (e) {
-            statoNascita = "";
-          }
-        }
-      }
-      const comuneNascita = clean(g.comuneNascita) || "";
-      const dataNascita = formatDateGIES(clean(g.dataNascita));
-      // Residenza: per cittadini stranieri, se comuneResidenza è vuoto, usa il codice della cittadinanza
-      const statoResidenza = cittadinanza;
-      let comuneResidenza = clean(g.comuneResidenza) || "";
-      // Se comuneResidenza è vuoto e non è italiano, usa il codice della cittadinanza come luogo di residenza
-      const ITALY_CODE = "100000100";
-      if (!comuneResidenza && cittadinanza && cittadinanza !== ITALY_CODE) {
-        comuneResidenza = cittadinanza;
-      }
-
-      xmlArrivi += `
-      <arrivo>
-        <idswh>${guestId}</idswh>
-        <tipoalloggiato>${tipoGIES}</tipoalloggiato>
-        <idcapo>${idCapo}</idcapo>
-        <cognome>${escapeXml(clean(g.cognome))}</cognome>
-        <nome>${escapeXml(clean(g.nome))}</nome>
-        <sesso>${sesso}</sesso>
-        <cittadinanza>${cittadinanza}</cittadinanza>
-        <statoresidenza>${statoResidenza}</statoresidenza>
-        <luogoresidenza>${comuneResidenza}</luogoresidenza>
-        <datanascita>${dataNascita}</datanascita>
-        <statonascita>${statoNascita}</statonascita>
-        <comunenascita>${comuneNascita}</comunenascita>
-        <tipoturismo>Non specificato</tipoturismo>
-        <mezzotrasporto>Non specificato</mezzotrasporto>
-        <canaleprenotazione>Non specificato</canaleprenotazione>
-        <titolostudio>Non specificato</titolostudio>
-        <professione>Non specificato</professione>
-        <esenzioneimposta></esenzioneimposta>
-      </arrivo>`;
-
-      xmlPartenze += `
-      <partenza>
-        <idswh>${guestId}</idswh>
-        <tipoalloggiato>${tipoGIES}</tipoalloggiato>
-        <arrivo>${dataArrivoGIES}</arrivo>
-      </partenza>`;
-    }
-
-    const xmlRoss = `<?xml version="1.0" encoding="UTF-8"?>
-<movimenti>
-  <codice>${escapeXml(codiceStruttura)}</codice>
-  <prodotto>LovelyVeniceApartments PreCheckin</prodotto>
-  <movimento>
-    <data>${dataArrivoGIES}</data>
-    <struttura>
-      <apertura>SI</apertura>
-      <camereoccupate>${camereOccupate}</camereoccupate>
-      <cameredisponibili>1</cameredisponibili>
-      <lettidisponibili>${guests.length}</lettidisponibili>
-    </struttura>
-    <arrivi>${xmlArrivi}
-    </arrivi>
-    <partenze>${xmlPartenze}
-    </partenze>
-    <prenotazioni>
-      <prenotazione>
-        <idswh>P${baseId}</idswh>
-        <arrivo>${dataArrivoGIES}</arrivo>
-        <partenza>${dataPartenzaGIES}</partenza>
-        <ospiti>${guests.length}</ospiti>
-        <camere>1</camere>
-        <prezzo>0.00</prezzo>
-        <canaleprenotazione>Non specificato</canaleprenotazione>
-        <statoprovenienza>${statoProvFirst}</statoprovenienza>
-        <comuneprovenienza>${comuneProvFirst}</comuneprovenienza>
-      </prenotazione>
-    </prenotazioni>
-  </movimento>
-</movimenti>`;
-
-    const encodedRoss = Buffer.from(xmlRoss, "utf8").toString("base64");
+    let controlliPrenotazioni = [];
+    try {
+      controlliPrenotazioni = (await checkStay(appartamenti, { dataArrivo, dataPartenza }))
+        .filter(c => c.prenotazione !== undefined || c.altriInvii.length > 0);
+    } catch (e) {
+      console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+    }
+    const daVerificare = controlliPrenotazioni.some(c => c.prenotazione === null || c.altriInvii.length > 0);
 
     /**********************************************
-     * GENERA RIEPILOGO LEGGIBILE PER EMAIL
+     * RIEPILOGO PER L'HOST (testo + HTML, lib/email-templates.js)
      **********************************************/
     const formatDateReadable = (d) => {
       if (!d) return "-";
@@ -533,167 +462,338 @@ export default async function handler(req, res) {
     };
 
     const tipoDocLabel = (t) => {
-      const labels = {
-        "IDENT": "Carta d'identità",
-        "PATEN": "Patente",
-        "PASSP": "Passaporto",
-        "PASOR": "Passaporto ordinario",
-        "PASDI": "Passaporto diplomatico",
-        "PASSE": "Passaporto servizio",
-        "ID": "Carta d'identità",
-        "PASS": "Passaporto",
-        "DL": "Patente"
-      };
-      return labels[t?.toUpperCase()] || t || "-";
+      const doc = getDocumentType(t);
+      return doc ? `${doc.nome} (${doc.codice})` : (t || "-");
     };
 
-    // Costruisci riepilogo testuale
-    let summary = `
-════════════════════════════════════════════════════════════════
-                    PRE CHECK-IN ALLOGGIATI WEB
-════════════════════════════════════════════════════════════════
-
-APPARTAMENTO:     ${appartamento || "-"}
-DATA ARRIVO:      ${formatDateReadable(dataArrivo)}
-DATA PARTENZA:    ${formatDateReadable(dataPartenza)}
-NUMERO NOTTI:     ${numeroNotti || "-"}
-
-────────────────────────────────────────────────────────────────
-                         ELENCO OSPITI
-────────────────────────────────────────────────────────────────
-`;
-
-    for (let i = 0; i < guests.length; i++) {
-      const g = guests[i];
-      const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
-      
-      // Determina se è italiano
-      const ITALY_CODE = "100000100";
-      const isItalian = (clean(g.cittadinanza) || "") === ITALY_CODE;
-      
-      // Campi documento solo per il primo ospite
-      const documentSection = i === 0 ? `│
-│  Documento:         ${tipoDocLabel(clean(g.tipoDocumento))}
-│  Numero:            ${clean(g.numeroDocumento).toUpperCase() || "-"}
-│  Luogo rilascio:    ${clean(g.luogoRilascioNome) || "-"}
-│` : '│';
-
-      // Sezione aggiuntiva per italiani: comune nascita, comune residenza
-      const italianFieldsSection = isItalian ? `│
-│  Comune di nascita: ${clean(g.comuneNascitaNome) || "-"}
-│  Provincia nascita: ${clean(g.provinciaNascita) || "-"}
-│  Comune residenza: ${clean(g.comuneResidenzaNome) || "-"}
-│` : '│';
-
-      // Sezione fatturazione (solo se presenti dati)
-      const cf = clean(g.codiceFiscale);
-      const indirizzo = clean(g.indirizzoFattura);
-      const civico = clean(g.civicoFattura);
-      const cap = clean(g.capFattura);
-      const cittaFatt = clean(g.cittaFattura);
-      const hasBilling = cf || indirizzo;
-      const indirizzoCompleto = [indirizzo, civico].filter(Boolean).join(' ') +
-        (cap || cittaFatt ? ', ' + [cap, cittaFatt].filter(Boolean).join(' ') : '');
-      const billingSection = hasBilling ? `│
-│  ── Dati di fatturazione ──
-│  Cod. Fiscale/P.IVA: ${cf || "-"}
-│  Indirizzo:          ${indirizzoCompleto || "-"}
-│` : '│';
-
-      // Determina tipo per il riepilogo: se ci sono più ospiti, il primo è capofamiglia
-      let tipoForSummary = clean(g.tipoAlloggiato);
-      if (!tipoForSummary) {
-        tipoForSummary = (i === 0 && guests.length > 1) ? "17" : (i === 0 ? "16" : "19");
-      } else if (i === 0 && guests.length > 1 && tipoForSummary === "16") {
-        tipoForSummary = "17";
+    const sezioni = [];
+    sezioni.push({
+      titolo: "SOGGIORNO",
+      righe: [
+        ["Appartamento", nomeAppartamento],
+        ["Riferimento", submissionId],
+        ["Data arrivo", formatDateReadable(dataArrivo)],
+        ["Data partenza", formatDateReadable(dataPartenza)],
+        ["Numero notti", numeroNotti],
+        ...(booking ? [
+          ["Prenotazione", booking.id],
+          ["Ospiti previsti", `${booking.ospiti}${guests.length < booking.ospiti ? `  ⚠ compilati solo ${guests.length}` : ""}`]
+        ] : []),
+        ...(emailOspite ? [["Email ospite", emailOspite]] : [])
+      ],
+      stato: booking && guests.length < booking.ospiti ? "avviso" : undefined
+    });
+
+    if (piuAppartamenti) {
+      sezioni.push({
+        titolo: "APPARTAMENTI",
+        tabelle: [{
+          intestazioni: ["Appartamento", "Ospiti", "Camere occupate"],
+          righe: alloggi.map(({ property: prop, gruppo, stay }) =>
+            [prop.nome, String(gruppo.guests.length), `${stay.camereOccupate}/${prop.camere}`])
+        }]
+      });
+    }
+
+    if (controlliPrenotazioni.length > 0) {
+      const periodo = (p) => `${formatDateReadable(p.dataArrivo)} – ${formatDateReadable(p.dataPartenza)}`;
+      const esito = (c) => {
+        if (c.prenotazione === undefined) return "Nessun calendario configurato";
+        if (c.prenotazione) return `✓ Corrisponde alla prenotazione ${periodo(c.prenotazione)}`;
+        return "⚠ Nessuna prenotazione con queste date";
+      };
+      sezioni.push({
+        titolo: "CONTROLLO PRENOTAZIONI",
+        righe: controlliPrenotazioni.map(c => [c.property.nome, esito(c)]),
+        elenco: controlliPrenotazioni.flatMap(c => {
+          const apt = piuAppartamenti ? `${c.property.nome}: ` : "";
+          return [
+            ...c.nelPeriodo.map(p => `${apt}prenotazione in calendario ${periodo(p)}`),
+            ...c.altriInvii.map(s => `${apt}altro pre check-in nello stesso periodo, ${periodo(s)} (riferimento ${s.id})`)
+          ];
+        }),
+        note: controlliPrenotazioni
+          .filter(c => c.nonAggiornati > 0)
+          .map(c => `Calendario di ${c.property.nome} non raggiungibile: confronto con le prenotazioni scaricate in precedenza.`),
+        stato: daVerificare ? "avviso" : "ok"
+      });
+    }
+
+    for (const { property: prop, gruppo } of alloggi) {
+      for (let pos = 0; pos < gruppo.guests.length; pos++) {
+        const g = gruppo.guests[pos];
+        const i = gruppo.indici[pos];
+        const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
+        // Nomi dalle tabelle ISTAT: il form li mostra nella lingua dell'ospite
+        const luogo = (codice, nomeForm) => nomeLuogo(clean(codice)) || clean(nomeForm);
+
+        // Determina se è italiano
+        const ITALY_CODE = "100000100";
+        const isItalian = (clean(g.cittadinanza) || "") === ITALY_CODE;
+
+        const righe = [
+          ["Tipo", tipoAlloggiatoLabel(determineTipoAlloggiato(g, pos, gruppo.guests.length))],
+          // Appartamento e camera solo quando servono a distinguere gli ospiti
+          ...(piuAppartamenti ? [["Appartamento", prop.nome]] : []),
+          ...(prop.camere > 1 ? [["Camera", String(cameraOspite(g))]] : []),
+          ["Cognome", clean(g.cognome).toUpperCase()],
+          ["Nome", clean(g.nome).toUpperCase()],
+          ["Sesso", sessoLabel(clean(g.sesso))],
+          ["Data di nascita", formatDateReadable(clean(g.dataNascita))],
+          ["Luogo di nascita", isItalian ? luogo(g.comuneNascita, g.comuneNascitaNome) : (luogo(g.comuneNascita, g.comuneNascitaNome) || luogo(g.statoNascita, g.statoNascitaNome))],
+          ["Cittadinanza", luogo(g.cittadinanza, g.cittadinanzaNome)]
+        ];
+
+        // Campi aggiuntivi per italiani: comune nascita, comune residenza
+        if (isItalian) {
+          righe.push(
+            ["Provincia nascita", clean(g.provinciaNascita)],
+            ["Comune residenza", luogo(g.comuneResidenza, g.comuneResidenzaNome)]
+          );
+        }
+
+        // Campi documento solo per il primo ospite di ogni appartamento
+        if (pos === 0) {
+          righe.push(
+            ["Documento", tipoDocLabel(clean(g.tipoDocumento))],
+            ["Numero", clean(g.numeroDocumento).toUpperCase()],
+            ["Luogo rilascio", luogo(g.luogoRilascio, g.luogoRilascioNome)]
+          );
+        }
+
+        // Dati di fatturazione (solo se presenti)
+        const cf = clean(g.codiceFiscale);
+        const indirizzo = clean(g.indirizzoFattura);
+        const civico = clean(g.civicoFattura);
+        const cap = clean(g.capFattura);
+        const cittaFatt = clean(g.cittaFattura);
+        if (cf || indirizzo) {
+          const indirizzoCompleto = [indirizzo, civico].filter(Boolean).join(' ') +
+            (cap || cittaFatt ? ', ' + [cap, cittaFatt].filter(Boolean).join(' ') : '');
+          righe.push(
+            ["Cod. Fiscale/P.IVA (fattura)", cf],
+            ["Indirizzo fattura", indirizzoCompleto]
+          );
+        }
+
+        sezioni.push({ titolo: `OSPITE ${i + 1}`, righe });
       }
-      
-      summary += `
-┌─ OSPITE ${i + 1} ─────────────────────────────────────────────
-│
-│  Tipo:              ${tipoAlloggiatoLabel(tipoForSummary)}
-│  Cognome:           ${clean(g.cognome).toUpperCase() || "-"}
-│  Nome:              ${clean(g.nome).toUpperCase() || "-"}
-│  Sesso:             ${sessoLabel(clean(g.sesso))}
-│  Data di nascita:   ${formatDateReadable(clean(g.dataNascita))}
-│  Luogo di nascita:  ${isItalian ? (clean(g.comuneNascitaNome) || "-") : (clean(g.comuneNascitaNome) || clean(g.statoNascitaNome) || "-")}
-│  Cittadinanza:      ${clean(g.cittadinanzaNome) || "-"}
-${italianFieldsSection}${documentSection}${billingSection}
-└──────────────────────────────────────────────────────────────
-`;
-    }
-
-    summary += `
-════════════════════════════════════════════════════════════════
-ALLEGATI:
-• alloggiati.txt  → File per Alloggiati Web (Polizia di Stato)
-• ross1000.xml    → File XML per gestionale Ross1000
-════════════════════════════════════════════════════════════════
-`;
+    }
+
+    for (const { property: prop, gruppo, stay } of alloggi) {
+      const sezione = sezioneImposta(stay.imposta, gruppo.guests, piuAppartamenti ? prop.nome : "");
+      if (sezione) sezioni.push(sezione);
+    }
+
+    for (const { property: prop, stay, esportatore, alloggiatiWs, attachTxt, statisticheWs, attachStatistiche } of alloggi) {
+      // Esito invio diretto ad Alloggiati Web
+      if (alloggiatiWs) {
+        const statoLabels = {
+          "inviato": "INVIATO – tutte le schedine sono state accettate",
+          "parziale": "PARZIALE – alcune schedine sono state rifiutate",
+          "rifiutato": "NON INVIATO – schedine rifiutate dal servizio",
+          "errore": "NON INVIATO – errore di comunicazione con il servizio"
+        };
+        sezioni.push({
+          titolo: `ALLOGGIATI WEB (invio diretto${piuAppartamenti ? `, ${prop.nome}` : ""})`,
+          righe: [
+            ["Esito", statoLabels[alloggiatiWs.stato] || alloggiatiWs.stato],
+            ...(alloggiatiWs.errore ? [["Errore", alloggiatiWs.errore]] : [])
+          ],
+          elenco: alloggiatiWs.esiti.filter(e => !e.esito).map(e => `Ospite ${e.riga}: ${e.errore}`),
+          note: attachTxt ? [`Caricare manualmente ${piuAppartamenti ? "il file TXT di questo appartamento" : "il file alloggiati.txt"} allegato entro 24 ore.`] : [],
+          stato: alloggiatiWs.stato === "inviato" ? "ok" : (alloggiatiWs.stato === "parziale" ? "avviso" : "errore")
+        });
+      }
+
+      // Esito invio diretto delle statistiche regionali
+      if (statisticheWs) {
+        const statoLabels = {
+          "inviato": "INVIATO – tutti gli arrivi sono stati accettati",
+          "parziale": "PARZIALE – alcuni arrivi sono stati rifiutati",
+          "rifiutato": "NON INVIATO – movimentazione rifiutata",
+          "errore": "NON INVIATO – errore di comunicazione con il servizio"
+        };
+        sezioni.push({
+          titolo: `${esportatore.nome.toUpperCase()} (invio diretto, struttura ${stay.codiceStruttura})`,
+          righe: [
+            ["Esito", statoLabels[statisticheWs.stato] || statisticheWs.stato],
+            ...(statisticheWs.errore ? [["Errore", statisticheWs.errore]] : [])
+          ],
+          elenco: statisticheWs.esiti.map(e => `${e.ospite || e.idswh}: ${e.esito ? "accettato" : `rifiutato – ${e.errore}`}`),
+          note: attachStatistiche ? [`Correggere e caricare manualmente su ${esportatore.nome} gli arrivi non accettati (file allegato).`] : [],
+          stato: statisticheWs.stato === "inviato" ? "ok" : (statisticheWs.stato === "parziale" ? "avviso" : "errore")
+        });
+      }
+    }
 
     /**********************************************
-     * INVIO EMAIL CON RESEND
+     * ALLEGATI: un TXT e i file delle statistiche per appartamento
      **********************************************/
-    const RESEND_URL = "https://api.resend.com/emails";
-    // prepara nome file XML: prima parola del nome appartamento + data arrivo (AAAAMMGG)
+    // prepara nome file: prima parola del nome appartamento (nomi dei file
+    // delle statistiche secondo il sistema, lib/statistiche.js)
     const sanitizeFilename = (s) => String(s || "").trim().split(/\s+/)[0].replace(/[^a-zA-Z0-9-_]/g, '') || 'apartment';
-    const aptFirst = sanitizeFilename(appartamento);
-    const rossFilename = `${aptFirst}_${dataArrivoGIES}.xml`;
-
-    const emailPayload = {
-      from: "Pre Check-in <checkin@lovely-venice.it>",
-      to: "appturistici.mestre@gmail.com",
-      subject: `Alloggiati Web – ${appartamento} – Arrivo ${formatDateReadable(dataArrivo)}`,
-      text: summary,
-      attachments: [
-        {
-          filename: "alloggiati.txt",
-          content: encodedTxt
-        },
-        {
-          filename: rossFilename,
-          content: encodedRoss
+    const attachments = [];
+    const allegati = [];
+    for (const a of alloggi) {
+      const aptFirst = sanitizeFilename(a.property.nome);
+      if (a.attachTxt) {
+        const txtFilename = piuAppartamenti ? `alloggiati_${aptFirst}.txt` : "alloggiati.txt";
+        attachments.push({ filename: txtFilename, content: Buffer.from(a.txt, "utf8").toString("base64") });
+        allegati.push([txtFilename, `File per Alloggiati Web (Polizia di Stato)${piuAppartamenti ? ` – ${a.property.nome}` : ""}${a.rejectedLines ? " – solo righe rifiutate" : ""}`]);
+      }
+      if (a.attachStatistiche) {
+        const base = a.esportatore.nomeFile(a.stay, { appartamento: aptFirst });
+        for (const f of a.fileStatistiche.filter(f => f.allegato)) {
+          const filename = `${base}.${f.estensione}`;
+          attachments.push({ filename, content: Buffer.from(f.contenuto, "utf8").toString("base64") });
+          allegati.push([filename, f.descrizione]);
         }
-      ]
-    };
+      }
+    }
+    if (allegati.length > 0) {
+      sezioni.push({ titolo: "ALLEGATI", righe: allegati });
+    }
 
-    const resendRes = await fetch(RESEND_URL, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(emailPayload)
+    /**********************************************
+     * INVIO EMAIL ALL'HOST (lib/email.js)
+     **********************************************/
+    const { text, html } = renderEmail({
+      titolo: "PRE CHECK-IN ALLOGGIATI WEB",
+      sottotitolo: `${nomeAppartamento} – Arrivo ${formatDateReadable(dataArrivo)}`,
+      sezioni
     });
+    let emailPayload = {
+      // Destinatari di tutti gli appartamenti della prenotazione, senza duplicati
+      to: [...new Set(appartamenti.flatMap(p => p.destinatari))],
+      // Date diverse dalle prenotazioni o sovrapposte a un altro invio
+      subject: `${daVerificare ? "DA VERIFICARE – " : ""}Alloggiati Web – ${nomeAppartamento} – Arrivo ${formatDateReadable(dataArrivo)}`,
+      text,
+      html,
+      // L'host può rispondere direttamente all'ospite (non nelle email
+      // cifrate: encryptEmail toglie replyTo)
+      ...(emailOspite ? { replyTo: emailOspite } : {}),
+      attachments
+    };
 
-    const resendJson = await resendRes.json();
-
-    if (!resendRes.ok) {
-      console.error('[RESEND ERROR]', {
-        status: resendRes.status,
-        response: resendJson,
-        timestamp: new Date().toISOString()
+    // Appartamenti con chiavi OpenPGP: riepilogo e allegati cifrati,
+    // nel corpo dell'email solo i dati del soggiorno
+    const chiavi = getPublicKeys(appartamenti);
+    if (chiavi.length > 0) {
+      emailPayload = encryptEmail(emailPayload, chiavi, {
+        titolo: "PRE CHECK-IN ALLOGGIATI WEB",
+        sottotitolo: `${nomeAppartamento} – Arrivo ${formatDateReadable(dataArrivo)}`,
+        sezioni: [{
+          titolo: "SOGGIORNO",
+          righe: [
+            ["Appartamento", nomeAppartamento],
+            ["Riferimento", submissionId],
+            ["Data arrivo", formatDateReadable(dataArrivo)],
+            ["Data partenza", formatDateReadable(dataPartenza)],
+            ["Ospiti", String(guests.length)]
+          ]
+        }]
       });
-      
+    }
+    const emailRes = await sendEmail(emailPayload);
+    if (emailRes.ok) datiTrasmessi = true;
+
+    if (!emailRes.ok) {
       // Messaggio user-friendly basato sul tipo di errore
-      let userMessage = "Errore nell'invio dell'email. Riprova più tardi.";
-      if (resendRes.status === 429) {
-        userMessage = "Troppe richieste. Riprova tra qualche minuto.";
-      } else if (resendRes.status === 401 || resendRes.status === 403) {
-        userMessage = "Errore di configurazione. Contatta l'amministratore.";
+      let userMessage = traduci(lingua, "errore-email");
+      if (emailRes.status === 429) {
+        userMessage = traduci(lingua, "troppe-richieste-minuti");
+      } else if (emailRes.status === 401 || emailRes.status === 403 || emailRes.status === 535) {
+        userMessage = traduci(lingua, "errore-configurazione");
       }
       
+      // Dati già accettati dai portali: esito parziale, la chiave di invio
+      // resta valida e il nuovo tentativo invia solo l'email
+      const trasmessi = Object.keys(trasmissione.alloggi).length > 0;
       return res.status(500).json({
         error: "Email sending failed",
-        message: userMessage
+        message: trasmessi ? traduci(lingua, "errore-email-dati-trasmessi") : userMessage,
+        ...(trasmessi ? {
+          riferimento: submissionId,
+          trasmesso: Object.entries(trasmissione.alloggi).map(([appartamento, t]) => ({
+            appartamento,
+            alloggiatiWeb: t.alloggiatiWs ? t.alloggiatiWs.stato : null,
+            statistiche: t.statisticheWs ? t.statisticheWs.stato : null
+          }))
+        } : {})
+      });
+    }
+
+    /**********************************************
+     * CONFERMA ALL'OSPITE (facoltativa)
+     * Un errore non annulla l'invio: i dati sono già arrivati all'host
+     **********************************************/
+    let confermaOspite = false;
+    if (emailOspite) {
+      const conferma = guestConfirmationEmail(lingua, {
+        nomeAppartamento,
+        dataArrivo,
+        dataPartenza,
+        numeroNotti,
+        riferimento: submissionId
+      }, guests);
+      const confermaRes = await sendEmail({
+        to: [emailOspite],
+        ...conferma,
+        replyTo: appartamenti[0].destinatari[0]
+      }).catch(e => {
+        console.error('[ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+        return { ok: false };
       });
+      confermaOspite = confermaRes.ok;
+    }
+
+    // Soggiorno registrato: serve per rettificare in seguito la data di
+    // partenza (partenza anticipata o proroga, vedi api/stays.js) e per
+    // i controlli sui prossimi invii (indice per mese, lib/stays-index.js)
+    try {
+      const soggiornoSalvato = await saveRecord('stays', submissionId, {
+        appartamento: property.id,
+        dataArrivo,
+        dataPartenza,
+        guests,
+        // Dati delle statistiche di ciascun appartamento (vedi api/stays.js)
+        alloggi: alloggi.map(a => a.stay),
+        // Voci temporanee dell'invio, eliminate con il soggiorno (lib/privacy.js)
+        chiaviInvio: { submissionKey, challengeId, booking: booking ? booking.id : null },
+        createdAt: new Date().toISOString(),
+        rettifiche: []
+      });
+      await indexStay(soggiornoSalvato);
+    } catch (e) {
+      console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+    }
+
+    if (booking) {
+      try {
+        await markBookingSubmitted(booking, submissionId);
+      } catch (e) {
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      }
     }
 
-    return res.status(200).json({
+    const risposta = {
       status: "ok",
       message: "Email sent successfully",
-      resend: resendJson
-    });
+      resend: emailRes.json,
+      // Riferimento del soggiorno (ricevuta PDF dell'ospite)
+      riferimento: submissionId,
+      confermaOspite
+    };
+    if (submissionKey) {
+      try {
+        await completeSubmission(submissionKey, req.body, risposta);
+        invioCompletato = true;
+      } catch (e) {
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      }
+    }
+    return res.status(200).json(risposta);
 
   } catch (err) {
     // Log errore completo lato server (non esporre al client)
@@ -705,7 +805,26 @@ ALLEGATI:
     
     return res.status(500).json({
       error: "Server error",
-      message: "Si è verificato un errore. Riprova più tardi."
+      message: traduci(linguaRichiesta(req), "errore-server")
     });
+  } finally {
+    // Invio non riuscito: la chiave torna libera per un nuovo tentativo
+    // (dati già trasmessi: resta salvata, vedi lib/idempotency.js)
+    if (submissionKey && !invioCompletato) {
+      await releaseSubmission(submissionKey).catch(e => {
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      });
+    }
+    if (bookingRiservato && !datiTrasmessi) {
+      await releaseBooking(bookingRiservato).catch(e => {
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      });
+    }
+    // Dati respinti prima della trasmissione: l'ospite corregge e invia con lo stesso token
+    if (challengeId && !trasmissioneAvviata) {
+      await releaseChallenge(challengeId).catch(e => {
+        console.error('[STORAGE ERROR]', { message: e.message, timestamp: new Date().toISOString() });
+      });
+    }
   }
 }
@@ -0,0 +1,233 @@
+// Vercel Serverless Function: rettifica soggiorni già inviati
+// Path: /api/stays.js
+//
+// POST (host, Authorization: Bearer HOST_API_KEY)
+//   { id, dataPartenza }
+//   id = riferimento dell'invio (riportato nell'email di riepilogo)
+//   -> registra partenza anticipata o proroga, rigenera i movimenti delle
+//      statistiche regionali (lib/statistiche.js) dei giorni interessati, li
+//      invia al web service (se il sistema lo prevede ed è configurato)
+//      e manda il riepilogo con i file di rettifica agli host.
+//      Per le prenotazioni con più appartamenti la rettifica vale per tutti
+//      (file separati per ogni struttura).
+
+import { isHostAuthorized } from '../lib/host-auth.js';
+import { getProperty, getPublicKeys } from '../lib/properties.js';
+import { loadRecord, saveRecord } from '../lib/storage.js';
+import { indexStay, unindexStay, camereAltriSoggiorni } from '../lib/stays-index.js';
+import { MAX_PERMANENZA } from '../lib/validation.js';
+import { getExporter } from '../lib/statistiche.js';
+import { calcolaImposta, sezioneImposta } from '../lib/imposta-soggiorno.js';
+import { sendEmail, encryptEmail } from '../lib/email.js';
+import { renderEmail } from '../lib/email-templates.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isIsoDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d));
+
+const formatDateReadable = (d) => {
+  if (!d) return "-";
+  const [year, month, day] = d.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+// Esito complessivo dei web service Ross1000: null se nessun invio diretto
+function statoRoss(esiti) {
+  const stati = esiti.filter(Boolean).map(ws => ws.stato);
+  if (stati.length === 0) return null;
+  return stati.find(s => s !== "inviato") || "inviato";
+}
+
+async function updateStay(req, res) {
+  if (!isHostAuthorized(req)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { id, dataPartenza } = req.body || {};
+
+  const stay = id ? await loadRecord('stays', id) : null;
+  if (!stay) {
+    return res.status(404).json({ error: "Stay not found" });
+  }
+  if (!isIsoDate(dataPartenza)) {
+    return res.status(400).json({ error: "Invalid date format" });
+  }
+  if (dataPartenza <= stay.dataArrivo) {
+    return res.status(400).json({ error: "Departure must be after arrival" });
+  }
+  // Stesso limite dell'invio: la permanenza nella schedina ha 2 cifre
+  if ((Date.parse(dataPartenza) - Date.parse(stay.dataArrivo)) / DAY > MAX_PERMANENZA) {
+    return res.status(400).json({ error: `Stay longer than ${MAX_PERMANENZA} days` });
+  }
+  if (dataPartenza === stay.dataPartenza) {
+    return res.status(400).json({ error: "Departure date unchanged" });
+  }
+  // Dati di un ospite cancellati su richiesta (lib/privacy.js): i movimenti
+  // delle statistiche non si possono più rigenerare
+  if (stay.guests.some(g => g.cancellato)) {
+    return res.status(409).json({ error: "Guest data erased" });
+  }
+
+  // Dati delle statistiche di ciascun appartamento della prenotazione
+  const { alloggi } = stay;
+  const properties = alloggi.map(a => getProperty(a.appartamento));
+  if (properties.some(p => !p)) {
+    return res.status(400).json({ error: "Unknown apartment" });
+  }
+
+  const precedente = stay.dataPartenza;
+  const tipo = dataPartenza < precedente ? "partenza-anticipata" : "proroga";
+
+  // Solo i giorni tra la vecchia e la nuova partenza cambiano
+  const dal = dataPartenza < precedente ? dataPartenza : precedente;
+  const al = dataPartenza < precedente ? precedente : dataPartenza;
+
+  const rettifiche = [];
+  for (let i = 0; i < alloggi.length; i++) {
+    const property = properties[i];
+    // L'imposta dipende dalle notti: va ricalcolata con la nuova partenza
+    const imposta = calcolaImposta(property, { ...alloggi[i], dataPartenza });
+    const updated = { ...alloggi[i], dataPartenza, imposta };
+    // Stesso sistema dell'invio
+    const esportatore = getExporter(updated.statistiche);
+    // Le camere di altri soggiorni negli stessi giorni (es. un arrivo nel
+    // giorno della vecchia partenza) restano occupate
+    const altreCamere = await camereAltriSoggiorni(property, { dal, al, escluso: stay.id });
+    const statistiche = esportatore.genera(updated, { dal, al, altreCamere });
+
+    let statisticheWs = null;
+    const ws = esportatore.webService;
+    const statisticheCredentials = ws ? ws.credenziali(property) : null;
+    if (statisticheCredentials) {
+      statisticheWs = await ws.invia(statisticheCredentials, statistiche);
+    }
+    rettifiche.push({
+      property,
+      updated,
+      esportatore,
+      statistiche,
+      statisticheWs,
+      attachStatistiche: !statisticheWs || statisticheWs.stato !== "inviato"
+    });
+  }
+  const piuAppartamenti = rettifiche.length > 1;
+
+  const tipoLabel = tipo === "proroga" ? "PROROGA" : "PARTENZA ANTICIPATA";
+  const sezioni = [{
+    titolo: "SOGGIORNO",
+    righe: [
+      ["Appartamento", properties.map(p => p.nome).join(" + ")],
+      ["Riferimento", stay.id],
+      ["Data arrivo", formatDateReadable(stay.dataArrivo)],
+      ["Partenza prevista", formatDateReadable(precedente)],
+      ["Nuova partenza", formatDateReadable(dataPartenza)],
+      ["Ospiti", String(stay.guests.length)]
+    ]
+  }];
+
+  for (const r of rettifiche) {
+    const sezione = sezioneImposta(r.updated.imposta, r.updated.guests, piuAppartamenti ? r.property.nome : "");
+    if (sezione) sezioni.push(sezione);
+  }
+
+  for (const { property, updated, esportatore, statisticheWs, attachStatistiche } of rettifiche) {
+    sezioni.push({
+      titolo: `${esportatore.nome.toUpperCase()} (${piuAppartamenti ? `struttura ${updated.codiceStruttura}, ` : ""}movimenti dal ${formatDateReadable(dal)} al ${formatDateReadable(al)})`,
+      righe: [[
+        "Esito",
+        statisticheWs
+          ? (statisticheWs.stato === "inviato" ? "INVIATO" : `NON INVIATO – ${statisticheWs.errore || statisticheWs.stato}`)
+          : (esportatore.webService ? "Invio diretto non configurato" : "Invio diretto non disponibile")
+      ]],
+      note: attachStatistiche ? [`Caricare manualmente su ${esportatore.nome} il file di rettifica allegato${piuAppartamenti ? ` (${property.nome})` : ""}.`] : [],
+      stato: statisticheWs && statisticheWs.stato === "inviato" ? "ok" : "avviso"
+    });
+  }
+
+  sezioni.push({
+    titolo: "ALLOGGIATI WEB",
+    note: ["La schedina inviata riporta la permanenza prevista: se necessario correggerla manualmente sul portale Alloggiati Web."]
+  });
+
+  const { text, html } = renderEmail({
+    titolo: `RETTIFICA SOGGIORNO – ${tipoLabel}`,
+    sottotitolo: `${properties.map(p => p.nome).join(" + ")} – Arrivo ${formatDateReadable(stay.dataArrivo)}`,
+    sezioni
+  });
+
+  const sanitizeFilename = (s) => String(s || "").trim().split(/\s+/)[0].replace(/[^a-zA-Z0-9-_]/g, '') || 'apartment';
+  let emailPayload = {
+    to: [...new Set(properties.flatMap(p => p.destinatari))],
+    subject: `Rettifica soggiorno – ${properties.map(p => p.nome).join(" + ")} – Arrivo ${formatDateReadable(stay.dataArrivo)}`,
+    text,
+    html,
+    attachments: rettifiche.filter(r => r.attachStatistiche).flatMap(r => {
+      const base = r.esportatore.nomeFile(r.updated, { appartamento: sanitizeFilename(r.property.nome), rettifica: true });
+      return r.statistiche.file.filter(f => f.allegato).map(f => ({
+        filename: `${base}.${f.estensione}`,
+        content: Buffer.from(f.contenuto, "utf8").toString("base64")
+      }));
+    })
+  };
+  // Appartamenti con chiavi OpenPGP: riepilogo e file cifrati (vedi lib/email.js)
+  const chiavi = getPublicKeys(properties);
+  if (chiavi.length > 0) {
+    emailPayload = encryptEmail(emailPayload, chiavi, {
+      titolo: `RETTIFICA SOGGIORNO – ${tipoLabel}`,
+      sottotitolo: `${properties.map(p => p.nome).join(" + ")} – Arrivo ${formatDateReadable(stay.dataArrivo)}`,
+      sezioni: [{
+        titolo: "SOGGIORNO",
+        righe: [
+          ["Riferimento", stay.id],
+          ["Partenza prevista", formatDateReadable(precedente)],
+          ["Nuova partenza", formatDateReadable(dataPartenza)]
+        ]
+      }]
+    });
+  }
+  const email = await sendEmail(emailPayload);
+
+  const ross1000 = statoRoss(rettifiche.map(r => r.statisticheWs));
+  const salvato = await saveRecord('stays', stay.id, {
+    ...stay,
+    dataPartenza,
+    alloggi: rettifiche.map(r => r.updated),
+    rettifiche: [
+      ...(stay.rettifiche || []),
+      {
+        tipo,
+        dataPartenzaPrecedente: precedente,
+        dataPartenza,
+        ross1000,
+        email: email.ok,
+        registrataAt: new Date().toISOString()
+      }
+    ]
+  });
+  // Nuova partenza anche nell'indice per mese (lib/stays-index.js)
+  await unindexStay(stay);
+  await indexStay(salvato);
+
+  return res.status(200).json({
+    status: "ok",
+    tipo,
+    ross1000,
+    email: email.ok
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "POST") return await updateStay(req, res);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error('[ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(500).json({
+      error: "Server error",
+      message: "Si è verificato un errore. Riprova più tardi."
+    });
+  }
+}
@@ -0,0 +1,83 @@
+// Schedine Alloggiati e statistiche regionali di una prenotazione
+// Path: /lib/alloggi.js
+//
+// Ogni appartamento ha le proprie credenziali Alloggiati Web, il proprio
+// sistema di statistiche (lib/statistiche.js) e il proprio codice
+// struttura: schedine e movimenti si generano separatamente per il gruppo
+// di ospiti di ciascuno. Stessa generazione per l'invio del form
+// (api/send-alloggiati-txt.js) e per i file da riga di comando
+// (scripts/genera-file.js).
+
+import { contaCamereOccupate, groupGuestsByApartment } from './guests.js';
+import { buildSchedine } from './alloggiati-txt.js';
+import { getExporter } from './statistiche.js';
+import { calcolaImposta } from './imposta-soggiorno.js';
+
+// Id numerico degli ospiti nelle statistiche (basato su timestamp)
+export const nuovoBaseId = () => parseInt(Date.now().toString().slice(-7), 10);
+
+// Campi dei tracciati riferiti al soggiorno e non al singolo ospite
+const CAMPI_SOGGIORNO = { dataArrivo: "dataArrivo", giorni: "dataPartenza" };
+
+// Errori dei tracciati (lib/tracciati.js) nel formato di lib/validation.js
+function erroriOspiti(gruppo, errori) {
+  const visti = new Set();
+  return errori
+    .map(e => CAMPI_SOGGIORNO[e.campo] || e.pos === null
+      ? { guest: null, field: CAMPI_SOGGIORNO[e.campo] || e.campo, message: e.message }
+      : { guest: gruppo.indici[e.pos], field: e.campo, message: e.message })
+    // Stesso dato in Alloggiati e statistiche: un solo errore
+    .filter(e => !visti.has(`${e.guest}|${e.field}`) && visti.add(`${e.guest}|${e.field}`));
+}
+
+/**********************************************
+ * prenotazione: {
+ *   appartamenti (anagrafica, il primo è il principale),
+ *   dataArrivo, dataPartenza (AAAA-MM-GG), numeroNotti, guests,
+ *   lingua (facoltativa, lingua dei messaggi di errore)
+ * }
+ * baseId: id del primo ospite, consecutivi tra gli appartamenti
+ * Restituisce per appartamento { property, gruppo, lines, stay,
+ * esportatore, statistiche, errori }: statistiche = esportatore.genera(stay).
+ * errori: dati che non rientrano nei tracciati, { guest, field, message }
+ * come lib/validation.js; se presenti i file non vanno usati
+ **********************************************/
+export function buildAlloggi(prenotazione, baseId = nuovoBaseId()) {
+  const { appartamenti, dataArrivo, dataPartenza, numeroNotti, guests, lingua } = prenotazione;
+  let offsetId = 0;
+
+  return groupGuestsByApartment(guests, appartamenti[0].id).map(gruppo => {
+    const prop = appartamenti.find(p => p.id === gruppo.appartamento);
+    const { lines, errori: erroriTxt } = buildSchedine(gruppo.guests, dataArrivo, numeroNotti, lingua);
+
+    /**********************************************
+     * STATISTICHE REGIONALI
+     * File e controlli del sistema scelto per l'appartamento (Ross1000,
+     * ISTAT C/59, vedi lib/statistiche.js)
+     **********************************************/
+    // Imposta di soggiorno: importi per il riepilogo, esenzioni per Ross1000
+    const imposta = calcolaImposta(prop, { dataArrivo, dataPartenza, guests: gruppo.guests });
+    const esportatore = getExporter(prop.statistiche);
+
+    const stay = {
+      appartamento: prop.id,
+      // Sistema e codice struttura dall'anagrafica appartamenti: la
+      // rettifica (api/stays.js) usa lo stesso sistema dell'invio
+      statistiche: esportatore.id,
+      codiceStruttura: prop.codiceStruttura,
+      camere: prop.camere,
+      camereOccupate: contaCamereOccupate(gruppo.guests),
+      letti: prop.letti,
+      dataArrivo,
+      dataPartenza,
+      guests: gruppo.guests,
+      baseId: String(baseId + offsetId),
+      imposta
+    };
+    offsetId += gruppo.guests.length;
+    const statistiche = esportatore.genera(stay, { lingua });
+    const errori = erroriOspiti(gruppo, [...erroriTxt, ...statistiche.errori]);
+
+    return { property: prop, gruppo, lines, stay, esportatore, statistiche, errori };
+  });
+}
@@ -0,0 +1,65 @@
+// Schedine Alloggiati Web (file TXT a campi fissi)
+// Path: /lib/alloggiati-txt.js
+//
+// Usato dall'invio del form (api/send-alloggiati-txt.js) e dalla
+// generazione dei file da riga di comando (scripts/genera-file.js).
+
+import { ITALY_CODE, clean, determineTipoAlloggiato } from './guests.js';
+import { normalizeDocumentCode } from './documents.js';
+import { TRACCIATO_ALLOGGIATI, componiRecord } from './tracciati.js';
+
+/**********************************************
+ * GENERAZIONE TXT SECONDO IL FORMATO ALLOGGIATI WEB
+ * Formato ufficiale Polizia di Stato (tracciato in lib/tracciati.js).
+ * Un file per appartamento con i soli ospiti assegnati a quell'appartamento.
+ * Restituisce { lines, errori }: errori { pos, campo, message } con pos =
+ * posizione dell'ospite nel gruppo; senza errori una riga per ospite.
+ * lingua facoltativa: lingua dei messaggi di errore (lib/i18n.js)
+ **********************************************/
+export function buildSchedine(guests, dataArrivo, numeroNotti, lingua) {
+  const lines = [];
+  const errori = [];
+
+  for (let i = 0; i < guests.length; i++) {
+    const g = guests[i];
+
+    // Solo il primo ospite dell'appartamento (capofamiglia/capogruppo) ha i dati documento
+    // Per familiari e membri gruppo (i > 0), i campi documento sono vuoti
+    const isFirstGuest = (i === 0);
+
+    // Per clienti stranieri: comune e provincia nascita vuoti, stato nascita = cittadinanza
+    const cittadinanza = clean(g.cittadinanza);
+    const isItalian = cittadinanza === ITALY_CODE;
+
+    // Luogo rilascio: per stranieri = cittadinanza se vuoto, altrimenti dal form
+    // (solo per chi ha i dati documento)
+    let luogoRilascio = isFirstGuest ? clean(g.luogoRilascio) : "";
+    if (isFirstGuest && !isItalian && !luogoRilascio && cittadinanza) {
+      luogoRilascio = cittadinanza;
+    }
+
+    const { riga, errori: erroriRiga } = componiRecord(TRACCIATO_ALLOGGIATI, {
+      tipoAlloggiato: determineTipoAlloggiato(g, i, guests.length),
+      dataArrivo,
+      giorni: clean(g.giorni) || numeroNotti || 1,
+      cognome: clean(g.cognome).toLowerCase(),
+      nome: clean(g.nome).toLowerCase(),
+      // Sesso: 1 (maschio) o 2 (femmina) - NON convertire in M/F
+      sesso: clean(g.sesso),
+      dataNascita: clean(g.dataNascita),
+      comuneNascita: isItalian ? clean(g.comuneNascita) : "",
+      provinciaNascita: isItalian ? clean(g.provinciaNascita).toUpperCase() : "",
+      statoNascita: isItalian ? clean(g.statoNascita) : cittadinanza,
+      cittadinanza,
+      // Tipo documento: codice della tabella Alloggiati Web (lib/documents.js)
+      tipoDocumento: isFirstGuest ? normalizeDocumentCode(clean(g.tipoDocumento)) : "",
+      numeroDocumento: isFirstGuest ? clean(g.numeroDocumento).trim().toUpperCase() : "",
+      luogoRilascio
+    }, lingua);
+
+    if (riga) lines.push(riga);
+    erroriRiga.forEach(e => errori.push({ pos: i, ...e }));
+  }
+
+  return { lines: errori.length ? [] : lines, errori };
+}
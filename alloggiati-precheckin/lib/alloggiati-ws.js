@@ -0,0 +1,193 @@
+// Client SOAP per il web service Alloggiati Web (Polizia di Stato)
+// Path: /lib/alloggiati-ws.js
+//
+// Flusso: GenerateToken -> Test (verifica schedine senza inviarle) -> Send.
+// L'endpoint è configurabile con ALLOGGIATI_WS_URL, così da poter puntare
+// a un servizio SOAP finto in locale durante i test.
+
+import { escapeXml, unescapeXml, getTags, getTag } from './xml.js';
+
+const DEFAULT_WS_URL = "https://alloggiatiweb.poliziadistato.it/service/service.asmx";
+const SOAP_NS = "AlloggiatiService";
+const WS_TIMEOUT = 20 * 1000; // 20 secondi per chiamata
+
+/**********************************************
+ * CREDENZIALI PER APPARTAMENTO
+ * ALLOGGIATI_WS_CREDENTIALS = JSON del tipo
+ * { "Station Apartment": { "utente": "...", "password": "...", "wskey": "..." } }
+ **********************************************/
+export function getAlloggiatiCredentials(property) {
+  const raw = process.env.ALLOGGIATI_WS_CREDENTIALS;
+  if (!raw) return null;
+  try {
+    const all = JSON.parse(raw);
+    const cred = all[property.id] || all[property.nome];
+    if (!cred || !cred.utente || !cred.password || !cred.wskey) return null;
+    return cred;
+  } catch (e) {
+    console.error('[ALLOGGIATI WS] ALLOGGIATI_WS_CREDENTIALS non è un JSON valido');
+    return null;
+  }
+}
+
+/**********************************************
+ * HELPER SOAP
+ **********************************************/
+// EsitoOperazioneServizio: { esito, ErroreCod, ErroreDes, ErroreDettaglio }
+function parseEsito(xml) {
+  if (xml === null || xml === undefined) return null;
+  return {
+    esito: (getTag(xml, 'esito') || "").trim().toLowerCase() === 'true',
+    codice: unescapeXml(getTag(xml, 'ErroreCod') || "").trim(),
+    descrizione: unescapeXml(getTag(xml, 'ErroreDes') || "").trim(),
+    dettaglio: unescapeXml(getTag(xml, 'ErroreDettaglio') || "").trim()
+  };
+}
+
+const describeEsito = (e) => [e.codice, e.descrizione, e.dettaglio].filter(Boolean).join(' - ') || 'Errore sconosciuto';
+
+async function soapCall(method, bodyXml) {
+  const envelope = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <${method} xmlns="${SOAP_NS}">${bodyXml}
+    </${method}>
+  </soap:Body>
+</soap:Envelope>`;
+
+  const wsRes = await fetch(process.env.ALLOGGIATI_WS_URL || DEFAULT_WS_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "text/xml; charset=utf-8",
+      "SOAPAction": `"${SOAP_NS}/${method}"`
+    },
+    body: envelope,
+    signal: AbortSignal.timeout(WS_TIMEOUT)
+  });
+
+  const text = await wsRes.text();
+  const fault = getTag(text, 'faultstring');
+  if (fault !== null) {
+    throw new Error(`SOAP fault su ${method}: ${unescapeXml(fault).trim()}`);
+  }
+  if (!wsRes.ok) {
+    throw new Error(`HTTP ${wsRes.status} su ${method}`);
+  }
+  return text;
+}
+
+/**********************************************
+ * METODI DEL SERVIZIO
+ **********************************************/
+export async function generateToken({ utente, password, wskey }) {
+  const xml = await soapCall('GenerateToken', `
+      <Utente>${escapeXml(utente)}</Utente>
+      <Password>${escapeXml(password)}</Password>
+      <WsKey>${escapeXml(wskey)}</WsKey>`);
+
+  const esito = parseEsito(getTag(xml, 'result'));
+  const token = unescapeXml(getTag(xml, 'token') || "").trim();
+  if (!esito || !esito.esito || !token) {
+    throw new Error(`Autenticazione Alloggiati Web fallita: ${esito ? describeEsito(esito) : 'risposta non valida'}`);
+  }
+  return token;
+}
+
+// Test e Send hanno la stessa firma e la stessa risposta
+async function callSchedine(method, utente, token, lines) {
+  const schedine = lines.map(l => `<string>${escapeXml(l)}</string>`).join("");
+  const xml = await soapCall(method, `
+      <Utente>${escapeXml(utente)}</Utente>
+      <token>${escapeXml(token)}</token>
+      <ElencoSchedine>${schedine}</ElencoSchedine>`);
+
+  const generale = parseEsito(getTag(xml, `${method}Result`));
+  const result = getTag(xml, 'result') || "";
+  const dettaglio = getTags(getTag(result, 'Dettaglio') || "", 'EsitoOperazioneServizio').map(parseEsito);
+
+  // Esito per riga: se il servizio non restituisce il dettaglio vale l'esito generale
+  const esiti = lines.map((riga, i) => {
+    const e = dettaglio[i] || generale || { esito: false, codice: "", descrizione: "Risposta non valida", dettaglio: "" };
+    return { riga: i + 1, esito: e.esito, errore: e.esito ? null : describeEsito(e) };
+  });
+
+  return {
+    esito: !!(generale && generale.esito),
+    errore: generale && !generale.esito ? describeEsito(generale) : null,
+    schedineValide: parseInt(getTag(result, 'SchedineValide') || "0", 10) || 0,
+    esiti
+  };
+}
+
+export const testSchedine = (utente, token, lines) => callSchedine('Test', utente, token, lines);
+export const sendSchedine = (utente, token, lines) => callSchedine('Send', utente, token, lines);
+
+// Ricevuta PDF della giornata (data AAAA-MM-GG). Di solito è disponibile
+// solo dopo la chiusura della giornata: restituisce null se non c'è ancora.
+export async function getRicevuta(utente, token, data) {
+  const xml = await soapCall('Ricevuta', `
+      <Utente>${escapeXml(utente)}</Utente>
+      <token>${escapeXml(token)}</token>
+      <Data>${escapeXml(data)}T00:00:00</Data>`);
+
+  const esito = parseEsito(getTag(xml, 'RicevutaResult'));
+  const pdf = (getTag(xml, 'PDF') || "").trim();
+  if (!esito || !esito.esito || !pdf) return null;
+  return pdf; // base64
+}
+
+// Tabelle di riferimento del servizio (tipo: Luoghi, Tipi_Documento,
+// Tipi_Alloggiato...) come testo CSV separato da ";"
+export async function getTabella(utente, token, tipo) {
+  const xml = await soapCall('Tabella', `
+      <Utente>${escapeXml(utente)}</Utente>
+      <token>${escapeXml(token)}</token>
+      <tipo>${escapeXml(tipo)}</tipo>`);
+
+  const esito = parseEsito(getTag(xml, 'TabellaResult'));
+  if (!esito || !esito.esito) {
+    throw new Error(`Tabella ${tipo} non disponibile: ${esito ? describeEsito(esito) : 'risposta non valida'}`);
+  }
+  return unescapeXml(getTag(xml, 'CSV') || "");
+}
+
+/**********************************************
+ * INVIO COMPLETO
+ * Prima verifica tutte le righe con Test: se anche una sola viene
+ * rifiutata non invia nulla, così il file resta completo per il
+ * caricamento manuale.
+ *
+ * stato: "inviato" | "parziale" | "rifiutato" | "errore"
+ **********************************************/
+export async function inviaSchedine(credentials, lines) {
+  const inviatoAt = new Date().toISOString();
+  try {
+    const token = await generateToken(credentials);
+
+    const test = await testSchedine(credentials.utente, token, lines);
+    if (test.esiti.some(e => !e.esito)) {
+      return { stato: "rifiutato", fase: "Test", errore: test.errore, esiti: test.esiti, ricevuta: null, inviatoAt };
+    }
+
+    const send = await sendSchedine(credentials.utente, token, lines);
+    const accettate = send.esiti.filter(e => e.esito).length;
+    const stato = accettate === lines.length ? "inviato" : (accettate > 0 ? "parziale" : "rifiutato");
+
+    let ricevuta = null;
+    if (accettate > 0) {
+      try {
+        ricevuta = await getRicevuta(credentials.utente, token, inviatoAt.slice(0, 10));
+      } catch (e) {
+        console.warn('[ALLOGGIATI WS] Ricevuta non disponibile:', e.message);
+      }
+    }
+
+    return { stato, fase: "Send", errore: send.errore, esiti: send.esiti, schedineValide: send.schedineValide, ricevuta, inviatoAt };
+  } catch (err) {
+    console.error('[ALLOGGIATI WS ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return { stato: "errore", fase: null, errore: err.message, esiti: [], ricevuta: null, inviatoAt };
+  }
+}
@@ -0,0 +1,122 @@
+// Anteprima per l'ospite dei dati che verranno trasmessi
+// Path: /lib/anteprima.js
+//
+// Usata da api/send-alloggiati-txt.js con anteprima: true: il form la
+// mostra prima dell'invio. Per ogni ospite:
+// - alloggiati: campi della schedina letti dalla riga del TXT Alloggiati Web
+//   (quindi già troncati e trasformati come nel file inviato)
+// - statistiche: { sistema, righe }, nome del sistema dell'appartamento e
+//   campi inviati alle statistiche regionali (lib/statistiche.js)
+// - avvisi: dati diversi da quelli inseriti nel form, con il motivo
+// Righe: { campo, valore, codice? }; valore è il nome al posto del codice
+// ISTAT. Le etichette dei campi e il testo degli avvisi sono nel form.
+
+import { loadDataFile } from './data.js';
+import { ITALY_CODE, clean, determineTipoAlloggiato } from './guests.js';
+import { getDocumentType } from './documents.js';
+import { TRACCIATO_ALLOGGIATI, leggiRecord, traslittera } from './tracciati.js';
+
+/**********************************************
+ * NOMI DEI CODICI
+ **********************************************/
+let nomi = null;
+
+function getNomi() {
+  if (!nomi) {
+    nomi = { luoghi: new Map(), province: new Map() };
+    for (const s of loadDataFile('stati_istat.json')) nomi.luoghi.set(s.codice, s.nome);
+    // Comuni con più periodi di validità: il nome è lo stesso
+    for (const c of loadDataFile('comuni_istat.json')) {
+      if (!nomi.luoghi.has(c.codice)) nomi.luoghi.set(c.codice, c.nome);
+    }
+    for (const p of loadDataFile('province.json')) nomi.province.set(p.codice, p.nome);
+  }
+  return nomi;
+}
+
+const luogo = (campo, codice) => ({ campo, valore: getNomi().luoghi.get(codice) || codice, codice });
+
+const provincia = (campo, codice) => ({ campo, valore: getNomi().province.get(codice) || codice, codice });
+
+// Righe degli esportatori: codici di luoghi e province con il nome
+const nomina = (riga) => {
+  if (riga.luogo !== undefined) return luogo(riga.campo, riga.luogo);
+  if (riga.provincia !== undefined) return provincia(riga.campo, riga.provincia);
+  return riga;
+};
+
+function documento(codice) {
+  const doc = getDocumentType(codice);
+  // Tipi importati senza traduzione: solo la descrizione ufficiale
+  const valore = doc ? (doc.descrizioneEn ? `${doc.descrizioneEn} / ${doc.descrizione}` : doc.descrizione) : codice;
+  return { campo: "tipoDocumento", valore, codice };
+}
+
+/**********************************************
+ * alloggi: per appartamento { property, gruppo, lines, stay, esportatore,
+ * statistiche } (lines da buildSchedine, statistiche da esportatore.genera)
+ * Restituisce gli ospiti nell'ordine del form
+ **********************************************/
+export function buildAnteprima(alloggi) {
+  const ospiti = [];
+
+  for (const { property, gruppo, lines, stay, esportatore, statistiche } of alloggi) {
+    gruppo.guests.forEach((g, pos) => {
+      const s = leggiRecord(TRACCIATO_ALLOGGIATI, lines[pos]);
+      const r = statistiche.ospiti[pos];
+      const tipoForm = clean(g.tipoAlloggiato);
+      const cittadinanza = clean(g.cittadinanza);
+      const straniero = cittadinanza !== ITALY_CODE;
+
+      const alloggiati = [
+        { campo: "tipoAlloggiato", codice: s.tipoAlloggiato },
+        { campo: "cognome", valore: s.cognome.toUpperCase() },
+        { campo: "nome", valore: s.nome.toUpperCase() },
+        { campo: "sesso", codice: s.sesso },
+        { campo: "dataNascita", valore: s.dataNascita },
+        ...(s.comuneNascita ? [luogo("comuneNascita", s.comuneNascita)] : []),
+        ...(s.provinciaNascita ? [provincia("provinciaNascita", s.provinciaNascita)] : []),
+        luogo("statoNascita", s.statoNascita),
+        luogo("cittadinanza", s.cittadinanza),
+        ...(s.tipoDocumento ? [documento(s.tipoDocumento)] : []),
+        ...(s.numeroDocumento ? [{ campo: "numeroDocumento", valore: s.numeroDocumento }] : []),
+        ...(s.luogoRilascio ? [luogo("luogoRilascio", s.luogoRilascio)] : [])
+      ];
+
+      const esenzione = stay.imposta && stay.imposta.ospiti[pos];
+      const righeStatistiche = esportatore.anteprima(r, { tipoAlloggiato: s.tipoAlloggiato, esenzione }).map(nomina);
+
+      const avvisi = [];
+      if (tipoForm && tipoForm !== s.tipoAlloggiato) {
+        avvisi.push({ codice: "tipo-modificato", da: tipoForm, a: s.tipoAlloggiato });
+      }
+      if (pos > 0) {
+        avvisi.push({ codice: "documento-capogruppo" });
+      } else if (!clean(g.luogoRilascio) && s.luogoRilascio) {
+        avvisi.push({ codice: "rilascio-cittadinanza" });
+      }
+      // Accenti e lettere speciali tolti nel TXT
+      if ([g.cognome, g.nome].some(n => traslittera(clean(n)) !== clean(n).trim().replace(/\s+/g, " "))) {
+        avvisi.push({ codice: "nome-traslitterato" });
+      }
+      const statoForm = clean(g.statoNascita);
+      // Ross1000 comunica come stato di nascita la cittadinanza
+      if (statoForm && (statoForm !== s.statoNascita || (r.statoNascita !== undefined && statoForm !== r.statoNascita))) {
+        avvisi.push({ codice: "stato-nascita-cittadinanza" });
+      }
+      if (straniero && cittadinanza) {
+        avvisi.push({ codice: "residenza-cittadinanza" });
+      }
+
+      ospiti.push({
+        ospite: gruppo.indici[pos] + 1,
+        appartamento: property.nome,
+        alloggiati,
+        statistiche: { sistema: esportatore.nome, righe: righeStatistiche },
+        avvisi
+      });
+    });
+  }
+
+  return ospiti.sort((a, b) => a.ospite - b.ospite);
+}
@@ -0,0 +1,99 @@
+// Verifica anti-bot del form, senza servizi esterni
+// Path: /lib/anti-bot.js
+//
+// Il form chiede un token (api/challenge.js) all'apertura della pagina e
+// lo invia con i dati. Il token è firmato come i link di prenotazione
+// (lib/signed-token.js) e contiene:
+// - id: usato una sola volta per un invio (archivio di lib/kv-store.js)
+// - iat: ora di emissione; l'invio deve arrivare dopo il tempo minimo di
+//   compilazione e prima della scadenza
+// - bits: difficoltà della prova di lavoro; il browser cerca un nonce per cui
+//   SHA-256(token + "." + nonce) inizia con almeno bits bit a zero
+// Configurazione:
+// - ANTIBOT_SECRET: chiave HMAC; senza chiave la verifica è disattivata
+// - ANTIBOT_MIN_FILL_SECONDS: tempo minimo di compilazione (predefinito 5)
+// - ANTIBOT_POW_BITS: difficoltà della prova di lavoro (predefinito 0, nessuna;
+//   16 richiede in media 65.536 tentativi, qualche secondo su un telefono)
+// - ANTIBOT_TOKEN_HOURS: validità del token (predefinito 48, copre gli invii
+//   rimasti in coda senza connessione)
+
+import crypto from 'crypto';
+import { getKvStore } from './kv-store.js';
+import { signToken, readToken } from './signed-token.js';
+
+const numero = (valore, predefinito) => {
+  const n = Number(valore);
+  return valore !== undefined && valore !== "" && Number.isFinite(n) && n >= 0 ? n : predefinito;
+};
+
+const minFillMs = () => numero(process.env.ANTIBOT_MIN_FILL_SECONDS, 5) * 1000;
+const powBits = () => Math.min(24, Math.floor(numero(process.env.ANTIBOT_POW_BITS, 0)));
+const validitaMs = () => numero(process.env.ANTIBOT_TOKEN_HOURS, 48) * 60 * 60 * 1000;
+
+export const isAntiBotEnabled = () => Boolean(process.env.ANTIBOT_SECRET);
+
+// Bit a zero iniziali dell'impronta
+function leadingZeroBits(hash) {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Token per il form: { token, bits, minFillMs }, token null se la verifica è disattivata
+export function issueChallenge() {
+  if (!isAntiBotEnabled()) return { token: null, bits: 0, minFillMs: 0 };
+  const bits = powBits();
+  const token = signToken({ id: crypto.randomUUID(), iat: Date.now(), bits }, process.env.ANTIBOT_SECRET);
+  return { token, bits, minFillMs: minFillMs() };
+}
+
+/**********************************************
+ * VERIFICA
+ * challenge: { token, nonce } inviato dal form
+ * Restituisce { ok: true, id, exp } oppure { ok: false, error } con error:
+ * missing | malformed | invalid-signature | expired | too-fast | pow-failed
+ **********************************************/
+export function verifyChallenge(challenge) {
+  const { token, nonce } = challenge && typeof challenge === 'object' ? challenge : {};
+  const letto = readToken(token, process.env.ANTIBOT_SECRET);
+  if (!letto.ok) return letto;
+  const { dati } = letto;
+  if (!dati.id || !Number.isFinite(dati.iat)) return { ok: false, error: "malformed" };
+
+  const trascorso = Date.now() - dati.iat;
+  const exp = dati.iat + validitaMs();
+  if (Date.now() > exp) return { ok: false, error: "expired" };
+  if (trascorso < minFillMs()) return { ok: false, error: "too-fast" };
+
+  if (dati.bits > 0) {
+    if (typeof nonce !== 'string' || !nonce || nonce.length > 32) return { ok: false, error: "pow-failed" };
+    const hash = crypto.createHash('sha256').update(`${token}.${nonce}`).digest();
+    if (leadingZeroBits(hash) < dati.bits) return { ok: false, error: "pow-failed" };
+  }
+  return { ok: true, id: dati.id, exp };
+}
+
+const storeKey = (id) => `antibot:${id}`;
+
+// Token usato per un invio: false se lo era già (replay)
+export async function consumeChallenge(id, exp) {
+  const store = await getKvStore();
+  return store.set(storeKey(id), { usatoAt: Date.now() }, Math.max(1000, exp - Date.now()), { onlyIfAbsent: true });
+}
+
+// Invio non partito (dati da correggere): il token torna utilizzabile
+export async function releaseChallenge(id) {
+  const store = await getKvStore();
+  await store.del(storeKey(id));
+}
+
+// Richieste respinte dai controlli anti-bot: log separato dagli errori del server
+export function logBotRejection(motivo, ip) {
+  console.warn('[BOT REJECTED]', { motivo, ip, timestamp: new Date().toISOString() });
+}
@@ -0,0 +1,83 @@
+// Link di prenotazione firmati (HMAC-SHA256) con scadenza
+// Path: /lib/booking-link.js
+//
+// Token: base64url(JSON prenotazione) + "." + base64url(HMAC) (lib/signed-token.js)
+// Il contenuto è leggibile ma non modificabile senza BOOKING_LINK_SECRET.
+
+import { signToken, readToken } from './signed-token.js';
+import { loadRecord, saveRecord } from './storage.js';
+import { getKvStore } from './kv-store.js';
+
+// Prenotazione riservata da un invio: oltre la scadenza del link, quando
+// ormai il token non è più accettato
+const RISERVA_MARGINE = 60 * 60 * 1000;
+const reservationKey = (id) => `booking:${id}`;
+
+function getSecret() {
+  const secret = process.env.BOOKING_LINK_SECRET;
+  if (!secret) throw new Error("Missing BOOKING_LINK_SECRET");
+  return secret;
+}
+
+// booking: { id, appartamento, appartamenti?, dataArrivo, dataPartenza, ospiti, exp (ms) }
+export function signBooking(booking) {
+  return signToken(booking, getSecret());
+}
+
+// Restituisce { ok: true, booking } oppure { ok: false, error }
+export function verifyBookingToken(token) {
+  if (!token || typeof token !== 'string') return { ok: false, error: "missing" };
+  const letto = readToken(token, getSecret());
+  if (!letto.ok) return letto;
+  const booking = letto.dati;
+  if (!booking.id || !booking.exp) return { ok: false, error: "malformed" };
+  if (Date.now() > booking.exp) return { ok: false, error: "expired", booking };
+
+  return { ok: true, booking };
+}
+
+// Messaggi per il form quando il link non è utilizzabile (chiavi di lib/i18n.js)
+export const BOOKING_LINK_ERRORS = {
+  "missing": "link-non-valido",
+  "malformed": "link-non-valido",
+  "invalid-signature": "link-modificato",
+  "expired": "link-scaduto",
+  "not-found": "prenotazione-non-trovata",
+  "already-submitted": "precheckin-gia-inviato"
+};
+
+// Verifica firma, scadenza ed eventuale invio già effettuato
+export async function checkBookingToken(token) {
+  const check = verifyBookingToken(token);
+  if (!check.ok) return check;
+  const record = await loadRecord('bookings', check.booking.id);
+  if (!record) return { ok: false, error: "not-found" };
+  if (record.submittedAt) return { ok: false, error: "already-submitted" };
+  return { ok: true, booking: check.booking, record };
+}
+
+// Riserva atomica della prenotazione prima di trasmettere (lib/kv-store.js):
+// tra due invii contemporanei dallo stesso link solo uno prosegue.
+// true anche per lo stesso invio che riprende (lib/idempotency.js)
+export async function reserveBooking(record, submissionId) {
+  const store = await getKvStore();
+  const ttl = Math.max(record.exp - Date.now(), 0) + RISERVA_MARGINE;
+  if (await store.set(reservationKey(record.id), { submissionId }, ttl, { onlyIfAbsent: true })) return true;
+  const esistente = await store.get(reservationKey(record.id));
+  return Boolean(esistente && esistente.submissionId === submissionId);
+}
+
+// Nessun dato trasmesso: il link torna utilizzabile
+export async function releaseBooking(record) {
+  const store = await getKvStore();
+  await store.del(reservationKey(record.id));
+}
+
+// Una sola compilazione per prenotazione
+export async function markBookingSubmitted(record, submissionId) {
+  return saveRecord('bookings', record.id, {
+    ...record,
+    submittedAt: new Date().toISOString(),
+    submissionId
+  });
+}
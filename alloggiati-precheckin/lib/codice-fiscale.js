@@ -0,0 +1,130 @@
+// Verifica codice fiscale / partita IVA
+// Path: /lib/codice-fiscale.js
+//
+// Modulo senza dipendenze esterne (solo i testi di lib/i18n.js), usato sia
+// dall'API (lib/validation.js) sia dal form (import dinamico in index.html):
+// le regole restano in un solo posto.
+// Il codice catastale (Belfiore) del luogo di nascita arriva dal chiamante
+// (data/belfiore.json, indicizzato per codice Alloggiati di comune o stato).
+
+import { traduci } from './i18n.js';
+
+const MESI = "ABCDEHLMPRST";
+// Omocodia: le cifre possono essere sostituite da queste lettere
+const OMOCODIA = "LMNPQRSTUV";
+const POSIZIONI_OMOCODIA = [6, 7, 9, 10, 12, 13, 14];
+
+// Valori dei caratteri in posizione dispari (1ª, 3ª, ...) per il carattere di controllo
+const DISPARI = {
+  "0": 1, "1": 0, "2": 5, "3": 7, "4": 9, "5": 13, "6": 15, "7": 17, "8": 19, "9": 21,
+  "A": 1, "B": 0, "C": 5, "D": 7, "E": 9, "F": 13, "G": 15, "H": 17, "I": 19, "J": 21,
+  "K": 2, "L": 4, "M": 18, "N": 20, "O": 11, "P": 3, "Q": 6, "R": 8, "S": 12, "T": 14,
+  "U": 16, "V": 10, "W": 22, "X": 25, "Y": 24, "Z": 23
+};
+
+const CF_RE = /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/;
+
+// Solo lettere A-Z, senza accenti
+const lettere = (s) => String(s || "").toUpperCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^A-Z]/g, "");
+const consonanti = (s) => lettere(s).replace(/[AEIOU]/g, "");
+const vocali = (s) => lettere(s).replace(/[^AEIOU]/g, "");
+
+export function codiceCognome(cognome) {
+  return (consonanti(cognome) + vocali(cognome) + "XXX").slice(0, 3);
+}
+
+// Con quattro o più consonanti si usano la 1ª, la 3ª e la 4ª
+export function codiceNome(nome) {
+  const c = consonanti(nome);
+  if (c.length >= 4) return c[0] + c[2] + c[3];
+  return (c + vocali(nome) + "XXX").slice(0, 3);
+}
+
+export function carattereControllo(cf15) {
+  let somma = 0;
+  for (let i = 0; i < 15; i++) {
+    const ch = cf15[i];
+    if (i % 2 === 0) somma += DISPARI[ch];
+    else somma += /[0-9]/.test(ch) ? parseInt(ch, 10) : ch.charCodeAt(0) - 65;
+  }
+  return String.fromCharCode(65 + (somma % 26));
+}
+
+// Riporta le cifre sostituite per omocodia
+function senzaOmocodia(cf) {
+  const chars = cf.split("");
+  for (const p of POSIZIONI_OMOCODIA) {
+    const k = OMOCODIA.indexOf(chars[p]);
+    if (k >= 0) chars[p] = String(k);
+  }
+  return chars.join("");
+}
+
+export function isValidPartitaIva(piva) {
+  if (!/^[0-9]{11}$/.test(piva)) return false;
+  let somma = 0;
+  for (let i = 0; i < 10; i++) {
+    let n = parseInt(piva[i], 10);
+    if (i % 2 === 1) {
+      n *= 2;
+      if (n > 9) n -= 9;
+    }
+    somma += n;
+  }
+  return (10 - (somma % 10)) % 10 === parseInt(piva[10], 10);
+}
+
+/**********************************************
+ * VERIFICA CAMPO "Cod. Fiscale/P.IVA"
+ * ospite: { cognome, nome, dataNascita (AAAA-MM-GG), sesso (1/2), belfiore }
+ * I dati mancanti dell'ospite non vengono confrontati.
+ * Restituisce l'elenco dei messaggi di errore (vuoto se valido), nella
+ * lingua indicata (lib/i18n.js)
+ **********************************************/
+export function checkCodiceFiscale(value, ospite = {}, lingua) {
+  const m = (chiave) => traduci(lingua, chiave);
+  const cf = String(value || "").replace(/\s+/g, "").toUpperCase();
+  if (!cf) return [];
+
+  // Partita IVA (11 cifre)
+  if (/^[0-9]+$/.test(cf)) {
+    return isValidPartitaIva(cf) ? [] : [m("partita-iva-non-valida")];
+  }
+
+  if (!CF_RE.test(cf)) {
+    return [m("cf-formato")];
+  }
+  if (carattereControllo(cf.slice(0, 15)) !== cf[15]) {
+    return [m("cf-controllo")];
+  }
+
+  const errors = [];
+  const base = senzaOmocodia(cf);
+
+  if (ospite.cognome && codiceCognome(ospite.cognome) !== cf.slice(0, 3)) {
+    errors.push(m("cf-cognome"));
+  }
+  if (ospite.nome && codiceNome(ospite.nome) !== cf.slice(3, 6)) {
+    errors.push(m("cf-nome"));
+  }
+
+  const nascita = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ospite.dataNascita || "");
+  const giornoCf = parseInt(base.slice(9, 11), 10);
+  if (nascita) {
+    const [, anno, mese, giorno] = nascita;
+    const meseCf = MESI.indexOf(base[8]) + 1;
+    if (base.slice(6, 8) !== anno.slice(2) || meseCf !== parseInt(mese, 10) || giornoCf % 40 !== parseInt(giorno, 10)) {
+      errors.push(m("cf-data-nascita"));
+    }
+  }
+  // Per le donne il giorno è aumentato di 40
+  const sesso = String(ospite.sesso || "");
+  if ((sesso === "1" && giornoCf > 40) || (sesso === "2" && giornoCf < 40)) {
+    errors.push(m("cf-sesso"));
+  }
+  if (ospite.belfiore && base.slice(11, 15) !== ospite.belfiore) {
+    errors.push(m("cf-luogo-nascita"));
+  }
+
+  return errors;
+}
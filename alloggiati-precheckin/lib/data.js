@@ -0,0 +1,25 @@
+// Lettura dei file JSON in /data (con cache in memoria)
+// Path: /lib/data.js
+
+import fs from 'fs';
+import path from 'path';
+
+const cache = new Map();
+
+// I file ISTAT sono salvati con BOM UTF-8, che JSON.parse non accetta
+export function loadDataFile(name) {
+  if (cache.has(name)) return cache.get(name);
+  const raw = fs.readFileSync(path.join(process.cwd(), 'data', name), 'utf8');
+  const data = JSON.parse(raw.replace(/^\uFEFF/, ''));
+  cache.set(name, data);
+  return data;
+}
+
+// File di testo (es. chiavi pubbliche in data/pgp)
+export function loadDataText(name) {
+  const key = `text:${name}`;
+  if (cache.has(key)) return cache.get(key);
+  const text = fs.readFileSync(path.join(process.cwd(), 'data', name), 'utf8');
+  cache.set(key, text);
+  return text;
+}
@@ -0,0 +1,37 @@
+// Tipi documento Alloggiati Web (data/documenti_alloggiati.json)
+// Path: /lib/documents.js
+//
+// Unica fonte per il menu del form (via /api/reference) e per il TXT.
+// La tabella ufficiale si scarica dal web service Alloggiati Web
+// (metodo Tabella, tipo Tipi_Documento): aggiornare il JSON da lì con
+// scripts/importa-documenti.js. I tipi importati senza traduzioni hanno
+// solo la descrizione ufficiale, usata dal form in tutte le lingue.
+// Campi: codice, nome (descrizione ufficiale), descrizione (italiano),
+// descrizioneEn/De/Fr/Es (etichette del form nelle altre lingue) e
+// - passaporto:     il luogo di rilascio di default è la cittadinanza
+// - rilascioItalia: documento rilasciato da un comune italiano
+
+import { loadDataFile } from './data.js';
+
+// Codici usati dalle versioni precedenti del form
+const LEGACY_CODES = {
+  "PASS": "PASOR",
+  "ID": "IDENT",
+  "DL": "PATEN"
+};
+
+export function loadDocumentTypes() {
+  return loadDataFile('documenti_alloggiati.json');
+}
+
+// Codice Alloggiati Web (5 caratteri) oppure "" se sconosciuto
+export function normalizeDocumentCode(code) {
+  const key = String(code || "").trim().toUpperCase();
+  const codice = LEGACY_CODES[key] || key;
+  return loadDocumentTypes().some(d => d.codice === codice) ? codice : "";
+}
+
+export function getDocumentType(code) {
+  const codice = normalizeDocumentCode(code);
+  return codice ? loadDocumentTypes().find(d => d.codice === codice) : null;
+}
@@ -0,0 +1,246 @@
+// Modelli delle email (riepilogo host, rettifica soggiorno, conferma ospite)
+// Path: /lib/email-templates.js
+//
+// Ogni email è descritta da un modello e renderEmail() ne produce la
+// versione testo e quella HTML:
+// { titolo, sottotitolo?, introduzione?, sezioni: [{
+//     titolo?,
+//     righe?: [[etichetta, valore]],
+//     tabelle?: [{ intestazioni: [...], righe: [[...]] }],
+//     elenco?: [testo],
+//     note?: [testo],
+//     stato?: "ok" | "avviso" | "errore"   (colore della sezione nell'HTML)
+//   }], piede? }
+// I valori vuoti sono mostrati come "-".
+
+import { clean, mascheraDocumento } from './guests.js';
+import { getDocumentType } from './documents.js';
+
+const formatDate = (d) => {
+  const parts = String(d || "").split("-");
+  return parts.length === 3 ? `${parts[2]}/${parts[1]}/${parts[0]}` : (d || "-");
+};
+
+const valore = (v) => (v === undefined || v === null || v === "") ? "-" : String(v);
+
+/**********************************************
+ * VERSIONE TESTO
+ **********************************************/
+const LARGHEZZA = 64;
+
+function tabellaTesto({ intestazioni, righe }) {
+  const tutte = [intestazioni, ...righe].map(r => r.map(valore));
+  const larghezze = intestazioni.map((_, c) => Math.max(...tutte.map(r => r[c].length)));
+  const riga = (r) => "  " + r.map((v, c) => c === r.length - 1 ? v : v.padEnd(larghezze[c])).join("  ");
+  return [riga(tutte[0]), ...tutte.slice(1).map(riga)].join("\n");
+}
+
+function sezioneTesto(s) {
+  const blocchi = s.titolo ? [`${s.titolo}\n${"─".repeat(LARGHEZZA)}`] : [];
+  if (s.righe && s.righe.length) {
+    const larghezza = Math.max(...s.righe.map(([etichetta]) => etichetta.length)) + 2;
+    blocchi.push(s.righe.map(([etichetta, v]) => `${`${etichetta}:`.padEnd(larghezza)}${valore(v)}`).join("\n"));
+  }
+  for (const t of s.tabelle || []) blocchi.push(tabellaTesto(t));
+  if (s.elenco && s.elenco.length) blocchi.push(s.elenco.map(e => `• ${e}`).join("\n"));
+  if (s.note && s.note.length) blocchi.push(s.note.map(n => `→ ${n}`).join("\n"));
+  return blocchi.join("\n");
+}
+
+function renderText(modello) {
+  const intestazione = [
+    "═".repeat(LARGHEZZA),
+    modello.titolo,
+    ...(modello.sottotitolo ? [modello.sottotitolo] : []),
+    "═".repeat(LARGHEZZA)
+  ].join("\n");
+  return [
+    intestazione,
+    ...(modello.introduzione ? [modello.introduzione] : []),
+    ...modello.sezioni.map(sezioneTesto),
+    ...(modello.piede ? [`${"═".repeat(LARGHEZZA)}\n${modello.piede}`] : [])
+  ].join("\n\n") + "\n";
+}
+
+/**********************************************
+ * VERSIONE HTML (stili in linea per i client di posta)
+ **********************************************/
+const escapeHtml = (s) => valore(s).replace(/[&<>"']/g, c => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+})[c]);
+
+const COLORI = { ok: "#15803d", avviso: "#b45309", errore: "#b91c1c" };
+
+function sezioneHtml(s) {
+  const colore = COLORI[s.stato] || "#1e3a5f";
+  let html = !s.titolo ? "" : `<h3 style="margin:24px 0 8px;padding-bottom:4px;border-bottom:2px solid ${colore};color:${colore};font-size:15px;">${escapeHtml(s.titolo)}</h3>`;
+  if (s.righe && s.righe.length) {
+    html += `<table cellpadding="4" cellspacing="0" style="border-collapse:collapse;font-size:14px;">`
+      + s.righe.map(([etichetta, v]) =>
+        `<tr><td style="color:#555;padding-right:16px;vertical-align:top;">${escapeHtml(etichetta)}</td><td><strong>${escapeHtml(v)}</strong></td></tr>`).join("")
+      + `</table>`;
+  }
+  for (const t of s.tabelle || []) {
+    html += `<table cellpadding="4" cellspacing="0" style="border-collapse:collapse;font-size:14px;margin-top:8px;">`
+      + `<tr>${t.intestazioni.map(h => `<th align="left" style="border-bottom:1px solid #ccc;padding-right:16px;">${escapeHtml(h)}</th>`).join("")}</tr>`
+      + t.righe.map(r => `<tr>${r.map(v => `<td style="padding-right:16px;">${escapeHtml(v)}</td>`).join("")}</tr>`).join("")
+      + `</table>`;
+  }
+  if (s.elenco && s.elenco.length) {
+    html += `<ul style="font-size:14px;padding-left:20px;">${s.elenco.map(e => `<li>${escapeHtml(e)}</li>`).join("")}</ul>`;
+  }
+  for (const n of s.note || []) {
+    html += `<p style="font-size:14px;color:${COLORI.avviso};margin:8px 0;">${escapeHtml(n)}</p>`;
+  }
+  return html;
+}
+
+function renderHtml(modello) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(modello.titolo)}</title></head>
+<body style="margin:0;padding:16px;background:#f5f5f5;">
+<div style="max-width:680px;margin:0 auto;padding:24px;background:#fff;font-family:Arial,Helvetica,sans-serif;color:#222;">
+<h2 style="margin:0;font-size:20px;">${escapeHtml(modello.titolo)}</h2>
+${modello.sottotitolo ? `<p style="margin:4px 0 0;color:#555;">${escapeHtml(modello.sottotitolo)}</p>` : ""}
+${modello.introduzione ? `<p style="font-size:14px;">${escapeHtml(modello.introduzione)}</p>` : ""}
+${modello.sezioni.map(sezioneHtml).join("\n")}
+${modello.piede ? `<p style="margin-top:24px;font-size:12px;color:#777;">${escapeHtml(modello.piede)}</p>` : ""}
+</div>
+</body></html>
+`;
+}
+
+// { text, html } dallo stesso modello
+export function renderEmail(modello) {
+  return { text: renderText(modello), html: renderHtml(modello) };
+}
+
+/**********************************************
+ * CONFERMA ALL'OSPITE
+ * Nella lingua del form (lib/i18n.js, predefinito inglese).
+ * I numeri dei documenti sono mascherati: restano le ultime 3 cifre.
+ **********************************************/
+const TESTI_OSPITE = {
+  en: {
+    oggetto: (apt, data) => `Pre check-in received – ${apt} – arrival ${data}`,
+    titolo: "Pre check-in received",
+    introduzione: "Thank you! We have received the details of the guests below. The host will register them with the Italian authorities as required by law.",
+    soggiorno: "YOUR STAY",
+    appartamento: "Apartment",
+    arrivo: "Arrival",
+    partenza: "Departure",
+    notti: "Nights",
+    riferimento: "Reference",
+    ospite: "Guest",
+    nascita: "Date of birth",
+    documento: "Document",
+    nota: "Document numbers are partly hidden. If any detail is wrong, just reply to this email.",
+    piede: "This is an automatic message sent after the online pre check-in."
+  },
+  it: {
+    oggetto: (apt, data) => `Pre check-in ricevuto – ${apt} – arrivo ${data}`,
+    titolo: "Pre check-in ricevuto",
+    introduzione: "Grazie! Abbiamo ricevuto i dati degli ospiti qui sotto. L'host li registrerà presso le autorità italiane come previsto dalla legge.",
+    soggiorno: "IL TUO SOGGIORNO",
+    appartamento: "Appartamento",
+    arrivo: "Arrivo",
+    partenza: "Partenza",
+    notti: "Notti",
+    riferimento: "Riferimento",
+    ospite: "Ospite",
+    nascita: "Data di nascita",
+    documento: "Documento",
+    nota: "I numeri dei documenti sono parzialmente nascosti. Se qualche dato non è corretto, rispondi a questa email.",
+    piede: "Messaggio automatico inviato dopo il pre check-in online."
+  },
+  de: {
+    oggetto: (apt, data) => `Vorab-Check-in erhalten – ${apt} – Anreise ${data}`,
+    titolo: "Vorab-Check-in erhalten",
+    introduzione: "Vielen Dank! Wir haben die Angaben der unten aufgeführten Gäste erhalten. Der Gastgeber meldet sie wie gesetzlich vorgeschrieben bei den italienischen Behörden.",
+    soggiorno: "IHR AUFENTHALT",
+    appartamento: "Apartment",
+    arrivo: "Anreise",
+    partenza: "Abreise",
+    notti: "Nächte",
+    riferimento: "Referenz",
+    ospite: "Gast",
+    nascita: "Geburtsdatum",
+    documento: "Ausweis",
+    nota: "Die Ausweisnummern sind teilweise verborgen. Falls eine Angabe nicht stimmt, antworten Sie einfach auf diese E-Mail.",
+    piede: "Automatische Nachricht nach dem Online-Vorab-Check-in."
+  },
+  fr: {
+    oggetto: (apt, data) => `Pré-enregistrement reçu – ${apt} – arrivée le ${data}`,
+    titolo: "Pré-enregistrement reçu",
+    introduzione: "Merci ! Nous avons bien reçu les données des voyageurs ci-dessous. L'hôte les déclarera aux autorités italiennes comme l'exige la loi.",
+    soggiorno: "VOTRE SÉJOUR",
+    appartamento: "Appartement",
+    arrivo: "Arrivée",
+    partenza: "Départ",
+    notti: "Nuits",
+    riferimento: "Référence",
+    ospite: "Voyageur",
+    nascita: "Date de naissance",
+    documento: "Document",
+    nota: "Les numéros des documents sont partiellement masqués. Si une donnée est incorrecte, répondez simplement à cet e-mail.",
+    piede: "Message automatique envoyé après le pré-enregistrement en ligne."
+  },
+  es: {
+    oggetto: (apt, data) => `Pre check-in recibido – ${apt} – llegada ${data}`,
+    titolo: "Pre check-in recibido",
+    introduzione: "¡Gracias! Hemos recibido los datos de los huéspedes indicados abajo. El anfitrión los registrará ante las autoridades italianas como exige la ley.",
+    soggiorno: "TU ESTANCIA",
+    appartamento: "Apartamento",
+    arrivo: "Llegada",
+    partenza: "Salida",
+    notti: "Noches",
+    riferimento: "Referencia",
+    ospite: "Huésped",
+    nascita: "Fecha de nacimiento",
+    documento: "Documento",
+    nota: "Los números de los documentos están parcialmente ocultos. Si algún dato no es correcto, responde a este correo.",
+    piede: "Mensaje automático enviado tras el pre check-in online."
+  }
+};
+
+// soggiorno: { nomeAppartamento, dataArrivo, dataPartenza, numeroNotti, riferimento }
+// guests: ospiti come inviati dal form; documento solo per chi lo ha indicato
+export function guestConfirmationEmail(lingua, soggiorno, guests) {
+  const t = TESTI_OSPITE[lingua] || TESTI_OSPITE.en;
+  const { text, html } = renderEmail({
+    titolo: t.titolo,
+    sottotitolo: soggiorno.nomeAppartamento,
+    introduzione: t.introduzione,
+    sezioni: [
+      {
+        titolo: t.soggiorno,
+        righe: [
+          [t.appartamento, soggiorno.nomeAppartamento],
+          [t.arrivo, formatDate(soggiorno.dataArrivo)],
+          [t.partenza, formatDate(soggiorno.dataPartenza)],
+          [t.notti, soggiorno.numeroNotti],
+          [t.riferimento, soggiorno.riferimento]
+        ]
+      },
+      ...guests.map((g, i) => {
+        const doc = getDocumentType(clean(g.tipoDocumento));
+        const numero = mascheraDocumento(g.numeroDocumento);
+        return {
+          titolo: `${t.ospite.toUpperCase()} ${i + 1}`,
+          righe: [
+            [t.ospite, `${clean(g.nome)} ${clean(g.cognome)}`.trim().toUpperCase()],
+            [t.nascita, formatDate(clean(g.dataNascita))],
+            ...(numero ? [[t.documento, `${doc ? doc.nome : clean(g.tipoDocumento)} ${numero}`]] : [])
+          ]
+        };
+      }),
+      { note: [t.nota] }
+    ],
+    piede: t.piede
+  });
+  return {
+    subject: t.oggetto(soggiorno.nomeAppartamento, formatDate(soggiorno.dataArrivo)),
+    text,
+    html
+  };
+}
@@ -0,0 +1,112 @@
+// Invio email: Resend (API HTTP) o server SMTP
+// Path: /lib/email.js
+//
+// Trasporto scelto da MAIL_TRANSPORT:
+// - "resend" (predefinito): API Resend con RESEND_API_KEY
+// - "smtp": server indicato da SMTP_URL (vedi lib/smtp.js), ad esempio un
+//   server di prova locale per controllare le email senza inviarle
+// EMAIL_FROM sostituisce il mittente predefinito.
+
+import { buildMessage, sendSmtp } from './smtp.js';
+import { encryptMessage } from './openpgp.js';
+import { renderEmail } from './email-templates.js';
+
+const RESEND_URL = "https://api.resend.com/emails";
+export const EMAIL_FROM = process.env.EMAIL_FROM || "Pre Check-in <checkin@lovely-venice.it>";
+
+const getTransport = () => (process.env.MAIL_TRANSPORT || "resend").toLowerCase();
+
+// Trasporto configurato (credenziali presenti)
+export function isEmailConfigured() {
+  const transport = getTransport();
+  if (transport === "smtp") return Boolean(process.env.SMTP_URL);
+  if (transport === "resend") return Boolean(process.env.RESEND_API_KEY);
+  return false;
+}
+
+/**********************************************
+ * TRASPORTO RESEND
+ **********************************************/
+async function sendResend(payload) {
+  const { replyTo, ...rest } = payload;
+  const resendRes = await fetch(RESEND_URL, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${process.env.RESEND_API_KEY}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ from: EMAIL_FROM, ...rest, ...(replyTo ? { reply_to: replyTo } : {}) })
+  });
+
+  const json = await resendRes.json();
+  if (!resendRes.ok) {
+    console.error('[RESEND ERROR]', {
+      status: resendRes.status,
+      response: json,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return { ok: resendRes.ok, status: resendRes.status, json };
+}
+
+/**********************************************
+ * TRASPORTO SMTP
+ * Risposta nello stesso formato di Resend: status 500 per gli errori
+ * di connessione, altrimenti il codice SMTP (es. 535 autenticazione)
+ **********************************************/
+async function sendSmtpEmail(payload) {
+  const to = [].concat(payload.to);
+  try {
+    const message = buildMessage({ from: EMAIL_FROM, ...payload, to });
+    const { id } = await sendSmtp(process.env.SMTP_URL, { from: EMAIL_FROM, to, message });
+    return { ok: true, status: 200, json: { id } };
+  } catch (e) {
+    console.error('[SMTP ERROR]', {
+      message: e.message,
+      timestamp: new Date().toISOString()
+    });
+    return { ok: false, status: typeof e.code === "number" ? e.code : 500, json: { error: e.message } };
+  }
+}
+
+/**********************************************
+ * EMAIL CIFRATA (OpenPGP, vedi lib/openpgp.js)
+ * Riepilogo (testo e HTML) e allegati diventano file .asc leggibili solo
+ * con le chiavi private degli host; il corpo dell'email è sostituito
+ * dall'avviso (modello di lib/email-templates.js senza dati personali).
+ * Senza replyTo: l'email dell'ospite resterebbe in chiaro nelle intestazioni
+ **********************************************/
+export function encryptEmail({ replyTo, ...payload }, keys, avviso) {
+  const cifra = (data, filename) => ({
+    filename: `${filename}.asc`,
+    content: Buffer.from(encryptMessage(data, { filename, keys }), "utf8").toString("base64")
+  });
+  const attachments = [
+    cifra(payload.text, "riepilogo.txt"),
+    ...(payload.html ? [cifra(payload.html, "riepilogo.html")] : []),
+    ...(payload.attachments || []).map(a => cifra(Buffer.from(a.content, "base64"), a.filename))
+  ];
+  return {
+    ...payload,
+    ...renderEmail({
+      ...avviso,
+      sezioni: [
+        ...avviso.sezioni,
+        {
+          titolo: "ALLEGATI CIFRATI (OpenPGP)",
+          elenco: attachments.map(a => a.filename),
+          note: ["Decifrare i file con la chiave privata dell'host (es. gpg --decrypt riepilogo.txt.asc)."]
+        }
+      ]
+    }),
+    attachments
+  };
+}
+
+// payload: { to, subject, text, html?, replyTo?, attachments? }
+// attachments: [{ filename, content (base64) }]
+// Restituisce { ok, status, json } senza lanciare errori HTTP
+export async function sendEmail(payload) {
+  if (getTransport() === "smtp") return sendSmtpEmail(payload);
+  return sendResend(payload);
+}
@@ -0,0 +1,59 @@
+// Helper comuni sui dati ospite (TXT Alloggiati, Ross1000, riepilogo)
+// Path: /lib/guests.js
+
+export const ITALY_CODE = "100000100";
+
+// Pulisce undefined/null (anche come stringa "undefined" inviata dal form)
+export const clean = (val) => (val === undefined || val === null || val === "undefined") ? "" : String(val);
+
+// Numero massimo di ospiti per appartamento
+export const MAX_OSPITI_APPARTAMENTO = 5;
+
+// Determina tipo alloggiato all'interno del gruppo di ospiti di un appartamento:
+// se ci sono più ospiti il primo è almeno capofamiglia. Un familiare o membro
+// del gruppo che apre il gruppo di un altro appartamento ne diventa il capo
+export function determineTipoAlloggiato(guest, index, totalGuests) {
+  let tipo = clean(guest.tipoAlloggiato);
+
+  if (!tipo) {
+    tipo = (index === 0 && totalGuests > 1) ? "17" : (index === 0 ? "16" : "19");
+  } else if (index === 0 && totalGuests > 1 && tipo === "16") {
+    tipo = "17";
+  } else if (index === 0 && (tipo === "19" || tipo === "20")) {
+    tipo = totalGuests === 1 ? "16" : (tipo === "19" ? "17" : "18");
+  }
+
+  return tipo;
+}
+
+// Numero del documento parzialmente nascosto (conferma e ricevuta dell'ospite):
+// restano visibili le ultime 3 cifre
+export function mascheraDocumento(numero) {
+  const s = clean(numero).toUpperCase().replace(/\s+/g, "");
+  if (!s) return "";
+  const visibili = s.length > 5 ? 3 : 0;
+  return "•".repeat(s.length - visibili) + s.slice(s.length - visibili);
+}
+
+// Camera assegnata all'ospite (1 se non indicata: appartamento con una camera)
+export const cameraOspite = (guest) => parseInt(clean(guest.camera), 10) || 1;
+
+export const contaCamereOccupate = (guests) => new Set(guests.map(cameraOspite)).size;
+
+// Ospiti raggruppati per appartamento, nell'ordine del form. Ogni gruppo
+// ha schedine Alloggiati e movimenti Ross1000 propri; indici = posizioni
+// degli ospiti nell'elenco completo
+export function groupGuestsByApartment(guests, appartamentoPrincipale) {
+  const gruppi = [];
+  guests.forEach((g, i) => {
+    const appartamento = clean(g.appartamento) || appartamentoPrincipale;
+    let gruppo = gruppi.find(gr => gr.appartamento === appartamento);
+    if (!gruppo) {
+      gruppo = { appartamento, indici: [], guests: [] };
+      gruppi.push(gruppo);
+    }
+    gruppo.indici.push(i);
+    gruppo.guests.push(g);
+  });
+  return gruppi;
+}
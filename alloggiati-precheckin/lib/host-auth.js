@@ -0,0 +1,16 @@
+// Autenticazione degli endpoint riservati all'host
+// Path: /lib/host-auth.js
+//
+// Header richiesto: Authorization: Bearer <HOST_API_KEY>
+
+import crypto from 'crypto';
+
+export function isHostAuthorized(req) {
+  const expected = process.env.HOST_API_KEY;
+  if (!expected) return false;
+  const header = req.headers['authorization'] || "";
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : "";
+  const a = Buffer.from(given, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,1483 @@
+// Testi del form e messaggi dell'API nelle lingue degli ospiti
+// Path: /lib/i18n.js
+//
+// Modulo senza dipendenze, usato sia dall'API e dai moduli di controllo
+// (lib/validation.js, lib/codice-fiscale.js, lib/tracciati.js, lib/mrz.js)
+// sia dal form (import dinamico in index.html).
+// TESTI: chiave -> { en, it, de, fr, es }. Nel testo {nome} è sostituito
+// dal parametro con lo stesso nome.
+// Senza una lingua tra LINGUE (riga di comando, chiamate che non la
+// indicano) i messaggi restano nel formato "English / Italiano".
+
+export const LINGUE = ["en", "it", "de", "fr", "es"];
+export const LINGUA_PREDEFINITA = "en";
+
+const TESTI = {
+  /**********************************************
+   * FORM
+   **********************************************/
+  "titolo-form": {
+    en: "Pre Check-in Form",
+    it: "Modulo di pre check-in",
+    de: "Online-Vorab-Check-in",
+    fr: "Formulaire de pré-enregistrement",
+    es: "Formulario de pre check-in"
+  },
+  "benvenuto": {
+    en: "Welcome! We're excited to host you in Venice",
+    it: "Benvenuto! Siamo felici di averti come nostro ospite a Venezia",
+    de: "Willkommen! Wir freuen uns, Sie in Venedig begrüßen zu dürfen",
+    fr: "Bienvenue ! Nous sommes ravis de vous accueillir à Venise",
+    es: "¡Bienvenido! Estamos encantados de recibirte en Venecia"
+  },
+  "campi-obbligatori": {
+    en: "Required fields. Some fields are required only for Italian citizens (as shown).",
+    it: "Campi obbligatori. Alcuni campi sono obbligatori solo per cittadini italiani (come indicato).",
+    de: "Pflichtfelder. Einige Felder sind nur für italienische Staatsbürger erforderlich (wie angegeben).",
+    fr: "Champs obligatoires. Certains champs ne sont obligatoires que pour les citoyens italiens (comme indiqué).",
+    es: "Campos obligatorios. Algunos campos solo son obligatorios para ciudadanos italianos (como se indica)."
+  },
+  "lingua": {
+    en: "Language",
+    it: "Lingua",
+    de: "Sprache",
+    fr: "Langue",
+    es: "Idioma"
+  },
+  "sezione-soggiorno": {
+    en: "Apartment & Stay",
+    it: "Appartamento e soggiorno",
+    de: "Apartment & Aufenthalt",
+    fr: "Appartement et séjour",
+    es: "Apartamento y estancia"
+  },
+  "appartamento": {
+    en: "Apartment",
+    it: "Appartamento",
+    de: "Apartment",
+    fr: "Appartement",
+    es: "Apartamento"
+  },
+  "seleziona": {
+    en: "Select...",
+    it: "Seleziona...",
+    de: "Bitte wählen...",
+    fr: "Choisir...",
+    es: "Seleccionar..."
+  },
+  "altri-appartamenti": {
+    en: "Other apartments in the same booking (optional)",
+    it: "Altri appartamenti della stessa prenotazione (facoltativo)",
+    de: "Weitere Apartments derselben Buchung (optional)",
+    fr: "Autres appartements de la même réservation (facultatif)",
+    es: "Otros apartamentos de la misma reserva (opcional)"
+  },
+  "data-arrivo": {
+    en: "Arrival date",
+    it: "Data arrivo",
+    de: "Anreisedatum",
+    fr: "Date d'arrivée",
+    es: "Fecha de llegada"
+  },
+  "data-partenza": {
+    en: "Departure date",
+    it: "Data partenza",
+    de: "Abreisedatum",
+    fr: "Date de départ",
+    es: "Fecha de salida"
+  },
+  "seleziona-data": {
+    en: "Select date",
+    it: "Seleziona la data",
+    de: "Datum wählen",
+    fr: "Choisir la date",
+    es: "Seleccionar fecha"
+  },
+  "notti": {
+    en: "Nights",
+    it: "Notti",
+    de: "Nächte",
+    fr: "Nuits",
+    es: "Noches"
+  },
+  "email-conferma": {
+    en: "Email for the confirmation (optional)",
+    it: "Email per la conferma (facoltativa)",
+    de: "E-Mail für die Bestätigung (optional)",
+    fr: "E-mail pour la confirmation (facultatif)",
+    es: "Correo electrónico para la confirmación (opcional)"
+  },
+  "sezione-ospiti": {
+    en: "Guests",
+    it: "Ospiti",
+    de: "Gäste",
+    fr: "Voyageurs",
+    es: "Huéspedes"
+  },
+  "aggiungi-ospite": {
+    en: "+ Add guest",
+    it: "+ Aggiungi ospite",
+    de: "+ Gast hinzufügen",
+    fr: "+ Ajouter un voyageur",
+    es: "+ Añadir huésped"
+  },
+  "sezione-privacy": {
+    en: "Privacy & Data processing",
+    it: "Trattamento dei dati",
+    de: "Datenschutz & Datenverarbeitung",
+    fr: "Confidentialité et traitement des données",
+    es: "Privacidad y tratamiento de datos"
+  },
+  "invia": {
+    en: "Send",
+    it: "Invia",
+    de: "Senden",
+    fr: "Envoyer",
+    es: "Enviar"
+  },
+
+  /**********************************************
+   * INFORMATIVA PRIVACY (GDPR)
+   **********************************************/
+  "gdpr-titolo": {
+    en: "GDPR – Privacy & Data Processing",
+    it: "GDPR – Trattamento dei dati personali",
+    de: "DSGVO – Datenschutz & Datenverarbeitung",
+    fr: "RGPD – Protection et traitement des données",
+    es: "RGPD – Privacidad y tratamiento de datos"
+  },
+  "leggi-di-piu": {
+    en: "Read more",
+    it: "Leggi di più",
+    de: "Mehr lesen",
+    fr: "En savoir plus",
+    es: "Leer más"
+  },
+  "gdpr-autorizzazione": {
+    en: "By submitting this form, you authorize the processing of your personal data in compliance with EU Regulation 2016/679 (GDPR).",
+    it: "Inviando questo modulo, autorizzi il trattamento dei tuoi dati personali ai sensi del Regolamento UE 2016/679 (GDPR).",
+    de: "Mit dem Absenden dieses Formulars stimmen Sie der Verarbeitung Ihrer personenbezogenen Daten gemäß der EU-Verordnung 2016/679 (DSGVO) zu.",
+    fr: "En envoyant ce formulaire, vous autorisez le traitement de vos données personnelles conformément au Règlement UE 2016/679 (RGPD).",
+    es: "Al enviar este formulario, autorizas el tratamiento de tus datos personales de acuerdo con el Reglamento UE 2016/679 (RGPD)."
+  },
+  "gdpr-finalita": {
+    en: "Your information is used exclusively for:",
+    it: "I dati raccolti sono utilizzati esclusivamente per:",
+    de: "Ihre Angaben werden ausschließlich verwendet für:",
+    fr: "Vos informations sont utilisées exclusivement pour :",
+    es: "Tus datos se utilizan exclusivamente para:"
+  },
+  "gdpr-polizia": {
+    en: "mandatory communication to the Italian Police (Alloggiati Web);",
+    it: "comunicazione obbligatoria alla Polizia di Stato (Alloggiati Web);",
+    de: "die gesetzlich vorgeschriebene Meldung an die italienische Polizei (Alloggiati Web);",
+    fr: "la communication obligatoire à la Police italienne (Alloggiati Web) ;",
+    es: "la comunicación obligatoria a la Policía italiana (Alloggiati Web);"
+  },
+  "gdpr-adempimenti": {
+    en: "legal, administrative and fiscal obligations related to your stay;",
+    it: "adempimenti amministrativi e fiscali relativi al soggiorno;",
+    de: "rechtliche, verwaltungstechnische und steuerliche Pflichten im Zusammenhang mit Ihrem Aufenthalt;",
+    fr: "les obligations légales, administratives et fiscales liées à votre séjour ;",
+    es: "las obligaciones legales, administrativas y fiscales relacionadas con tu estancia;"
+  },
+  "gdpr-sicurezza": {
+    en: "safety regulations and identity verification purposes.",
+    it: "finalità di sicurezza e verifica dell'identità.",
+    de: "Sicherheitsvorschriften und die Überprüfung der Identität.",
+    fr: "les règles de sécurité et la vérification de l'identité.",
+    es: "normas de seguridad y verificación de la identidad."
+  },
+  "gdpr-conservazione": {
+    en: "Your data will be stored securely, not shared with unauthorized third parties, and kept only for the legally required period. You may request access, correction, or deletion of your data at any time.",
+    it: "I tuoi dati saranno conservati in modo sicuro, non condivisi con soggetti non autorizzati e mantenuti solo per il periodo previsto dalla legge. Puoi richiedere accesso, modifica o cancellazione dei dati in qualsiasi momento.",
+    de: "Ihre Daten werden sicher gespeichert, nicht an unbefugte Dritte weitergegeben und nur für den gesetzlich vorgeschriebenen Zeitraum aufbewahrt. Sie können jederzeit Auskunft, Berichtigung oder Löschung Ihrer Daten verlangen.",
+    fr: "Vos données seront conservées en toute sécurité, ne seront pas partagées avec des tiers non autorisés et seront gardées uniquement pendant la durée prévue par la loi. Vous pouvez à tout moment demander l'accès, la rectification ou la suppression de vos données.",
+    es: "Tus datos se conservarán de forma segura, no se compartirán con terceros no autorizados y se mantendrán solo durante el periodo exigido por la ley. Puedes solicitar en cualquier momento el acceso, la rectificación o la supresión de tus datos."
+  },
+  "gdpr-accetto": {
+    en: "I accept the privacy policy and data processing terms.",
+    it: "Accetto l'informativa privacy e il trattamento dei dati.",
+    de: "Ich akzeptiere die Datenschutzerklärung und die Bedingungen der Datenverarbeitung.",
+    fr: "J'accepte la politique de confidentialité et les conditions de traitement des données.",
+    es: "Acepto la política de privacidad y las condiciones de tratamiento de datos."
+  },
+
+  /**********************************************
+   * BLOCCO OSPITE
+   **********************************************/
+  "ospite-n": {
+    en: "Guest {n}",
+    it: "Ospite {n}",
+    de: "Gast {n}",
+    fr: "Voyageur {n}",
+    es: "Huésped {n}"
+  },
+  "rimuovi": {
+    en: "Remove",
+    it: "Rimuovi",
+    de: "Entfernen",
+    fr: "Supprimer",
+    es: "Eliminar"
+  },
+  "tipo-documento": {
+    en: "Document type",
+    it: "Tipo documento",
+    de: "Ausweisart",
+    fr: "Type de document",
+    es: "Tipo de documento"
+  },
+  "numero-documento": {
+    en: "Document number",
+    it: "Numero documento",
+    de: "Ausweisnummer",
+    fr: "Numéro du document",
+    es: "Número del documento"
+  },
+  "luogo-rilascio": {
+    en: "Place of issue",
+    it: "Luogo di rilascio",
+    de: "Ausstellungsort",
+    fr: "Lieu de délivrance",
+    es: "Lugar de expedición"
+  },
+  "citta-o-stato": {
+    en: "City or country...",
+    it: "Comune o stato...",
+    de: "Stadt oder Land...",
+    fr: "Ville ou pays...",
+    es: "Ciudad o país..."
+  },
+  "comune-italiano": {
+    en: "Italian city...",
+    it: "Comune italiano...",
+    de: "Italienische Gemeinde...",
+    fr: "Commune italienne...",
+    es: "Municipio italiano..."
+  },
+  "tipo-16": {
+    en: "Single guest",
+    it: "Ospite singolo",
+    de: "Einzelgast",
+    fr: "Voyageur individuel",
+    es: "Huésped individual"
+  },
+  "tipo-17": {
+    en: "Family head",
+    it: "Capofamiglia",
+    de: "Familienoberhaupt",
+    fr: "Chef de famille",
+    es: "Cabeza de familia"
+  },
+  "tipo-18": {
+    en: "Group head",
+    it: "Capogruppo",
+    de: "Gruppenleiter",
+    fr: "Chef de groupe",
+    es: "Jefe de grupo"
+  },
+  "tipo-19": {
+    en: "Family member",
+    it: "Familiare",
+    de: "Familienmitglied",
+    fr: "Membre de la famille",
+    es: "Familiar"
+  },
+  "tipo-20": {
+    en: "Group member",
+    it: "Membro del gruppo",
+    de: "Gruppenmitglied",
+    fr: "Membre du groupe",
+    es: "Miembro del grupo"
+  },
+  "mrz-titolo": {
+    en: "Passport / ID card MRZ (optional)",
+    it: "MRZ del documento (facoltativo)",
+    de: "MRZ von Reisepass / Personalausweis (optional)",
+    fr: "MRZ du passeport / de la carte d'identité (facultatif)",
+    es: "MRZ del pasaporte / DNI (opcional)"
+  },
+  "mrz-istruzioni": {
+    en: "Type or paste the lines with <<< printed at the bottom of the document",
+    it: "Digita o incolla le righe con <<< in fondo al documento",
+    de: "Geben Sie die Zeilen mit <<< unten auf dem Ausweis ein oder fügen Sie sie ein",
+    fr: "Saisissez ou collez les lignes avec <<< imprimées en bas du document",
+    es: "Escribe o pega las líneas con <<< impresas en la parte inferior del documento"
+  },
+  "mrz-compila": {
+    en: "Fill from MRZ",
+    it: "Compila da MRZ",
+    de: "Aus MRZ ausfüllen",
+    fr: "Remplir depuis la MRZ",
+    es: "Rellenar desde la MRZ"
+  },
+  "appartamento-camera": {
+    en: "Apartment / room",
+    it: "Appartamento / camera",
+    de: "Apartment / Zimmer",
+    fr: "Appartement / chambre",
+    es: "Apartamento / habitación"
+  },
+  "camera-n": {
+    en: "Room {n}",
+    it: "Camera {n}",
+    de: "Zimmer {n}",
+    fr: "Chambre {n}",
+    es: "Habitación {n}"
+  },
+  "tipo-alloggiato": {
+    en: "Guest type",
+    it: "Tipo alloggiato",
+    de: "Gasttyp",
+    fr: "Type de voyageur",
+    es: "Tipo de huésped"
+  },
+  "cognome": {
+    en: "Surname",
+    it: "Cognome",
+    de: "Nachname",
+    fr: "Nom",
+    es: "Apellidos"
+  },
+  "nome": {
+    en: "Name",
+    it: "Nome",
+    de: "Vorname",
+    fr: "Prénom",
+    es: "Nombre"
+  },
+  "sesso": {
+    en: "Sex",
+    it: "Sesso",
+    de: "Geschlecht",
+    fr: "Sexe",
+    es: "Sexo"
+  },
+  "maschio": {
+    en: "Male",
+    it: "Maschio",
+    de: "Männlich",
+    fr: "Masculin",
+    es: "Masculino"
+  },
+  "femmina": {
+    en: "Female",
+    it: "Femmina",
+    de: "Weiblich",
+    fr: "Féminin",
+    es: "Femenino"
+  },
+  "data-nascita": {
+    en: "Date of birth",
+    it: "Data di nascita",
+    de: "Geburtsdatum",
+    fr: "Date de naissance",
+    es: "Fecha de nacimiento"
+  },
+  "seleziona-data-nascita": {
+    en: "Select date...",
+    it: "Seleziona la data...",
+    de: "Datum wählen...",
+    fr: "Choisir la date...",
+    es: "Seleccionar fecha..."
+  },
+  "cittadinanza": {
+    en: "Citizenship",
+    it: "Cittadinanza",
+    de: "Staatsangehörigkeit",
+    fr: "Nationalité",
+    es: "Nacionalidad"
+  },
+  "scrivi-stato": {
+    en: "Type country...",
+    it: "Scrivi lo stato...",
+    de: "Land eingeben...",
+    fr: "Saisir le pays...",
+    es: "Escribe el país..."
+  },
+  "stato-nascita": {
+    en: "Birth country",
+    it: "Stato di nascita",
+    de: "Geburtsland",
+    fr: "Pays de naissance",
+    es: "País de nacimiento"
+  },
+  "comune-nascita": {
+    en: "Birth place",
+    it: "Comune di nascita",
+    de: "Geburtsort",
+    fr: "Lieu de naissance",
+    es: "Lugar de nacimiento"
+  },
+  "scrivi-comune": {
+    en: "Type city...",
+    it: "Scrivi il comune...",
+    de: "Ort eingeben...",
+    fr: "Saisir la ville...",
+    es: "Escribe la ciudad..."
+  },
+  "provincia-nascita": {
+    en: "Birth province",
+    it: "Provincia di nascita",
+    de: "Geburtsprovinz",
+    fr: "Province de naissance",
+    es: "Provincia de nacimiento"
+  },
+  "comune-residenza": {
+    en: "Residence place",
+    it: "Comune di residenza",
+    de: "Wohnort",
+    fr: "Lieu de résidence",
+    es: "Lugar de residencia"
+  },
+  "dati-fatturazione": {
+    en: "Billing info",
+    it: "Dati di fatturazione",
+    de: "Rechnungsdaten",
+    fr: "Données de facturation",
+    es: "Datos de facturación"
+  },
+  "codice-fiscale": {
+    en: "Tax code or VAT",
+    it: "Codice fiscale o P.IVA",
+    de: "Steuernummer oder USt-IdNr.",
+    fr: "Code fiscal ou n° de TVA",
+    es: "Código fiscal o NIF-IVA"
+  },
+  "indirizzo-fatturazione": {
+    en: "Billing address",
+    it: "Indirizzo di fatturazione",
+    de: "Rechnungsadresse",
+    fr: "Adresse de facturation",
+    es: "Dirección de facturación"
+  },
+  "civico": {
+    en: "Street number",
+    it: "Civico",
+    de: "Hausnummer",
+    fr: "Numéro",
+    es: "Número"
+  },
+  "cap": {
+    en: "Postal code",
+    it: "CAP",
+    de: "Postleitzahl",
+    fr: "Code postal",
+    es: "Código postal"
+  },
+  "citta": {
+    en: "City",
+    it: "Città",
+    de: "Stadt",
+    fr: "Ville",
+    es: "Ciudad"
+  },
+
+  /**********************************************
+   * MESSAGGI DEL FORM
+   **********************************************/
+  "errore-appartamenti": {
+    en: "Could not load apartments, please reload the page.",
+    it: "Impossibile caricare gli appartamenti, ricarica la pagina.",
+    de: "Die Apartments konnten nicht geladen werden, bitte laden Sie die Seite neu.",
+    fr: "Impossible de charger les appartements, veuillez recharger la page.",
+    es: "No se han podido cargar los apartamentos, vuelve a cargar la página."
+  },
+  "errore-documenti": {
+    en: "Could not load document types, please reload the page.",
+    it: "Impossibile caricare i tipi di documento, ricarica la pagina.",
+    de: "Die Ausweisarten konnten nicht geladen werden, bitte laden Sie die Seite neu.",
+    fr: "Impossible de charger les types de document, veuillez recharger la page.",
+    es: "No se han podido cargar los tipos de documento, vuelve a cargar la página."
+  },
+  "mrz-non-disponibile": {
+    en: "MRZ reader not available, please fill in the fields.",
+    it: "Lettore MRZ non disponibile, compila i campi.",
+    de: "MRZ-Leser nicht verfügbar, bitte füllen Sie die Felder aus.",
+    fr: "Lecteur MRZ indisponible, veuillez remplir les champs.",
+    es: "Lector MRZ no disponible, rellena los campos."
+  },
+  "mrz-diverso": {
+    en: "Differs from document MRZ: {valore}",
+    it: "Diverso dalla MRZ del documento: {valore}",
+    de: "Weicht von der MRZ des Ausweises ab: {valore}",
+    fr: "Différent de la MRZ du document : {valore}",
+    es: "Distinto de la MRZ del documento: {valore}"
+  },
+  "mrz-letta": {
+    en: "Read {formato} MRZ: {n} fields filled.",
+    it: "MRZ {formato} letta: {n} campi compilati.",
+    de: "{formato}-MRZ gelesen: {n} Felder ausgefüllt.",
+    fr: "MRZ {formato} lue : {n} champs remplis.",
+    es: "MRZ {formato} leída: {n} campos rellenados."
+  },
+  "mrz-nazionalita": {
+    en: "Unknown nationality {iso3}: select citizenship.",
+    it: "Nazionalità {iso3} non riconosciuta: seleziona la cittadinanza.",
+    de: "Unbekannte Staatsangehörigkeit {iso3}: bitte Staatsangehörigkeit auswählen.",
+    fr: "Nationalité {iso3} inconnue : choisissez la nationalité.",
+    es: "Nacionalidad {iso3} desconocida: selecciona la nacionalidad."
+  },
+  "mrz-scaduto": {
+    en: "The document has expired.",
+    it: "Il documento è scaduto.",
+    de: "Der Ausweis ist abgelaufen.",
+    fr: "Le document est expiré.",
+    es: "El documento ha caducado."
+  },
+  "mrz-differenze": {
+    en: "{n} fields differ from the MRZ, please check them.",
+    it: "{n} campi diversi dalla MRZ, controllali.",
+    de: "{n} Felder weichen von der MRZ ab, bitte prüfen.",
+    fr: "{n} champs diffèrent de la MRZ, veuillez les vérifier.",
+    es: "{n} campos no coinciden con la MRZ, revísalos."
+  },
+  "prenotazione-info": {
+    en: "Booking for {appartamento}, {ospiti} guest(s). Apartment and dates are set by your host.",
+    it: "Prenotazione per {appartamento}, {ospiti} ospite/i. Appartamento e date sono impostati dall'host.",
+    de: "Buchung für {appartamento}, {ospiti} Gast/Gäste. Apartment und Daten sind vom Gastgeber festgelegt.",
+    fr: "Réservation pour {appartamento}, {ospiti} voyageur(s). L'appartement et les dates sont fixés par votre hôte.",
+    es: "Reserva para {appartamento}, {ospiti} huésped(es). El apartamento y las fechas los fija tu anfitrión."
+  },
+  "prenotazioni-suggerite": {
+    en: "Bookings for this apartment: choose yours to fill in the dates",
+    it: "Prenotazioni per questo appartamento: scegli la tua per inserire le date",
+    de: "Buchungen für dieses Apartment: wählen Sie Ihre, um die Daten einzutragen",
+    fr: "Réservations pour cet appartement : choisissez la vôtre pour remplir les dates",
+    es: "Reservas de este apartamento: elige la tuya para rellenar las fechas"
+  },
+  "arrivo-prenotazione": {
+    en: "Check-in of a booking",
+    it: "Arrivo di una prenotazione",
+    de: "Anreise einer Buchung",
+    fr: "Arrivée d'une réservation",
+    es: "Llegada de una reserva"
+  },
+  "partenza-prenotazione": {
+    en: "Check-out of the booking",
+    it: "Partenza della prenotazione",
+    de: "Abreise der Buchung",
+    fr: "Départ de la réservation",
+    es: "Salida de la reserva"
+  },
+  "link-non-utilizzabile": {
+    en: "{messaggio} This link cannot be used, please contact your host.",
+    it: "{messaggio} Questo link non può essere usato, contatta l'host.",
+    de: "{messaggio} Dieser Link kann nicht verwendet werden, bitte wenden Sie sich an Ihren Gastgeber.",
+    fr: "{messaggio} Ce lien ne peut pas être utilisé, veuillez contacter votre hôte.",
+    es: "{messaggio} Este enlace no se puede usar, ponte en contacto con tu anfitrión."
+  },
+  "seleziona-dalla-lista": {
+    en: "Select from the list",
+    it: "Seleziona dalla lista",
+    de: "Bitte aus der Liste wählen",
+    fr: "Choisissez dans la liste",
+    es: "Selecciona de la lista"
+  },
+  "nessun-risultato": {
+    en: "No matches",
+    it: "Nessun risultato",
+    de: "Keine Treffer",
+    fr: "Aucun résultat",
+    es: "Sin resultados"
+  },
+  "risultati-n": {
+    en: "{n} results, use the up and down arrows to choose",
+    it: "{n} risultati, usa le frecce su e giù per scegliere",
+    de: "{n} Treffer, mit den Pfeiltasten nach oben und unten auswählen",
+    fr: "{n} résultats, utilisez les flèches haut et bas pour choisir",
+    es: "{n} resultados, usa las flechas arriba y abajo para elegir"
+  },
+  "nessuna-corrispondenza": {
+    en: "\"{testo}\" is not in the list: select one of the suggestions",
+    it: "\"{testo}\" non è nella lista: scegli uno dei suggerimenti",
+    de: "\"{testo}\" ist nicht in der Liste: bitte einen der Vorschläge wählen",
+    fr: "« {testo} » ne figure pas dans la liste : choisissez une des suggestions",
+    es: "\"{testo}\" no está en la lista: elige una de las sugerencias"
+  },
+  "dati-ripristinati": {
+    en: "Your previous answers have been restored.",
+    it: "Abbiamo ripristinato i dati inseriti in precedenza.",
+    de: "Ihre vorherigen Angaben wurden wiederhergestellt.",
+    fr: "Vos réponses précédentes ont été restaurées.",
+    es: "Hemos recuperado los datos que introdujiste antes."
+  },
+  "invio-salvato": {
+    en: "Sending your saved pre check-in...",
+    it: "Invio del pre check-in salvato...",
+    de: "Ihr gespeicherter Vorab-Check-in wird gesendet...",
+    fr: "Envoi de votre pré-enregistrement enregistré...",
+    es: "Enviando tu pre check-in guardado..."
+  },
+  "errore-messaggio": {
+    en: "Error: {messaggio}",
+    it: "Errore: {messaggio}",
+    de: "Fehler: {messaggio}",
+    fr: "Erreur : {messaggio}",
+    es: "Error: {messaggio}"
+  },
+  "in-coda-offline": {
+    en: "No connection: your pre check-in is saved on this device and will be sent automatically when you are back online.",
+    it: "Connessione assente: il pre check-in è salvato sul dispositivo e verrà inviato automaticamente appena torni online.",
+    de: "Keine Verbindung: Ihr Vorab-Check-in ist auf diesem Gerät gespeichert und wird automatisch gesendet, sobald Sie wieder online sind.",
+    fr: "Pas de connexion : votre pré-enregistrement est conservé sur cet appareil et sera envoyé automatiquement dès que vous serez de nouveau en ligne.",
+    es: "Sin conexión: tu pre check-in se ha guardado en este dispositivo y se enviará automáticamente cuando vuelvas a estar en línea."
+  },
+  "accetta-privacy": {
+    en: "Please accept the privacy terms.",
+    it: "Accetta i termini privacy.",
+    de: "Bitte akzeptieren Sie die Datenschutzbedingungen.",
+    fr: "Veuillez accepter les conditions de confidentialité.",
+    es: "Acepta las condiciones de privacidad."
+  },
+  "campi-italiani-mancanti": {
+    en: "Missing required fields for Italian citizens.",
+    it: "Mancano campi obbligatori per i cittadini italiani.",
+    de: "Für italienische Staatsbürger fehlen Pflichtfelder.",
+    fr: "Des champs obligatoires pour les citoyens italiens sont manquants.",
+    es: "Faltan campos obligatorios para ciudadanos italianos."
+  },
+  "seleziona-valori-lista": {
+    en: "Select values from the list, do not type manually.",
+    it: "Seleziona i valori dalla lista, non digitare manualmente.",
+    de: "Bitte Werte aus der Liste wählen, nicht von Hand eingeben.",
+    fr: "Choisissez les valeurs dans la liste, ne les saisissez pas à la main.",
+    es: "Selecciona los valores de la lista, no los escribas a mano."
+  },
+  "seleziona-cittadinanza-stato": {
+    en: "Select citizenship and birth country from the list.",
+    it: "Seleziona cittadinanza e stato di nascita dalla lista.",
+    de: "Bitte Staatsangehörigkeit und Geburtsland aus der Liste wählen.",
+    fr: "Choisissez la nationalité et le pays de naissance dans la liste.",
+    es: "Selecciona la nacionalidad y el país de nacimiento de la lista."
+  },
+  "controlla-codice-fiscale": {
+    en: "Please check the tax code.",
+    it: "Controlla il codice fiscale.",
+    de: "Bitte prüfen Sie die Steuernummer.",
+    fr: "Veuillez vérifier le code fiscal.",
+    es: "Revisa el código fiscal."
+  },
+  "rilascio-obbligatorio": {
+    en: "Place of issue is required.",
+    it: "Luogo di rilascio obbligatorio.",
+    de: "Der Ausstellungsort ist erforderlich.",
+    fr: "Le lieu de délivrance est obligatoire.",
+    es: "El lugar de expedición es obligatorio."
+  },
+  "rilascio-dalla-lista": {
+    en: "Please select the place of issue from the list.",
+    it: "Seleziona il luogo di rilascio dalla lista.",
+    de: "Bitte wählen Sie den Ausstellungsort aus der Liste.",
+    fr: "Veuillez choisir le lieu de délivrance dans la liste.",
+    es: "Selecciona el lugar de expedición de la lista."
+  },
+  "verifica-in-corso": {
+    en: "Checking...",
+    it: "Verifica in corso...",
+    de: "Wird geprüft...",
+    fr: "Vérification...",
+    es: "Comprobando..."
+  },
+  "verifica-dati": {
+    en: "Checking your data, please wait...",
+    it: "Verifica dei dati in corso...",
+    de: "Ihre Angaben werden geprüft, bitte warten...",
+    fr: "Vérification de vos données, veuillez patienter...",
+    es: "Comprobando tus datos, espera..."
+  },
+  "invio-gia-in-corso": {
+    en: "Your submission is still being processed, please wait.",
+    it: "Invio già in corso, attendi l'esito.",
+    de: "Ihre Übermittlung wird noch bearbeitet, bitte warten.",
+    fr: "Votre envoi est en cours de traitement, veuillez patienter.",
+    es: "Tu envío aún se está procesando, espera."
+  },
+  "troppe-richieste-attendi": {
+    en: "Too many requests. Please wait.",
+    it: "Troppe richieste. Attendi un momento.",
+    de: "Zu viele Anfragen. Bitte warten Sie einen Moment.",
+    fr: "Trop de demandes. Veuillez patienter.",
+    es: "Demasiadas solicitudes. Espera un momento."
+  },
+
+  /**********************************************
+   * REVISIONE PRIMA DELL'INVIO
+   **********************************************/
+  "controlla-dati": {
+    en: "Check your data",
+    it: "Controlla i tuoi dati",
+    de: "Prüfen Sie Ihre Angaben",
+    fr: "Vérifiez vos données",
+    es: "Revisa tus datos"
+  },
+  "revisione-introduzione": {
+    en: "This is what your host will report to the Police (Alloggiati Web) and to the regional tourism statistics. If something is wrong, go back and correct it.",
+    it: "Questi sono i dati che l'host comunicherà alla Polizia di Stato (Alloggiati Web) e alle statistiche turistiche regionali. Se qualcosa non è corretto, torna indietro e correggilo.",
+    de: "Diese Angaben meldet Ihr Gastgeber an die Polizei (Alloggiati Web) und an die regionale Tourismusstatistik. Wenn etwas nicht stimmt, gehen Sie zurück und korrigieren Sie es.",
+    fr: "Voici ce que votre hôte déclarera à la Police (Alloggiati Web) et aux statistiques régionales du tourisme. Si quelque chose est incorrect, revenez en arrière pour le corriger.",
+    es: "Estos son los datos que tu anfitrión comunicará a la Policía (Alloggiati Web) y a las estadísticas regionales de turismo. Si algo no es correcto, vuelve atrás y corrígelo."
+  },
+  "conferma-invia": {
+    en: "Confirm and send",
+    it: "Conferma e invia",
+    de: "Bestätigen und senden",
+    fr: "Confirmer et envoyer",
+    es: "Confirmar y enviar"
+  },
+  "torna-modificare": {
+    en: "Back to edit",
+    it: "Torna a modificare",
+    de: "Zurück zur Bearbeitung",
+    fr: "Revenir pour modifier",
+    es: "Volver a editar"
+  },
+  "invio-in-corso": {
+    en: "Sending...",
+    it: "Invio in corso...",
+    de: "Wird gesendet...",
+    fr: "Envoi...",
+    es: "Enviando..."
+  },
+  "arrivo": {
+    en: "Arrival",
+    it: "Arrivo",
+    de: "Anreise",
+    fr: "Arrivée",
+    es: "Llegada"
+  },
+  "partenza": {
+    en: "Departure",
+    it: "Partenza",
+    de: "Abreise",
+    fr: "Départ",
+    es: "Salida"
+  },
+  "stato-residenza": {
+    en: "Country of residence",
+    it: "Stato di residenza",
+    de: "Wohnsitzland",
+    fr: "Pays de résidence",
+    es: "País de residencia"
+  },
+  "luogo-residenza": {
+    en: "Place of residence",
+    it: "Luogo di residenza",
+    de: "Wohnort",
+    fr: "Lieu de résidence",
+    es: "Lugar de residencia"
+  },
+  "provincia-residenza": {
+    en: "Province of residence",
+    it: "Provincia di residenza",
+    de: "Wohnsitzprovinz",
+    fr: "Province de résidence",
+    es: "Provincia de residencia"
+  },
+  "esenzione-imposta": {
+    en: "Tourist tax exemption",
+    it: "Esenzione imposta di soggiorno",
+    de: "Befreiung von der Kurtaxe",
+    fr: "Exonération de la taxe de séjour",
+    es: "Exención de la tasa turística"
+  },
+  "revisione-polizia": {
+    en: "Police – Alloggiati Web",
+    it: "Polizia di Stato – Alloggiati Web",
+    de: "Polizei – Alloggiati Web",
+    fr: "Police – Alloggiati Web",
+    es: "Policía – Alloggiati Web"
+  },
+  "revisione-statistiche": {
+    en: "Regional statistics – {sistema}",
+    it: "Statistiche regionali – {sistema}",
+    de: "Regionale Statistik – {sistema}",
+    fr: "Statistiques régionales – {sistema}",
+    es: "Estadísticas regionales – {sistema}"
+  },
+  // Avvisi di lib/anteprima.js e dei valori impostati dal form
+  "avviso-tipo-modificato": {
+    en: "Guest type changed: the first guest of each apartment is reported as family or group head.",
+    it: "Tipo alloggiato modificato: il primo ospite di ogni appartamento è comunicato come capofamiglia o capogruppo.",
+    de: "Gasttyp geändert: Der erste Gast jedes Apartments wird als Familienoberhaupt oder Gruppenleiter gemeldet.",
+    fr: "Type de voyageur modifié : le premier voyageur de chaque appartement est déclaré comme chef de famille ou de groupe.",
+    es: "Tipo de huésped modificado: el primer huésped de cada apartamento se comunica como cabeza de familia o jefe de grupo."
+  },
+  "avviso-documento-capogruppo": {
+    en: "No document is reported for this guest: only the document of the family or group head is required.",
+    it: "Per questo ospite non è comunicato alcun documento: è richiesto solo quello del capofamiglia o capogruppo.",
+    de: "Für diesen Gast wird kein Ausweis gemeldet: Nur der Ausweis des Familienoberhaupts oder Gruppenleiters ist erforderlich.",
+    fr: "Aucun document n'est déclaré pour ce voyageur : seul celui du chef de famille ou de groupe est requis.",
+    es: "No se comunica ningún documento para este huésped: solo se requiere el del cabeza de familia o jefe de grupo."
+  },
+  "avviso-rilascio-cittadinanza": {
+    en: "Place of issue not entered: the country of citizenship is reported.",
+    it: "Luogo di rilascio non indicato: è comunicato lo stato di cittadinanza.",
+    de: "Kein Ausstellungsort angegeben: Das Land der Staatsangehörigkeit wird gemeldet.",
+    fr: "Lieu de délivrance non indiqué : le pays de nationalité est déclaré.",
+    es: "Lugar de expedición no indicado: se comunica el país de nacionalidad."
+  },
+  "avviso-nome-traslitterato": {
+    en: "Accents and special letters are removed from names, as required by Alloggiati Web.",
+    it: "Accenti e lettere speciali sono tolti dai nomi, come richiesto da Alloggiati Web.",
+    de: "Akzente und Sonderzeichen werden aus den Namen entfernt, wie von Alloggiati Web verlangt.",
+    fr: "Les accents et lettres spéciales sont retirés des noms, comme l'exige Alloggiati Web.",
+    es: "Los acentos y letras especiales se eliminan de los nombres, como exige Alloggiati Web."
+  },
+  "avviso-stato-nascita-predefinito": {
+    en: "Birth country not entered: it has been set to the country of citizenship.",
+    it: "Stato di nascita non indicato: è stato impostato uguale alla cittadinanza.",
+    de: "Kein Geburtsland angegeben: Es wurde das Land der Staatsangehörigkeit eingetragen.",
+    fr: "Pays de naissance non indiqué : il a été défini comme le pays de nationalité.",
+    es: "País de nacimiento no indicado: se ha fijado igual a la nacionalidad."
+  },
+  "avviso-stato-nascita-cittadinanza": {
+    en: "The birth country is reported as the country of citizenship.",
+    it: "Lo stato di nascita è comunicato uguale alla cittadinanza.",
+    de: "Als Geburtsland wird das Land der Staatsangehörigkeit gemeldet.",
+    fr: "Le pays de naissance est déclaré comme le pays de nationalité.",
+    es: "El país de nacimiento se comunica igual a la nacionalidad."
+  },
+  "avviso-residenza-cittadinanza": {
+    en: "The country of residence is reported as the country of citizenship.",
+    it: "Lo stato di residenza è comunicato uguale alla cittadinanza.",
+    de: "Als Wohnsitzland wird das Land der Staatsangehörigkeit gemeldet.",
+    fr: "Le pays de résidence est déclaré comme le pays de nationalité.",
+    es: "El país de residencia se comunica igual a la nacionalidad."
+  },
+
+  /**********************************************
+   * INVIO RIUSCITO E RICEVUTA PDF
+   **********************************************/
+  "inviato": {
+    en: "Sent successfully!",
+    it: "Inviato con successo!",
+    de: "Erfolgreich gesendet!",
+    fr: "Envoyé avec succès !",
+    es: "¡Enviado correctamente!"
+  },
+  "grazie": {
+    en: "Thank you for completing the pre check-in.",
+    it: "Grazie per aver completato il pre check-in.",
+    de: "Vielen Dank für Ihren Vorab-Check-in.",
+    fr: "Merci d'avoir effectué le pré-enregistrement.",
+    es: "Gracias por completar el pre check-in."
+  },
+  "conferma-inviata": {
+    en: "A confirmation has been sent to your email.",
+    it: "Ti abbiamo inviato una conferma via email.",
+    de: "Wir haben Ihnen eine Bestätigung per E-Mail gesendet.",
+    fr: "Une confirmation vous a été envoyée par e-mail.",
+    es: "Te hemos enviado una confirmación por correo electrónico."
+  },
+  "scarica-ricevuta": {
+    en: "Download receipt (PDF)",
+    it: "Scarica la ricevuta (PDF)",
+    de: "Beleg herunterladen (PDF)",
+    fr: "Télécharger le reçu (PDF)",
+    es: "Descargar el justificante (PDF)"
+  },
+  "ricevuta-non-disponibile": {
+    en: "Receipt not available, please try again",
+    it: "Ricevuta non disponibile, riprova",
+    de: "Beleg nicht verfügbar, bitte erneut versuchen",
+    fr: "Reçu indisponible, veuillez réessayer",
+    es: "Justificante no disponible, inténtalo de nuevo"
+  },
+  "ricevuta-titolo": {
+    en: "Pre check-in receipt",
+    it: "Ricevuta del pre check-in",
+    de: "Beleg zum Vorab-Check-in",
+    fr: "Reçu du pré-enregistrement",
+    es: "Justificante del pre check-in"
+  },
+  "riferimento": {
+    en: "Reference",
+    it: "Riferimento",
+    de: "Referenz",
+    fr: "Référence",
+    es: "Referencia"
+  },
+  "inviato-il": {
+    en: "Sent on",
+    it: "Inviato il",
+    de: "Gesendet am",
+    fr: "Envoyé le",
+    es: "Enviado el"
+  },
+  "luogo-nascita": {
+    en: "Birth place",
+    it: "Luogo di nascita",
+    de: "Geburtsort",
+    fr: "Lieu de naissance",
+    es: "Lugar de nacimiento"
+  },
+  "documento": {
+    en: "Document",
+    it: "Documento",
+    de: "Ausweis",
+    fr: "Document",
+    es: "Documento"
+  },
+  "ricevuta-nota": {
+    en: "This receipt lists the data sent to your host with the online pre check-in. Your host registers the guests with the Italian Police (Alloggiati Web) as required by law: this is not the Police receipt.",
+    it: "Questa ricevuta riporta i dati inviati all'host con il pre check-in online. L'host registra gli ospiti presso la Polizia di Stato (Alloggiati Web) come previsto dalla legge: non è la ricevuta della Questura.",
+    de: "Dieser Beleg enthält die Angaben, die Sie mit dem Online-Vorab-Check-in an Ihren Gastgeber gesendet haben. Ihr Gastgeber meldet die Gäste wie gesetzlich vorgeschrieben bei der italienischen Polizei (Alloggiati Web): Dies ist keine Bestätigung der Polizei.",
+    fr: "Ce reçu reprend les données envoyées à votre hôte avec le pré-enregistrement en ligne. Votre hôte déclare les voyageurs à la Police italienne (Alloggiati Web) comme l'exige la loi : ceci n'est pas le récépissé de la Police.",
+    es: "Este justificante recoge los datos enviados a tu anfitrión con el pre check-in online. Tu anfitrión registra a los huéspedes ante la Policía italiana (Alloggiati Web) como exige la ley: no es el justificante de la Policía."
+  },
+
+  /**********************************************
+   * CONTROLLI DEI DATI OSPITE (lib/validation.js)
+   **********************************************/
+  "tipo-alloggiato-non-valido": {
+    en: "Invalid guest type",
+    it: "Tipo alloggiato non valido",
+    de: "Ungültiger Gasttyp",
+    fr: "Type de voyageur non valide",
+    es: "Tipo de huésped no válido"
+  },
+  "capo-solo-primo": {
+    en: "Only the first guest of each apartment can be family or group head",
+    it: "Solo il primo ospite di ogni appartamento può essere capofamiglia o capogruppo",
+    de: "Nur der erste Gast jedes Apartments kann Familienoberhaupt oder Gruppenleiter sein",
+    fr: "Seul le premier voyageur de chaque appartement peut être chef de famille ou de groupe",
+    es: "Solo el primer huésped de cada apartamento puede ser cabeza de familia o jefe de grupo"
+  },
+  "familiare-senza-capofamiglia": {
+    en: "Family member requires a family head as first guest",
+    it: "Il familiare richiede un capofamiglia come primo ospite",
+    de: "Ein Familienmitglied erfordert ein Familienoberhaupt als ersten Gast",
+    fr: "Un membre de la famille nécessite un chef de famille comme premier voyageur",
+    es: "Un familiar requiere un cabeza de familia como primer huésped"
+  },
+  "membro-senza-capogruppo": {
+    en: "Group member requires a group head as first guest",
+    it: "Il membro del gruppo richiede un capogruppo come primo ospite",
+    de: "Ein Gruppenmitglied erfordert einen Gruppenleiter als ersten Gast",
+    fr: "Un membre du groupe nécessite un chef de groupe comme premier voyageur",
+    es: "Un miembro del grupo requiere un jefe de grupo como primer huésped"
+  },
+  "seleziona-familiare-membro": {
+    en: "Select family member or group member",
+    it: "Seleziona familiare o membro del gruppo",
+    de: "Bitte Familienmitglied oder Gruppenmitglied wählen",
+    fr: "Choisissez membre de la famille ou membre du groupe",
+    es: "Selecciona familiar o miembro del grupo"
+  },
+  "capo-senza-ospiti": {
+    en: "Family or group head requires other guests",
+    it: "Capofamiglia e capogruppo richiedono altri ospiti",
+    de: "Familienoberhaupt und Gruppenleiter erfordern weitere Gäste",
+    fr: "Un chef de famille ou de groupe nécessite d'autres voyageurs",
+    es: "El cabeza de familia o jefe de grupo requiere otros huéspedes"
+  },
+  "cognome-obbligatorio": {
+    en: "Surname is required",
+    it: "Cognome obbligatorio",
+    de: "Nachname ist erforderlich",
+    fr: "Le nom est obligatoire",
+    es: "Los apellidos son obligatorios"
+  },
+  "cognome-non-valido": {
+    en: "Invalid surname",
+    it: "Cognome non valido",
+    de: "Ungültiger Nachname",
+    fr: "Nom non valide",
+    es: "Apellidos no válidos"
+  },
+  "nome-obbligatorio": {
+    en: "Name is required",
+    it: "Nome obbligatorio",
+    de: "Vorname ist erforderlich",
+    fr: "Le prénom est obligatoire",
+    es: "El nombre es obligatorio"
+  },
+  "nome-non-valido": {
+    en: "Invalid name",
+    it: "Nome non valido",
+    de: "Ungültiger Vorname",
+    fr: "Prénom non valide",
+    es: "Nombre no válido"
+  },
+  "seleziona-sesso": {
+    en: "Select sex",
+    it: "Seleziona il sesso",
+    de: "Bitte Geschlecht wählen",
+    fr: "Choisissez le sexe",
+    es: "Selecciona el sexo"
+  },
+  "data-nascita-non-valida": {
+    en: "Invalid date of birth",
+    it: "Data di nascita non valida",
+    de: "Ungültiges Geburtsdatum",
+    fr: "Date de naissance non valide",
+    es: "Fecha de nacimiento no válida"
+  },
+  "nascita-dopo-arrivo": {
+    en: "Date of birth is after arrival",
+    it: "Data di nascita successiva all'arrivo",
+    de: "Das Geburtsdatum liegt nach der Anreise",
+    fr: "La date de naissance est postérieure à l'arrivée",
+    es: "La fecha de nacimiento es posterior a la llegada"
+  },
+  "stato-non-riconosciuto": {
+    en: "Unknown country code",
+    it: "Codice stato non riconosciuto",
+    de: "Unbekannter Ländercode",
+    fr: "Code pays inconnu",
+    es: "Código de país desconocido"
+  },
+  "comune-nascita-obbligatorio": {
+    en: "Place of birth is required",
+    it: "Comune di nascita obbligatorio",
+    de: "Der Geburtsort ist erforderlich",
+    fr: "Le lieu de naissance est obligatoire",
+    es: "El lugar de nacimiento es obligatorio"
+  },
+  "comune-non-riconosciuto": {
+    en: "Unknown municipality code",
+    it: "Codice comune non riconosciuto",
+    de: "Unbekannter Gemeindecode",
+    fr: "Code de commune inconnu",
+    es: "Código de municipio desconocido"
+  },
+  "comune-non-esistente": {
+    en: "Municipality did not exist on the date of birth",
+    it: "Il comune non esisteva alla data di nascita",
+    de: "Die Gemeinde bestand am Geburtsdatum nicht",
+    fr: "La commune n'existait pas à la date de naissance",
+    es: "El municipio no existía en la fecha de nacimiento"
+  },
+  "provincia-nascita-obbligatoria": {
+    en: "Province of birth is required",
+    it: "Provincia di nascita obbligatoria",
+    de: "Die Geburtsprovinz ist erforderlich",
+    fr: "La province de naissance est obligatoire",
+    es: "La provincia de nacimiento es obligatoria"
+  },
+  "provincia-non-riconosciuta": {
+    en: "Unknown province",
+    it: "Provincia non riconosciuta",
+    de: "Unbekannte Provinz",
+    fr: "Province inconnue",
+    es: "Provincia desconocida"
+  },
+  "provincia-diversa": {
+    en: "Province does not match place of birth",
+    it: "La provincia non corrisponde al comune di nascita",
+    de: "Die Provinz passt nicht zum Geburtsort",
+    fr: "La province ne correspond pas au lieu de naissance",
+    es: "La provincia no corresponde al lugar de nacimiento"
+  },
+  "comune-residenza-obbligatorio": {
+    en: "Place of residence is required",
+    it: "Comune di residenza obbligatorio",
+    de: "Der Wohnort ist erforderlich",
+    fr: "Le lieu de résidence est obligatoire",
+    es: "El lugar de residencia es obligatorio"
+  },
+  "tipo-documento-obbligatorio": {
+    en: "Document type is required",
+    it: "Tipo documento obbligatorio",
+    de: "Die Ausweisart ist erforderlich",
+    fr: "Le type de document est obligatoire",
+    es: "El tipo de documento es obligatorio"
+  },
+  "tipo-documento-non-valido": {
+    en: "Invalid document type",
+    it: "Tipo documento non valido",
+    de: "Ungültige Ausweisart",
+    fr: "Type de document non valide",
+    es: "Tipo de documento no válido"
+  },
+  "numero-documento-obbligatorio": {
+    en: "Document number is required",
+    it: "Numero documento obbligatorio",
+    de: "Die Ausweisnummer ist erforderlich",
+    fr: "Le numéro du document est obligatoire",
+    es: "El número del documento es obligatorio"
+  },
+  "numero-documento-non-valido": {
+    en: "Use only letters and digits (max 20)",
+    it: "Solo lettere e numeri (max 20)",
+    de: "Nur Buchstaben und Ziffern (max. 20)",
+    fr: "Uniquement des lettres et des chiffres (20 max.)",
+    es: "Solo letras y números (máx. 20)"
+  },
+  "rilascio-obbligatorio-italiani": {
+    en: "Place of issue is required for Italian documents.",
+    it: "Luogo di rilascio obbligatorio per documenti italiani.",
+    de: "Für italienische Ausweise ist der Ausstellungsort erforderlich.",
+    fr: "Le lieu de délivrance est obligatoire pour les documents italiens.",
+    es: "El lugar de expedición es obligatorio para documentos italianos."
+  },
+  "appartamento-non-compreso": {
+    en: "Apartment not included in this booking",
+    it: "Appartamento non compreso nella prenotazione",
+    de: "Apartment gehört nicht zu dieser Buchung",
+    fr: "Appartement non compris dans cette réservation",
+    es: "Apartamento no incluido en esta reserva"
+  },
+  "camera-non-valida": {
+    en: "Invalid room",
+    it: "Camera non valida",
+    de: "Ungültiges Zimmer",
+    fr: "Chambre non valide",
+    es: "Habitación no válida"
+  },
+  "seleziona-camera": {
+    en: "Select the room",
+    it: "Seleziona la camera",
+    de: "Bitte Zimmer wählen",
+    fr: "Choisissez la chambre",
+    es: "Selecciona la habitación"
+  },
+  "massimo-ospiti-appartamento": {
+    en: "Maximum {max} guests per apartment",
+    it: "Massimo {max} ospiti per appartamento",
+    de: "Höchstens {max} Gäste pro Apartment",
+    fr: "{max} voyageurs maximum par appartement",
+    es: "Máximo {max} huéspedes por apartamento"
+  },
+  "data-arrivo-non-valida": {
+    en: "Invalid arrival date",
+    it: "Data di arrivo non valida",
+    de: "Ungültiges Anreisedatum",
+    fr: "Date d'arrivée non valide",
+    es: "Fecha de llegada no válida"
+  },
+  "partenza-prima-arrivo": {
+    en: "Departure must be after arrival",
+    it: "La partenza deve essere successiva all'arrivo",
+    de: "Die Abreise muss nach der Anreise liegen",
+    fr: "Le départ doit être postérieur à l'arrivée",
+    es: "La salida debe ser posterior a la llegada"
+  },
+  "permanenza-massima": {
+    en: "Stays longer than {max} nights are not allowed",
+    it: "Permanenza massima {max} notti",
+    de: "Aufenthalte über {max} Nächte sind nicht möglich",
+    fr: "Les séjours de plus de {max} nuits ne sont pas autorisés",
+    es: "No se admiten estancias de más de {max} noches"
+  },
+  "email-non-valida": {
+    en: "Invalid email address",
+    it: "Indirizzo email non valido",
+    de: "Ungültige E-Mail-Adresse",
+    fr: "Adresse e-mail non valide",
+    es: "Dirección de correo electrónico no válida"
+  },
+
+  /**********************************************
+   * CODICE FISCALE / PARTITA IVA (lib/codice-fiscale.js)
+   **********************************************/
+  "partita-iva-non-valida": {
+    en: "Invalid VAT number",
+    it: "Partita IVA non valida",
+    de: "Ungültige USt-IdNr.",
+    fr: "Numéro de TVA non valide",
+    es: "NIF-IVA no válido"
+  },
+  "cf-formato": {
+    en: "Invalid tax code format",
+    it: "Formato codice fiscale non valido",
+    de: "Ungültiges Format der Steuernummer",
+    fr: "Format du code fiscal non valide",
+    es: "Formato del código fiscal no válido"
+  },
+  "cf-controllo": {
+    en: "Tax code check character is wrong",
+    it: "Carattere di controllo del codice fiscale errato",
+    de: "Das Prüfzeichen der Steuernummer ist falsch",
+    fr: "Le caractère de contrôle du code fiscal est erroné",
+    es: "El carácter de control del código fiscal es incorrecto"
+  },
+  "cf-cognome": {
+    en: "Tax code does not match surname",
+    it: "Il codice fiscale non corrisponde al cognome",
+    de: "Die Steuernummer passt nicht zum Nachnamen",
+    fr: "Le code fiscal ne correspond pas au nom",
+    es: "El código fiscal no corresponde a los apellidos"
+  },
+  "cf-nome": {
+    en: "Tax code does not match name",
+    it: "Il codice fiscale non corrisponde al nome",
+    de: "Die Steuernummer passt nicht zum Vornamen",
+    fr: "Le code fiscal ne correspond pas au prénom",
+    es: "El código fiscal no corresponde al nombre"
+  },
+  "cf-data-nascita": {
+    en: "Tax code does not match date of birth",
+    it: "Il codice fiscale non corrisponde alla data di nascita",
+    de: "Die Steuernummer passt nicht zum Geburtsdatum",
+    fr: "Le code fiscal ne correspond pas à la date de naissance",
+    es: "El código fiscal no corresponde a la fecha de nacimiento"
+  },
+  "cf-sesso": {
+    en: "Tax code does not match sex",
+    it: "Il codice fiscale non corrisponde al sesso",
+    de: "Die Steuernummer passt nicht zum Geschlecht",
+    fr: "Le code fiscal ne correspond pas au sexe",
+    es: "El código fiscal no corresponde al sexo"
+  },
+  "cf-luogo-nascita": {
+    en: "Tax code does not match place of birth",
+    it: "Il codice fiscale non corrisponde al luogo di nascita",
+    de: "Die Steuernummer passt nicht zum Geburtsort",
+    fr: "Le code fiscal ne correspond pas au lieu de naissance",
+    es: "El código fiscal no corresponde al lugar de nacimiento"
+  },
+
+  /**********************************************
+   * TRACCIATI ALLOGGIATI WEB E GIES (lib/tracciati.js)
+   **********************************************/
+  "obbligatorio": {
+    en: "Required",
+    it: "Obbligatorio",
+    de: "Erforderlich",
+    fr: "Obligatoire",
+    es: "Obligatorio"
+  },
+  "lettere-latine": {
+    en: "Use Latin letters as in the document",
+    it: "Usa le lettere latine come nel documento",
+    de: "Bitte lateinische Buchstaben wie im Ausweis verwenden",
+    fr: "Utilisez les lettres latines comme sur le document",
+    es: "Usa las letras latinas como en el documento"
+  },
+  "numero-tra": {
+    en: "Must be between {minimo} and {massimo}",
+    it: "Deve essere tra {minimo} e {massimo}",
+    de: "Muss zwischen {minimo} und {massimo} liegen",
+    fr: "Doit être compris entre {minimo} et {massimo}",
+    es: "Debe estar entre {minimo} y {massimo}"
+  },
+  "data-non-valida": {
+    en: "Invalid date",
+    it: "Data non valida",
+    de: "Ungültiges Datum",
+    fr: "Date non valide",
+    es: "Fecha no válida"
+  },
+  "codice-non-valido": {
+    en: "Invalid code",
+    it: "Codice non valido",
+    de: "Ungültiger Code",
+    fr: "Code non valide",
+    es: "Código no válido"
+  },
+  "troppo-lungo": {
+    en: "Too long (max {max} characters)",
+    it: "Troppo lungo (max {max} caratteri)",
+    de: "Zu lang (max. {max} Zeichen)",
+    fr: "Trop long ({max} caractères max.)",
+    es: "Demasiado largo (máx. {max} caracteres)"
+  },
+  "lunghezza-record": {
+    en: "Record length {lunghezza} instead of {attesa}",
+    it: "Lunghezza del record {lunghezza} invece di {attesa}",
+    de: "Datensatzlänge {lunghezza} statt {attesa}",
+    fr: "Longueur de l'enregistrement {lunghezza} au lieu de {attesa}",
+    es: "Longitud del registro {lunghezza} en lugar de {attesa}"
+  },
+
+  /**********************************************
+   * LETTURA MRZ (lib/mrz.js)
+   **********************************************/
+  "mrz-formato": {
+    en: "Unrecognised MRZ format",
+    it: "Formato MRZ non riconosciuto",
+    de: "MRZ-Format nicht erkannt",
+    fr: "Format MRZ non reconnu",
+    es: "Formato MRZ no reconocido"
+  },
+  "mrz-cifra-controllo": {
+    en: "Check digit error: {campo}",
+    it: "Cifra di controllo errata: {campo}",
+    de: "Falsche Prüfziffer: {campo}",
+    fr: "Chiffre de contrôle erroné : {campo}",
+    es: "Dígito de control incorrecto: {campo}"
+  },
+  "mrz-numero-documento": {
+    en: "document number",
+    it: "numero documento",
+    de: "Ausweisnummer",
+    fr: "numéro du document",
+    es: "número del documento"
+  },
+  "mrz-data-nascita": {
+    en: "date of birth",
+    it: "data di nascita",
+    de: "Geburtsdatum",
+    fr: "date de naissance",
+    es: "fecha de nacimiento"
+  },
+  "mrz-scadenza": {
+    en: "expiry date",
+    it: "data di scadenza",
+    de: "Ablaufdatum",
+    fr: "date d'expiration",
+    es: "fecha de caducidad"
+  },
+  "mrz-numero-personale": {
+    en: "personal number",
+    it: "numero personale",
+    de: "persönliche Nummer",
+    fr: "numéro personnel",
+    es: "número personal"
+  },
+  "mrz-complessiva": {
+    en: "composite",
+    it: "complessiva",
+    de: "Gesamtprüfziffer",
+    fr: "globale",
+    es: "global"
+  },
+
+  /**********************************************
+   * ERRORI DELL'API
+   **********************************************/
+  "dati-non-validi": {
+    en: "Some data are not valid: check the highlighted fields.",
+    it: "Alcuni dati non sono validi: controlla i campi evidenziati.",
+    de: "Einige Angaben sind ungültig: Bitte prüfen Sie die markierten Felder.",
+    fr: "Certaines données ne sont pas valides : vérifiez les champs signalés.",
+    es: "Algunos datos no son válidos: revisa los campos marcados."
+  },
+  "appartamento-non-riconosciuto": {
+    en: "Unknown apartment.",
+    it: "Appartamento non riconosciuto.",
+    de: "Unbekanntes Apartment.",
+    fr: "Appartement inconnu.",
+    es: "Apartamento desconocido."
+  },
+  "troppe-richieste": {
+    en: "Too many requests. Please try again later.",
+    it: "Troppe richieste. Riprova più tardi.",
+    de: "Zu viele Anfragen. Bitte versuchen Sie es später erneut.",
+    fr: "Trop de demandes. Veuillez réessayer plus tard.",
+    es: "Demasiadas solicitudes. Inténtalo más tarde."
+  },
+  "troppe-richieste-minuti": {
+    en: "Too many requests. Please try again in a few minutes.",
+    it: "Troppe richieste. Riprova tra qualche minuto.",
+    de: "Zu viele Anfragen. Bitte versuchen Sie es in einigen Minuten erneut.",
+    fr: "Trop de demandes. Veuillez réessayer dans quelques minutes.",
+    es: "Demasiadas solicitudes. Inténtalo dentro de unos minutos."
+  },
+  "verifica-anti-bot": {
+    en: "We could not verify the form. Please wait a few seconds and send it again.",
+    it: "Non è stato possibile verificare il modulo. Attendi qualche secondo e invialo di nuovo.",
+    de: "Das Formular konnte nicht überprüft werden. Bitte warten Sie einige Sekunden und senden Sie es erneut.",
+    fr: "Le formulaire n'a pas pu être vérifié. Patientez quelques secondes et envoyez-le à nouveau.",
+    es: "No se ha podido verificar el formulario. Espera unos segundos y envíalo de nuevo."
+  },
+  "invio-in-corso-server": {
+    en: "Submission already in progress, please wait for the result.",
+    it: "Invio già in corso, attendi l'esito.",
+    de: "Die Übermittlung läuft bereits, bitte warten Sie auf das Ergebnis.",
+    fr: "Envoi déjà en cours, veuillez attendre le résultat.",
+    es: "Envío ya en curso, espera el resultado."
+  },
+  "dati-modificati": {
+    en: "Data changed during the submission. Reload the page and try again.",
+    it: "Dati modificati durante l'invio. Ricarica la pagina e riprova.",
+    de: "Die Angaben wurden während der Übermittlung geändert. Bitte laden Sie die Seite neu und versuchen Sie es erneut.",
+    fr: "Données modifiées pendant l'envoi. Rechargez la page et réessayez.",
+    es: "Los datos han cambiado durante el envío. Vuelve a cargar la página e inténtalo de nuevo."
+  },
+  "soggiorno-diverso": {
+    en: "The stay details do not match the booking.",
+    it: "I dati del soggiorno non corrispondono alla prenotazione.",
+    de: "Die Aufenthaltsdaten stimmen nicht mit der Buchung überein.",
+    fr: "Les données du séjour ne correspondent pas à la réservation.",
+    es: "Los datos de la estancia no corresponden a la reserva."
+  },
+  "ospiti-prenotazione": {
+    en: "The booking allows at most {max} guests.",
+    it: "La prenotazione prevede al massimo {max} ospiti.",
+    de: "Die Buchung umfasst höchstens {max} Gäste.",
+    fr: "La réservation prévoit au maximum {max} voyageurs.",
+    es: "La reserva prevé como máximo {max} huéspedes."
+  },
+  "errore-email": {
+    en: "Error sending the email. Please try again later.",
+    it: "Errore nell'invio dell'email. Riprova più tardi.",
+    de: "Fehler beim Senden der E-Mail. Bitte versuchen Sie es später erneut.",
+    fr: "Erreur lors de l'envoi de l'e-mail. Veuillez réessayer plus tard.",
+    es: "Error al enviar el correo electrónico. Inténtalo más tarde."
+  },
+  "errore-email-dati-trasmessi": {
+    en: "Your details have been transmitted, but the notice to the host could not be sent. Please try again: the details will not be sent twice.",
+    it: "I tuoi dati sono stati trasmessi, ma non è stato possibile avvisare l'host. Riprova: i dati non verranno inviati due volte.",
+    de: "Ihre Daten wurden übermittelt, aber der Gastgeber konnte nicht benachrichtigt werden. Bitte versuchen Sie es erneut: Die Daten werden nicht doppelt übermittelt.",
+    fr: "Vos données ont été transmises, mais l'hôte n'a pas pu être averti. Veuillez réessayer : les données ne seront pas envoyées deux fois.",
+    es: "Tus datos se han transmitido, pero no se ha podido avisar al anfitrión. Inténtalo de nuevo: los datos no se enviarán dos veces."
+  },
+  "errore-configurazione": {
+    en: "Configuration error. Please contact the administrator.",
+    it: "Errore di configurazione. Contatta l'amministratore.",
+    de: "Konfigurationsfehler. Bitte wenden Sie sich an den Administrator.",
+    fr: "Erreur de configuration. Veuillez contacter l'administrateur.",
+    es: "Error de configuración. Ponte en contacto con el administrador."
+  },
+  "errore-server": {
+    en: "An error occurred. Please try again later.",
+    it: "Si è verificato un errore. Riprova più tardi.",
+    de: "Es ist ein Fehler aufgetreten. Bitte versuchen Sie es später erneut.",
+    fr: "Une erreur s'est produite. Veuillez réessayer plus tard.",
+    es: "Se ha producido un error. Inténtalo más tarde."
+  },
+  // Link di prenotazione (lib/booking-link.js)
+  "link-non-valido": {
+    en: "Invalid link.",
+    it: "Link non valido.",
+    de: "Ungültiger Link.",
+    fr: "Lien non valide.",
+    es: "Enlace no válido."
+  },
+  "link-modificato": {
+    en: "Invalid or modified link.",
+    it: "Link non valido o modificato.",
+    de: "Ungültiger oder veränderter Link.",
+    fr: "Lien non valide ou modifié.",
+    es: "Enlace no válido o modificado."
+  },
+  "link-scaduto": {
+    en: "Link expired. Contact your host to get a new one.",
+    it: "Link scaduto. Contatta l'host per riceverne uno nuovo.",
+    de: "Link abgelaufen. Bitte fordern Sie bei Ihrem Gastgeber einen neuen an.",
+    fr: "Lien expiré. Contactez votre hôte pour en recevoir un nouveau.",
+    es: "Enlace caducado. Pide uno nuevo a tu anfitrión."
+  },
+  "prenotazione-non-trovata": {
+    en: "Booking not found.",
+    it: "Prenotazione non trovata.",
+    de: "Buchung nicht gefunden.",
+    fr: "Réservation introuvable.",
+    es: "Reserva no encontrada."
+  },
+  "precheckin-gia-inviato": {
+    en: "The pre check-in for this booking has already been sent.",
+    it: "Il pre check-in per questa prenotazione è già stato inviato.",
+    de: "Der Vorab-Check-in für diese Buchung wurde bereits gesendet.",
+    fr: "Le pré-enregistrement de cette réservation a déjà été envoyé.",
+    es: "El pre check-in de esta reserva ya se ha enviado."
+  }
+};
+
+const interpola = (testo, parametri) => testo.replace(/\{(\w+)\}/g, (m, nome) =>
+  parametri[nome] === undefined ? m : String(parametri[nome]));
+
+/**********************************************
+ * TRADUZIONE
+ * lingua: una di LINGUE; altrimenti "English / Italiano"
+ * Chiave sconosciuta: restituita così com'è
+ **********************************************/
+export function traduci(lingua, chiave, parametri = {}) {
+  const testi = TESTI[chiave];
+  if (!testi) return chiave;
+  if (!LINGUE.includes(lingua)) return `${interpola(testi.en, parametri)} / ${interpola(testi.it, parametri)}`;
+  return interpola(testi[lingua] || testi[LINGUA_PREDEFINITA], parametri);
+}
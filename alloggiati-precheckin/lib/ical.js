@@ -0,0 +1,186 @@
+// Prenotazioni dai calendari iCal (.ics) degli appartamenti
+// Path: /lib/ical.js
+//
+// ICAL_FEEDS = JSON del tipo
+// { "station": ["https://www.airbnb.it/calendar/ical/....ics", "https://admin.booking.com/....ics"] }
+// (id o nome dell'appartamento, come le credenziali dei web service: gli
+// indirizzi dei calendari contengono un codice segreto).
+// I calendari sono scaricati e letti qui, senza servizi esterni. Le
+// prenotazioni lette restano in archivio (collezione "calendari") e sono
+// aggiornate solo con POST /api/reservations, da richiamare periodicamente
+// (ad esempio ogni ora da un cron): il form e gli invii usano l'ultima
+// copia salvata, senza scaricare nulla.
+// Si conservano solo UID e date: il titolo degli eventi può contenere il
+// nome dell'ospite. Le date bloccate dall'host ("Not available") hanno lo
+// stesso formato delle prenotazioni e non sono distinguibili.
+
+import { loadRecord, saveRecord } from './storage.js';
+import { findStays } from './stays-index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT = 15 * 1000; // 15 secondi per calendario
+
+export function getCalendarFeeds(property) {
+  const raw = process.env.ICAL_FEEDS;
+  if (!raw || !property) return [];
+  try {
+    const all = JSON.parse(raw);
+    const feeds = all[property.id] || all[property.nome];
+    return [].concat(feeds || []).filter(url => typeof url === 'string' && url);
+  } catch (e) {
+    console.error('[ICAL] ICAL_FEEDS non è un JSON valido');
+    return [];
+  }
+}
+
+/**********************************************
+ * LETTURA DEL CALENDARIO (RFC 5545)
+ * Solo VEVENT con DTSTART; eventi annullati esclusi.
+ * DTEND di un evento di un giorno intero è il giorno di partenza (escluso
+ * dall'evento); senza DTEND l'evento dura una notte. Con data e ora
+ * (20261102T150000Z) conta solo la data.
+ * Restituisce [{ uid, dataArrivo, dataPartenza }] (AAAA-MM-GG)
+ **********************************************/
+const icalDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+};
+
+const nextDay = (iso) => new Date(Date.parse(iso) + DAY).toISOString().slice(0, 10);
+
+export function parseIcal(text) {
+  // Righe ripiegate: la continuazione inizia con uno spazio o un tab
+  const righe = String(text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const eventi = [];
+  let evento = null;
+  for (const riga of righe) {
+    if (riga === "BEGIN:VEVENT") {
+      evento = {};
+      continue;
+    }
+    if (riga === "END:VEVENT") {
+      if (evento) eventi.push(evento);
+      evento = null;
+      continue;
+    }
+    if (!evento) continue;
+    const separatore = riga.indexOf(":");
+    if (separatore < 0) continue;
+    // NOME;PARAMETRI:VALORE
+    const nome = riga.slice(0, separatore).split(";")[0].toUpperCase();
+    evento[nome] = riga.slice(separatore + 1).trim();
+  }
+
+  return eventi
+    .filter(e => String(e.STATUS || "").toUpperCase() !== "CANCELLED")
+    .map(e => {
+      const dataArrivo = icalDate(e.DTSTART);
+      if (!dataArrivo) return null;
+      const fine = icalDate(e.DTEND);
+      return { uid: e.UID || "", dataArrivo, dataPartenza: fine && fine > dataArrivo ? fine : nextDay(dataArrivo) };
+    })
+    .filter(Boolean);
+}
+
+/**********************************************
+ * AGGIORNAMENTO
+ * Un calendario non raggiungibile mantiene le prenotazioni lette
+ * l'ultima volta. Record: { appartamento, aggiornatoAt,
+ * calendari: [{ ok, errore, prenotazioni }] } nell'ordine di ICAL_FEEDS
+ **********************************************/
+async function scaricaCalendario(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const text = await res.text();
+  if (!text.includes("BEGIN:VCALENDAR")) throw new Error("Not an iCal file");
+  return parseIcal(text);
+}
+
+// Aggiornamenti in corso per appartamento (richieste contemporanee)
+const inCorso = new Map();
+
+export function refreshReservations(property) {
+  if (!inCorso.has(property.id)) {
+    inCorso.set(property.id, aggiorna(property).finally(() => inCorso.delete(property.id)));
+  }
+  return inCorso.get(property.id);
+}
+
+async function aggiorna(property) {
+  const precedente = await loadRecord('calendari', property.id);
+  const calendari = await Promise.all(getCalendarFeeds(property).map(async (url, i) => {
+    const vecchio = precedente && precedente.calendari && precedente.calendari[i];
+    try {
+      return { ok: true, errore: null, prenotazioni: await scaricaCalendario(url) };
+    } catch (e) {
+      // L'indirizzo non va nei log: contiene il codice segreto del calendario
+      console.error('[ICAL]', { appartamento: property.id, calendario: i + 1, message: e.message, timestamp: new Date().toISOString() });
+      return { ok: false, errore: e.message, prenotazioni: vecchio ? vecchio.prenotazioni : [] };
+    }
+  }));
+  return saveRecord('calendari', property.id, {
+    appartamento: property.id,
+    aggiornatoAt: new Date().toISOString(),
+    calendari
+  });
+}
+
+/**********************************************
+ * PRENOTAZIONI DI UN APPARTAMENTO
+ * Tutti i calendari, senza doppioni (stessa prenotazione su più canali
+ * sincronizzati), ordinate per arrivo. null se non ci sono calendari;
+ * vuoto se non sono ancora stati scaricati
+ **********************************************/
+const caricaCalendari = (property) => loadRecord('calendari', property.id);
+
+const unisciPrenotazioni = (record) => {
+  const viste = new Set();
+  return record.calendari
+    .flatMap(c => c.prenotazioni)
+    .filter(p => !viste.has(`${p.dataArrivo}|${p.dataPartenza}`) && viste.add(`${p.dataArrivo}|${p.dataPartenza}`))
+    .sort((a, b) => a.dataArrivo.localeCompare(b.dataArrivo) || a.dataPartenza.localeCompare(b.dataPartenza));
+};
+
+export async function getReservations(property) {
+  if (getCalendarFeeds(property).length === 0) return null;
+  const record = await caricaCalendari(property);
+  return record ? unisciPrenotazioni(record) : [];
+}
+
+const siSovrappongono = (a, b) => a.dataArrivo < b.dataPartenza && b.dataArrivo < a.dataPartenza;
+
+/**********************************************
+ * CONTROLLO DI UN SOGGIORNO INVIATO
+ * Per ogni appartamento:
+ * - prenotazione: prenotazione con le stesse date (null se nessuna;
+ *   undefined se l'appartamento non ha calendari o non sono ancora stati
+ *   scaricati)
+ * - nonAggiornati: calendari non scaricati all'ultimo aggiornamento
+ * - nelPeriodo: prenotazioni con date diverse che si sovrappongono
+ * - altriInvii: soggiorni già inviati per lo stesso appartamento con date
+ *   che si sovrappongono ({ id, dataArrivo, dataPartenza }, dall'indice
+ *   lib/stays-index.js)
+ * Solo letture in archivio: nessun download dei calendari durante l'invio
+ **********************************************/
+export async function checkStay(appartamenti, { dataArrivo, dataPartenza }) {
+  const soggiorno = { dataArrivo, dataPartenza };
+
+  return Promise.all(appartamenti.map(async property => {
+    let record = null;
+    try {
+      if (getCalendarFeeds(property).length > 0) record = await caricaCalendari(property);
+    } catch (e) {
+      console.error('[ICAL]', { appartamento: property.id, message: e.message, timestamp: new Date().toISOString() });
+    }
+    const altriInvii = await findStays(property.id, soggiorno);
+    if (!record) return { property, prenotazione: undefined, nonAggiornati: 0, nelPeriodo: [], altriInvii };
+    const prenotazioni = unisciPrenotazioni(record);
+    return {
+      property,
+      nonAggiornati: record.calendari.filter(c => !c.ok).length,
+      prenotazione: prenotazioni.find(p => p.dataArrivo === dataArrivo && p.dataPartenza === dataPartenza) || null,
+      nelPeriodo: prenotazioni.filter(p => siSovrappongono(p, soggiorno) && !(p.dataArrivo === dataArrivo && p.dataPartenza === dataPartenza)),
+      altriInvii
+    };
+  }));
+}
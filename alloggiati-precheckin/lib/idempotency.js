@@ -0,0 +1,97 @@
+// Invii idempotenti del form (chiave di invio generata dal browser)
+// Path: /lib/idempotency.js
+//
+// Il form usa la stessa submissionKey finché i dati non cambiano: un doppio
+// clic o un nuovo tentativo dopo un errore di rete ricevono la risposta del
+// primo invio, senza ripetere email e trasmissioni ai portali.
+// La chiave resta "in corso" fino alla fine della prima richiesta; se la
+// richiesta fallisce viene liberata e l'ospite può riprovare.
+// Se i portali (Alloggiati Web, statistiche) hanno già accettato i dati la
+// chiave non torna libera: l'esito è salvato ("trasmesso") e il nuovo
+// tentativo riprende l'invio senza trasmettere di nuovo le schedine.
+
+import crypto from 'crypto';
+import { getKvStore } from './kv-store.js';
+
+const KEY_RE = /^[A-Za-z0-9-]{16,64}$/;
+// Richiesta interrotta senza risposta: chiave di nuovo libera dopo 5 minuti
+const IN_CORSO_TTL = 5 * 60 * 1000;
+// Risposta conservata per i nuovi tentativi
+const COMPLETATO_TTL = 24 * 60 * 60 * 1000;
+
+export const isValidSubmissionKey = (key) => KEY_RE.test(String(key || ""));
+
+const storeKey = (key) => `invio:${key}`;
+// Ripresa di un invio "trasmesso": una sola richiesta alla volta
+const resumeKey = (key) => `invio-ripresa:${key}`;
+
+// Impronta dei dati inviati (esclusi chiave, honeypot e token anti-bot, che
+// cambia se il form ne chiede uno nuovo per ripetere l'invio)
+function impronta(body) {
+  const { submissionKey, honeypot, challenge, ...dati } = body || {};
+  return crypto.createHash('sha256').update(JSON.stringify(dati)).digest('hex');
+}
+
+/**********************************************
+ * INIZIO INVIO
+ * Restituisce { stato, risposta }:
+ * - "nuovo": chiave acquisita, procedere con l'invio
+ * - "ripresa": chiave acquisita, dati già trasmessi ai portali in
+ *   trasmissione (vedi saveTransmission): completare solo il resto
+ * - "completato": risposta del primo invio (da restituire così com'è)
+ * - "in-corso": il primo invio non è ancora terminato
+ * - "diverso": chiave già usata con dati diversi
+ **********************************************/
+export async function beginSubmission(key, body) {
+  const store = await getKvStore();
+  const hash = impronta(body);
+  for (let tentativo = 0; tentativo < 2; tentativo++) {
+    if (await store.set(storeKey(key), { stato: "in-corso", hash }, IN_CORSO_TTL, { onlyIfAbsent: true })) {
+      return { stato: "nuovo", risposta: null };
+    }
+    const esistente = await store.get(storeKey(key));
+    // Scaduta tra le due operazioni: nuovo tentativo
+    if (!esistente) continue;
+    if (esistente.hash !== hash) return { stato: "diverso", risposta: null };
+    if (esistente.stato === "trasmesso") {
+      if (await store.set(resumeKey(key), { stato: "in-corso" }, IN_CORSO_TTL, { onlyIfAbsent: true })) {
+        return { stato: "ripresa", risposta: null, trasmissione: esistente.trasmissione };
+      }
+      return { stato: "in-corso", risposta: null };
+    }
+    return { stato: esistente.stato, risposta: esistente.risposta || null };
+  }
+  return { stato: "in-corso", risposta: null };
+}
+
+// Dati accettati da un portale: conservati per il nuovo tentativo anche se
+// l'invio poi fallisce. La richiesta in corso tiene la ripresa fino alla fine
+export async function saveTransmission(key, body, trasmissione) {
+  const store = await getKvStore();
+  await store.set(resumeKey(key), { stato: "in-corso" }, IN_CORSO_TTL);
+  await store.set(storeKey(key), { stato: "trasmesso", hash: impronta(body), trasmissione }, COMPLETATO_TTL);
+}
+
+// Invio riuscito: la risposta viene restituita ai nuovi tentativi
+export async function completeSubmission(key, body, risposta) {
+  const store = await getKvStore();
+  await store.set(storeKey(key), { stato: "completato", hash: impronta(body), risposta }, COMPLETATO_TTL);
+  await store.del(resumeKey(key));
+}
+
+// Dati dell'ospite cancellati (lib/privacy.js): risposta e trasmissione
+// eliminate; la stessa chiave vale poi come un nuovo invio
+export async function forgetSubmission(key) {
+  const store = await getKvStore();
+  await store.del(storeKey(key));
+  await store.del(resumeKey(key));
+}
+
+// Invio fallito: la chiave torna libera, tranne se i dati sono già stati
+// trasmessi (si libera solo la ripresa)
+export async function releaseSubmission(key) {
+  const store = await getKvStore();
+  const esistente = await store.get(storeKey(key));
+  if (esistente && esistente.stato === "trasmesso") await store.del(resumeKey(key));
+  else await store.del(storeKey(key));
+}
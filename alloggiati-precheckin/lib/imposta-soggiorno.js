@@ -0,0 +1,123 @@
+// Calcolo imposta di soggiorno (data/imposta_soggiorno.json)
+// Path: /lib/imposta-soggiorno.js
+//
+// Configurazione del comune:
+// - nottiMassime: notti consecutive soggette all'imposta (le successive sono esenti)
+// - stagioni: periodi MM-GG (estremi compresi); vale la prima stagione che
+//   contiene la notte, quindi i periodi particolari vanno messi per primi
+// - zone: tariffa per persona per notte di ciascuna stagione; l'appartamento
+//   indica la sua zona in data/properties.json (zonaImposta)
+// - fasceEta: età in anni compiuti all'arrivo, da etaDa (compreso) a etaA
+//   (escluso); percentuale della tariffa dovuta (0 = esente) ed eventuale
+//   codice esenzione da riportare in <esenzioneimposta> su Ross1000.
+//   I codici devono corrispondere alla tabella esenzioni del comune su Ross1000.
+// Aggiornare tariffe e periodi a ogni delibera comunale.
+
+import { loadDataFile } from './data.js';
+import { clean } from './guests.js';
+import { elencoGiorni } from './ross1000.js';
+
+export function loadImpostaConfig() {
+  return loadDataFile('imposta_soggiorno.json');
+}
+
+// Età in anni compiuti alla data indicata (AAAA-MM-GG)
+function etaAl(dataNascita, data) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dataNascita)) return null;
+  const eta = parseInt(data.slice(0, 4), 10) - parseInt(dataNascita.slice(0, 4), 10);
+  return data.slice(5) < dataNascita.slice(5) ? eta - 1 : eta;
+}
+
+function stagioneDi(config, data) {
+  const mmgg = data.slice(5);
+  return config.stagioni.find(s => s.periodi.some(p => mmgg >= p.dal && mmgg <= p.al)) || null;
+}
+
+// Importi in centesimi per evitare errori di arrotondamento
+const centesimi = (euro) => Math.round(euro * 100);
+
+export const formatEuro = (cent) => `€ ${(cent / 100).toFixed(2).replace(".", ",")}`;
+
+/**********************************************
+ * CALCOLO PER SOGGIORNO
+ * property: appartamento (zonaImposta)
+ * stay: { dataArrivo, dataPartenza, guests }
+ * Restituisce null se l'appartamento non ha una zona configurata, altrimenti
+ * { comune, zona, nottiMassime, notti: [{ data, stagione, tariffa }],
+ *   ospiti: [{ eta, notti, importo, esenzione, fascia }], totale }
+ * (importi e tariffe in centesimi)
+ **********************************************/
+export function calcolaImposta(property, stay) {
+  const config = loadImpostaConfig();
+  const zona = property && config.zone.find(z => z.id === property.zonaImposta);
+  if (!zona) return null;
+
+  // Notti tassabili: dalla notte di arrivo, fino al massimo previsto
+  const notti = elencoGiorni(stay.dataArrivo, stay.dataPartenza)
+    .slice(0, -1)
+    .slice(0, config.nottiMassime)
+    .map(data => {
+      const stagione = stagioneDi(config, data);
+      return {
+        data,
+        stagione: stagione ? stagione.id : "",
+        tariffa: stagione ? centesimi(zona.tariffe[stagione.id] || 0) : 0
+      };
+    });
+  const tariffaPiena = notti.reduce((sum, n) => sum + n.tariffa, 0);
+
+  const ospiti = stay.guests.map(g => {
+    const eta = etaAl(clean(g.dataNascita), stay.dataArrivo);
+    const fascia = eta === null ? null : config.fasceEta.find(f => eta >= f.etaDa && eta < f.etaA);
+    const percentuale = fascia ? fascia.percentuale : 100;
+    return {
+      eta,
+      notti: percentuale > 0 ? notti.length : 0,
+      importo: Math.round(tariffaPiena * percentuale / 100),
+      esenzione: fascia ? fascia.esenzione : "",
+      fascia: fascia ? fascia.descrizione : ""
+    };
+  });
+
+  return {
+    comune: config.comune,
+    zona: { id: zona.id, nome: zona.nome },
+    nottiMassime: config.nottiMassime,
+    notti,
+    ospiti,
+    totale: ospiti.reduce((sum, o) => sum + o.importo, 0)
+  };
+}
+
+/**********************************************
+ * SEZIONE DEL RIEPILOGO (email host, vedi lib/email-templates.js)
+ **********************************************/
+export function sezioneImposta(imposta, guests, nomeAppartamento = "") {
+  if (!imposta) return null;
+  const config = loadImpostaConfig();
+  const nomeStagione = (id) => (config.stagioni.find(s => s.id === id) || {}).nome || id;
+  const formatData = (d) => d.split("-").reverse().join("/");
+
+  return {
+    titolo: `IMPOSTA DI SOGGIORNO${nomeAppartamento ? ` – ${nomeAppartamento}` : ""} (${imposta.comune} – ${imposta.zona.nome})`,
+    righe: [
+      ["Notti tassabili", `${imposta.notti.length} (massimo ${imposta.nottiMassime})`],
+      ["Totale da riscuotere", formatEuro(imposta.totale)]
+    ],
+    tabelle: [
+      {
+        intestazioni: ["Notte", "Stagione", "Tariffa per persona"],
+        righe: imposta.notti.map(n => [formatData(n.data), nomeStagione(n.stagione), formatEuro(n.tariffa)])
+      },
+      {
+        intestazioni: ["Ospite", "Importo", "Dettaglio"],
+        righe: imposta.ospiti.map((o, i) => {
+          const g = guests[i] || {};
+          const nominativo = `${clean(g.cognome)} ${clean(g.nome)}`.trim().toUpperCase() || `OSPITE ${i + 1}`;
+          const dettaglio = o.fascia || (o.eta === null ? "età non indicata, tariffa intera" : `${o.notti} notti`);
+          return [nominativo, formatEuro(o.importo), `${dettaglio}${o.esenzione ? ` [cod. ${o.esenzione}]` : ""}`];
+        })
+      }
+    ]
+  };
+}
@@ -0,0 +1,120 @@
+// Movimento dei clienti ISTAT C/59 (CSV giornaliero per provenienza)
+// Path: /lib/istat-c59.js
+//
+// Formato generico del modello C/59 ("Movimento dei clienti negli esercizi
+// ricettivi") per le regioni che lo raccolgono come file: il tracciato
+// richiesto dal portale regionale va verificato prima dell'uso.
+// Una riga per ogni giorno e provenienza, dalla data di arrivo alla data
+// di partenza compresa, separatore ";":
+// data;codice_struttura;camere_occupate;camere_disponibili;letti_disponibili;stato_residenza;provincia_residenza;arrivi;partenze;presenze
+// - data: AAAA-MM-GG
+// - stato_residenza: codice ISTAT dello stato (100000100 per l'Italia)
+// - provincia_residenza: sigla per i residenti in Italia, vuota per l'estero
+// - presenze: ospiti che passano la notte (dall'arrivo alla notte prima
+//   della partenza)
+// I giorni senza ospiti (rettifiche) hanno una riga con provenienza vuota e
+// camere libere, così da sovrascrivere i dati inviati in precedenza.
+// Nel C/59 conta solo la provenienza: nessun dato personale degli ospiti.
+
+import { loadDataFile } from './data.js';
+import { ITALY_CODE, clean } from './guests.js';
+import { elencoGiorni } from './ross1000.js';
+import { traduci } from './i18n.js';
+
+const INTESTAZIONE = "data;codice_struttura;camere_occupate;camere_disponibili;letti_disponibili;stato_residenza;provincia_residenza;arrivi;partenze;presenze";
+const CODICE_STRUTTURA = /^[A-Za-z0-9_-]{1,20}$/;
+
+// Sigla della provincia di ogni comune: "ABANO TERME (PD)" -> PD
+let province = null;
+let stati = null;
+
+function getProvince() {
+  if (!province) {
+    province = new Map();
+    for (const c of loadDataFile('comuni_istat.json')) {
+      const m = /\(([A-Z]{2})\)$/.exec(c.nome);
+      if (m) province.set(c.codice, m[1]);
+    }
+  }
+  return province;
+}
+
+function getStati() {
+  if (!stati) stati = new Set(loadDataFile('stati_istat.json').map(s => s.codice));
+  return stati;
+}
+
+// Provenienza { statoResidenza, provinciaResidenza }: comune italiano,
+// stato estero indicato come residenza o, in mancanza, la cittadinanza
+// straniera (come in lib/ross1000.js). null per i residenti in Italia
+// senza comune: il C/59 richiede la provincia.
+function residenza(g) {
+  const comune = clean(g.comuneResidenza);
+  const cittadinanza = clean(g.cittadinanza);
+  if (getProvince().has(comune)) return { statoResidenza: ITALY_CODE, provinciaResidenza: getProvince().get(comune) };
+  if (comune && comune !== ITALY_CODE && getStati().has(comune)) return { statoResidenza: comune, provinciaResidenza: "" };
+  if (!comune && cittadinanza && cittadinanza !== ITALY_CODE) return { statoResidenza: cittadinanza, provinciaResidenza: "" };
+  return null;
+}
+
+/**********************************************
+ * stay: come buildRoss1000 (codiceStruttura, camere, letti,
+ * camereOccupate, dataArrivo, dataPartenza, guests)
+ * opzioni.dal / opzioni.al: solo i giorni di questo intervallo (rettifiche)
+ * opzioni.altreCamere: camere occupate da altri soggiorni, come buildRoss1000
+ * opzioni.lingua: lingua dei messaggi di errore (lib/i18n.js)
+ * Restituisce { csv, errori, ospiti }: csv null se ci sono errori
+ * ({ pos, campo, message } come lib/tracciati.js)
+ **********************************************/
+export function buildIstatC59(stay, opzioni = {}) {
+  const { codiceStruttura, camere, letti, dataArrivo, dataPartenza, guests } = stay;
+  const m = (chiave, parametri) => traduci(opzioni.lingua, chiave, parametri);
+  const errori = [];
+
+  if (!clean(codiceStruttura)) {
+    errori.push({ pos: null, campo: "codiceStruttura", message: m("obbligatorio") });
+  } else if (!CODICE_STRUTTURA.test(codiceStruttura)) {
+    errori.push({ pos: null, campo: "codiceStruttura", message: m("codice-non-valido") });
+  }
+
+  const ospiti = guests.map((g, pos) => {
+    const r = residenza(g);
+    if (!r) errori.push({ pos, campo: "comuneResidenza", message: m("comune-residenza-obbligatorio") });
+    return r || { statoResidenza: "", provinciaResidenza: "" };
+  });
+
+  // Ospiti per provenienza, nell'ordine del gruppo
+  const provenienze = new Map();
+  for (const o of ospiti) {
+    const chiave = `${o.statoResidenza};${o.provinciaResidenza}`;
+    provenienze.set(chiave, (provenienze.get(chiave) || 0) + 1);
+  }
+
+  const camerePrenotate = stay.camereOccupate || camere;
+  const altreCamere = opzioni.altreCamere || {};
+  const righe = [INTESTAZIONE];
+  const giorni = elencoGiorni(opzioni.dal || dataArrivo, opzioni.al || dataPartenza)
+    .filter(d => d >= dataArrivo);
+
+  for (const giorno of giorni) {
+    const camereOccupate = Math.min(camere, (giorno >= dataPartenza ? 0 : camerePrenotate) + (altreCamere[giorno] || 0));
+    const struttura = `${giorno};${codiceStruttura};${camereOccupate};${camere};${letti}`;
+    if (giorno > dataPartenza) {
+      righe.push(`${struttura};;;0;0;0`);
+      continue;
+    }
+    for (const [provenienza, n] of provenienze) {
+      const arrivi = giorno === dataArrivo ? n : 0;
+      const partenze = giorno === dataPartenza ? n : 0;
+      const presenze = giorno < dataPartenza ? n : 0;
+      righe.push(`${struttura};${provenienza};${arrivi};${partenze};${presenze}`);
+    }
+  }
+
+  return {
+    csv: errori.length ? null : righe.join("\r\n"),
+    errori,
+    // Provenienza di ciascun ospite (anteprima per l'ospite, lib/anteprima.js)
+    ospiti
+  };
+}
@@ -0,0 +1,312 @@
+// Archivio chiave/valore con scadenza (rate limit e idempotenza degli invii)
+// Path: /lib/kv-store.js
+//
+// Su serverless ogni istanza ha una memoria propria: contatori e chiavi di
+// invio devono stare in un archivio condiviso. Backend scelto da KV_STORE_URL:
+// - non impostato o file:/cartella -> file JSON (predefinito STORAGE_DIR/kv).
+//   Adatto a un solo server o a un volume condiviso: gli incrementi non
+//   sono atomici tra processi diversi.
+// - sqlite:/percorso/archivio.db    -> SQLite integrato in Node (node:sqlite, Node 22.5+;
+//   sulle versioni precedenti getKvStore() fallisce con un errore esplicito)
+// - redis://[:password@]host:6379/0 -> qualunque server con protocollo Redis
+//   (rediss:// per TLS)
+//
+// Interfaccia comune (tutte le funzioni sono async, ttlMs in millisecondi):
+// - incr(key, ttlMs): incrementa il contatore; la scadenza parte dal primo
+//   incremento. Restituisce { count, expiresAt }
+// - get(key): valore salvato o null se assente/scaduto
+// - set(key, value, ttlMs, { onlyIfAbsent }): true se salvato
+// - del(key)
+// I valori sono oggetti JSON.
+
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+
+// Stessi caratteri ammessi da lib/storage.js per i nomi dei file
+const safeName = (s) => String(s || "").replace(/[^a-zA-Z0-9._-]/g, '_');
+
+/**********************************************
+ * BACKEND FILE
+ * Un file <cartella>/<chiave>.json con { value, expiresAt }
+ **********************************************/
+function createFileStore(dir) {
+  const keyPath = (key) => path.join(dir, `${safeName(key)}.json`);
+
+  async function read(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(keyPath(key), 'utf8'));
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await fs.promises.unlink(keyPath(key)).catch(() => {});
+        return null;
+      }
+      return entry;
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function write(key, entry, flag = 'w') {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(keyPath(key), JSON.stringify(entry), { encoding: 'utf8', flag });
+  }
+
+  return {
+    async incr(key, ttlMs) {
+      const entry = await read(key);
+      const next = entry
+        ? { value: entry.value + 1, expiresAt: entry.expiresAt }
+        : { value: 1, expiresAt: Date.now() + ttlMs };
+      await write(key, next);
+      return { count: next.value, expiresAt: next.expiresAt };
+    },
+    async get(key) {
+      const entry = await read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlMs, { onlyIfAbsent = false } = {}) {
+      const entry = { value, expiresAt: Date.now() + ttlMs };
+      if (!onlyIfAbsent) {
+        await write(key, entry);
+        return true;
+      }
+      // Creazione esclusiva ('wx'): una sola richiesta ottiene la chiave
+      await read(key); // elimina la chiave se scaduta
+      try {
+        await write(key, entry, 'wx');
+        return true;
+      } catch (e) {
+        if (e.code === 'EEXIST') return false;
+        throw e;
+      }
+    },
+    async del(key) {
+      await fs.promises.unlink(keyPath(key)).catch(e => {
+        if (e.code !== 'ENOENT') throw e;
+      });
+    }
+  };
+}
+
+/**********************************************
+ * BACKEND SQLITE (node:sqlite)
+ **********************************************/
+async function createSqliteStore(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch (e) {
+    // Node < 22.5, oppure 22.5-22.12 senza --experimental-sqlite
+    if (e.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw e;
+    throw new Error(`KV_STORE_URL sqlite: requires node:sqlite (Node 22.5 or later), not available in Node ${process.versions.node}`);
+  }
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`);
+  const purge = db.prepare('DELETE FROM kv WHERE key = ? AND expires_at <= ?');
+  const select = db.prepare('SELECT value, expires_at FROM kv WHERE key = ?');
+  const insert = db.prepare('INSERT OR IGNORE INTO kv (key, value, expires_at) VALUES (?, ?, ?)');
+  const upsert = db.prepare('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (?, ?, ?)');
+  const increment = db.prepare(`UPDATE kv SET value = CAST(value AS INTEGER) + 1 WHERE key = ?
+    RETURNING value, expires_at`);
+  const remove = db.prepare('DELETE FROM kv WHERE key = ?');
+
+  // Operazioni sincrone in una transazione: atomiche anche tra processi
+  const transaction = (fn) => {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      db.exec('ROLLBACK');
+      throw e;
+    }
+  };
+
+  return {
+    async incr(key, ttlMs) {
+      return transaction(() => {
+        const now = Date.now();
+        purge.run(key, now);
+        insert.run(key, "0", now + ttlMs);
+        const row = increment.get(key);
+        return { count: Number(row.value), expiresAt: Number(row.expires_at) };
+      });
+    },
+    async get(key) {
+      const row = select.get(key);
+      if (!row || row.expires_at <= Date.now()) return null;
+      return JSON.parse(row.value);
+    },
+    async set(key, value, ttlMs, { onlyIfAbsent = false } = {}) {
+      return transaction(() => {
+        const now = Date.now();
+        purge.run(key, now);
+        const stmt = onlyIfAbsent ? insert : upsert;
+        return stmt.run(key, JSON.stringify(value), now + ttlMs).changes > 0;
+      });
+    },
+    async del(key) {
+      remove.run(key);
+    }
+  };
+}
+
+/**********************************************
+ * BACKEND REDIS (protocollo RESP su socket)
+ * Una connessione per operazione: le funzioni serverless non mantengono
+ * connessioni aperte tra una richiesta e l'altra.
+ **********************************************/
+const REDIS_TIMEOUT = 3000; // ms
+
+const encodeCommand = (args) =>
+  `*${args.length}\r\n` + args.map(a => {
+    const s = String(a);
+    return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }).join("");
+
+// Legge una risposta RESP dal buffer: { value, end } oppure null se incompleta
+function parseReply(buf, start = 0) {
+  const lineEnd = buf.indexOf("\r\n", start);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buf[start]);
+  const line = buf.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+': return { value: line, end: next };
+    case '-': return { value: new Error(`Redis: ${line}`), end: next };
+    case ':': return { value: parseInt(line, 10), end: next };
+    case '$': {
+      const len = parseInt(line, 10);
+      if (len < 0) return { value: null, end: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), end: next + len + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count < 0) return { value: null, end: next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.end;
+      }
+      return { value: items, end: pos };
+    }
+    default:
+      throw new Error(`Redis: unexpected reply type ${type}`);
+  }
+}
+
+// Invia più comandi insieme (pipeline) e restituisce le risposte in ordine
+function redisPipeline(url, commands) {
+  const prelude = [];
+  if (url.password) {
+    const password = decodeURIComponent(url.password);
+    prelude.push(url.username ? ["AUTH", decodeURIComponent(url.username), password] : ["AUTH", password]);
+  }
+  const db = url.pathname.replace(/^\//, "");
+  if (db) prelude.push(["SELECT", db]);
+  const all = prelude.concat(commands);
+
+  return new Promise((resolve, reject) => {
+    const port = parseInt(url.port, 10) || 6379;
+    const socket = url.protocol === "rediss:"
+      ? tls.connect({ host: url.hostname, port, servername: url.hostname })
+      : net.connect({ host: url.hostname, port });
+    let buf = Buffer.alloc(0);
+    const replies = [];
+
+    const fail = (err) => {
+      socket.destroy();
+      reject(err);
+    };
+    socket.setTimeout(REDIS_TIMEOUT, () => fail(new Error("Redis: timeout")));
+    socket.on('error', fail);
+    socket.once(url.protocol === "rediss:" ? 'secureConnect' : 'connect', () => {
+      socket.write(all.map(encodeCommand).join(""));
+    });
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let reply;
+      try {
+        while (replies.length < all.length && (reply = parseReply(buf))) {
+          replies.push(reply.value);
+          buf = buf.subarray(reply.end);
+        }
+      } catch (e) {
+        return fail(e);
+      }
+      if (replies.length === all.length) {
+        socket.end();
+        const results = replies.slice(prelude.length);
+        const error = replies.find(r => r instanceof Error);
+        if (error) reject(error);
+        else resolve(results);
+      }
+    });
+  });
+}
+
+function createRedisStore(url) {
+  return {
+    async incr(key, ttlMs) {
+      // SET NX crea il contatore con la scadenza; INCR la conserva
+      const [, count, ttl] = await redisPipeline(url, [
+        ["SET", key, "0", "PX", ttlMs, "NX"],
+        ["INCR", key],
+        ["PTTL", key]
+      ]);
+      return { count, expiresAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async get(key) {
+      const [value] = await redisPipeline(url, [["GET", key]]);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlMs, { onlyIfAbsent = false } = {}) {
+      const command = ["SET", key, JSON.stringify(value), "PX", ttlMs];
+      if (onlyIfAbsent) command.push("NX");
+      const [reply] = await redisPipeline(url, [command]);
+      return reply === "OK";
+    },
+    async del(key) {
+      await redisPipeline(url, [["DEL", key]]);
+    }
+  };
+}
+
+/**********************************************
+ * SCELTA DEL BACKEND
+ **********************************************/
+let store = null;
+let storeUrl = null;
+
+export async function getKvStore() {
+  const config = process.env.KV_STORE_URL || "";
+  if (store && storeUrl === config) return store;
+
+  if (/^rediss?:\/\//.test(config)) {
+    store = createRedisStore(new URL(config));
+  } else if (config.startsWith("sqlite:")) {
+    store = await createSqliteStore(config.slice("sqlite:".length));
+  } else if (config.startsWith("file:")) {
+    store = createFileStore(config.slice("file:".length));
+  } else if (!config) {
+    const base = process.env.STORAGE_DIR || path.join(os.tmpdir(), 'precheckin');
+    store = createFileStore(path.join(base, 'kv'));
+  } else {
+    throw new Error(`Unsupported KV_STORE_URL: ${config.split(":")[0]}`);
+  }
+  storeUrl = config;
+  return store;
+}
@@ -0,0 +1,168 @@
+// Lettura della zona MRZ di passaporti e carte d'identità (ICAO 9303)
+// Path: /lib/mrz.js
+//
+// Modulo senza dipendenze esterne (solo i testi di lib/i18n.js), caricato
+// dal form con import dinamico.
+// Formati: TD3 (passaporto, 2 righe da 44), TD2 (2 righe da 36),
+// TD1 (carta d'identità, 3 righe da 30).
+// Tutte le cifre di controllo vengono verificate: se una non torna il
+// risultato riporta l'errore e i dati non vanno usati.
+
+import { LINGUE, traduci } from './i18n.js';
+
+const FORMATS = {
+  TD1: { righe: 3, lunghezza: 30 },
+  TD2: { righe: 2, lunghezza: 36 },
+  TD3: { righe: 2, lunghezza: 44 }
+};
+
+// Nazionalità scritte in forma abbreviata nella MRZ
+const NAZIONALITA_ALIAS = {
+  "D": "DEU"
+};
+
+const PESI = [7, 3, 1];
+
+function valore(ch) {
+  if (ch === "<") return 0;
+  if (/[0-9]/.test(ch)) return parseInt(ch, 10);
+  return ch.charCodeAt(0) - 55; // A = 10 ... Z = 35
+}
+
+export function cifraControllo(testo) {
+  let somma = 0;
+  for (let i = 0; i < testo.length; i++) somma += valore(testo[i]) * PESI[i % 3];
+  return String(somma % 10);
+}
+
+// Righe MRZ pulite: maiuscole, senza spazi. Accetta anche il testo
+// incollato su una sola riga se la lunghezza corrisponde a un formato.
+export function normalizzaMrz(testo) {
+  const pulito = String(testo || "").toUpperCase().replace(/[\u00ab\u2039]/g, "<").replace(/[^\nA-Z0-9<]/g, "");
+  let righe = pulito.split("\n").filter(Boolean);
+  if (righe.length === 1) {
+    const unica = righe[0];
+    const f = Object.values(FORMATS).find(f => unica.length === f.righe * f.lunghezza);
+    if (f) righe = unica.match(new RegExp(`.{${f.lunghezza}}`, "g"));
+  }
+  return righe;
+}
+
+// AAMMGG -> AAAA-MM-GG. nelPassato: data di nascita (mai nel futuro)
+function dataMrz(aammgg, nelPassato) {
+  if (!/^\d{6}$/.test(aammgg)) return "";
+  const aa = parseInt(aammgg.slice(0, 2), 10);
+  const annoCorrente = new Date().getFullYear() % 100;
+  const secolo = nelPassato ? (aa > annoCorrente ? 1900 : 2000) : (aa < 70 ? 2000 : 1900);
+  return `${secolo + aa}-${aammgg.slice(2, 4)}-${aammgg.slice(4, 6)}`;
+}
+
+const testo = (s) => s.replace(/<+/g, " ").trim();
+
+function nomi(campo) {
+  const [cognome, ...resto] = campo.replace(/<+$/, "").split("<<");
+  return { cognome: testo(cognome || ""), nome: testo(resto.join(" ")) };
+}
+
+const nazionalita = (s) => {
+  const codice = s.replace(/<+$/, "");
+  return NAZIONALITA_ALIAS[codice] || codice;
+};
+
+// Tipo documento Alloggiati Web dal codice MRZ (P = passaporto, I/A/C = carta d'identità)
+function tipoDocumento(tipo, emittente) {
+  if (tipo[0] === "P") {
+    if (tipo[1] === "D") return "PASDI";
+    if (tipo[1] === "S") return "PASSE";
+    return "PASOR";
+  }
+  // La carta d'identità elettronica italiana è un TD1 emesso da ITA
+  return emittente === "ITA" ? "IDELE" : "IDENT";
+}
+
+/**********************************************
+ * LETTURA MRZ
+ * Restituisce { ok, formato, errori, dati } dove dati contiene:
+ * cognome, nome, sesso (1/2), dataNascita, scadenza (AAAA-MM-GG),
+ * numeroDocumento, tipoDocumento (codice Alloggiati), cittadinanzaIso3.
+ * lingua facoltativa: lingua degli errori (lib/i18n.js)
+ **********************************************/
+export function parseMrz(input, lingua) {
+  const righe = normalizzaMrz(input);
+  const formato = Object.keys(FORMATS).find(k =>
+    FORMATS[k].righe === righe.length && righe.every(r => r.length === FORMATS[k].lunghezza));
+  if (!formato) {
+    return { ok: false, formato: null, errori: [traduci(lingua, "mrz-formato")], dati: null };
+  }
+
+  const errori = [];
+  // Nome del campo nella stessa lingua del messaggio
+  const cifraErrata = (l, nome) => traduci(l, "mrz-cifra-controllo", { campo: traduci(l, nome) });
+  // Campi opzionali vuoti possono avere "<" come cifra di controllo
+  const verifica = (campo, cifra, nome) => {
+    if (cifra !== "<" || /[^<]/.test(campo)) {
+      if (cifraControllo(campo) !== cifra) {
+        errori.push(LINGUE.includes(lingua) ? cifraErrata(lingua, nome) : `${cifraErrata("en", nome)} / ${cifraErrata("it", nome)}`);
+      }
+    }
+  };
+
+  let tipo, emittente, numero, nascita, sesso, scadenza, cittadinanza, nominativo;
+
+  if (formato === "TD1") {
+    const [r1, r2, r3] = righe;
+    tipo = r1.slice(0, 2);
+    emittente = nazionalita(r1.slice(2, 5));
+    numero = r1.slice(5, 14);
+    // Numero documento oltre 9 caratteri: prosegue nei dati opzionali
+    if (r1[14] === "<" && r1[15] !== "<") {
+      const extra = r1.slice(15, 30).replace(/<.*$/, "");
+      numero += extra.slice(0, -1);
+      verifica(numero, extra.slice(-1), "mrz-numero-documento");
+    } else {
+      verifica(numero, r1[14], "mrz-numero-documento");
+    }
+    nascita = r2.slice(0, 6);
+    verifica(nascita, r2[6], "mrz-data-nascita");
+    sesso = r2[7];
+    scadenza = r2.slice(8, 14);
+    verifica(scadenza, r2[14], "mrz-scadenza");
+    cittadinanza = r2.slice(15, 18);
+    verifica(r1.slice(5, 30) + r2.slice(0, 7) + r2.slice(8, 15) + r2.slice(18, 29), r2[29], "mrz-complessiva");
+    nominativo = nomi(r3);
+  } else {
+    const [r1, r2] = righe;
+    const fine = FORMATS[formato].lunghezza;
+    tipo = r1.slice(0, 2);
+    emittente = nazionalita(r1.slice(2, 5));
+    nominativo = nomi(r1.slice(5));
+    numero = r2.slice(0, 9);
+    verifica(numero, r2[9], "mrz-numero-documento");
+    cittadinanza = r2.slice(10, 13);
+    nascita = r2.slice(13, 19);
+    verifica(nascita, r2[19], "mrz-data-nascita");
+    sesso = r2[20];
+    scadenza = r2.slice(21, 27);
+    verifica(scadenza, r2[27], "mrz-scadenza");
+    if (formato === "TD3") {
+      verifica(r2.slice(28, 42), r2[42], "mrz-numero-personale");
+    }
+    verifica(r2.slice(0, 10) + r2.slice(13, 20) + r2.slice(21, fine - 1), r2[fine - 1], "mrz-complessiva");
+  }
+
+  return {
+    ok: errori.length === 0,
+    formato,
+    errori,
+    dati: {
+      cognome: nominativo.cognome,
+      nome: nominativo.nome,
+      sesso: sesso === "M" ? "1" : (sesso === "F" ? "2" : ""),
+      dataNascita: dataMrz(nascita, true),
+      scadenza: dataMrz(scadenza, false),
+      numeroDocumento: numero.replace(/</g, ""),
+      tipoDocumento: tipoDocumento(tipo, emittente),
+      cittadinanzaIso3: nazionalita(cittadinanza)
+    }
+  };
+}
@@ -0,0 +1,334 @@
+// Cifratura OpenPGP degli allegati email (RFC 4880, ECDH RFC 6637)
+// Path: /lib/openpgp.js
+//
+// Solo cifratura verso chiavi pubbliche v4: RSA oppure ECDH Curve25519
+// (le chiavi predefinite di GnuPG). Il file diventa un messaggio ASCII
+// armored (.asc) cifrato con AES-256 e protetto da MDC, leggibile con
+// GnuPG, Kleopatra, Thunderbird e simili. Nessuna firma.
+// Di ogni chiave si usa la prima sottochiave di cifratura valida (o la
+// chiave principale RSA). Chiavi e sottochiavi revocate o scadute sono
+// rifiutate: le firme non vengono verificate (le chiavi arrivano
+// dall'anagrafica degli host, non da terzi), conta solo ciò che dichiarano.
+
+import crypto from 'crypto';
+
+const ALGO_RSA = [1, 2];
+const ALGO_ECDH = 18;
+const AES256 = 9;
+// OID della curva Curve25519 per ECDH
+const OID_CURVE25519 = Buffer.from("2b060104019755010501", "hex");
+const KDF_HASH = { 8: "sha256", 9: "sha384", 10: "sha512" };
+const KDF_CIPHER = { 7: 16, 8: 24, 9: 32 }; // AES-128/192/256: lunghezza chiave
+// Tipi di firma (RFC 4880 5.2.1)
+const REVOCA_CHIAVE = 0x20;
+const REVOCA_SOTTOCHIAVE = 0x28;
+const CERTIFICAZIONI = [0x10, 0x11, 0x12, 0x13, 0x1f];
+const LEGAME_SOTTOCHIAVE = 0x18;
+
+/**********************************************
+ * ASCII ARMOR
+ **********************************************/
+function crc24(buf) {
+  let crc = 0xB704CE;
+  for (const byte of buf) {
+    crc ^= byte << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864CFB;
+    }
+  }
+  return crc & 0xFFFFFF;
+}
+
+function armor(type, buf) {
+  const crc = Buffer.alloc(3);
+  crc.writeUIntBE(crc24(buf), 0, 3);
+  return [
+    `-----BEGIN PGP ${type}-----`,
+    "",
+    ...buf.toString("base64").match(/.{1,64}/g),
+    `=${crc.toString("base64")}`,
+    `-----END PGP ${type}-----`,
+    ""
+  ].join("\r\n");
+}
+
+function dearmor(text) {
+  const lines = String(text).replace(/\r/g, "").split("\n");
+  const start = lines.findIndex(l => /^-----BEGIN PGP PUBLIC KEY BLOCK-----/.test(l));
+  const end = lines.findIndex(l => /^-----END PGP PUBLIC KEY BLOCK-----/.test(l));
+  if (start < 0 || end < start) throw new Error("OpenPGP: public key block not found");
+  const body = lines.slice(start + 1, end);
+  // Intestazioni (Comment:, Version:) fino alla prima riga vuota
+  const blank = body.findIndex(l => l.trim() === "");
+  const data = body.slice(blank + 1).filter(l => !l.startsWith("="));
+  return Buffer.from(data.join(""), "base64");
+}
+
+/**********************************************
+ * PACCHETTI
+ **********************************************/
+function readPackets(buf) {
+  const packets = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const ctb = buf[pos++];
+    if (!(ctb & 0x80)) throw new Error("OpenPGP: invalid packet header");
+    let tag, len;
+    if (ctb & 0x40) {
+      // Formato nuovo
+      tag = ctb & 0x3f;
+      const first = buf[pos++];
+      if (first < 192) len = first;
+      else if (first < 224) len = ((first - 192) << 8) + buf[pos++] + 192;
+      else if (first === 255) { len = buf.readUInt32BE(pos); pos += 4; }
+      else throw new Error("OpenPGP: partial packet lengths not supported");
+    } else {
+      // Formato precedente
+      tag = (ctb >> 2) & 0x0f;
+      const type = ctb & 3;
+      if (type === 0) len = buf[pos++];
+      else if (type === 1) { len = buf.readUInt16BE(pos); pos += 2; }
+      else if (type === 2) { len = buf.readUInt32BE(pos); pos += 4; }
+      else throw new Error("OpenPGP: indeterminate packet length not supported");
+    }
+    packets.push({ tag, body: buf.subarray(pos, pos + len) });
+    pos += len;
+  }
+  return packets;
+}
+
+function packet(tag, body) {
+  let len;
+  if (body.length < 192) len = Buffer.from([body.length]);
+  else if (body.length < 8384) len = Buffer.from([((body.length - 192) >> 8) + 192, (body.length - 192) & 0xff]);
+  else {
+    len = Buffer.alloc(5);
+    len[0] = 255;
+    len.writeUInt32BE(body.length, 1);
+  }
+  return Buffer.concat([Buffer.from([0xc0 | tag]), len, body]);
+}
+
+function readMpi(buf, pos) {
+  const bits = buf.readUInt16BE(pos);
+  const len = (bits + 7) >> 3;
+  return { value: buf.subarray(pos + 2, pos + 2 + len), end: pos + 2 + len };
+}
+
+function mpi(value) {
+  let i = 0;
+  while (i < value.length - 1 && value[i] === 0) i++;
+  const v = value.subarray(i);
+  const bits = (v.length - 1) * 8 + (v[0] ? 32 - Math.clz32(v[0]) : 0);
+  const head = Buffer.alloc(2);
+  head.writeUInt16BE(bits);
+  return Buffer.concat([head, v]);
+}
+
+const base64url = (buf) => buf.toString("base64url");
+
+/**********************************************
+ * FIRME: REVOCA E SCADENZA
+ **********************************************/
+// Sottopacchetti di una firma v4: [{ tipo, dati }]
+function readSubpackets(buf) {
+  const out = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let len = buf[pos++];
+    if (len >= 255) { len = buf.readUInt32BE(pos); pos += 4; }
+    else if (len >= 192) len = ((len - 192) << 8) + buf[pos++] + 192;
+    out.push({ tipo: buf[pos] & 0x7f, dati: buf.subarray(pos + 1, pos + len) });
+    pos += len;
+  }
+  return out;
+}
+
+// Firma v3 o v4: { tipo, creata (secondi), scadenza (secondi dalla
+// creazione della chiave, 0 = mai, null = non indicata), emittente (keyId) }
+// Creazione e scadenza valgono solo nella parte firmata
+function parseSignature(body) {
+  if (body[0] === 3) return { tipo: body[2], creata: body.readUInt32BE(3), scadenza: null, emittente: body.subarray(7, 15) };
+  if (body[0] !== 4) return null;
+  const firma = { tipo: body[1], creata: 0, scadenza: null, emittente: null };
+  const fineFirmati = 6 + body.readUInt16BE(4);
+  const firmati = readSubpackets(body.subarray(6, fineFirmati));
+  const nonFirmati = readSubpackets(body.subarray(fineFirmati + 2, fineFirmati + 2 + body.readUInt16BE(fineFirmati)));
+  for (const { tipo, dati } of firmati) {
+    if (tipo === 2) firma.creata = dati.readUInt32BE(0);
+    if (tipo === 9) firma.scadenza = dati.readUInt32BE(0);
+  }
+  for (const { tipo, dati } of [...firmati, ...nonFirmati]) {
+    if (tipo === 16) firma.emittente = dati;
+    // Impronta dell'emittente: versione + impronta, keyId negli ultimi 8 byte
+    if (tipo === 33) firma.emittente = dati.subarray(dati.length - 8);
+  }
+  return firma;
+}
+
+// Stato di una chiave dalle firme che la seguono: { revocata, scadeAt (ms
+// o null) }. La scadenza è quella dell'autofirma più recente dei tipi indicati
+function statoChiave(chiave, { revoca, autofirme, emittente }) {
+  if (chiave.firme.some(f => f.tipo === revoca)) return { revocata: true, scadeAt: null };
+  const ultima = chiave.firme
+    .filter(f => autofirme.includes(f.tipo) && (!f.emittente || f.emittente.equals(emittente)))
+    .sort((a, b) => b.creata - a.creata)[0];
+  const creata = chiave.body.readUInt32BE(1);
+  return { revocata: false, scadeAt: ultima && ultima.scadenza ? (creata + ultima.scadenza) * 1000 : null };
+}
+
+const scaduta = (stato, now) => stato.revocata || (stato.scadeAt !== null && stato.scadeAt <= now);
+
+/**********************************************
+ * CHIAVI PUBBLICHE
+ **********************************************/
+function fingerprintOf(body) {
+  const header = Buffer.alloc(3);
+  header[0] = 0x99;
+  header.writeUInt16BE(body.length, 1);
+  return crypto.createHash("sha1").update(header).update(body).digest();
+}
+
+// Chiave v4 (pacchetto 6 o 14) oppure null se l'algoritmo non cifra
+function parseKey(body) {
+  if (body[0] !== 4) return null;
+  const algoritmo = body[5];
+  const fingerprint = fingerprintOf(body);
+  const key = { algoritmo, fingerprint, keyId: fingerprint.subarray(12) };
+
+  if (ALGO_RSA.includes(algoritmo)) {
+    const n = readMpi(body, 6);
+    const e = readMpi(body, n.end);
+    key.publicKey = crypto.createPublicKey({
+      key: { kty: "RSA", n: base64url(n.value), e: base64url(e.value) },
+      format: "jwk"
+    });
+    return key;
+  }
+
+  if (algoritmo === ALGO_ECDH) {
+    const oidLen = body[6];
+    const oid = body.subarray(7, 7 + oidLen);
+    if (!oid.equals(OID_CURVE25519)) throw new Error("OpenPGP: only Curve25519 ECDH keys are supported");
+    const point = readMpi(body, 7 + oidLen);
+    const kdf = body.subarray(point.end + 1, point.end + 1 + body[point.end]);
+    if (point.value[0] !== 0x40 || !KDF_HASH[kdf[1]] || !KDF_CIPHER[kdf[2]]) {
+      throw new Error("OpenPGP: unsupported ECDH parameters");
+    }
+    key.publicKey = crypto.createPublicKey({
+      key: { kty: "OKP", crv: "X25519", x: base64url(point.value.subarray(1)) },
+      format: "jwk"
+    });
+    key.kdfHash = kdf[1];
+    key.kdfCipher = kdf[2];
+    return key;
+  }
+
+  return null;
+}
+
+// Chiave di cifratura da un blocco "PGP PUBLIC KEY BLOCK", valida alla data
+// now (ms). scadeAt: scadenza della chiave scelta (ms), null se non scade
+export function readPublicKey(armored, now = Date.now()) {
+  // Chiave principale e sottochiavi con le firme che le seguono (quelle
+  // dopo gli user ID sono certificazioni della chiave principale)
+  const chiavi = [];
+  for (const p of readPackets(dearmor(armored))) {
+    if (p.tag === 6 || p.tag === 14) chiavi.push({ tag: p.tag, body: p.body, firme: [] });
+    else if (p.tag === 2 && chiavi.length) {
+      const firma = parseSignature(p.body);
+      if (firma) chiavi[chiavi.length - 1].firme.push(firma);
+    }
+  }
+  const principale = chiavi.find(c => c.tag === 6);
+  if (!principale) throw new Error("OpenPGP: primary key not found");
+  if (principale.body[0] !== 4) throw new Error("OpenPGP: only v4 keys are supported");
+
+  const emittente = fingerprintOf(principale.body).subarray(12);
+  const stato = statoChiave(principale, { revoca: REVOCA_CHIAVE, autofirme: CERTIFICAZIONI, emittente });
+  if (stato.revocata) throw new Error("OpenPGP: key revoked");
+  if (scaduta(stato, now)) throw new Error("OpenPGP: key expired");
+
+  let scartate = false;
+  for (const c of chiavi.filter(c => c.tag === 14)) {
+    const key = parseKey(c.body);
+    if (!key) continue;
+    const statoSottochiave = statoChiave(c, { revoca: REVOCA_SOTTOCHIAVE, autofirme: [LEGAME_SOTTOCHIAVE], emittente });
+    if (scaduta(statoSottochiave, now)) {
+      scartate = true;
+      continue;
+    }
+    const scadenze = [stato.scadeAt, statoSottochiave.scadeAt].filter(s => s !== null);
+    return { ...key, scadeAt: scadenze.length ? Math.min(...scadenze) : null };
+  }
+  const key = parseKey(principale.body);
+  if (!key) throw new Error(scartate ? "OpenPGP: encryption subkeys expired or revoked" : "OpenPGP: no encryption key found");
+  return { ...key, scadeAt: stato.scadeAt };
+}
+
+/**********************************************
+ * CIFRATURA DELLA CHIAVE DI SESSIONE (PKESK v3)
+ **********************************************/
+function checksum(buf) {
+  const sum = buf.reduce((s, b) => (s + b) & 0xffff, 0);
+  return Buffer.from([sum >> 8, sum & 0xff]);
+}
+
+function encryptSessionKey(key, sessionKey) {
+  const m = Buffer.concat([Buffer.from([AES256]), sessionKey, checksum(sessionKey)]);
+  let encrypted;
+
+  if (ALGO_RSA.includes(key.algoritmo)) {
+    encrypted = mpi(crypto.publicEncrypt({ key: key.publicKey, padding: crypto.constants.RSA_PKCS1_PADDING }, m));
+  } else {
+    // ECDH: chiave effimera X25519, KDF e AES key wrap (RFC 6637)
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+    const shared = crypto.diffieHellman({ privateKey, publicKey: key.publicKey });
+    const param = Buffer.concat([
+      Buffer.from([OID_CURVE25519.length]), OID_CURVE25519,
+      Buffer.from([ALGO_ECDH, 3, 1, key.kdfHash, key.kdfCipher]),
+      Buffer.from("Anonymous Sender    ", "ascii"),
+      key.fingerprint
+    ]);
+    const kek = crypto.createHash(KDF_HASH[key.kdfHash])
+      .update(Buffer.from([0, 0, 0, 1])).update(shared).update(param)
+      .digest().subarray(0, KDF_CIPHER[key.kdfCipher]);
+    // Padding PKCS#5 a multipli di 8 byte
+    const pad = 8 - (m.length % 8);
+    const wrapper = crypto.createCipheriv(`id-aes${kek.length * 8}-wrap`, kek, Buffer.from("a6a6a6a6a6a6a6a6", "hex"));
+    const wrapped = Buffer.concat([wrapper.update(Buffer.concat([m, Buffer.alloc(pad, pad)])), wrapper.final()]);
+    const ephemeral = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+    encrypted = Buffer.concat([mpi(Buffer.concat([Buffer.from([0x40]), ephemeral])), Buffer.from([wrapped.length]), wrapped]);
+  }
+
+  return packet(1, Buffer.concat([Buffer.from([3]), key.keyId, Buffer.from([key.algoritmo]), encrypted]));
+}
+
+/**********************************************
+ * MESSAGGIO CIFRATO
+ * data: Buffer o stringa (UTF-8); filename: nome del file decifrato
+ * keys: chiavi da readPublicKey (il file è leggibile da ciascuna)
+ * Restituisce il messaggio ASCII armored
+ **********************************************/
+export function encryptMessage(data, { filename = "", keys }) {
+  if (!keys || keys.length === 0) throw new Error("OpenPGP: no recipient keys");
+  const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+  const name = Buffer.from(filename, "utf8").subarray(0, 255);
+  const date = Buffer.alloc(4);
+  date.writeUInt32BE(Math.floor(Date.now() / 1000));
+  const literal = packet(11, Buffer.concat([Buffer.from([0x62, name.length]), name, date, content]));
+
+  // SEIPD v1: prefisso casuale, dati, MDC (SHA-1), AES-256 CFB con IV nullo
+  const sessionKey = crypto.randomBytes(32);
+  const prefix = crypto.randomBytes(16);
+  const plain = Buffer.concat([prefix, prefix.subarray(14), literal, Buffer.from([0xd3, 0x14])]);
+  const mdc = crypto.createHash("sha1").update(plain).digest();
+  const cipher = crypto.createCipheriv("aes-256-cfb", sessionKey, Buffer.alloc(16));
+  const encrypted = Buffer.concat([cipher.update(Buffer.concat([plain, mdc])), cipher.final()]);
+
+  return armor("MESSAGE", Buffer.concat([
+    ...keys.map(k => encryptSessionKey(k, sessionKey)),
+    packet(18, Buffer.concat([Buffer.from([1]), encrypted]))
+  ]));
+}
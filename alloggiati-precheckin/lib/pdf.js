@@ -0,0 +1,181 @@
+// Documenti PDF di solo testo (ricevuta del pre check-in)
+// Path: /lib/pdf.js
+//
+// Modulo senza dipendenze, caricato dal form con import dinamico.
+// Pagine A4 con i caratteri standard Helvetica e Helvetica-Bold (nessun
+// font incorporato) e codifica WinAnsi: i caratteri fuori tabella perdono
+// gli accenti o diventano "?". A capo automatico e nuove pagine quando
+// il testo non entra.
+
+const A4 = { larghezza: 595.28, altezza: 841.89 };
+const MARGINE = 50;
+const INTERLINEA = 1.35;
+
+// Larghezze dei caratteri ASCII 32-126 (millesimi della dimensione, metriche Adobe)
+const LARGHEZZE = {
+  normale: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  grassetto: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Caratteri WinAnsi oltre Latin-1 (0x80-0x9F)
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92,
+  "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99
+};
+
+// Codice WinAnsi del carattere, senza accenti se non è in tabella
+function codiceCarattere(c) {
+  if (WIN_ANSI[c]) return WIN_ANSI[c];
+  const code = c.charCodeAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) return code;
+  const base = c.normalize("NFD").charAt(0);
+  return base !== c && base.charCodeAt(0) >= 32 && base.charCodeAt(0) <= 126 ? base.charCodeAt(0) : 63;
+}
+
+function larghezzaTesto(testo, grassetto, dimensione) {
+  const tabella = grassetto ? LARGHEZZE.grassetto : LARGHEZZE.normale;
+  let totale = 0;
+  for (const c of testo) {
+    // Lettere accentate: larghezza della lettera base
+    const base = c.normalize("NFD").charCodeAt(0);
+    totale += base >= 32 && base <= 126 ? tabella[base - 32] : 556;
+  }
+  return totale * dimensione / 1000;
+}
+
+// Righe che entrano nella larghezza indicata (a capo tra le parole)
+function dividiRighe(testo, grassetto, dimensione, larghezza) {
+  const righe = [];
+  for (const paragrafo of String(testo).split("\n")) {
+    let riga = "";
+    for (const parola of paragrafo.split(/\s+/).filter(Boolean)) {
+      const prova = riga ? `${riga} ${parola}` : parola;
+      if (!riga || larghezzaTesto(prova, grassetto, dimensione) <= larghezza) {
+        riga = prova;
+      } else {
+        righe.push(riga);
+        riga = parola;
+      }
+    }
+    righe.push(riga);
+  }
+  return righe;
+}
+
+// Stringa PDF: byte WinAnsi, non ASCII in ottale
+function stringaPdf(testo) {
+  let out = "(";
+  for (const c of testo) {
+    const code = codiceCarattere(c);
+    if (c === "(" || c === ")" || c === "\\") out += `\\${c}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, "0")}`;
+    else out += String.fromCharCode(code);
+  }
+  return `${out})`;
+}
+
+// Stringa delle proprietà del documento (UTF-16BE, qualsiasi carattere)
+function stringaUnicode(testo) {
+  let hex = "FEFF";
+  for (let i = 0; i < testo.length; i++) hex += testo.charCodeAt(i).toString(16).padStart(4, "0").toUpperCase();
+  return `<${hex}>`;
+}
+
+/**********************************************
+ * blocchi: [
+ *   { testo, grassetto?, dimensione? (punti, predefinito 10), spazio? (punti prima) }
+ *   { etichetta, testo }   riga a due colonne
+ *   { linea: true }        separatore orizzontale
+ * ]
+ * opzioni.titolo: titolo del documento (proprietà del file)
+ * Restituisce i byte del file (Uint8Array)
+ **********************************************/
+export function creaPdf(blocchi, opzioni = {}) {
+  const larghezzaUtile = A4.larghezza - 2 * MARGINE;
+  const colonnaValore = 170;
+  const pagine = [];
+  let comandi = [];
+  let y = 0;
+
+  const nuovaPagina = () => {
+    comandi = [];
+    pagine.push(comandi);
+    y = A4.altezza - MARGINE;
+  };
+  const scrivi = (testo, x, grassetto, dimensione) => {
+    comandi.push(`BT /${grassetto ? "F2" : "F1"} ${dimensione} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${stringaPdf(testo)} Tj ET`);
+  };
+  // Spazio per l'altezza indicata, altrimenti pagina successiva
+  const riserva = (altezza) => {
+    if (y - altezza < MARGINE) nuovaPagina();
+    y -= altezza;
+  };
+
+  nuovaPagina();
+  for (const b of blocchi) {
+    const dimensione = b.dimensione || 10;
+    const altezzaRiga = dimensione * INTERLINEA;
+    if (b.spazio) y -= b.spazio;
+
+    if (b.linea) {
+      riserva(altezzaRiga / 2);
+      comandi.push(`0.6 G 0.5 w ${MARGINE} ${y.toFixed(2)} m ${(A4.larghezza - MARGINE).toFixed(2)} ${y.toFixed(2)} l S`);
+      y -= altezzaRiga / 2;
+    } else if (b.etichetta !== undefined) {
+      const etichette = dividiRighe(b.etichetta, false, dimensione, colonnaValore - 10);
+      const valori = dividiRighe(b.testo || "-", true, dimensione, larghezzaUtile - colonnaValore);
+      for (let i = 0; i < Math.max(etichette.length, valori.length); i++) {
+        riserva(altezzaRiga);
+        if (etichette[i]) scrivi(etichette[i], MARGINE, false, dimensione);
+        if (valori[i]) scrivi(valori[i], MARGINE + colonnaValore, true, dimensione);
+      }
+    } else {
+      for (const riga of dividiRighe(b.testo, b.grassetto, dimensione, larghezzaUtile)) {
+        riserva(altezzaRiga);
+        scrivi(riga, MARGINE, b.grassetto, dimensione);
+      }
+    }
+  }
+
+  // Oggetti: 1 catalogo, 2 pagine, 3-4 font, 5 informazioni, poi pagina + contenuto
+  const oggetti = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pagine.map((_, i) => `${6 + i * 2} 0 R`).join(" ")}] /Count ${pagine.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${stringaUnicode(opzioni.titolo || "")} /Producer (Pre check-in) >>`
+  ];
+  pagine.forEach((contenuto, i) => {
+    const stream = contenuto.join("\n");
+    oggetti.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.larghezza} ${A4.altezza}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`);
+    oggetti.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  // Tutto ASCII: la posizione in caratteri è quella in byte
+  let pdf = "%PDF-1.4\n";
+  const posizioni = oggetti.map((oggetto, i) => {
+    const posizione = pdf.length;
+    pdf += `${i + 1} 0 obj\n${oggetto}\nendobj\n`;
+    return posizione;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${oggetti.length + 1}\n0000000000 65535 f \n`;
+  pdf += posizioni.map(p => `${String(p).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${oggetti.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, c => c.charCodeAt(0));
+}
@@ -0,0 +1,224 @@
+// Conservazione dei dati e richieste degli interessati (GDPR)
+// Path: /lib/privacy.js
+//
+// Conservazione: i record in archivio (lib/storage.js) con dati degli ospiti
+// sono eliminati RETENTION_DAYS giorni dopo la data di riferimento (partenza
+// per soggiorni e prenotazioni, arrivo per gli esiti dei web service).
+// Predefinito 365 giorni: verificare il periodo richiesto per la propria
+// attività (controlli su imposta di soggiorno e ricevute) prima di cambiarlo.
+//
+// Richieste degli interessati: l'ospite è individuato da cognome, nome e
+// data di nascita. L'esportazione restituisce solo i suoi dati; la
+// cancellazione li sostituisce nei soggiorni con un segnaposto (gli altri
+// ospiti restano) ed elimina le sue righe dagli esiti degli invii.
+// Le email già inviate restano nelle caselle degli host.
+//
+// Fuori dalle collezioni dei soggiorni:
+// - archivio chiave-valore (lib/kv-store.js): risposta e trasmissione
+//   conservate per i nuovi tentativi (lib/idempotency.js), token anti-bot
+//   usato e riserva del link di prenotazione. Scadono da sole (un giorno o
+//   la scadenza del link), ma sono eliminate insieme al soggiorno: il
+//   record ne conserva le chiavi (chiaviInvio)
+// - calendari iCal (lib/ical.js, solo UID e date): le prenotazioni oltre il
+//   periodo di conservazione e quelle di un soggiorno cancellato sono
+//   eliminate; restano quelle che il canale continua a pubblicare fino al
+//   successivo aggiornamento
+
+import { listRecords, loadRecord, saveRecord, deleteRecord } from './storage.js';
+import { unindexStay, appartamentiSoggiorno } from './stays-index.js';
+import { forgetSubmission } from './idempotency.js';
+import { releaseChallenge } from './anti-bot.js';
+import { releaseBooking } from './booking-link.js';
+import { clean } from './guests.js';
+import { TRACCIATO_ALLOGGIATI, leggiRecord, traslittera } from './tracciati.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Collezioni con dati degli ospiti e data da cui parte la conservazione
+const COLLEZIONI = {
+  stays: (r) => r.dataPartenza,
+  bookings: (r) => r.dataPartenza,
+  'alloggiati-ws': (r) => r.dataArrivo,
+  'ross1000-ws': (r) => r.dataArrivo
+};
+
+const INVII = ['alloggiati-ws', 'ross1000-ws'];
+
+export function getRetentionDays() {
+  return parseInt(process.env.RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+}
+
+// Voci dell'invio nell'archivio chiave-valore (soggiorni registrati prima
+// di chiaviInvio: già scadute)
+async function eliminaChiaviInvio(stay, { tutte }) {
+  const chiavi = stay.chiaviInvio || {};
+  if (chiavi.submissionKey) await forgetSubmission(chiavi.submissionKey);
+  if (!tutte) return;
+  if (chiavi.challengeId) await releaseChallenge(chiavi.challengeId);
+  if (chiavi.booking) await releaseBooking({ id: chiavi.booking });
+}
+
+// Elimina dal record di un appartamento (collezione "calendari") le
+// prenotazioni che soddisfano la condizione; restituisce quante
+async function eliminaPrenotazioni(record, condizione) {
+  let eliminate = 0;
+  const calendari = (record.calendari || []).map(c => {
+    const prenotazioni = (c.prenotazioni || []).filter(p => !condizione(p));
+    eliminate += (c.prenotazioni || []).length - prenotazioni.length;
+    return { ...c, prenotazioni };
+  });
+  if (eliminate > 0) await saveRecord('calendari', record.id, { ...record, calendari });
+  return eliminate;
+}
+
+/**********************************************
+ * ELIMINAZIONE DEI RECORD SCADUTI
+ * Restituisce il numero di record eliminati per collezione
+ **********************************************/
+export async function purgeExpired(now = Date.now()) {
+  const limite = new Date(now - getRetentionDays() * DAY).toISOString().slice(0, 10);
+  const eliminati = {};
+  for (const [collezione, dataRiferimento] of Object.entries(COLLEZIONI)) {
+    eliminati[collezione] = 0;
+    for (const record of await listRecords(collezione)) {
+      const data = dataRiferimento(record) || String(record.updatedAt || "").slice(0, 10);
+      if (data && data < limite && await deleteRecord(collezione, record.id)) {
+        eliminati[collezione]++;
+        // Voci dell'indice per mese dei soggiorni (lib/stays-index.js)
+        if (collezione === 'stays') {
+          await unindexStay(record);
+          await eliminaChiaviInvio(record, { tutte: true });
+        }
+      }
+    }
+  }
+  // Prenotazioni dei calendari: un elemento eliminato = una prenotazione
+  eliminati.calendari = 0;
+  for (const record of await listRecords('calendari')) {
+    eliminati.calendari += await eliminaPrenotazioni(record, p => p.dataPartenza < limite);
+  }
+  return eliminati;
+}
+
+/**********************************************
+ * RICERCA DELL'OSPITE
+ * criteri: { cognome, nome, dataNascita (AAAA-MM-GG) }
+ **********************************************/
+const norm = (s) => clean(s).trim().replace(/\s+/g, " ").toLowerCase();
+
+const stessoOspite = (g, c) => !g.cancellato
+  && norm(g.cognome) === norm(c.cognome)
+  && norm(g.nome) === norm(c.nome)
+  && clean(g.dataNascita) === c.dataNascita;
+
+// Esito di un invio riferito all'ospite: la schedina Alloggiati ha cognome,
+// nome e data di nascita in posizioni fisse (traslitterati, lib/tracciati.js),
+// Ross1000 riporta "COGNOME NOME"
+function esitoDellOspite(collezione, esito, c) {
+  if (collezione === 'alloggiati-ws') {
+    const s = leggiRecord(TRACCIATO_ALLOGGIATI, esito.schedina || "");
+    const nascita = c.dataNascita.split("-").reverse().join("/");
+    return norm(s.cognome) === norm(traslittera(c.cognome)) && norm(s.nome) === norm(traslittera(c.nome)) && s.dataNascita === nascita;
+  }
+  return norm(esito.ospite) === norm(`${c.cognome} ${c.nome}`);
+}
+
+// Esiti salvati per il soggiorno: uno per appartamento nelle prenotazioni con più appartamenti
+const idInvii = (stay) => [stay.id, ...stay.alloggi.map(a => `${stay.id}-${a.appartamento}`)];
+
+async function soggiorniDellOspite(criteri) {
+  return (await listRecords('stays')).filter(stay => (stay.guests || []).some(g => stessoOspite(g, criteri)));
+}
+
+/**********************************************
+ * ESPORTAZIONE
+ **********************************************/
+export async function exportGuestData(criteri) {
+  const soggiorni = [];
+  for (const stay of await soggiorniDellOspite(criteri)) {
+    const invii = [];
+    for (const collezione of INVII) {
+      for (const id of idInvii(stay)) {
+        const record = await loadRecord(collezione, id);
+        if (!record) continue;
+        const esiti = (record.esiti || []).filter(e => esitoDellOspite(collezione, e, criteri));
+        if (esiti.length === 0) continue;
+        invii.push({
+          servizio: collezione,
+          appartamento: record.appartamento,
+          stato: record.stato,
+          inviatoAt: record.inviatoAt,
+          esiti
+        });
+      }
+    }
+    soggiorni.push({
+      riferimento: stay.id,
+      appartamenti: appartamentiSoggiorno(stay),
+      dataArrivo: stay.dataArrivo,
+      dataPartenza: stay.dataPartenza,
+      registratoAt: stay.createdAt,
+      ospite: stay.guests.filter(g => stessoOspite(g, criteri)),
+      invii
+    });
+  }
+  return soggiorni;
+}
+
+/**********************************************
+ * CANCELLAZIONE
+ * Restituisce { soggiorni, ospiti } cancellati
+ **********************************************/
+export async function eraseGuestData(criteri) {
+  const cancellatoAt = new Date().toISOString();
+  // Il segnaposto mantiene la posizione dell'ospite (id Ross1000 progressivi)
+  const segnaposto = (g) => stessoOspite(g, criteri)
+    ? { cancellato: true, appartamento: clean(g.appartamento), cancellatoAt }
+    : g;
+
+  let ospiti = 0;
+  const soggiorni = await soggiorniDellOspite(criteri);
+  for (const stay of soggiorni) {
+    ospiti += stay.guests.filter(g => stessoOspite(g, criteri)).length;
+    const guests = stay.guests.map(segnaposto);
+
+    // Nessun ospite rimasto: soggiorno, esiti, voci dell'invio e prenotazione
+    // nei calendari eliminati del tutto
+    if (guests.every(g => g.cancellato)) {
+      await deleteRecord('stays', stay.id);
+      await unindexStay(stay);
+      for (const collezione of INVII) {
+        for (const id of idInvii(stay)) await deleteRecord(collezione, id);
+      }
+      await eliminaChiaviInvio(stay, { tutte: true });
+      for (const appartamento of appartamentiSoggiorno(stay)) {
+        const calendario = await loadRecord('calendari', appartamento);
+        if (calendario) {
+          await eliminaPrenotazioni(calendario, p => p.dataArrivo === stay.dataArrivo && p.dataPartenza === stay.dataPartenza);
+        }
+      }
+      continue;
+    }
+
+    // Risposta e trasmissione conservate per i nuovi tentativi contengono
+    // anche i dati dell'ospite cancellato
+    await eliminaChiaviInvio(stay, { tutte: false });
+
+    await saveRecord('stays', stay.id, {
+      ...stay,
+      guests,
+      alloggi: stay.alloggi.map(a => ({ ...a, guests: a.guests.map(segnaposto) }))
+    });
+    for (const collezione of INVII) {
+      for (const idInvio of idInvii(stay)) {
+        const record = await loadRecord(collezione, idInvio);
+        if (!record || !record.esiti) continue;
+        const esiti = record.esiti.filter(e => !esitoDellOspite(collezione, e, criteri));
+        if (esiti.length === record.esiti.length) continue;
+        await saveRecord(collezione, idInvio, { ...record, esiti });
+      }
+    }
+  }
+  return { soggiorni: soggiorni.length, ospiti };
+}
@@ -0,0 +1,57 @@
+// Anagrafica appartamenti (data/properties.json)
+// Path: /lib/properties.js
+//
+// Ogni appartamento: id, nome visualizzato, codice struttura per le
+// statistiche regionali (codiceStruttura), camere, posti letto, zona
+// dell'imposta di soggiorno (data/imposta_soggiorno.json) e destinatari
+// dell'email di riepilogo.
+// Facoltativo statistiche: sistema delle statistiche regionali
+// (lib/statistiche.js: "ross1000", predefinito, o "istat-c59").
+// Facoltativo chiaviPgp: file in data/pgp con le chiavi pubbliche OpenPGP
+// degli host; se presenti riepilogo e allegati viaggiano cifrati.
+// Le chiavi scadute, revocate o illeggibili sono escluse (con un errore nel
+// log); se non ne resta nessuna l'invio fallisce invece di partire in chiaro.
+// Le credenziali dei web service restano nelle variabili d'ambiente.
+
+import { loadDataFile, loadDataText } from './data.js';
+import { readPublicKey } from './openpgp.js';
+
+export function loadProperties() {
+  return loadDataFile('properties.json');
+}
+
+// Cerca per id; accetta anche il nome visualizzato (payload precedenti)
+export function getProperty(idOrName) {
+  if (!idOrName || typeof idOrName !== 'string') return null;
+  const key = idOrName.trim();
+  return loadProperties().find(p => p.id === key || p.nome === key) || null;
+}
+
+// Chiavi OpenPGP valide di uno o più appartamenti (senza duplicati)
+const chiavi = new Map();
+
+export function getPublicKeys(properties, now = Date.now()) {
+  const files = [...new Set([].concat(properties).flatMap(p => p.chiaviPgp || []))];
+  const valide = [];
+  for (const file of files) {
+    try {
+      // Chiave scelta scaduta: nuova lettura (il file può avere un'altra sottochiave)
+      const letta = chiavi.get(file);
+      if (!letta || (letta.scadeAt !== null && letta.scadeAt <= now)) {
+        chiavi.set(file, readPublicKey(loadDataText(`pgp/${file}`), now));
+      }
+      valide.push(chiavi.get(file));
+    } catch (e) {
+      chiavi.delete(file);
+      console.error('[OPENPGP]', { file, message: e.message, timestamp: new Date().toISOString() });
+    }
+  }
+  if (files.length > 0 && valide.length === 0) throw new Error("OpenPGP: no valid host key");
+  return valide;
+}
+
+// Solo i campi che il form può vedere (camere e posti letto servono
+// per assegnare gli ospiti alle camere)
+export function publicProperties() {
+  return loadProperties().map(p => ({ id: p.id, nome: p.nome, camere: p.camere, letti: p.letti }));
+}
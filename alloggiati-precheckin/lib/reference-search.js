@@ -0,0 +1,219 @@
+// Ricerca nelle tabelle di riferimento (stati, province, comuni)
+// Path: /lib/reference-search.js
+//
+// Usata da /api/reference per l'autocomplete del form. Il confronto ignora
+// maiuscole, accenti, apostrofi e spazi multipli; gli stati si trovano in
+// tutte le lingue del form (lib/i18n.js), i comuni anche senza la sigla
+// della provincia. Ordine dei risultati: nome uguale al testo, nome che
+// inizia con il testo, parola che inizia con il testo, testo contenuto nel
+// nome, infine nomi simili e parole simili (errori di battitura). A parità
+// prima meno errori, poi i nomi di cui il testo copre la parte più lunga.
+// Nomi degli stati: italiano e inglese dal file ("Italiano / English"), le
+// altre lingue da Intl.DisplayNames con il codice ISO alpha-2 (iso2).
+
+import { loadDataFile } from './data.js';
+import { LINGUE } from './i18n.js';
+
+const TABELLE = {
+  stati: ['stati_istat.json'],
+  province: ['province.json'],
+  comuni: ['comuni_istat.json'],
+  // Luogo di rilascio del documento: stato estero o comune italiano
+  luoghi: ['stati_istat.json', 'comuni_istat.json']
+};
+
+export const MAX_RISULTATI = 50;
+const RISULTATI_PREDEFINITI = 20;
+// Lunghezza minima del testo per la ricerca per somiglianza
+const MIN_FUZZY = 4;
+
+export const TABELLE_RICERCA = Object.keys(TABELLE);
+
+// Stati senza codice ISO alpha-2
+const NOMI_SENZA_ISO = {
+  "100000999": { de: "Staatenlos", fr: "Apatride", es: "Apátrida" }
+};
+
+export const normalizza = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/["'`’]/g, '').replace(/\s+/g, ' ').trim();
+
+// Comune esistente alla data indicata (AAAA-MM-GG, estremi compresi)
+export function comuneValidoAl(comune, data) {
+  return (!comune.dataInizio || comune.dataInizio <= data) && (!comune.dataFine || comune.dataFine >= data);
+}
+
+const nomiRegioni = new Map();
+
+// Nome CLDR di uno stato (null se la lingua o il codice non sono disponibili)
+function nomeRegione(lingua, iso2) {
+  if (!nomiRegioni.has(lingua)) {
+    let nomi = null;
+    try {
+      nomi = new Intl.DisplayNames([lingua], { type: 'region', fallback: 'none' });
+    } catch (e) {
+      // Runtime senza Intl.DisplayNames
+    }
+    nomiRegioni.set(lingua, nomi);
+  }
+  const nomi = nomiRegioni.get(lingua);
+  try {
+    return nomi && iso2 ? nomi.of(iso2) || null : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Nome di uno stato in ogni lingua del form: { en, it, de, fr, es }.
+// Senza nome nella lingua resta quello inglese
+function nomiStato(voce) {
+  const [it, en = it] = voce.nome.split(' / ');
+  const nomi = { it, en, ...NOMI_SENZA_ISO[voce.codice] };
+  for (const lingua of LINGUE.filter(l => !nomi[l])) nomi[lingua] = nomeRegione(lingua, voce.iso2) || en;
+  return nomi;
+}
+
+const indici = new Map();
+
+// Nomi e parole normalizzati di ogni voce (calcolati una sola volta per file)
+function getIndice(file) {
+  if (indici.has(file)) return indici.get(file);
+  const stati = file === 'stati_istat.json';
+  const indice = loadDataFile(file).map(voce => {
+    const nomiLingua = stati ? nomiStato(voce) : null;
+    const nomi = new Set();
+    for (const parte of [...voce.nome.split(' / '), ...Object.values(nomiLingua || {})]) {
+      const nome = normalizza(parte);
+      nomi.add(nome);
+      nomi.add(nome.replace(/\s*\([a-z]{2}\)$/, ''));
+    }
+    const parole = new Set([...nomi].flatMap(n => n.split(/[\s()-]+/).filter(Boolean)));
+    return { voce, comune: file === 'comuni_istat.json', nomiLingua, nomi: [...nomi], parole: [...parole] };
+  });
+  indici.set(file, indice);
+  return indice;
+}
+
+// Distanza di modifica (con scambio di due lettere vicine), interrotta
+// appena supera il massimo
+function distanza(a, b, max) {
+  let prima = null;
+  let prec = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const riga = [i];
+    let minimo = i;
+    for (let j = 1; j <= b.length; j++) {
+      riga[j] = Math.min(prec[j] + 1, riga[j - 1] + 1, prec[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prima && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        riga[j] = Math.min(riga[j], prima[j - 2] + 1);
+      }
+      minimo = Math.min(minimo, riga[j]);
+    }
+    if (minimo > max) return max + 1;
+    prima = prec;
+    prec = riga;
+  }
+  return prec[b.length];
+}
+
+// Inizio di un nome simile al testo con meno errori: { errori, scarto }
+// (scarto = lettere del nome dopo l'inizio confrontato) oppure null.
+// L'inizio confrontato può essere più corto o più lungo del testo digitato
+// quando manca o avanza una lettera.
+function simile(nomi, q, max) {
+  let migliore = null;
+  for (const n of nomi) {
+    for (let k = -max; k <= max; k++) {
+      const inizio = n.slice(0, q.length + k);
+      if (inizio.length !== q.length + k) continue;
+      const errori = distanza(q, inizio, max);
+      if (errori > max) continue;
+      const scarto = n.length - inizio.length;
+      if (!migliore || errori < migliore.errori || (errori === migliore.errori && scarto < migliore.scarto)) {
+        migliore = { errori, scarto };
+      }
+    }
+  }
+  return migliore;
+}
+
+// Lettere non digitate del nome più corto che soddisfa la condizione
+// (Infinity se nessuno)
+const scartoMinimo = (nomi, q, condizione) => Math.min(...nomi.filter(condizione).map(n => n.length - q.length));
+
+// Posizione nell'ordinamento: { p, errori, scarto } (null = non trovato).
+// Un nome intero simile viene prima di una parola simile: "veneza" trova
+// VENEZIA prima di ANGUILLARA VENETA
+function punteggio(elemento, q) {
+  if (elemento.nomi.includes(q)) return { p: 0, errori: 0, scarto: 0 };
+  const esatti = [
+    [elemento.nomi, n => n.startsWith(q)],
+    [elemento.parole, p => p.startsWith(q)],
+    [elemento.nomi, n => n.includes(q)]
+  ];
+  for (let i = 0; i < esatti.length; i++) {
+    const scarto = scartoMinimo(esatti[i][0], q, esatti[i][1]);
+    if (scarto !== Infinity) return { p: i + 1, errori: 0, scarto };
+  }
+  if (q.length < MIN_FUZZY) return null;
+  // Simile all'inizio di un nome o di una parola: 1 errore, 2 dagli 8 caratteri
+  const max = q.length >= 8 ? 2 : 1;
+  const nome = simile(elemento.nomi, q, max);
+  if (nome) return { p: 4, ...nome };
+  const parola = simile(elemento.parole, q, max);
+  return parola ? { p: 5, ...parola } : null;
+}
+
+/**********************************************
+ * RICERCA
+ * tabella: stati | province | comuni | luoghi
+ * criteri: { q (testo), codice, iso3, data (AAAA-MM-GG: solo i comuni
+ *            esistenti a quella data), limite, lingua }
+ * Restituisce le voci come nei file /data, senza criteri un elenco vuoto.
+ * Con lingua (una di LINGUE) il nome degli stati è in quella lingua e
+ * nomi contiene quelli in tutte le lingue (per riconoscere il testo digitato).
+ **********************************************/
+export function cercaRiferimenti(tabella, criteri = {}) {
+  const q = normalizza(criteri.q);
+  const codice = String(criteri.codice || '').trim();
+  const iso3 = String(criteri.iso3 || '').trim().toUpperCase();
+  const data = /^\d{4}-\d{2}-\d{2}$/.test(criteri.data || '') ? criteri.data : '';
+  const limite = Math.min(Math.max(parseInt(criteri.limite, 10) || RISULTATI_PREDEFINITI, 1), MAX_RISULTATI);
+  const lingua = LINGUE.includes(criteri.lingua) ? criteri.lingua : null;
+  if (!TABELLE[tabella] || (!q && !codice && !iso3)) return [];
+
+  const trovati = [];
+  for (const file of TABELLE[tabella]) {
+    for (const elemento of getIndice(file)) {
+      const { voce } = elemento;
+      if (codice && voce.codice !== codice) continue;
+      if (iso3 && voce.iso3 !== iso3) continue;
+      if (data && elemento.comune && !comuneValidoAl(voce, data)) continue;
+      const posizione = q ? punteggio(elemento, q) : { p: 0, errori: 0, scarto: 0 };
+      if (posizione !== null) trovati.push({ elemento, ...posizione });
+    }
+  }
+
+  // Ordinamento stabile: a parità di punteggio, errori e lettere non digitate
+  // resta l'ordine alfabetico dei file
+  return trovati
+    .sort((a, b) => a.p - b.p || a.errori - b.errori || a.scarto - b.scarto)
+    .slice(0, limite).map(({ elemento }) =>
+    lingua && elemento.nomiLingua
+      ? { ...elemento.voce, nome: elemento.nomiLingua[lingua], nomi: [...new Set(Object.values(elemento.nomiLingua))] }
+      : elemento.voce);
+}
+
+let nomiLuoghi = null;
+
+// Nome di uno stato o di un comune dal codice, come nei file /data
+// (null se il codice non esiste)
+export function nomeLuogo(codice) {
+  if (!nomiLuoghi) {
+    nomiLuoghi = new Map();
+    for (const file of TABELLE.luoghi) {
+      // Comuni con più periodi di validità: il nome è lo stesso
+      for (const { voce } of getIndice(file)) if (!nomiLuoghi.has(voce.codice)) nomiLuoghi.set(voce.codice, voce.nome);
+    }
+  }
+  return nomiLuoghi.get(String(codice || '')) || null;
+}
@@ -0,0 +1,139 @@
+// Client per il web service Ross1000 (flussi turistici Regione Veneto)
+// Path: /lib/ross1000-ws.js
+//
+// Invia la movimentazione (<movimenti> generato da lib/ross1000.js) con il metodo
+// inviaMovimentazione e legge l'esito per ogni <arrivo>.
+// L'endpoint è configurabile con ROSS1000_WS_URL, così da poter puntare
+// a un servizio finto in locale durante i test.
+
+import { unescapeXml, getTags, getTag } from './xml.js';
+
+const DEFAULT_WS_URL = "https://flussituristici.regione.veneto.it/ws/checkinV2";
+const SOAP_NS = "http://checkin.ws.service.turismo5.gies.it/";
+const WS_TIMEOUT = 20 * 1000; // 20 secondi
+
+/**********************************************
+ * CREDENZIALI PER APPARTAMENTO
+ * ROSS1000_WS_CREDENTIALS = JSON del tipo
+ * { "Station Apartment": { "utente": "...", "password": "..." } }
+ **********************************************/
+export function getRossCredentials(property) {
+  const raw = process.env.ROSS1000_WS_CREDENTIALS;
+  if (!raw) return null;
+  try {
+    const all = JSON.parse(raw);
+    const cred = all[property.id] || all[property.nome];
+    if (!cred || !cred.utente || !cred.password) return null;
+    return cred;
+  } catch (e) {
+    console.error('[ROSS1000 WS] ROSS1000_WS_CREDENTIALS non è un JSON valido');
+    return null;
+  }
+}
+
+/**********************************************
+ * HELPER XML
+ **********************************************/
+// Esito positivo: "OK", "true", "0" (codice errore nullo)
+const isOk = (val) => /^(ok|true|0|accettato)$/i.test(String(val || "").trim());
+
+const textOf = (xml, names) => {
+  for (const n of names) {
+    const v = getTag(xml, n);
+    if (v !== null && v.trim()) return unescapeXml(v).trim();
+  }
+  return "";
+};
+
+/**********************************************
+ * PARSING RISPOSTA
+ * La risposta riporta un esito generale e, per ogni arrivo, un blocco
+ * con <idswh> e il relativo esito/errore. Gli arrivi non citati nella
+ * risposta prendono l'esito generale.
+ **********************************************/
+export function parseRossResponse(xml, arrivi) {
+  const body = getTag(xml, 'return') || getTag(xml, 'Body') || xml;
+  const esitoGenerale = textOf(body.replace(/<(?:[\w-]+:)?arrivo[\s>][\s\S]*?<\/(?:[\w-]+:)?arrivo>/g, ""), ['esito', 'codice']);
+  const erroreGenerale = textOf(body.replace(/<(?:[\w-]+:)?arrivo[\s>][\s\S]*?<\/(?:[\w-]+:)?arrivo>/g, ""), ['errore', 'descrizione', 'messaggio']);
+  const generaleOk = esitoGenerale ? isOk(esitoGenerale) : !erroreGenerale;
+
+  const perArrivo = {};
+  for (const block of getTags(body, 'arrivo')) {
+    const id = textOf(block, ['idswh']);
+    if (!id) continue;
+    const esito = textOf(block, ['esito', 'codice']);
+    const errore = textOf(block, ['errore', 'descrizione', 'messaggio']);
+    perArrivo[id] = { esito: esito ? isOk(esito) : !errore, errore: errore || null };
+  }
+
+  return {
+    esito: generaleOk,
+    errore: generaleOk ? null : (erroreGenerale || esitoGenerale || "Movimentazione rifiutata"),
+    esiti: arrivi.map(a => {
+      const r = perArrivo[a.idswh];
+      if (r) return { ...a, esito: r.esito, errore: r.esito ? null : (r.errore || "Arrivo rifiutato") };
+      return { ...a, esito: generaleOk, errore: generaleOk ? null : (erroreGenerale || "Movimentazione rifiutata") };
+    })
+  };
+}
+
+/**********************************************
+ * INVIO MOVIMENTAZIONE
+ * xmlRoss: documento <movimenti> completo
+ * arrivi:  [{ idswh, ospite }] per collegare l'esito agli ospiti
+ *
+ * stato: "inviato" | "parziale" | "rifiutato" | "errore"
+ **********************************************/
+export async function inviaMovimentazione(credentials, xmlRoss, arrivi) {
+  const inviatoAt = new Date().toISOString();
+  try {
+    // Il contenuto di <movimenti> va dentro <movimentazione>
+    const movimentazione = (getTag(xmlRoss, 'movimenti') || "").trim();
+    const envelope = `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:chec="${SOAP_NS}">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <chec:inviaMovimentazione>
+      <movimentazione>
+        ${movimentazione}
+      </movimentazione>
+    </chec:inviaMovimentazione>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+    const auth = Buffer.from(`${credentials.utente}:${credentials.password}`, "utf8").toString("base64");
+    const wsRes = await fetch(process.env.ROSS1000_WS_URL || DEFAULT_WS_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "text/xml; charset=utf-8",
+        "SOAPAction": '""',
+        "Authorization": `Basic ${auth}`
+      },
+      body: envelope,
+      signal: AbortSignal.timeout(WS_TIMEOUT)
+    });
+
+    const text = await wsRes.text();
+    const fault = getTag(text, 'faultstring');
+    if (fault !== null) {
+      throw new Error(`SOAP fault: ${unescapeXml(fault).trim()}`);
+    }
+    if (!wsRes.ok) {
+      throw new Error(`HTTP ${wsRes.status}`);
+    }
+
+    const parsed = parseRossResponse(text, arrivi);
+    const accettati = parsed.esiti.filter(e => e.esito).length;
+    // Rettifiche senza arrivi (solo partenze/occupazione): vale l'esito generale
+    const stato = !arrivi.length
+      ? (parsed.esito ? "inviato" : "rifiutato")
+      : (accettati === arrivi.length ? "inviato" : (accettati > 0 ? "parziale" : "rifiutato"));
+    return { stato, errore: parsed.errore, esiti: parsed.esiti, inviatoAt };
+  } catch (err) {
+    console.error('[ROSS1000 WS ERROR]', {
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+    return { stato: "errore", errore: err.message, esiti: [], inviatoAt };
+  }
+}
@@ -0,0 +1,296 @@
+// Generazione movimentazione Ross1000 (GIES pipe-delimited + XML <movimenti>)
+// Path: /lib/ross1000.js
+//
+// Un <movimento> per ogni giorno del soggiorno, dalla data di arrivo alla
+// data di partenza compresa:
+// - giorno di arrivo: arrivi di tutti gli ospiti + prenotazione
+// - giorni intermedi: solo occupazione camere
+// - camere occupate: quelle assegnate agli ospiti (stay.camereOccupate),
+//   altrimenti tutte le camere dell'appartamento, più quelle di altri
+//   soggiorni nello stesso giorno (opzioni.altreCamere, rettifiche)
+// - giorno di partenza: partenze di tutti gli ospiti, camere libere
+//
+// Struttura GIES:
+// HDR|CODICE_STRUTTURA|PRODOTTO
+// MOV|DATA|APERTURA|CAMERE_OCC|CAMERE_DISP|LETTI_DISP
+// ARR|IDSWH|TIPO|IDCAPO|SESSO|CITT|STATO_RES|COMUNE_RES|DATA_NASC|STATO_NASC|COMUNE_NASC|TIPO_TUR|MEZZO|CANALE|TITOLO|PROF|ESEN
+// PAR|IDSWH|TIPO|DATA_ARRIVO
+// PRE|IDSWH|ARRIVO|PARTENZA|OSPITI|CAMERE|PREZZO|CANALE|STATO_PROV|COMUNE_PROV
+// END
+// (campi e controlli in lib/tracciati.js)
+
+import { loadDataFile } from './data.js';
+import { ITALY_CODE, clean, determineTipoAlloggiato } from './guests.js';
+import { componiGies } from './tracciati.js';
+import { escapeXml, getTag } from './xml.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Formato data GIES: AAAAMMGG
+export const formatDateGIES = (d) => {
+  if (!d) return "";
+  const parts = d.split("-");
+  if (parts.length !== 3) return d.replace(/-/g, "");
+  const [year, month, day] = parts;
+  return `${year}${month}${day}`;
+};
+
+// Mappatura tipo alloggiato GIES
+// 16 = Capo Famiglia, 17 = Capo Gruppo, 18 = Ospite Singolo, 19 = Familiare, 20 = Membro Gruppo
+export const mapTipoGIES = (tipo) => {
+  const mapping = {
+    "16": "18",  // Ospite singolo nel form -> 18 in GIES
+    "17": "16",  // Capofamiglia nel form -> 16 in GIES
+    "18": "17",  // Capogruppo nel form -> 17 in GIES
+    "19": "19",  // Familiare
+    "20": "20"   // Membro gruppo
+  };
+  return mapping[tipo] || "18";
+};
+
+// Sesso: M = Maschio, F = Femmina (formato XML Ross1000)
+const mapSessoGIES = (s) => {
+  if (s === "1" || s === 1) return "M";
+  if (s === "2" || s === 2) return "F";
+  return "";
+};
+
+// Tutti i giorni (AAAA-MM-GG) da arrivo a partenza compresi
+export function elencoGiorni(dataArrivo, dataPartenza) {
+  const out = [];
+  const end = Date.parse(`${dataPartenza}T00:00:00Z`);
+  for (let t = Date.parse(`${dataArrivo}T00:00:00Z`); t <= end; t += DAY) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+// Stato di nascita: nel XML deve essere uguale alla cittadinanza.
+// Se manca, usa il codice dal form o cerca il nome in stati_istat.json
+function resolveStatoNascita(g, cittadinanza) {
+  if (cittadinanza) return cittadinanza;
+  if (clean(g.statoNascita)) return clean(g.statoNascita);
+  const statoInput = clean(g.statoNascitaNome).toLowerCase().trim();
+  if (!statoInput) return "";
+  try {
+    const statoObj = loadDataFile('stati_istat.json').find(s => s.nome.toLowerCase().includes(statoInput));
+    return statoObj ? statoObj.codice : "";
+  } catch (e) {
+    return "";
+  }
+}
+
+// Dati Ross1000 di ciascun ospite
+function mapOspiti(guests, baseId, imposta) {
+  const firstGuestId = parseInt(baseId);
+  return guests.map((g, i) => {
+    const cittadinanza = clean(g.cittadinanza);
+    // Residenza: per cittadini stranieri, se comuneResidenza è vuoto, usa il codice della cittadinanza
+    let comuneResidenza = clean(g.comuneResidenza);
+    if (!comuneResidenza && cittadinanza && cittadinanza !== ITALY_CODE) {
+      comuneResidenza = cittadinanza;
+    }
+    return {
+      idswh: firstGuestId + i,
+      tipo: mapTipoGIES(determineTipoAlloggiato(g, i, guests.length)),
+      idCapo: i === 0 ? "" : firstGuestId,
+      cognome: clean(g.cognome),
+      nome: clean(g.nome),
+      sesso: mapSessoGIES(clean(g.sesso)),
+      cittadinanza,
+      statoResidenza: cittadinanza,
+      comuneResidenza,
+      dataNascita: formatDateGIES(clean(g.dataNascita)),
+      statoNascita: resolveStatoNascita(g, cittadinanza),
+      comuneNascita: clean(g.comuneNascita),
+      esenzione: imposta && imposta.ospiti[i] ? imposta.ospiti[i].esenzione : ""
+    };
+  });
+}
+
+/**********************************************
+ * stay: {
+ *   codiceStruttura, camere, letti, camereOccupate (facoltativo),
+ *   dataArrivo, dataPartenza (AAAA-MM-GG),
+ *   guests, baseId (id numerico progressivo degli ospiti),
+ *   imposta (facoltativo, da lib/imposta-soggiorno.js: codici esenzione)
+ * }
+ * opzioni.dal / opzioni.al: genera i movimenti solo per questo intervallo
+ * di giorni (rettifiche di partenza anticipata o proroga). I giorni dopo
+ * la partenza risultano con camere libere, così da sovrascrivere
+ * l'occupazione inviata in precedenza.
+ * opzioni.altreCamere: { "AAAA-MM-GG": camere } occupate da altri soggiorni
+ * dello stesso appartamento, sommate a quelle del soggiorno (al massimo
+ * tutte le camere): una rettifica non libera le camere di un altro ospite
+ * opzioni.lingua: lingua dei messaggi di errore (lib/i18n.js)
+ **********************************************/
+export function buildRoss1000(stay, opzioni = {}) {
+  const { codiceStruttura, camere, letti, dataArrivo, dataPartenza, guests, baseId } = stay;
+  const ospiti = mapOspiti(guests, baseId, stay.imposta);
+  const arrivoGIES = formatDateGIES(dataArrivo);
+  const partenzaGIES = formatDateGIES(dataPartenza);
+  const prenotazioneId = `P${baseId}`;
+  const camerePrenotate = stay.camereOccupate || camere;
+  const altreCamere = opzioni.altreCamere || {};
+  const statoProvFirst = guests[0]?.cittadinanza || ITALY_CODE;
+  const comuneProvFirst = guests[0]?.comuneResidenza || "";
+
+  const giorni = elencoGiorni(opzioni.dal || dataArrivo, opzioni.al || dataPartenza)
+    .filter(d => d >= dataArrivo);
+
+  // Righe GIES dal tracciato (lib/tracciati.js): un campo non valido
+  // esclude il file GIES; pos = posizione dell'ospite nel gruppo
+  const giesLines = [];
+  const errori = [];
+  const gies = (tipo, valori, pos = null) => {
+    const { riga, errori: erroriRiga } = componiGies(tipo, valori, opzioni.lingua);
+    if (riga) giesLines.push(riga);
+    erroriRiga.forEach(e => errori.push({ pos, ...e }));
+  };
+
+  gies("HDR", { codiceStruttura });
+  let xmlMovimenti = "";
+
+  for (const giorno of giorni) {
+    const isArrivo = giorno === dataArrivo;
+    const isPartenza = giorno === dataPartenza;
+    const dataGIES = formatDateGIES(giorno);
+    // Camere occupate fino alla notte prima della partenza
+    const camereOccupate = Math.min(camere, (giorno >= dataPartenza ? 0 : camerePrenotate) + (altreCamere[giorno] || 0));
+
+    gies("MOV", { data: dataGIES, apertura: "SI", camereOccupate, camereDisponibili: camere, lettiDisponibili: letti });
+
+    let xmlArrivi = "";
+    let xmlPartenze = "";
+    let xmlPrenotazioni = "";
+
+    if (isArrivo) {
+      ospiti.forEach((o, pos) => {
+        gies("ARR", o, pos);
+        xmlArrivi += `
+        <arrivo>
+          <idswh>${o.idswh}</idswh>
+          <tipoalloggiato>${o.tipo}</tipoalloggiato>
+          <idcapo>${o.idCapo}</idcapo>
+          <cognome>${escapeXml(o.cognome)}</cognome>
+          <nome>${escapeXml(o.nome)}</nome>
+          <sesso>${o.sesso}</sesso>
+          <cittadinanza>${o.cittadinanza}</cittadinanza>
+          <statoresidenza>${o.statoResidenza}</statoresidenza>
+          <luogoresidenza>${o.comuneResidenza}</luogoresidenza>
+          <datanascita>${o.dataNascita}</datanascita>
+          <statonascita>${o.statoNascita}</statonascita>
+          <comunenascita>${o.comuneNascita}</comunenascita>
+          <tipoturismo>Non specificato</tipoturismo>
+          <mezzotrasporto>Non specificato</mezzotrasporto>
+          <canaleprenotazione>Non specificato</canaleprenotazione>
+          <titolostudio>Non specificato</titolostudio>
+          <professione>Non specificato</professione>
+          <esenzioneimposta>${escapeXml(o.esenzione)}</esenzioneimposta>
+        </arrivo>`;
+      });
+
+      gies("PRE", {
+        idswh: prenotazioneId,
+        arrivo: arrivoGIES,
+        partenza: partenzaGIES,
+        ospiti: guests.length,
+        camere: camerePrenotate,
+        prezzo: "0.00",
+        statoProvenienza: statoProvFirst,
+        comuneProvenienza: comuneProvFirst
+      });
+      xmlPrenotazioni = `
+        <prenotazione>
+          <idswh>${prenotazioneId}</idswh>
+          <arrivo>${arrivoGIES}</arrivo>
+          <partenza>${partenzaGIES}</partenza>
+          <ospiti>${guests.length}</ospiti>
+          <camere>${camerePrenotate}</camere>
+          <prezzo>0.00</prezzo>
+          <canaleprenotazione>Non specificato</canaleprenotazione>
+          <statoprovenienza>${statoProvFirst}</statoprovenienza>
+          <comuneprovenienza>${comuneProvFirst}</comuneprovenienza>
+        </prenotazione>`;
+    }
+
+    if (isPartenza) {
+      ospiti.forEach((o, pos) => {
+        gies("PAR", { idswh: o.idswh, tipo: o.tipo, dataArrivo: arrivoGIES }, pos);
+        xmlPartenze += `
+        <partenza>
+          <idswh>${o.idswh}</idswh>
+          <tipoalloggiato>${o.tipo}</tipoalloggiato>
+          <arrivo>${arrivoGIES}</arrivo>
+        </partenza>`;
+      });
+    }
+
+    xmlMovimenti += `
+  <movimento>
+    <data>${dataGIES}</data>
+    <struttura>
+      <apertura>SI</apertura>
+      <camereoccupate>${camereOccupate}</camereoccupate>
+      <cameredisponibili>${camere}</cameredisponibili>
+      <lettidisponibili>${letti}</lettidisponibili>
+    </struttura>${xmlArrivi ? `
+    <arrivi>${xmlArrivi}
+    </arrivi>` : ""}${xmlPartenze ? `
+    <partenze>${xmlPartenze}
+    </partenze>` : ""}${xmlPrenotazioni ? `
+    <prenotazioni>${xmlPrenotazioni}
+    </prenotazioni>` : ""}
+  </movimento>`;
+  }
+
+  gies("END");
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<movimenti>
+  <codice>${escapeXml(codiceStruttura)}</codice>
+  <prodotto>LovelyVeniceApartments PreCheckin</prodotto>${xmlMovimenti}
+</movimenti>`;
+
+  return {
+    gies: errori.length ? null : giesLines.join("\r\n"),
+    // Errori del tracciato GIES: { pos, campo, message }
+    errori,
+    xml,
+    // Dati di ciascun ospite (anteprima per l'ospite, lib/anteprima.js)
+    ospiti,
+    // Per collegare l'esito del web service agli ospiti
+    arrivi: giorni.includes(dataArrivo)
+      ? ospiti.map(o => ({ idswh: String(o.idswh), ospite: `${o.cognome.toUpperCase()} ${o.nome.toUpperCase()}`.trim() }))
+      : []
+  };
+}
+
+/**********************************************
+ * MOVIMENTI RIFIUTATI
+ * Dopo un invio parziale al web service: solo i <movimento> con arrivi o
+ * partenze degli ospiti rifiutati (idswh), senza gli altri ospiti e senza
+ * la prenotazione, già accettati. Restituisce l'XML per il caricamento
+ * manuale, null se nessun movimento resta.
+ **********************************************/
+export function movimentiRifiutati(xml, idswh) {
+  const rifiutati = new Set(idswh.map(String));
+  const delOspite = (blocco) => rifiutati.has((getTag(blocco, 'idswh') || "").trim());
+  // Elenco <arrivi> o <partenze> con i soli elementi degli ospiti rifiutati
+  const filtra = (movimento, elenco, elemento) => movimento.replace(
+    new RegExp(`\\n\\s*<${elenco}>([\\s\\S]*?)\\n\\s*</${elenco}>`),
+    (intero, contenuto) => {
+      const tenuti = (contenuto.match(new RegExp(`\\n\\s*<${elemento}>[\\s\\S]*?</${elemento}>`, 'g')) || []).filter(delOspite);
+      return tenuti.length ? intero.replace(contenuto, () => tenuti.join("")) : "";
+    });
+
+  let trovati = 0;
+  const risultato = xml.replace(/\n\s*<movimento>[\s\S]*?<\/movimento>/g, (movimento) => {
+    let m = movimento.replace(/\n\s*<prenotazioni>[\s\S]*?<\/prenotazioni>/, "");
+    m = filtra(filtra(m, 'arrivi', 'arrivo'), 'partenze', 'partenza');
+    if (getTag(m, 'arrivi') === null && getTag(m, 'partenze') === null) return "";
+    trovati++;
+    return m;
+  });
+  return trovati ? risultato : null;
+}
@@ -0,0 +1,43 @@
+// Token firmati (HMAC-SHA256) per link di prenotazione e verifica anti-bot
+// Path: /lib/signed-token.js
+//
+// Token: base64url(JSON) + "." + base64url(HMAC)
+// Il contenuto è leggibile ma non modificabile senza la chiave. Scadenza
+// e campi obbligatori li controlla chi usa il token (lib/booking-link.js,
+// lib/anti-bot.js).
+
+import crypto from 'crypto';
+
+const toBase64Url = (buf) => Buffer.from(buf).toString('base64')
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (str) => Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const hmac = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest();
+
+export function signToken(dati, secret) {
+  const body = toBase64Url(JSON.stringify(dati));
+  return `${body}.${toBase64Url(hmac(body, secret))}`;
+}
+
+// Restituisce { ok: true, dati } oppure { ok: false, error } con error:
+// missing | malformed | invalid-signature
+export function readToken(token, secret) {
+  if (!token || typeof token !== 'string') return { ok: false, error: "missing" };
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, error: "malformed" };
+
+  const [body, sig] = parts;
+  const expected = hmac(body, secret);
+  const given = fromBase64Url(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, error: "invalid-signature" };
+  }
+
+  try {
+    const dati = JSON.parse(fromBase64Url(body).toString('utf8'));
+    return dati && typeof dati === 'object' ? { ok: true, dati } : { ok: false, error: "malformed" };
+  } catch (e) {
+    return { ok: false, error: "malformed" };
+  }
+}
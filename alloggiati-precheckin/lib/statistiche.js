@@ -0,0 +1,110 @@
+// Esportatori delle statistiche turistiche regionali
+// Path: /lib/statistiche.js
+//
+// Ogni appartamento sceglie il sistema con "statistiche" in
+// data/properties.json (predefinito "ross1000"). Un esportatore ha:
+// - id, nome: nome del sistema nell'email di riepilogo e nell'anteprima
+// - genera(stay, opzioni): file e controlli del sistema (stay e opzioni
+//   dal, al, altreCamere, lingua come buildRoss1000). Restituisce { file, errori, ospiti }
+//   più i dati per il web service:
+//   - file: [{ estensione, contenuto, descrizione, allegato }], con allegato
+//     false i file sono solo per scripts/genera-file.js e non vanno all'host
+//   - errori: { pos, campo, message } come lib/tracciati.js; se presenti i
+//     file non vanno usati
+//   - ospiti: dati di ciascun ospite per anteprima()
+// - nomeFile(stay, { appartamento, rettifica }): nome dei file senza
+//   estensione (appartamento = prima parola del nome, come gli allegati)
+// - anteprima(ospite, { tipoAlloggiato, esenzione }): righe per l'anteprima
+//   (lib/anteprima.js); { campo, luogo } e { campo, provincia } sono codici
+//   ISTAT da sostituire con il nome
+// - webService (facoltativo): invio diretto { collezione, credenziali(property),
+//   invia(credenziali, risultato) } con risultato = genera(...)
+// - soloRifiutati(stay, risultato, esiti) (facoltativo, con webService): file
+//   da allegare dopo un invio parziale, con i soli record rifiutati (esiti
+//   come da invia); senza, dopo un invio parziale si allegano i file interi
+
+import { buildRoss1000, formatDateGIES, movimentiRifiutati } from './ross1000.js';
+import { getRossCredentials, inviaMovimentazione } from './ross1000-ws.js';
+import { buildIstatC59 } from './istat-c59.js';
+
+const SISTEMA_PREDEFINITO = "ross1000";
+
+const nomeCodice = (s) => String(s || "").replace(/[^a-zA-Z0-9-_]/g, '') || 'struttura';
+
+// Date gg/mm/aaaa come nel TXT
+const dataGIES = (d) => d ? `${d.slice(6, 8)}/${d.slice(4, 6)}/${d.slice(0, 4)}` : "";
+
+/**********************************************
+ * ROSS1000 (Regione Veneto): XML <movimenti> e GIES
+ **********************************************/
+const ross1000 = {
+  id: "ross1000",
+  nome: "Ross1000",
+  genera(stay, opzioni = {}) {
+    const risultato = buildRoss1000(stay, opzioni);
+    return {
+      ...risultato,
+      file: [
+        { estensione: "xml", contenuto: risultato.xml, descrizione: `File XML per gestionale Ross1000 (struttura ${stay.codiceStruttura})`, allegato: true },
+        { estensione: "gies.txt", contenuto: risultato.gies, descrizione: `File GIES Ross1000 (struttura ${stay.codiceStruttura})`, allegato: false }
+      ]
+    };
+  },
+  nomeFile: (stay, { appartamento, rettifica }) => `${appartamento}_${formatDateGIES(stay.dataArrivo)}${rettifica ? "_rettifica" : ""}`,
+  anteprima: (r, { tipoAlloggiato, esenzione }) => [
+    // Codici GIES diversi da quelli Alloggiati: tipo = significato nel form
+    { campo: "tipoAlloggiato", codice: r.tipo, tipo: tipoAlloggiato },
+    { campo: "cognome", valore: r.cognome.toUpperCase() },
+    { campo: "nome", valore: r.nome.toUpperCase() },
+    { campo: "sesso", codice: r.sesso },
+    { campo: "dataNascita", valore: dataGIES(r.dataNascita) },
+    ...(r.comuneNascita ? [{ campo: "comuneNascita", luogo: r.comuneNascita }] : []),
+    { campo: "statoNascita", luogo: r.statoNascita },
+    { campo: "cittadinanza", luogo: r.cittadinanza },
+    { campo: "statoResidenza", luogo: r.statoResidenza },
+    ...(r.comuneResidenza ? [{ campo: "luogoResidenza", luogo: r.comuneResidenza }] : []),
+    ...(esenzione && esenzione.esenzione ? [{ campo: "esenzioneImposta", valore: esenzione.fascia, codice: esenzione.esenzione }] : [])
+  ],
+  webService: {
+    collezione: "ross1000-ws",
+    credenziali: getRossCredentials,
+    invia: (credenziali, risultato) => inviaMovimentazione(credenziali, risultato.xml, risultato.arrivi)
+  },
+  soloRifiutati(stay, risultato, esiti) {
+    const xml = movimentiRifiutati(risultato.xml, esiti.filter(e => !e.esito).map(e => e.idswh));
+    return xml
+      ? [{ estensione: "xml", contenuto: xml, descrizione: `File XML per gestionale Ross1000 (struttura ${stay.codiceStruttura}) – solo arrivi rifiutati`, allegato: true }]
+      : [];
+  }
+};
+
+/**********************************************
+ * ISTAT C/59: CSV giornaliero per provenienza (lib/istat-c59.js)
+ **********************************************/
+const istatC59 = {
+  id: "istat-c59",
+  nome: "ISTAT C/59",
+  genera(stay, opzioni = {}) {
+    const risultato = buildIstatC59(stay, opzioni);
+    return {
+      ...risultato,
+      file: [
+        { estensione: "csv", contenuto: risultato.csv, descrizione: `File CSV movimento clienti ISTAT C/59 (struttura ${stay.codiceStruttura})`, allegato: true }
+      ]
+    };
+  },
+  nomeFile: (stay, { rettifica }) => `C59_${nomeCodice(stay.codiceStruttura)}_${formatDateGIES(stay.dataArrivo)}${rettifica ? "_rettifica" : ""}`,
+  anteprima: (r) => [
+    { campo: "statoResidenza", luogo: r.statoResidenza },
+    ...(r.provinciaResidenza ? [{ campo: "provinciaResidenza", provincia: r.provinciaResidenza }] : [])
+  ]
+};
+
+const ESPORTATORI = new Map([ross1000, istatC59].map(e => [e.id, e]));
+
+// Esportatore di un appartamento (o di un soggiorno registrato: stay.statistiche)
+export function getExporter(id) {
+  const esportatore = ESPORTATORI.get(id || SISTEMA_PREDEFINITO);
+  if (!esportatore) throw new Error(`Unknown statistics exporter: ${id}`);
+  return esportatore;
+}
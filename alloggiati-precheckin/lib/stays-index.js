@@ -0,0 +1,92 @@
+// Indice dei soggiorni inviati per appartamento e mese
+// Path: /lib/stays-index.js
+//
+// I controlli su un nuovo invio (lib/ical.js) cercano i soggiorni dello
+// stesso appartamento in poche settimane: invece di leggere tutta la
+// collezione "stays", ogni soggiorno ha una voce nella collezione
+// "stays-<appartamento>-<AAAA-MM>" di ogni mese tra arrivo e partenza.
+// Le voci hanno solo riferimento e date, nessun dato degli ospiti; un file
+// per soggiorno, così due invii contemporanei non si sovrascrivono.
+
+import { listRecords, loadRecord, saveRecord, deleteRecord } from './storage.js';
+import { elencoGiorni } from './ross1000.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const collezione = (appartamento, mese) => `stays-${appartamento}-${mese}`;
+
+// Appartamenti di un soggiorno
+export const appartamentiSoggiorno = (stay) => stay.alloggi.map(a => a.appartamento);
+
+// Mesi AAAA-MM dal mese di arrivo a quello di partenza
+function mesi(dataArrivo, dataPartenza) {
+  const elenco = [];
+  let [anno, mese] = dataArrivo.slice(0, 7).split("-").map(Number);
+  const ultimo = dataPartenza.slice(0, 7);
+  for (;;) {
+    const corrente = `${anno}-${String(mese).padStart(2, "0")}`;
+    elenco.push(corrente);
+    if (corrente >= ultimo) return elenco;
+    if (++mese > 12) {
+      mese = 1;
+      anno++;
+    }
+  }
+}
+
+// stay: record della collezione "stays" (id, dataArrivo, dataPartenza, alloggi)
+export async function indexStay(stay) {
+  for (const appartamento of appartamentiSoggiorno(stay)) {
+    for (const mese of mesi(stay.dataArrivo, stay.dataPartenza)) {
+      await saveRecord(collezione(appartamento, mese), stay.id, {
+        appartamento,
+        dataArrivo: stay.dataArrivo,
+        dataPartenza: stay.dataPartenza
+      });
+    }
+  }
+}
+
+export async function unindexStay(stay) {
+  for (const appartamento of appartamentiSoggiorno(stay)) {
+    for (const mese of mesi(stay.dataArrivo, stay.dataPartenza)) {
+      await deleteRecord(collezione(appartamento, mese), stay.id);
+    }
+  }
+}
+
+// Soggiorni dell'appartamento che si sovrappongono al periodo:
+// [{ id, dataArrivo, dataPartenza }]
+export async function findStays(appartamento, { dataArrivo, dataPartenza }) {
+  const trovati = new Map();
+  for (const mese of mesi(dataArrivo, dataPartenza)) {
+    for (const voce of await listRecords(collezione(appartamento, mese))) {
+      if (voce.dataArrivo < dataPartenza && dataArrivo < voce.dataPartenza) {
+        trovati.set(voce.id, { id: voce.id, dataArrivo: voce.dataArrivo, dataPartenza: voce.dataPartenza });
+      }
+    }
+  }
+  return [...trovati.values()];
+}
+
+// Camere dell'appartamento occupate da altri soggiorni nelle notti dei giorni
+// da dal ad al compresi: { "AAAA-MM-GG": camere }. Le rettifiche (api/stays.js)
+// le sommano alle proprie, così i movimenti rigenerati non liberano le camere
+// di un arrivo nel giorno della vecchia partenza.
+export async function camereAltriSoggiorni(property, { dal, al, escluso }) {
+  const camere = {};
+  const dopo = new Date(Date.parse(`${al}T00:00:00Z`) + DAY).toISOString().slice(0, 10);
+  for (const voce of await findStays(property.id, { dataArrivo: dal, dataPartenza: dopo })) {
+    if (voce.id === escluso) continue;
+    const stay = await loadRecord('stays', voce.id);
+    const alloggio = stay && stay.alloggi.find(a => a.appartamento === property.id);
+    if (!alloggio) continue;
+    const occupate = alloggio.camereOccupate || property.camere;
+    for (const giorno of elencoGiorni(alloggio.dataArrivo, alloggio.dataPartenza)) {
+      if (giorno < alloggio.dataPartenza && giorno >= dal && giorno <= al) {
+        camere[giorno] = (camere[giorno] || 0) + occupate;
+      }
+    }
+  }
+  return camere;
+}
@@ -0,0 +1,67 @@
+// Archivio su file JSON per esiti invii e ricevute
+// Path: /lib/storage.js
+//
+// Ogni record è un file <STORAGE_DIR>/<collezione>/<id>.json.
+// Su Vercel l'unica cartella scrivibile è /tmp: per conservare i dati
+// tra un deploy e l'altro impostare STORAGE_DIR su un volume persistente.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+function getStorageDir() {
+  return process.env.STORAGE_DIR || path.join(os.tmpdir(), 'precheckin');
+}
+
+// Evita path traversal: collezioni e id ammettono solo caratteri sicuri
+const safeName = (s) => String(s || "").replace(/[^a-zA-Z0-9._-]/g, '_');
+
+function recordPath(collection, id) {
+  return path.join(getStorageDir(), safeName(collection), `${safeName(id)}.json`);
+}
+
+export async function saveRecord(collection, id, data) {
+  const file = recordPath(collection, id);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const record = { ...data, id, updatedAt: new Date().toISOString() };
+  await fs.promises.writeFile(file, JSON.stringify(record, null, 2), 'utf8');
+  return record;
+}
+
+export async function loadRecord(collection, id) {
+  try {
+    const raw = await fs.promises.readFile(recordPath(collection, id), 'utf8');
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export async function listRecords(collection) {
+  const dir = path.join(getStorageDir(), safeName(collection));
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const records = [];
+  for (const f of files) {
+    if (!f.endsWith('.json')) continue;
+    const record = await loadRecord(collection, f.slice(0, -5));
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+export async function deleteRecord(collection, id) {
+  try {
+    await fs.promises.unlink(recordPath(collection, id));
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
@@ -0,0 +1,220 @@
+// Tracciati record Alloggiati Web (campi a larghezza fissa) e GIES (campi separati da |)
+// Path: /lib/tracciati.js
+//
+// Ogni tracciato è un elenco di campi { campo, tipo, ... } nell'ordine del
+// record. Tipi:
+// - testo: traslitterato in lettere latine senza accenti (traslittera),
+//   poi controllato con l'espressione caratteri
+// - numero: cifre, tra minimo e massimo; a larghezza fissa con zeri a sinistra
+// - codice: deve rispettare formato (es. 9 cifre ISTAT)
+// - data: da AAAA-MM-GG a gg/mm/aaaa
+// - fisso: valore costante del tracciato
+// I campi non obbligatori possono essere vuoti.
+// componiRecord e componiGies restituiscono { riga, errori }: con errori
+// la riga è null. Nessun campo viene troncato in silenzio: un valore più
+// lungo della larghezza è un errore, come un record di lunghezza diversa.
+// Errori: { campo, message } con messaggi nella lingua indicata
+// (lib/i18n.js), senza lingua nel formato "English / Italiano". I campi del
+// tracciato Alloggiati hanno gli stessi nomi del payload del form (tranne
+// giorni, la permanenza).
+
+import { traduci } from './i18n.js';
+
+/**********************************************
+ * TRASLITTERAZIONE
+ * Alloggiati Web accetta solo lettere latine senza accenti: gli accenti
+ * sono rimossi, le lettere speciali sostituite (ß -> ss), gli apostrofi
+ * tipografici diventano '. Le scritture non latine restano e sono
+ * segnalate come errore: vanno scritte come nella zona MRZ del documento.
+ **********************************************/
+const LETTERE_SPECIALI = {
+  "ß": "ss", "ẞ": "SS", "æ": "ae", "Æ": "AE", "œ": "oe", "Œ": "OE",
+  "ø": "o", "Ø": "O", "đ": "d", "Đ": "D", "ð": "d", "Ð": "D",
+  "ł": "l", "Ł": "L", "þ": "th", "Þ": "TH", "ı": "i", "ħ": "h", "Ħ": "H"
+};
+
+export function traslittera(testo) {
+  return String(testo)
+    .replace(/[‘’ʼ`´]/g, "'")
+    .replace(/[ßẞæÆœŒøØđĐðÐłŁþÞıħĦ]/g, c => LETTERE_SPECIALI[c])
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**********************************************
+ * TRACCIATO ALLOGGIATI WEB (168 caratteri)
+ **********************************************/
+// Cognome e nome: lettere, spazio, apostrofo, trattino, punto
+const NOME_ALLOGGIATI = /^[A-Za-z' .-]*$/;
+const CODICE_ISTAT = /^\d{9}$/;
+
+export const TRACCIATO_ALLOGGIATI = [
+  { campo: "tipoAlloggiato", lunghezza: 2, tipo: "codice", formato: /^(16|17|18|19|20)$/, obbligatorio: true },
+  { campo: "dataArrivo", lunghezza: 10, tipo: "data", obbligatorio: true },
+  // Permanenza in giorni: al massimo 30 per schedina
+  { campo: "giorni", lunghezza: 2, tipo: "numero", minimo: 1, massimo: 30, obbligatorio: true },
+  { campo: "cognome", lunghezza: 50, tipo: "testo", caratteri: NOME_ALLOGGIATI, obbligatorio: true },
+  { campo: "nome", lunghezza: 30, tipo: "testo", caratteri: NOME_ALLOGGIATI, obbligatorio: true },
+  { campo: "sesso", lunghezza: 1, tipo: "codice", formato: /^[12]$/, obbligatorio: true },
+  { campo: "dataNascita", lunghezza: 10, tipo: "data", obbligatorio: true },
+  { campo: "comuneNascita", lunghezza: 9, tipo: "codice", formato: CODICE_ISTAT },
+  { campo: "provinciaNascita", lunghezza: 2, tipo: "codice", formato: /^[A-Z]{2}$/ },
+  { campo: "statoNascita", lunghezza: 9, tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+  { campo: "cittadinanza", lunghezza: 9, tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+  { campo: "tipoDocumento", lunghezza: 5, tipo: "codice", formato: /^[A-Z0-9]{5}$/ },
+  { campo: "numeroDocumento", lunghezza: 20, tipo: "codice", formato: /^[A-Z0-9]{1,20}$/ },
+  { campo: "luogoRilascio", lunghezza: 9, tipo: "codice", formato: CODICE_ISTAT }
+];
+
+/**********************************************
+ * TRACCIATI GIES (movimentazione Ross1000)
+ **********************************************/
+const DATA_GIES = /^\d{8}$/;
+const INTERO = /^\d+$/;
+const ISTAT_O_VUOTO = /^(\d{9})?$/;
+// Testo libero: nessun separatore né a capo
+const TESTO_GIES = /^[^|\r\n]*$/;
+
+export const TRACCIATI_GIES = {
+  HDR: [
+    { campo: "codiceStruttura", tipo: "codice", formato: /^[^|\r\n]+$/, obbligatorio: true },
+    { campo: "prodotto", tipo: "fisso", valore: "GIES" }
+  ],
+  MOV: [
+    { campo: "data", tipo: "codice", formato: DATA_GIES, obbligatorio: true },
+    { campo: "apertura", tipo: "codice", formato: /^(SI|NO)$/, obbligatorio: true },
+    { campo: "camereOccupate", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "camereDisponibili", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "lettiDisponibili", tipo: "codice", formato: INTERO, obbligatorio: true }
+  ],
+  ARR: [
+    { campo: "idswh", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "tipo", tipo: "codice", formato: /^(16|17|18|19|20)$/, obbligatorio: true },
+    { campo: "idCapo", tipo: "codice", formato: INTERO },
+    { campo: "sesso", tipo: "codice", formato: /^[MF]$/, obbligatorio: true },
+    { campo: "cittadinanza", tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+    { campo: "statoResidenza", tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+    { campo: "comuneResidenza", tipo: "codice", formato: ISTAT_O_VUOTO },
+    { campo: "dataNascita", tipo: "codice", formato: DATA_GIES, obbligatorio: true },
+    { campo: "statoNascita", tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+    { campo: "comuneNascita", tipo: "codice", formato: ISTAT_O_VUOTO },
+    { campo: "tipoTurismo", tipo: "fisso", valore: "Non specificato" },
+    { campo: "mezzoTrasporto", tipo: "fisso", valore: "Non specificato" },
+    { campo: "canalePrenotazione", tipo: "fisso", valore: "Non specificato" },
+    { campo: "titoloStudio", tipo: "fisso", valore: "" },
+    { campo: "professione", tipo: "fisso", valore: "" },
+    { campo: "esenzione", tipo: "codice", formato: TESTO_GIES }
+  ],
+  PAR: [
+    { campo: "idswh", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "tipo", tipo: "codice", formato: /^(16|17|18|19|20)$/, obbligatorio: true },
+    { campo: "dataArrivo", tipo: "codice", formato: DATA_GIES, obbligatorio: true }
+  ],
+  PRE: [
+    { campo: "idswh", tipo: "codice", formato: /^P\d+$/, obbligatorio: true },
+    { campo: "arrivo", tipo: "codice", formato: DATA_GIES, obbligatorio: true },
+    { campo: "partenza", tipo: "codice", formato: DATA_GIES, obbligatorio: true },
+    { campo: "ospiti", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "camere", tipo: "codice", formato: INTERO, obbligatorio: true },
+    { campo: "prezzo", tipo: "codice", formato: /^\d+\.\d{2}$/, obbligatorio: true },
+    { campo: "canalePrenotazione", tipo: "fisso", valore: "Non specificato" },
+    { campo: "statoProvenienza", tipo: "codice", formato: CODICE_ISTAT, obbligatorio: true },
+    { campo: "comuneProvenienza", tipo: "codice", formato: ISTAT_O_VUOTO }
+  ],
+  END: []
+};
+
+/**********************************************
+ * CODIFICA DEI CAMPI
+ * Restituisce { valore } oppure { errore }
+ **********************************************/
+const isIsoDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(`${d}T00:00:00Z`))
+  && new Date(`${d}T00:00:00Z`).toISOString().slice(0, 10) === d;
+
+function codificaCampo(def, grezzo, lingua) {
+  if (def.tipo === "fisso") return { valore: def.valore };
+  const m = (chiave, parametri) => traduci(lingua, chiave, parametri);
+  const testo = grezzo === undefined || grezzo === null ? "" : String(grezzo).trim();
+  if (!testo) {
+    return def.obbligatorio ? { errore: m("obbligatorio") } : { valore: "" };
+  }
+
+  let valore = testo;
+  if (def.tipo === "testo") {
+    valore = traslittera(testo);
+    if (def.caratteri && !def.caratteri.test(valore)) {
+      return { errore: m("lettere-latine") };
+    }
+  } else if (def.tipo === "numero") {
+    const n = Number(testo);
+    if (!/^\d+$/.test(testo) || n < (def.minimo ?? 0) || (def.massimo !== undefined && n > def.massimo)) {
+      return { errore: m("numero-tra", { minimo: def.minimo ?? 0, massimo: def.massimo }) };
+    }
+    valore = def.lunghezza ? String(n).padStart(def.lunghezza, "0") : String(n);
+  } else if (def.tipo === "data") {
+    if (!isIsoDate(testo)) return { errore: m("data-non-valida") };
+    valore = testo.split("-").reverse().join("/");
+  } else if (def.formato && !def.formato.test(testo)) {
+    return { errore: m("codice-non-valido") };
+  }
+
+  if (def.lunghezza && valore.length > def.lunghezza) {
+    return { errore: m("troppo-lungo", { max: def.lunghezza }) };
+  }
+  return { valore };
+}
+
+/**********************************************
+ * RECORD A LARGHEZZA FISSA
+ * valori: { campo: valore } con i nomi del tracciato
+ * lingua facoltativa: lingua dei messaggi di errore
+ **********************************************/
+export function componiRecord(tracciato, valori, lingua) {
+  const errori = [];
+  let riga = "";
+  for (const def of tracciato) {
+    const { valore, errore } = codificaCampo(def, valori[def.campo], lingua);
+    if (errore) errori.push({ campo: def.campo, message: errore });
+    else riga += valore.padEnd(def.lunghezza, " ");
+  }
+  const lunghezza = tracciato.reduce((n, def) => n + def.lunghezza, 0);
+  if (errori.length === 0 && riga.length !== lunghezza) {
+    errori.push({ campo: null, message: traduci(lingua, "lunghezza-record", { lunghezza: riga.length, attesa: lunghezza }) });
+  }
+  return { riga: errori.length ? null : riga, errori };
+}
+
+// Posizioni [inizio, fine) dei campi nella riga
+export function posizioniCampi(tracciato) {
+  const posizioni = {};
+  let inizio = 0;
+  for (const def of tracciato) {
+    posizioni[def.campo] = [inizio, inizio + def.lunghezza];
+    inizio += def.lunghezza;
+  }
+  return posizioni;
+}
+
+// Campi di una riga già composta (senza spazi di riempimento)
+export function leggiRecord(tracciato, riga) {
+  return Object.fromEntries(
+    Object.entries(posizioniCampi(tracciato)).map(([campo, [da, a]]) => [campo, String(riga).slice(da, a).trim()])
+  );
+}
+
+/**********************************************
+ * RECORD GIES
+ * tipo: HDR, MOV, ARR, PAR, PRE, END
+ **********************************************/
+export function componiGies(tipo, valori = {}, lingua) {
+  const errori = [];
+  const campi = [tipo];
+  for (const def of TRACCIATI_GIES[tipo]) {
+    const { valore, errore } = codificaCampo(def, valori[def.campo], lingua);
+    if (errore) errori.push({ campo: def.campo, message: errore });
+    else campi.push(valore);
+  }
+  return { riga: errori.length ? null : campi.join("|"), errori };
+}
@@ -0,0 +1,229 @@
+// Validazione lato server dei dati ospite
+// Path: /lib/validation.js
+//
+// Controlla ogni ospite contro le tabelle ISTAT in /data (stati, comuni,
+// province) e contro le regole dei tracciati Alloggiati Web.
+// I comuni hanno un periodo di validità (dataInizio/dataFine, estremi
+// compresi, assenti se non limitati): il comune di nascita deve esistere
+// alla data di nascita, come richiesto da Alloggiati Web.
+// Restituisce un elenco di errori { guest, field, message }:
+// - guest: indice dell'ospite (null per i dati del soggiorno)
+// Gli ospiti di ogni appartamento formano un gruppo a sé: il primo del
+// gruppo è ospite singolo, capofamiglia o capogruppo e indica il documento.
+// - field: nome del campo come nel payload del form (es. "comuneNascita")
+// Messaggi nella lingua indicata in stay.lingua (lib/i18n.js), senza
+// lingua nel formato "English / Italiano".
+
+import { loadDataFile } from './data.js';
+import { ITALY_CODE, MAX_OSPITI_APPARTAMENTO, clean, determineTipoAlloggiato, groupGuestsByApartment } from './guests.js';
+import { normalizeDocumentCode } from './documents.js';
+import { checkCodiceFiscale } from './codice-fiscale.js';
+import { comuneValidoAl } from './reference-search.js';
+import { traduci } from './i18n.js';
+
+const TIPI_ALLOGGIATO = ["16", "17", "18", "19", "20"];
+// Tipi che richiedono i dati del documento (ospite singolo, capofamiglia, capogruppo)
+const TIPI_CON_DOCUMENTO = ["16", "17", "18"];
+
+const MAX_ETA_ANNI = 120;
+// Permanenza: 2 cifre nel tracciato, massimo 30 giorni per schedina
+export const MAX_PERMANENZA = 30;
+const DAY = 24 * 60 * 60 * 1000;
+// Apostrofi tipografici ammessi: nel TXT diventano ' (lib/tracciati.js)
+const NAME_RE = /^[\p{L}][\p{L}\p{M} '‘’ʼ.-]*$/u;
+const DOC_NUM_RE = /^[A-Z0-9]{1,20}$/;
+
+let tables = null;
+
+// Indici dei codici ISTAT (caricati una sola volta)
+function getTables() {
+  if (tables) return tables;
+  const stati = new Set(loadDataFile('stati_istat.json').map(s => s.codice));
+  const province = new Set(loadDataFile('province.json').map(p => p.codice));
+  const comuni = new Map();
+  for (const c of loadDataFile('comuni_istat.json')) {
+    const m = c.nome.match(/\(([A-Z]{2})\)\s*$/);
+    comuni.set(c.codice, {
+      provincia: m ? m[1] : "",
+      dataInizio: c.dataInizio || "",
+      dataFine: c.dataFine || ""
+    });
+  }
+  tables = { stati, province, comuni };
+  return tables;
+}
+
+// Codice catastale (Belfiore) di un comune o stato, dal codice Alloggiati
+export function getBelfiore(codice) {
+  return loadDataFile('belfiore.json')[codice] || null;
+}
+
+const isIsoDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(`${d}T00:00:00Z`))
+  && new Date(`${d}T00:00:00Z`).toISOString().slice(0, 10) === d;
+
+/**********************************************
+ * VALIDAZIONE SINGOLO OSPITE
+ * i: indice nell'elenco completo, pos: posizione nel gruppo
+ * dell'appartamento, gruppo: ospiti dello stesso appartamento
+ **********************************************/
+function validateGuest(g, i, pos, gruppo, stay, errors) {
+  const { stati, province, comuni } = getTables();
+  const add = (field, message) => errors.push({ guest: i, field, message });
+  const m = (chiave, parametri) => traduci(stay.lingua, chiave, parametri);
+
+  // Tipo alloggiato (dopo la normalizzazione applicata anche al TXT)
+  const tipoInviato = clean(g.tipoAlloggiato);
+  const tipo = determineTipoAlloggiato(g, pos, gruppo.length);
+  const tipoCapo = determineTipoAlloggiato(gruppo[0], 0, gruppo.length);
+  if (tipoInviato && !TIPI_ALLOGGIATO.includes(tipoInviato)) {
+    add("tipoAlloggiato", m("tipo-alloggiato-non-valido"));
+  } else if (pos > 0 && (tipo === "17" || tipo === "18")) {
+    add("tipoAlloggiato", m("capo-solo-primo"));
+  } else if (tipo === "19" && tipoCapo !== "17") {
+    add("tipoAlloggiato", m("familiare-senza-capofamiglia"));
+  } else if (tipo === "20" && tipoCapo !== "18") {
+    add("tipoAlloggiato", m("membro-senza-capogruppo"));
+  } else if (pos > 0 && tipo === "16") {
+    add("tipoAlloggiato", m("seleziona-familiare-membro"));
+  } else if (pos === 0 && (tipo === "17" || tipo === "18") && gruppo.length === 1) {
+    add("tipoAlloggiato", m("capo-senza-ospiti"));
+  }
+
+  // Cognome e nome
+  const cognome = clean(g.cognome).trim();
+  const nome = clean(g.nome).trim();
+  if (!cognome) add("cognome", m("cognome-obbligatorio"));
+  else if (cognome.length > 50 || !NAME_RE.test(cognome)) add("cognome", m("cognome-non-valido"));
+  if (!nome) add("nome", m("nome-obbligatorio"));
+  else if (nome.length > 30 || !NAME_RE.test(nome)) add("nome", m("nome-non-valido"));
+
+  // Sesso: 1 = maschio, 2 = femmina
+  const sesso = clean(g.sesso);
+  if (sesso !== "1" && sesso !== "2") add("sesso", m("seleziona-sesso"));
+
+  // Data di nascita: valida, non successiva all'arrivo, età plausibile
+  const nascita = clean(g.dataNascita);
+  if (!isIsoDate(nascita)) {
+    add("dataNascita", m("data-nascita-non-valida"));
+  } else if (nascita > stay.dataArrivo) {
+    add("dataNascita", m("nascita-dopo-arrivo"));
+  } else if (parseInt(stay.dataArrivo.slice(0, 4), 10) - parseInt(nascita.slice(0, 4), 10) > MAX_ETA_ANNI) {
+    add("dataNascita", m("data-nascita-non-valida"));
+  }
+
+  // Cittadinanza e stato di nascita: codici della tabella stati ISTAT
+  const cittadinanza = clean(g.cittadinanza);
+  const statoNascita = clean(g.statoNascita);
+  if (!cittadinanza) add("cittadinanza", m("seleziona-dalla-lista"));
+  else if (!stati.has(cittadinanza)) add("cittadinanza", m("stato-non-riconosciuto"));
+  if (!statoNascita) add("statoNascita", m("seleziona-dalla-lista"));
+  else if (!stati.has(statoNascita)) add("statoNascita", m("stato-non-riconosciuto"));
+
+  // Italiani nati in Italia: comune e provincia di nascita, comune di residenza
+  const italianoNatoInItalia = cittadinanza === ITALY_CODE && statoNascita === ITALY_CODE;
+  const comuneNascita = clean(g.comuneNascita);
+  const provinciaNascita = clean(g.provinciaNascita).toUpperCase();
+  if (italianoNatoInItalia && !comuneNascita) {
+    add("comuneNascita", m("comune-nascita-obbligatorio"));
+  } else if (comuneNascita && !comuni.has(comuneNascita)) {
+    add("comuneNascita", m("comune-non-riconosciuto"));
+  } else if (comuneNascita && isIsoDate(nascita) && !comuneValidoAl(comuni.get(comuneNascita), nascita)) {
+    add("comuneNascita", m("comune-non-esistente"));
+  }
+  if (italianoNatoInItalia && !provinciaNascita) {
+    add("provinciaNascita", m("provincia-nascita-obbligatoria"));
+  } else if (provinciaNascita && !province.has(provinciaNascita)) {
+    add("provinciaNascita", m("provincia-non-riconosciuta"));
+  } else if (provinciaNascita && comuni.has(comuneNascita) && comuni.get(comuneNascita).provincia !== provinciaNascita) {
+    add("provinciaNascita", m("provincia-diversa"));
+  }
+
+  const comuneResidenza = clean(g.comuneResidenza);
+  if (italianoNatoInItalia && !comuneResidenza) {
+    add("comuneResidenza", m("comune-residenza-obbligatorio"));
+  } else if (comuneResidenza && !comuni.has(comuneResidenza) && !stati.has(comuneResidenza)) {
+    add("comuneResidenza", m("comune-non-riconosciuto"));
+  }
+
+  // Documento: obbligatorio per ospite singolo, capofamiglia e capogruppo
+  // (nel form i campi documento ci sono solo sul primo ospite di ogni appartamento)
+  if (pos === 0 && TIPI_CON_DOCUMENTO.includes(tipo)) {
+    const tipoDoc = clean(g.tipoDocumento).toUpperCase();
+    const numDoc = clean(g.numeroDocumento).trim().toUpperCase();
+    const luogoRilascio = clean(g.luogoRilascio);
+    if (!tipoDoc) add("tipoDocumento", m("tipo-documento-obbligatorio"));
+    else if (!normalizeDocumentCode(tipoDoc)) add("tipoDocumento", m("tipo-documento-non-valido"));
+    if (!numDoc) add("numeroDocumento", m("numero-documento-obbligatorio"));
+    else if (!DOC_NUM_RE.test(numDoc)) add("numeroDocumento", m("numero-documento-non-valido"));
+    // Luogo di rilascio: comune italiano o stato estero. Per gli stranieri,
+    // se manca, nel TXT si usa la cittadinanza
+    if (!luogoRilascio) {
+      if (cittadinanza === ITALY_CODE) add("luogoRilascio", m("rilascio-obbligatorio-italiani"));
+    } else if (!comuni.has(luogoRilascio) && !stati.has(luogoRilascio)) {
+      add("luogoRilascio", m("seleziona-dalla-lista"));
+    }
+  }
+
+  // Codice fiscale / partita IVA (dati di fatturazione): carattere di
+  // controllo e corrispondenza con cognome, nome, nascita, sesso e luogo
+  const luogoNascita = statoNascita === ITALY_CODE ? comuneNascita : statoNascita;
+  const erroriCf = checkCodiceFiscale(clean(g.codiceFiscale), {
+    cognome,
+    nome,
+    dataNascita: isIsoDate(nascita) ? nascita : "",
+    sesso,
+    belfiore: luogoNascita ? getBelfiore(luogoNascita) : null
+  }, stay.lingua);
+  erroriCf.forEach(message => add("codiceFiscale", message));
+}
+
+/**********************************************
+ * VALIDAZIONE APPARTAMENTO E CAMERA DEGLI OSPITI
+ **********************************************/
+function validateAlloggio(gruppo, stay, errors) {
+  const property = stay.appartamenti.find(p => p.id === gruppo.appartamento);
+  const m = (chiave, parametri) => traduci(stay.lingua, chiave, parametri);
+  gruppo.indici.forEach((i, pos) => {
+    const add = (message) => errors.push({ guest: i, field: "appartamento", message });
+    const camera = clean(gruppo.guests[pos].camera);
+    if (!property) {
+      add(m("appartamento-non-compreso"));
+    } else if (camera && !(/^\d+$/.test(camera) && parseInt(camera, 10) >= 1 && parseInt(camera, 10) <= property.camere)) {
+      add(m("camera-non-valida"));
+    } else if (!camera && property.camere > 1) {
+      add(m("seleziona-camera"));
+    } else if (pos >= MAX_OSPITI_APPARTAMENTO) {
+      add(m("massimo-ospiti-appartamento", { max: MAX_OSPITI_APPARTAMENTO }));
+    }
+  });
+}
+
+/**********************************************
+ * VALIDAZIONE SOGGIORNO + OSPITI
+ * stay: { dataArrivo, dataPartenza } (formato AAAA-MM-GG già verificato)
+ * e appartamenti: anagrafica degli appartamenti della prenotazione
+ * (il primo è quello di default per gli ospiti senza appartamento)
+ * lingua facoltativa: lingua dei messaggi (lib/i18n.js)
+ **********************************************/
+export function validateGuests(guests, stay) {
+  const errors = [];
+  const m = (chiave, parametri) => traduci(stay.lingua, chiave, parametri);
+
+  if (!isIsoDate(stay.dataArrivo)) {
+    errors.push({ guest: null, field: "dataArrivo", message: m("data-arrivo-non-valida") });
+    return errors;
+  }
+  if (!isIsoDate(stay.dataPartenza) || stay.dataPartenza <= stay.dataArrivo) {
+    errors.push({ guest: null, field: "dataPartenza", message: m("partenza-prima-arrivo") });
+  } else if ((Date.parse(stay.dataPartenza) - Date.parse(stay.dataArrivo)) / DAY > MAX_PERMANENZA) {
+    errors.push({ guest: null, field: "dataPartenza", message: m("permanenza-massima", { max: MAX_PERMANENZA }) });
+  }
+
+  const appartamenti = stay.appartamenti || [];
+  const gruppi = groupGuestsByApartment(guests.map(g => g || {}), appartamenti[0] ? appartamenti[0].id : "");
+  for (const gruppo of gruppi) {
+    if (appartamenti.length) validateAlloggio(gruppo, stay, errors);
+    gruppo.indici.forEach((i, pos) => validateGuest(gruppo.guests[pos], i, pos, gruppo.guests, stay, errors));
+  }
+  return errors;
+}
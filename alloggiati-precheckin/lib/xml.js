@@ -0,0 +1,39 @@
+// Helper XML comuni ai tracciati e ai client SOAP
+// Path: /lib/xml.js
+//
+// Usati da lib/ross1000.js (XML Ross1000) e dai client dei web service
+// (lib/alloggiati-ws.js, lib/ross1000-ws.js). Le risposte SOAP si leggono
+// per nome del tag, ignorando il prefisso del namespace.
+
+export const escapeXml = (str) => {
+  if (!str) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+export const unescapeXml = (str) => String(str || "")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+  .replace(/&amp;/g, "&");
+
+// Contenuto di tutti i tag <name> (con o senza prefisso namespace)
+export function getTags(xml, name) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, 'g');
+  const out = [];
+  let m;
+  while ((m = re.exec(xml)) !== null) out.push(m[1] || "");
+  return out;
+}
+
+// Contenuto del primo tag <name> oppure null se assente
+export const getTag = (xml, name) => {
+  const found = getTags(xml, name);
+  return found.length ? found[0] : null;
+};
@@ -0,0 +1,180 @@
+// Generazione offline dei file Alloggiati Web e delle statistiche regionali
+// Path: /scripts/genera-file.js
+//
+// Uso:
+//   node scripts/genera-file.js [--out cartella] prenotazione.json [altre.json ...]
+// Ogni file JSON contiene una prenotazione nel formato inviato dal form
+// (buildPayload in index.html) oppure un array di prenotazioni. Facoltativo
+// baseId: id del primo ospite nelle statistiche, per rigenerare i file di un
+// soggiorno già inviato con gli stessi id (vedi alloggi nel record stays).
+//
+// Nella cartella di uscita (predefinita ./file-generati):
+// - alloggiati_<appartamento>_<AAAAMMGG>.txt: schedine di tutte le
+//   prenotazioni con arrivo in quel giorno, un file per appartamento
+//   (ognuno ha le proprie credenziali Alloggiati Web)
+// - file delle statistiche regionali di ogni prenotazione, con i nomi del
+//   sistema dell'appartamento (lib/statistiche.js): per Ross1000
+//   <appartamento>_<AAAAMMGG>.xml e .gies.txt, per ISTAT C/59
+//   C59_<struttura>_<AAAAMMGG>.csv
+// Stessi controlli (lib/validation.js) e stessa generazione (lib/alloggi.js)
+// dell'invio dal form. Nessuna email, nessun web service, nessun
+// salvataggio in archivio. Le prenotazioni con errori sono elencate e
+// saltate; in quel caso il codice di uscita è 1.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProperty } from '../lib/properties.js';
+import { MAX_OSPITI_APPARTAMENTO } from '../lib/guests.js';
+import { validateGuests } from '../lib/validation.js';
+import { buildAlloggi, nuovoBaseId } from '../lib/alloggi.js';
+import { formatDateGIES } from '../lib/ross1000.js';
+
+const USO = "Uso: node scripts/genera-file.js [--out cartella] prenotazione.json [altre.json ...]";
+const DAY = 24 * 60 * 60 * 1000;
+
+const isIsoDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d));
+
+// Stesso nome dei file allegati all'email: prima parola del nome appartamento
+const sanitizeFilename = (s) => String(s || "").trim().split(/\s+/)[0].replace(/[^a-zA-Z0-9-_]/g, '') || 'apartment';
+
+function leggiArgomenti(argv) {
+  const opzioni = { out: "file-generati", file: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") opzioni.out = argv[++i];
+    else if (argv[i] === "--help" || argv[i] === "-h") opzioni.aiuto = true;
+    else opzioni.file.push(argv[i]);
+  }
+  return opzioni;
+}
+
+// Errore { guest, field, message } di lib/validation.js su una riga
+const descriviErrore = (e) => `${e.guest !== null && e.guest !== undefined ? `ospite ${e.guest + 1}, ` : ""}${e.field}: ${e.message}`;
+
+/**********************************************
+ * CONTROLLI (come api/send-alloggiati-txt.js)
+ * Restituisce { prenotazione } oppure { errori: [...] }
+ **********************************************/
+function controllaPrenotazione(payload) {
+  if (!payload || typeof payload !== 'object') return { errori: ["Prenotazione non valida"] };
+  const { appartamento, dataArrivo, dataPartenza, guests } = payload;
+
+  const property = getProperty(appartamento);
+  if (!property) return { errori: [`Appartamento non riconosciuto: ${appartamento}`] };
+  const appartamenti = [property];
+  for (const id of Array.isArray(payload.appartamenti) ? payload.appartamenti : []) {
+    const p = getProperty(id);
+    if (!p) return { errori: [`Appartamento non riconosciuto: ${id}`] };
+    if (!appartamenti.includes(p)) appartamenti.push(p);
+  }
+
+  if (!isIsoDate(dataArrivo) || !isIsoDate(dataPartenza)) {
+    return { errori: ["Date di arrivo e partenza nel formato AAAA-MM-GG"] };
+  }
+  if (!Array.isArray(guests) || guests.length === 0) return { errori: ["Nessun ospite"] };
+  const maxOspiti = MAX_OSPITI_APPARTAMENTO * appartamenti.length;
+  if (guests.length > maxOspiti) return { errori: [`Massimo ${maxOspiti} ospiti`] };
+
+  const errori = validateGuests(guests, { dataArrivo, dataPartenza, appartamenti }).map(descriviErrore);
+  if (errori.length > 0) return { errori };
+
+  // JSON scritti a mano: notti calcolate dalle date se mancano
+  const numeroNotti = payload.numeroNotti || String(Math.round((Date.parse(dataPartenza) - Date.parse(dataArrivo)) / DAY));
+  return { prenotazione: { appartamenti, dataArrivo, dataPartenza, numeroNotti, guests } };
+}
+
+// Nome libero nella cartella: _2, _3... se più prenotazioni danno lo stesso nome
+function nomeLibero(usati, base) {
+  let nome = base;
+  for (let n = 2; usati.has(nome); n++) nome = `${base}_${n}`;
+  usati.add(nome);
+  return nome;
+}
+
+function main() {
+  const opzioni = leggiArgomenti(process.argv.slice(2));
+  if (opzioni.aiuto || opzioni.file.length === 0 || !opzioni.out) {
+    console.log(USO);
+    return opzioni.aiuto ? 0 : 1;
+  }
+
+  // Percorsi dell'utente risolti prima di spostarsi nella cartella del
+  // progetto, da cui lib/data.js legge i file in /data
+  const file = opzioni.file.map(f => path.resolve(f));
+  const out = path.resolve(opzioni.out);
+  process.chdir(fileURLToPath(new URL('..', import.meta.url)));
+
+  const prenotazioni = [];
+  let errori = 0;
+  for (const f of file) {
+    let contenuto;
+    try {
+      contenuto = JSON.parse(fs.readFileSync(f, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+      console.error(`${f}: ${e.message}`);
+      errori++;
+      continue;
+    }
+    [].concat(contenuto).forEach((payload, i) => {
+      const nome = Array.isArray(contenuto) ? `${f} [${i}]` : f;
+      const esito = controllaPrenotazione(payload);
+      if (esito.errori) {
+        console.error(`${nome}: prenotazione saltata`);
+        esito.errori.forEach(e => console.error(`  - ${e}`));
+        errori++;
+        return;
+      }
+      prenotazioni.push({ nome, baseId: parseInt(payload.baseId, 10), ...esito.prenotazione });
+    });
+  }
+
+  // Id consecutivi tra le prenotazioni che non ne indicano uno
+  let prossimoId = nuovoBaseId();
+  // Schedine per appartamento e giorno di arrivo: un file da caricare
+  const schedine = new Map();
+  const scritti = [];
+  const usati = new Set();
+  let elaborate = 0;
+  fs.mkdirSync(out, { recursive: true });
+
+  for (const p of prenotazioni) {
+    const baseId = p.baseId || prossimoId;
+    if (!p.baseId) prossimoId += p.guests.length;
+
+    // Dati che non rientrano nei tracciati (lib/tracciati.js): nessun file
+    const alloggi = buildAlloggi(p, baseId);
+    const erroriTracciati = alloggi.flatMap(a => a.errori);
+    if (erroriTracciati.length > 0) {
+      console.error(`${p.nome}: prenotazione saltata`);
+      erroriTracciati.forEach(e => console.error(`  - ${descriviErrore(e)}`));
+      errori++;
+      continue;
+    }
+
+    elaborate++;
+    for (const a of alloggi) {
+      const apt = sanitizeFilename(a.property.nome);
+      const giorno = formatDateGIES(p.dataArrivo);
+      const chiave = `${a.property.id}|${giorno}`;
+      if (!schedine.has(chiave)) schedine.set(chiave, { nome: `alloggiati_${apt}_${giorno}.txt`, lines: [] });
+      schedine.get(chiave).lines.push(...a.lines);
+
+      const base = nomeLibero(usati, a.esportatore.nomeFile(a.stay, { appartamento: apt }));
+      for (const f of a.statistiche.file) {
+        fs.writeFileSync(path.join(out, `${base}.${f.estensione}`), f.contenuto, 'utf8');
+        scritti.push(`${base}.${f.estensione}`);
+      }
+    }
+  }
+
+  for (const { nome, lines } of schedine.values()) {
+    fs.writeFileSync(path.join(out, nome), lines.join("\r\n"), 'utf8');
+    scritti.push(`${nome} (${lines.length} schedine)`);
+  }
+
+  scritti.sort().forEach(s => console.log(path.join(out, s)));
+  console.log(`${elaborate} prenotazioni elaborate${errori ? `, ${errori} con errori` : ""}`);
+  return errori ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,122 @@
+// Importazione della tabella ufficiale dei comuni Alloggiati Web
+// Path: /scripts/importa-comuni.js
+//
+// Uso:
+//   node scripts/importa-comuni.js --appartamento <id>
+//   node scripts/importa-comuni.js --csv tabella.csv
+// Con --appartamento la tabella Luoghi si scarica dal web service con le
+// credenziali dell'appartamento (ALLOGGIATI_WS_CREDENTIALS, vedi
+// lib/alloggiati-ws.js); con --csv si legge il file scaricato dal portale.
+// Colonne riconosciute dall'intestazione: Codice, Descrizione, Provincia,
+// DataInizioVal (facoltativa) e DataFineVal, date GG/MM/AAAA o AAAA-MM-GG.
+//
+// Riscrive data/comuni_istat.json con tutti i comuni della tabella (codici
+// 4xxxxxxxx), compresi quelli soppressi o fusi, con il loro periodo di
+// validità (dataInizio/dataFine, estremi compresi, vedi lib/validation.js).
+// Se la tabella non indica l'inizio di validità resta quello già presente
+// nel file per lo stesso codice. Gli stati esteri sono in stati_istat.json.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProperty } from '../lib/properties.js';
+import { getAlloggiatiCredentials, generateToken, getTabella } from '../lib/alloggiati-ws.js';
+
+const USO = "Uso: node scripts/importa-comuni.js --appartamento <id> | --csv tabella.csv";
+const FILE = 'comuni_istat.json';
+
+function leggiArgomenti(argv) {
+  const opzioni = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--appartamento") opzioni.appartamento = argv[++i];
+    else if (argv[i] === "--csv") opzioni.csv = argv[++i];
+    else if (argv[i] === "--help" || argv[i] === "-h") opzioni.aiuto = true;
+    else opzioni.errore = `Argomento non riconosciuto: ${argv[i]}`;
+  }
+  return opzioni;
+}
+
+// GG/MM/AAAA (anche con l'ora) o AAAA-MM-GG → AAAA-MM-GG ("" se assente)
+function leggiData(valore) {
+  const v = (valore || "").trim();
+  const it = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (it) return `${it[3]}-${it[2].padStart(2, "0")}-${it[1].padStart(2, "0")}`;
+  const iso = v.match(/^\d{4}-\d{2}-\d{2}/);
+  return iso ? iso[0] : "";
+}
+
+// Righe della tabella Luoghi: solo i comuni, colonne dall'intestazione
+function leggiTabella(csv) {
+  const righe = csv.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map(r => r.split(";").map(s => s.trim().replace(/^"|"$/g, '')));
+  const intestazione = (righe.shift() || []).map(s => s.toLowerCase());
+  const colonna = (nome) => intestazione.indexOf(nome.toLowerCase());
+  const c = { codice: colonna("Codice"), nome: colonna("Descrizione"), provincia: colonna("Provincia"),
+    inizio: colonna("DataInizioVal"), fine: colonna("DataFineVal") };
+  if (c.codice < 0 || c.nome < 0) throw new Error("Intestazione non riconosciuta: servono almeno Codice e Descrizione");
+
+  const comuni = [];
+  for (const riga of righe) {
+    const codice = riga[c.codice] || "";
+    if (!/^4\d{8}$/.test(codice)) continue;
+    const provincia = c.provincia >= 0 ? riga[c.provincia] : "";
+    const nome = riga[c.nome].toUpperCase();
+    comuni.push({
+      codice,
+      nome: provincia && !nome.endsWith(`(${provincia})`) ? `${nome} (${provincia})` : nome,
+      dataInizio: c.inizio >= 0 ? leggiData(riga[c.inizio]) : "",
+      dataFine: c.fine >= 0 ? leggiData(riga[c.fine]) : ""
+    });
+  }
+  return comuni;
+}
+
+async function scaricaCsv(opzioni) {
+  if (opzioni.csv) return fs.readFileSync(opzioni.csv, 'utf8');
+  const property = getProperty(opzioni.appartamento);
+  if (!property) throw new Error(`Appartamento non riconosciuto: ${opzioni.appartamento}`);
+  const credenziali = getAlloggiatiCredentials(property);
+  if (!credenziali) throw new Error(`Credenziali Alloggiati Web non configurate per ${property.nome}`);
+  const token = await generateToken(credenziali);
+  return getTabella(credenziali.utente, token, "Luoghi");
+}
+
+async function main() {
+  const opzioni = leggiArgomenti(process.argv.slice(2));
+  if (opzioni.aiuto || opzioni.errore || !opzioni.appartamento === !opzioni.csv) {
+    if (opzioni.errore) console.error(opzioni.errore);
+    console.error(USO);
+    return opzioni.aiuto ? 0 : 2;
+  }
+  if (opzioni.csv) opzioni.csv = path.resolve(opzioni.csv);
+  process.chdir(fileURLToPath(new URL('..', import.meta.url)));
+
+  const ufficiali = leggiTabella(await scaricaCsv(opzioni));
+  if (ufficiali.length === 0) throw new Error("Tabella vuota o in un formato non riconosciuto");
+
+  const file = path.join('data', FILE);
+  const attuali = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  // Inizio di validità già noto, per codice e fine di validità
+  const inizioNoto = new Map(attuali.map(c => [`${c.codice}|${c.dataFine || ""}`, c.dataInizio]));
+
+  const comuni = ufficiali
+    .map(({ codice, nome, dataInizio, dataFine }) => {
+      const inizio = dataInizio || inizioNoto.get(`${codice}|${dataFine}`);
+      return { codice, nome, ...(inizio && { dataInizio: inizio }), ...(dataFine && { dataFine }) };
+    })
+    .sort((a, b) => a.nome.localeCompare(b.nome, 'it') || (a.dataInizio || "").localeCompare(b.dataInizio || ""));
+
+  // Stesso formato del file esistente (BOM, una proprietà per riga)
+  const voce = (c) => `    {\r\n${Object.entries(c).map(([k, v]) => `        ${JSON.stringify(k)}:  ${JSON.stringify(v)}`).join(",\r\n")}\r\n    }`;
+  fs.writeFileSync(file, `\uFEFF[\r\n${comuni.map(voce).join(",\r\n")}\r\n]\r\n`, 'utf8');
+
+  const soppressi = comuni.filter(c => c.dataFine).length;
+  const nuovi = comuni.filter(c => !attuali.some(a => a.codice === c.codice)).length;
+  console.log(`${file}: ${comuni.length} comuni (${soppressi} soppressi o fusi, ${nuovi} nuovi)`);
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
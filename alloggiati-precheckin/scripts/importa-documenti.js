@@ -0,0 +1,113 @@
+// Importazione della tabella ufficiale dei tipi documento Alloggiati Web
+// Path: /scripts/importa-documenti.js
+//
+// Uso:
+//   node scripts/importa-documenti.js --appartamento <id>
+//   node scripts/importa-documenti.js --csv tabella.csv
+// Con --appartamento la tabella Tipi_Documento si scarica dal web service
+// con le credenziali dell'appartamento (ALLOGGIATI_WS_CREDENTIALS, vedi
+// lib/alloggiati-ws.js); con --csv si legge il file scaricato dal portale
+// (Codice;Descrizione, una riga per documento).
+//
+// Riscrive data/documenti_alloggiati.json: i tipi già presenti conservano
+// etichette tradotte e indicatori, i nuovi hanno la descrizione ufficiale
+// e gli indicatori ricavati dalla descrizione (vedi indicatori()). I tipi
+// non più presenti nella tabella ufficiale vengono tolti ed elencati.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProperty } from '../lib/properties.js';
+import { getAlloggiatiCredentials, generateToken, getTabella } from '../lib/alloggiati-ws.js';
+
+const USO = "Uso: node scripts/importa-documenti.js --appartamento <id> | --csv tabella.csv";
+const FILE = 'documenti_alloggiati.json';
+
+function leggiArgomenti(argv) {
+  const opzioni = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--appartamento") opzioni.appartamento = argv[++i];
+    else if (argv[i] === "--csv") opzioni.csv = argv[++i];
+    else if (argv[i] === "--help" || argv[i] === "-h") opzioni.aiuto = true;
+    else opzioni.errore = `Argomento non riconosciuto: ${argv[i]}`;
+  }
+  return opzioni;
+}
+
+// Righe Codice;Descrizione (intestazione e righe vuote saltate)
+function leggiTabella(csv) {
+  const documenti = [];
+  for (const riga of csv.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const [codice, ...descrizione] = riga.split(";").map(s => s.trim().replace(/^"|"$/g, ''));
+    if (!/^[A-Z0-9]{5}$/.test(codice || "")) continue;
+    documenti.push({ codice, nome: descrizione.join(";").trim() });
+  }
+  return documenti;
+}
+
+// Indicatori dei tipi nuovi (vedi lib/documents.js):
+// - passaporti: luogo di rilascio predefinito = cittadinanza
+// - documenti delle autorità italiane (carte d'identità, patenti, porto
+//   d'armi, tessere di riconoscimento, permessi e carte di soggiorno
+//   rilasciati dalla Questura): luogo di rilascio = comune italiano
+// - titoli di viaggio e altri documenti esteri: nessuno dei due
+function indicatori(nome) {
+  const n = nome.toUpperCase();
+  if (/^PASSAPORTO/.test(n)) return { passaporto: true, rilascioItalia: false };
+  if (/TITOLO (DI )?VIAGGIO|ESTER/.test(n)) return { passaporto: false, rilascioItalia: false };
+  const italiano = /^(CARTA|CERT).*IDENTIT|^CARTA ID|^PATENTE|^PORTO D|^TESS|PERMESSO (DI )?SOGGIORNO|CARTA (DI )?SOGGIORNO/.test(n);
+  return { passaporto: false, rilascioItalia: italiano };
+}
+
+async function scaricaCsv(opzioni) {
+  if (opzioni.csv) return fs.readFileSync(opzioni.csv, 'utf8');
+  const property = getProperty(opzioni.appartamento);
+  if (!property) throw new Error(`Appartamento non riconosciuto: ${opzioni.appartamento}`);
+  const credenziali = getAlloggiatiCredentials(property);
+  if (!credenziali) throw new Error(`Credenziali Alloggiati Web non configurate per ${property.nome}`);
+  const token = await generateToken(credenziali);
+  return getTabella(credenziali.utente, token, "Tipi_Documento");
+}
+
+async function main() {
+  const opzioni = leggiArgomenti(process.argv.slice(2));
+  if (opzioni.aiuto || opzioni.errore || !opzioni.appartamento === !opzioni.csv) {
+    if (opzioni.errore) console.error(opzioni.errore);
+    console.error(USO);
+    return opzioni.aiuto ? 0 : 2;
+  }
+  if (opzioni.csv) opzioni.csv = path.resolve(opzioni.csv);
+  process.chdir(fileURLToPath(new URL('..', import.meta.url)));
+
+  const ufficiali = leggiTabella(await scaricaCsv(opzioni));
+  if (ufficiali.length === 0) throw new Error("Tabella vuota o in un formato non riconosciuto");
+
+  const file = path.join('data', FILE);
+  const attuali = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  const perCodice = new Map(ufficiali.map(d => [d.codice, d]));
+
+  // Prima i tipi già presenti (ordine del menu del form), poi i nuovi
+  const documenti = attuali
+    .filter(d => perCodice.has(d.codice))
+    .map(d => ({ ...d, nome: perCodice.get(d.codice).nome }));
+  const nuovi = ufficiali
+    .filter(d => !attuali.some(a => a.codice === d.codice))
+    .sort((a, b) => a.nome.localeCompare(b.nome))
+    .map(d => ({ codice: d.codice, nome: d.nome, descrizione: d.nome, ...indicatori(d.nome) }));
+  documenti.push(...nuovi);
+
+  const tolti = attuali.filter(d => !perCodice.has(d.codice));
+  // Un tipo per riga, come il file scritto a mano
+  const riga = (d) => `  { ${Object.entries(d).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`;
+  fs.writeFileSync(file, `[\r\n${documenti.map(riga).join(",\r\n")}\r\n]\r\n`, 'utf8');
+
+  console.log(`${file}: ${documenti.length} tipi documento (${nuovi.length} nuovi)`);
+  nuovi.forEach(d => console.log(`  + ${d.codice} ${d.nome}${d.passaporto ? " [passaporto]" : ""}${d.rilascioItalia ? " [rilascio in Italia]" : ""}`));
+  tolti.forEach(d => console.log(`  - ${d.codice} ${d.nome} (non più nella tabella ufficiale)`));
+  return 0;
+}
+
+main().then(code => { process.exitCode = code; }, e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,92 @@
+// Service worker del form di pre check-in: la pagina si apre anche offline
+// Path: /sw.js
+//
+// Registrato da index.html. Solo richieste GET:
+// - pagina: prima la rete, in mancanza di connessione la copia in cache
+// - moduli /lib e flatpickr: dalla cache, aggiornata in background
+// - /api/*: sempre dalla rete, mai in cache (prenotazioni, link e dati
+//   degli appartamenti restano solo sul server)
+// Gli invii (POST) non passano dalla cache: se la rete manca restano in
+// coda nella pagina (localStorage) e partono al ritorno della connessione.
+// Cambiare VERSIONE quando cambia l'elenco dei file da precaricare.
+
+const VERSIONE = "precheckin-v5";
+
+const PRECARICA = [
+  "/",
+  "/lib/i18n.js",
+  "/lib/mrz.js",
+  "/lib/codice-fiscale.js",
+  "/lib/guests.js",
+  "/lib/pdf.js",
+  "https://cdn.jsdelivr.net/npm/flatpickr/dist/flatpickr.min.css",
+  "https://cdn.jsdelivr.net/npm/flatpickr"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(VERSIONE);
+    // Un file non raggiungibile non blocca l'installazione: entra in cache al primo uso
+    await Promise.all(PRECARICA.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const chiavi = await caches.keys();
+    await Promise.all(chiavi.filter(k => k !== VERSIONE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function primaLaRete(request, fallback) {
+  const cache = await caches.open(VERSIONE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const inCache = await cache.match(request) || (fallback && await cache.match(fallback));
+    if (inCache) return inCache;
+    throw e;
+  }
+}
+
+async function primaLaCache(event) {
+  const cache = await caches.open(VERSIONE);
+  const inCache = await cache.match(event.request);
+  const aggiornamento = fetch(event.request)
+    .then(response => {
+      // flatpickr caricato da <script>/<link> senza CORS: risposta opaca
+      if (response.ok || response.type === "opaque") return cache.put(event.request, response.clone()).then(() => response);
+      return response;
+    });
+  if (inCache) {
+    event.waitUntil(aggiornamento.catch(() => {}));
+    return inCache;
+  }
+  return aggiornamento;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Pagina (anche con ?booking=...): copia in cache senza parametri
+  if (request.mode === "navigate") {
+    event.respondWith(primaLaRete(request, "/"));
+    return;
+  }
+
+  // /api/* non passa dal service worker: solo rete
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/lib/")) event.respondWith(primaLaCache(event));
+    return;
+  }
+
+  if (url.hostname === "cdn.jsdelivr.net" && url.pathname.startsWith("/npm/flatpickr")) {
+    event.respondWith(primaLaCache(event));
+  }
+});
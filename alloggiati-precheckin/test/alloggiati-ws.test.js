@@ -0,0 +1,150 @@
+// Client del web service Alloggiati Web (lib/alloggiati-ws.js) contro un
+// servizio SOAP finto in locale
+// Path: /test/alloggiati-ws.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { inviaSchedine, getTabella } from '../lib/alloggiati-ws.js';
+
+const CREDENZIALI = { utente: "UTENTE01", password: "segreta", wskey: "chiave" };
+const righe = fs.readFileSync(new URL('./fixtures/alloggiati.txt', import.meta.url), 'utf8')
+  .replace(/\r\n/g, "\n").replace(/\n+$/, "").split("\n");
+
+/**********************************************
+ * SERVIZIO FINTO
+ * risposte[metodo](corpo) restituisce il contenuto di soap:Body;
+ * i metodi senza risposta rispondono con un SOAP fault
+ **********************************************/
+let risposte = {};
+let chiamate = [];
+
+const busta = (contenuto) => `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${contenuto}</soap:Body></soap:Envelope>`;
+
+const server = http.createServer((req, res) => {
+  let corpo = "";
+  req.on('data', (c) => { corpo += c; });
+  req.on('end', () => {
+    const metodo = JSON.parse(req.headers.soapaction).split("/").pop();
+    chiamate.push({ metodo, corpo });
+    const risposta = risposte[metodo];
+    res.writeHead(risposta ? 200 : 500, { "Content-Type": "text/xml; charset=utf-8" });
+    res.end(busta(risposta
+      ? risposta(corpo)
+      : `<soap:Fault><faultcode>soap:Server</faultcode><faultstring>Metodo ${metodo} non disponibile</faultstring></soap:Fault>`));
+  });
+});
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.ALLOGGIATI_WS_URL = `http://127.0.0.1:${server.address().port}/service.asmx`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  risposte = {};
+  chiamate = [];
+});
+
+const esito = (ok, codice = "", descrizione = "", dettaglio = "") =>
+  `<esito>${ok}</esito><ErroreCod>${codice}</ErroreCod><ErroreDes>${descrizione}</ErroreDes><ErroreDettaglio>${dettaglio}</ErroreDettaglio>`;
+
+const token = () => `<GenerateTokenResponse xmlns="AlloggiatiService"><GenerateTokenResult><token>TOKEN1</token></GenerateTokenResult><result>${esito(true)}</result></GenerateTokenResponse>`;
+
+// Risposta di Test o Send: un esito per riga (true = accettata)
+const schedine = (metodo, perRiga) => () => `<${metodo}Response xmlns="AlloggiatiService">
+  <${metodo}Result>${perRiga.every(Boolean) ? esito(true) : esito(false, "ERR", "Schedine non valide")}</${metodo}Result>
+  <result><SchedineValide>${perRiga.filter(Boolean).length}</SchedineValide><Dettaglio>${perRiga.map(ok =>
+    `<EsitoOperazioneServizio>${ok ? esito(true) : esito(false, "CAMPO", "Documento non valido", "numero &quot;CA12345AB&quot;")}</EsitoOperazioneServizio>`).join("")}</Dettaglio></result>
+</${metodo}Response>`;
+
+const ricevuta = (pdf) => () => `<RicevutaResponse xmlns="AlloggiatiService"><RicevutaResult>${pdf ? esito(true) : esito(false, "RIC", "Ricevuta non disponibile")}</RicevutaResult><PDF>${pdf || ""}</PDF></RicevutaResponse>`;
+
+const metodi = () => chiamate.map(c => c.metodo);
+
+/**********************************************
+ * INVIO
+ **********************************************/
+test("invio riuscito: Test, Send e ricevuta", async () => {
+  risposte = { GenerateToken: token, Test: schedine("Test", [true, true]), Send: schedine("Send", [true, true]), Ricevuta: ricevuta("JVBERi0=") };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "inviato");
+  assert.equal(r.fase, "Send");
+  assert.equal(r.schedineValide, 2);
+  assert.equal(r.ricevuta, "JVBERi0=");
+  assert.deepEqual(r.esiti, [{ riga: 1, esito: true, errore: null }, { riga: 2, esito: true, errore: null }]);
+  assert.deepEqual(metodi(), ["GenerateToken", "Test", "Send", "Ricevuta"]);
+
+  // Credenziali, token e schedine nella richiesta
+  assert.match(chiamate[0].corpo, /<Utente>UTENTE01<\/Utente>[\s\S]*<WsKey>chiave<\/WsKey>/);
+  assert.match(chiamate[2].corpo, /<token>TOKEN1<\/token>/);
+  assert.equal((chiamate[2].corpo.match(/<string>/g) || []).length, righe.length);
+});
+
+test("autenticazione rifiutata: nessuna schedina inviata", async () => {
+  risposte = {
+    GenerateToken: () => `<GenerateTokenResponse xmlns="AlloggiatiService"><GenerateTokenResult><token></token></GenerateTokenResult><result>${esito(false, "AUTH", "Credenziali non valide")}</result></GenerateTokenResponse>`
+  };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "errore");
+  assert.equal(r.errore, "Autenticazione Alloggiati Web fallita: AUTH - Credenziali non valide");
+  assert.deepEqual(r.esiti, []);
+  assert.deepEqual(metodi(), ["GenerateToken"]);
+});
+
+test("riga rifiutata dal Test: errore della riga e nessun Send", async () => {
+  risposte = { GenerateToken: token, Test: schedine("Test", [true, false]) };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "rifiutato");
+  assert.equal(r.fase, "Test");
+  assert.equal(r.errore, "ERR - Schedine non valide");
+  assert.deepEqual(r.esiti, [
+    { riga: 1, esito: true, errore: null },
+    { riga: 2, esito: false, errore: 'CAMPO - Documento non valido - numero "CA12345AB"' }
+  ]);
+  assert.deepEqual(metodi(), ["GenerateToken", "Test"]);
+});
+
+test("riga rifiutata dal Send: invio parziale, ricevuta non ancora disponibile", async () => {
+  risposte = { GenerateToken: token, Test: schedine("Test", [true, true]), Send: schedine("Send", [false, true]), Ricevuta: ricevuta(null) };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "parziale");
+  assert.equal(r.schedineValide, 1);
+  assert.equal(r.esiti[0].errore, 'CAMPO - Documento non valido - numero "CA12345AB"');
+  assert.equal(r.ricevuta, null);
+});
+
+test("errore sulla ricevuta: l'invio resta valido", async () => {
+  risposte = { GenerateToken: token, Test: schedine("Test", [true, true]), Send: schedine("Send", [true, true]) };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "inviato");
+  assert.equal(r.ricevuta, null);
+  assert.deepEqual(metodi(), ["GenerateToken", "Test", "Send", "Ricevuta"]);
+});
+
+test("SOAP fault: stato errore con il messaggio del servizio", async () => {
+  risposte = { GenerateToken: token };
+  const r = await inviaSchedine(CREDENZIALI, righe);
+  assert.equal(r.stato, "errore");
+  assert.equal(r.errore, "SOAP fault su Test: Metodo Test non disponibile");
+});
+
+/**********************************************
+ * TABELLE
+ **********************************************/
+test("tabella dei documenti come CSV", async () => {
+  risposte = {
+    Tabella: () => `<TabellaResponse xmlns="AlloggiatiService"><TabellaResult>${esito(true)}</TabellaResult><CSV>Codice;Descrizione&#13;
+IDENT;CARTA DI IDENTITA&#39;&#13;
+PASOR;PASSAPORTO ORDINARIO &amp; DIPLOMATICO</CSV></TabellaResponse>`
+  };
+  const csv = await getTabella("UTENTE01", "TOKEN1", "Tipi_Documento");
+  assert.match(chiamate[0].corpo, /<tipo>Tipi_Documento<\/tipo>/);
+  assert.deepEqual(csv.split("\r\n"), ["Codice;Descrizione", "IDENT;CARTA DI IDENTITA'", "PASOR;PASSAPORTO ORDINARIO & DIPLOMATICO"]);
+});
+
+test("tabella non disponibile: errore", async () => {
+  risposte = { Tabella: () => `<TabellaResponse xmlns="AlloggiatiService"><TabellaResult>${esito(false, "TAB", "Token scaduto")}</TabellaResult></TabellaResponse>` };
+  await assert.rejects(getTabella("UTENTE01", "TOKEN1", "Tipi_Documento"), /Tabella Tipi_Documento non disponibile: TAB - Token scaduto/);
+});
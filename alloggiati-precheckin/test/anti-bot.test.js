@@ -0,0 +1,134 @@
+// Verifica anti-bot (lib/anti-bot.js) e token del form (api/challenge.js)
+// Path: /test/anti-bot.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { issueChallenge, verifyChallenge, consumeChallenge, releaseChallenge } from '../lib/anti-bot.js';
+import { signToken } from '../lib/signed-token.js';
+import challenge from '../api/challenge.js';
+
+const SECRET = "segreto-di-prova";
+const ORA = 60 * 60 * 1000;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.KV_STORE_URL = `file:${dir}`;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  process.env.ANTIBOT_SECRET = SECRET;
+  process.env.ANTIBOT_MIN_FILL_SECONDS = "0";
+  process.env.ANTIBOT_POW_BITS = "0";
+  delete process.env.ANTIBOT_TOKEN_HOURS;
+});
+
+// Token emesso iat ms fa (ora di emissione nel passato)
+const tokenDel = (trascorsi, bits = 0) => signToken({ id: crypto.randomUUID(), iat: Date.now() - trascorsi, bits }, SECRET);
+
+// Nonce per cui SHA-256(token + "." + nonce) ha almeno bits bit a zero (o meno, con valido false)
+function cercaNonce(token, bits, valido = true) {
+  for (let i = 0; ; i++) {
+    const hash = crypto.createHash('sha256').update(`${token}.${i}`).digest();
+    const zeri = hash.readUInt32BE(0) === 0 ? 32 : Math.clz32(hash.readUInt32BE(0));
+    if ((zeri >= bits) === valido) return String(i);
+  }
+}
+
+/**********************************************
+ * VERIFICA DEL TOKEN
+ **********************************************/
+test("token valido: accettato con id e scadenza", () => {
+  const { token, bits, minFillMs } = issueChallenge();
+  assert.equal(bits, 0);
+  assert.equal(minFillMs, 0);
+  const r = verifyChallenge({ token });
+  assert.equal(r.ok, true);
+  assert.match(r.id, /^[0-9a-f-]{36}$/);
+  assert.ok(Math.abs(r.exp - (Date.now() + 48 * ORA)) < 5000);
+});
+
+test("token modificato o firmato con un'altra chiave: firma non valida", () => {
+  const { token } = issueChallenge();
+  const [body, firma] = token.split(".");
+  const dati = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  const modificato = Buffer.from(JSON.stringify({ ...dati, bits: 0, iat: dati.iat - ORA })).toString('base64url');
+  assert.deepEqual(verifyChallenge({ token: `${modificato}.${firma}` }), { ok: false, error: "invalid-signature" });
+  assert.deepEqual(verifyChallenge({ token: `${body}.${firma.slice(0, -2)}` }), { ok: false, error: "invalid-signature" });
+
+  const altraChiave = signToken(dati, "altra-chiave");
+  assert.deepEqual(verifyChallenge({ token: altraChiave }), { ok: false, error: "invalid-signature" });
+  assert.deepEqual(verifyChallenge({ token: "senza-punto" }), { ok: false, error: "malformed" });
+  assert.deepEqual(verifyChallenge({}), { ok: false, error: "missing" });
+});
+
+test("token scaduto o inviato troppo presto", () => {
+  assert.deepEqual(verifyChallenge({ token: tokenDel(49 * ORA) }), { ok: false, error: "expired" });
+  assert.equal(verifyChallenge({ token: tokenDel(47 * ORA) }).ok, true);
+  process.env.ANTIBOT_TOKEN_HOURS = "1";
+  assert.deepEqual(verifyChallenge({ token: tokenDel(2 * ORA) }), { ok: false, error: "expired" });
+
+  process.env.ANTIBOT_MIN_FILL_SECONDS = "5";
+  assert.deepEqual(verifyChallenge({ token: tokenDel(1000) }), { ok: false, error: "too-fast" });
+  assert.equal(verifyChallenge({ token: tokenDel(6000) }).ok, true);
+});
+
+test("prova di lavoro: nonce mancante o insufficiente rifiutato", () => {
+  process.env.ANTIBOT_POW_BITS = "8";
+  const { token, bits } = issueChallenge();
+  assert.equal(bits, 8);
+  assert.deepEqual(verifyChallenge({ token }), { ok: false, error: "pow-failed" });
+  assert.deepEqual(verifyChallenge({ token, nonce: cercaNonce(token, 8, false) }), { ok: false, error: "pow-failed" });
+  assert.deepEqual(verifyChallenge({ token, nonce: "x".repeat(33) }), { ok: false, error: "pow-failed" });
+  assert.equal(verifyChallenge({ token, nonce: cercaNonce(token, 8) }).ok, true);
+});
+
+test("token usato due volte: il secondo invio è un replay", async () => {
+  const { token } = issueChallenge();
+  const { id, exp } = verifyChallenge({ token });
+  assert.equal(await consumeChallenge(id, exp), true);
+  assert.equal(await consumeChallenge(id, exp), false);
+  // Invio non partito: il token torna utilizzabile una volta
+  await releaseChallenge(id);
+  assert.equal(await consumeChallenge(id, exp), true);
+  assert.equal(await consumeChallenge(id, exp), false);
+});
+
+/**********************************************
+ * API
+ **********************************************/
+const risposta = () => ({
+  code: 0, headers: {}, body: null,
+  setHeader(nome, valore) { this.headers[nome] = valore; },
+  status(code) { this.code = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+test("api/challenge: token nuovo a ogni richiesta, mai dalla cache", async () => {
+  process.env.ANTIBOT_POW_BITS = "4";
+  process.env.ANTIBOT_MIN_FILL_SECONDS = "3";
+  const r = risposta();
+  await challenge({ method: "GET" }, r);
+  assert.equal(r.code, 200);
+  assert.equal(r.headers['Cache-Control'], 'no-store');
+  assert.equal(r.body.bits, 4);
+  assert.equal(r.body.minFillMs, 3000);
+  assert.deepEqual(verifyChallenge({ token: r.body.token, nonce: cercaNonce(r.body.token, 4) }), { ok: false, error: "too-fast" });
+
+  const r2 = risposta();
+  await challenge({ method: "GET" }, r2);
+  assert.notEqual(r2.body.token, r.body.token);
+});
+
+test("api/challenge: senza ANTIBOT_SECRET nessun token, solo GET", async () => {
+  delete process.env.ANTIBOT_SECRET;
+  const r = risposta();
+  await challenge({ method: "GET" }, r);
+  assert.deepEqual(r.body, { token: null, bits: 0, minFillMs: 0 });
+
+  const post = risposta();
+  await challenge({ method: "POST" }, post);
+  assert.equal(post.code, 405);
+});
@@ -0,0 +1,30 @@
+// Link di prenotazione (lib/booking-link.js): un solo invio per prenotazione
+// Path: /test/booking-link.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { reserveBooking, releaseBooking } from '../lib/booking-link.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.KV_STORE_URL = `file:${dir}`;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const prenotazione = () => ({ id: crypto.randomUUID(), exp: Date.now() + 60 * 60 * 1000 });
+
+test("invii contemporanei dallo stesso link: uno solo riserva la prenotazione", async () => {
+  const record = prenotazione();
+  const esiti = await Promise.all(["s1", "s2", "s3"].map(id => reserveBooking(record, id)));
+  assert.equal(esiti.filter(Boolean).length, 1);
+});
+
+test("ripresa dello stesso invio e rilascio senza trasmissione", async () => {
+  const record = prenotazione();
+  assert.equal(await reserveBooking(record, "s1"), true);
+  assert.equal(await reserveBooking(record, "s1"), true);
+  assert.equal(await reserveBooking(record, "s2"), false);
+  await releaseBooking(record);
+  assert.equal(await reserveBooking(record, "s2"), true);
+});
@@ -0,0 +1,98 @@
+// Codice fiscale e partita IVA (lib/codice-fiscale.js)
+// Path: /test/codice-fiscale.test.js
+//
+// Codici di riferimento calcolati a mano secondo il DM 12/03/1974:
+// RSSMRA80A01H501U è Mario Rossi, nato a Roma (H501) il 01/01/1980.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { carattereControllo, checkCodiceFiscale, codiceCognome, codiceNome, isValidPartitaIva } from '../lib/codice-fiscale.js';
+import { traduci } from '../lib/i18n.js';
+
+const MARIO = { cognome: "Rossi", nome: "Mario", dataNascita: "1980-01-01", sesso: "1", belfiore: "H501" };
+// Laura Bianchi, nata a Milano (F205) il 15/08/1992: giorno 15 + 40
+const LAURA = { cognome: "Bianchi", nome: "Laura", dataNascita: "1992-08-15", sesso: "2", belfiore: "F205" };
+
+// Messaggi in italiano, per confrontare le chiavi di lib/i18n.js
+const errori = (cf, ospite) => checkCodiceFiscale(cf, ospite, "it");
+const msg = (...chiavi) => chiavi.map(k => traduci("it", k));
+
+/**********************************************
+ * CARATTERE DI CONTROLLO
+ **********************************************/
+test("carattere di controllo", () => {
+  assert.equal(carattereControllo("RSSMRA80A01H501"), "U");
+  assert.equal(carattereControllo("BNCLRA92M55F205"), "P");
+  assert.deepEqual(errori("RSSMRA80A01H501U", MARIO), []);
+  assert.deepEqual(errori("rssmra 80a01 h501u", MARIO), []);
+  assert.deepEqual(errori("RSSMRA80A01H501V", MARIO), msg("cf-controllo"));
+  assert.deepEqual(errori("RSSMRA80A01H50", MARIO), msg("cf-formato"));
+  // Mese non valido (F non è una lettera dei mesi)
+  assert.deepEqual(errori("RSSMRA80F01H501U", MARIO), msg("cf-formato"));
+});
+
+test("cognome e nome: consonanti, vocali e X", () => {
+  assert.equal(codiceCognome("Rossi"), "RSS");
+  assert.equal(codiceCognome("Fo"), "FOX");
+  assert.equal(codiceCognome("D'Angelò"), "DNG");
+  assert.equal(codiceNome("Mario"), "MRA");
+  // Quattro o più consonanti: 1ª, 3ª e 4ª
+  assert.equal(codiceNome("Gianfranco"), "GFR");
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, nome: "Maria" }), []);
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, cognome: "Russo", nome: "Marco" }), msg("cf-nome"));
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, cognome: "Bianchi" }), msg("cf-cognome"));
+});
+
+/**********************************************
+ * OMOCODIA
+ * Le cifre sostituite da lettere (0 = L ... 9 = V) valgono come le cifre,
+ * il carattere di controllo si calcola sul codice con le lettere
+ **********************************************/
+test("omocodia: cifre sostituite da lettere", () => {
+  // Ultima cifra del comune (1 -> M)
+  assert.deepEqual(errori("RSSMRA80A01H50MM", MARIO), []);
+  // Anche la penultima (0 -> L)
+  assert.deepEqual(errori("RSSMRA80A01H5LMX", MARIO), []);
+  // Il carattere di controllo del codice originale non vale per quello omocodico
+  assert.deepEqual(errori("RSSMRA80A01H50MU", MARIO), msg("cf-controllo"));
+  // Giorno e anno con lettere: confrontati dopo la sostituzione
+  const cf15 = "RSSMRAUL" + "A" + "LM" + "H501";
+  assert.deepEqual(errori(cf15 + carattereControllo(cf15), MARIO), []);
+});
+
+/**********************************************
+ * SESSO E DATA DI NASCITA
+ **********************************************/
+test("donne: giorno di nascita aumentato di 40", () => {
+  assert.deepEqual(errori("BNCLRA92M55F205P", LAURA), []);
+  // Stesso codice per un uomo: sesso non corrispondente
+  assert.deepEqual(errori("BNCLRA92M55F205P", { ...LAURA, sesso: "1" }), msg("cf-sesso"));
+  // Giorno senza +40 per una donna
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, sesso: "2" }), msg("cf-sesso"));
+  assert.deepEqual(errori("RSSMRA80A41H501Y", { ...MARIO, nome: "Maria", sesso: "2" }), []);
+});
+
+test("data e luogo di nascita confrontati con l'ospite", () => {
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, dataNascita: "1980-01-02" }), msg("cf-data-nascita"));
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, dataNascita: "1980-02-01" }), msg("cf-data-nascita"));
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, dataNascita: "1981-01-01" }), msg("cf-data-nascita"));
+  assert.deepEqual(errori("RSSMRA80A01H501U", { ...MARIO, belfiore: "F205" }), msg("cf-luogo-nascita"));
+  // Dati mancanti: non confrontati
+  assert.deepEqual(errori("RSSMRA80A01H501U", {}), []);
+});
+
+/**********************************************
+ * PARTITA IVA
+ * Cifra di controllo: cifre dispari sommate, pari raddoppiate (meno 9 se
+ * maggiori di 9), poi (10 - somma % 10) % 10
+ **********************************************/
+test("partita IVA: cifra di controllo", () => {
+  assert.equal(isValidPartitaIva("12345678903"), true);
+  assert.equal(isValidPartitaIva("12345678904"), false);
+  // Somma multipla di 10: cifra di controllo 0
+  assert.equal(isValidPartitaIva("00000000000"), true);
+  assert.equal(isValidPartitaIva("1234567890"), false);
+  assert.deepEqual(errori("12345678903", MARIO), []);
+  assert.deepEqual(errori("12345678904", MARIO), msg("partita-iva-non-valida"));
+  assert.deepEqual(errori("123", MARIO), msg("partita-iva-non-valida"));
+});
@@ -0,0 +1,79 @@
+// Tipi documento (lib/documents.js) e importazione della tabella ufficiale
+// Path: /test/documents.test.js
+//
+// test/fixtures/tipi_documento.csv ha il formato della tabella Tipi_Documento
+// del portale; PSPRV è un codice di prova per un permesso di soggiorno.
+// L'importazione riscrive data/documenti_alloggiati.json, quindi gira su una
+// copia dell'applicazione in una cartella temporanea.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadDocumentTypes } from '../lib/documents.js';
+import { validateGuests } from '../lib/validation.js';
+import { getProperty } from '../lib/properties.js';
+
+const radice = fileURLToPath(new URL('..', import.meta.url));
+const copia = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+test.after(() => fs.rmSync(copia, { recursive: true, force: true }));
+
+for (const voce of ['package.json', 'lib', 'scripts', 'data']) {
+  fs.cpSync(path.join(radice, voce), path.join(copia, voce), { recursive: true });
+}
+
+// Ospite straniero con un documento rilasciato in Italia (VENEZIA)
+const ospite = (tipoDocumento) => ({
+  tipoAlloggiato: "16",
+  cognome: "Doe",
+  nome: "Jane",
+  sesso: "2",
+  dataNascita: "1990-04-12",
+  statoNascita: "100000536",
+  cittadinanza: "100000536",
+  statoResidenza: "100000536",
+  tipoDocumento,
+  numeroDocumento: "VE1234567",
+  luogoRilascio: "405027042"
+});
+
+const soggiorno = { dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" };
+
+// Errori di validazione nella copia (la tabella si legge da process.cwd())
+function erroriNellaCopia(guests) {
+  const codice = `
+    import { validateGuests } from './lib/validation.js';
+    import { getProperty } from './lib/properties.js';
+    const stay = { ...${JSON.stringify(soggiorno)}, appartamenti: [getProperty("station")] };
+    console.log(JSON.stringify(validateGuests(${JSON.stringify(guests)}, stay)));`;
+  return JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', codice], { cwd: copia, encoding: 'utf8' }));
+}
+
+test("ogni tipo della tabella è accettato dalla validazione", () => {
+  const appartamenti = [getProperty("station")];
+  for (const { codice } of loadDocumentTypes()) {
+    const errori = validateGuests([ospite(codice)], { ...soggiorno, appartamenti });
+    assert.deepEqual(errori.filter(e => e.field === "tipoDocumento"), [], codice);
+  }
+});
+
+test("importazione: permesso di soggiorno accettato, con rilascio in Italia", () => {
+  assert.equal(erroriNellaCopia([ospite("PSPRV")]).length, 1);
+
+  const csv = path.join(radice, 'test', 'fixtures', 'tipi_documento.csv');
+  const uscita = execFileSync(process.execPath, ['scripts/importa-documenti.js', '--csv', csv], { cwd: copia, encoding: 'utf8' });
+  assert.match(uscita, /11 tipi documento \(1 nuovi\)/);
+
+  const documenti = JSON.parse(fs.readFileSync(path.join(copia, 'data', 'documenti_alloggiati.json'), 'utf8'));
+  const permesso = documenti.find(d => d.codice === "PSPRV");
+  assert.deepEqual(permesso, {
+    codice: "PSPRV", nome: "PERMESSO DI SOGGIORNO", descrizione: "PERMESSO DI SOGGIORNO",
+    passaporto: false, rilascioItalia: true
+  });
+  // I tipi già presenti conservano etichette e indicatori
+  assert.equal(documenti[0].descrizioneEn, "Passport");
+  assert.deepEqual(erroriNellaCopia([ospite("PSPRV")]), []);
+});
@@ -0,0 +1,104 @@
+// Generazione offline dei file (scripts/genera-file.js)
+// Path: /test/genera-file.test.js
+//
+// Lo script gira su test/fixtures/soggiorno.json, riscritto come
+// prenotazione del form per l'appartamento station (stessa struttura,
+// camere e letti del soggiorno): i file prodotti devono essere uguali ai
+// file di riferimento di test/tracciati.test.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const script = fileURLToPath(new URL('../scripts/genera-file.js', import.meta.url));
+const fixture = (nome) => fs.readFileSync(new URL(`./fixtures/${nome}`, import.meta.url), 'utf8');
+// I file di riferimento sono salvati con a capo CRLF
+const righe = (testo) => testo.replace(/\r\n/g, "\n").replace(/\n+$/, "").split("\n");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const soggiorno = JSON.parse(fixture('soggiorno.json'));
+const PRENOTAZIONE = {
+  appartamento: "station",
+  dataArrivo: soggiorno.dataArrivo,
+  dataPartenza: soggiorno.dataPartenza,
+  baseId: soggiorno.baseId,
+  guests: soggiorno.guests
+};
+
+// Esegue lo script dalla cartella temporanea con percorsi relativi
+function genera(nome, contenuto, uscita) {
+  fs.writeFileSync(path.join(dir, nome), JSON.stringify(contenuto));
+  const esito = spawnSync(process.execPath, [script, "--out", uscita, nome], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  const cartella = path.join(dir, uscita);
+  return { ...esito, cartella, file: fs.existsSync(cartella) ? fs.readdirSync(cartella).sort() : [] };
+}
+
+const leggi = (cartella, nome) => fs.readFileSync(path.join(cartella, nome), 'utf8');
+
+/**********************************************
+ * FILE DI RIFERIMENTO
+ **********************************************/
+test("schedine e statistiche uguali ai file di riferimento", () => {
+  const esito = genera("prenotazione.json", PRENOTAZIONE, "file");
+  assert.equal(esito.status, 0, esito.stderr);
+  assert.equal(esito.stderr, "");
+  assert.deepEqual(esito.file, ["Station_20261102.gies.txt", "Station_20261102.xml", "alloggiati_Station_20261102.txt"]);
+
+  assert.deepEqual(righe(leggi(esito.cartella, "alloggiati_Station_20261102.txt")), righe(fixture('alloggiati.txt')));
+  assert.deepEqual(righe(leggi(esito.cartella, "Station_20261102.gies.txt")), righe(fixture('ross1000.gies.txt')));
+  assert.deepEqual(righe(leggi(esito.cartella, "Station_20261102.xml")), righe(fixture('ross1000.xml')));
+
+  assert.deepEqual(righe(esito.stdout), [
+    path.join(esito.cartella, "Station_20261102.gies.txt"),
+    path.join(esito.cartella, "Station_20261102.xml"),
+    path.join(esito.cartella, "alloggiati_Station_20261102.txt (2 schedine)"),
+    "1 prenotazioni elaborate"
+  ]);
+});
+
+/**********************************************
+ * PIÙ PRENOTAZIONI ED ERRORI
+ **********************************************/
+test("prenotazioni con errori saltate, schedine dello stesso giorno in un file", () => {
+  const { baseId, ...senzaId } = PRENOTAZIONE;
+  const elenco = [
+    PRENOTAZIONE,
+    { ...PRENOTAZIONE, appartamento: "attico" },
+    { ...senzaId, guests: [{ ...PRENOTAZIONE.guests[0], dataNascita: "" }] },
+    senzaId
+  ];
+  const esito = genera("elenco.json", elenco, "elenco");
+  assert.equal(esito.status, 1);
+  assert.match(esito.stderr, /elenco\.json \[1\]: prenotazione saltata\n {2}- Appartamento non riconosciuto: attico/);
+  assert.match(esito.stderr, /elenco\.json \[2\]: prenotazione saltata\n {2}- ospite 1, dataNascita: /);
+  assert.doesNotMatch(esito.stderr, /\[0\]|\[3\]/);
+  assert.match(esito.stdout, /2 prenotazioni elaborate, 2 con errori\n$/);
+
+  // Statistiche con lo stesso nome: _2 per la seconda prenotazione
+  assert.deepEqual(esito.file, [
+    "Station_20261102.gies.txt", "Station_20261102.xml",
+    "Station_20261102_2.gies.txt", "Station_20261102_2.xml",
+    "alloggiati_Station_20261102.txt"
+  ]);
+  const schedine = righe(leggi(esito.cartella, "alloggiati_Station_20261102.txt"));
+  assert.deepEqual(schedine, [...righe(fixture('alloggiati.txt')), ...righe(fixture('alloggiati.txt'))]);
+});
+
+test("JSON non valido e uso senza file", () => {
+  fs.writeFileSync(path.join(dir, "rotto.json"), "{");
+  const rotto = spawnSync(process.execPath, [script, "--out", "rotto", "rotto.json"], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  assert.equal(rotto.status, 1);
+  assert.match(rotto.stderr, /rotto\.json: /);
+  assert.match(rotto.stdout, /0 prenotazioni elaborate, 1 con errori/);
+
+  const uso = spawnSync(process.execPath, [script], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  assert.equal(uso.status, 1);
+  assert.match(uso.stdout, /^Uso: node scripts\/genera-file\.js/);
+  assert.equal(spawnSync(process.execPath, [script, "--help"], { encoding: 'utf8', timeout: 60000 }).status, 0);
+});
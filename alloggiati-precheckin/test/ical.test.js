@@ -0,0 +1,157 @@
+// Calendari iCal (lib/ical.js): lettura e controllo dei soggiorni inviati
+// Path: /test/ical.test.js
+//
+// test/fixtures/calendario.ics ha il formato dei calendari esportati da
+// Airbnb, con righe ripiegate (anche nel nome di una proprietà) ed eventi
+// di un giorno intero, con data e ora, annullati o senza DTSTART.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { parseIcal, refreshReservations, getReservations, checkStay } from '../lib/ical.js';
+import { indexStay } from '../lib/stays-index.js';
+import { loadRecord } from '../lib/storage.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.STORAGE_DIR = dir;
+
+const calendario = fs.readFileSync(new URL('./fixtures/calendario.ics', import.meta.url), 'utf8');
+
+const AIRBNB = "1418fb94e984-5d2b7c8e9f0a1b2c3d4e5f6a7b8c9d0e@airbnb.com";
+const BLOCCATO = "1418fb94e984-0f1e2d3c4b5a69788796a5b4c3d2e1f0@airbnb.com";
+
+// Secondo canale: la stessa prenotazione sincronizzata e una sovrapposta
+const BOOKING = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "BEGIN:VEVENT",
+  "DTSTART;VALUE=DATE:20261102",
+  "DTEND;VALUE=DATE:20261104",
+  "UID:sincronizzata@booking.com",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "DTSTART;VALUE=DATE:20261103",
+  "DTEND;VALUE=DATE:20261106",
+  "UID:sovrapposta@booking.com",
+  "END:VEVENT",
+  "END:VCALENDAR"
+].join("\r\n");
+
+// Risposte del server per percorso: { status, corpo }
+let risposte = {};
+const server = http.createServer((req, res) => {
+  const r = risposte[req.url] || { status: 404, corpo: "" };
+  res.writeHead(r.status, { "Content-Type": "text/calendar; charset=utf-8" });
+  res.end(r.corpo);
+});
+
+const STATION = { id: "station", nome: "Station Apartment" };
+const SKYLINE = { id: "skyline", nome: "Skyline Apartment" };
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.ICAL_FEEDS = JSON.stringify({ station: [`${base}/airbnb.ics`, `${base}/booking.ics`] });
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**********************************************
+ * LETTURA DEL CALENDARIO
+ **********************************************/
+test("righe ripiegate, eventi di un giorno intero e con data e ora", () => {
+  assert.deepEqual(parseIcal(calendario), [
+    // DTSTART ripiegato nel nome, UID ripiegato nel valore
+    { uid: AIRBNB, dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" },
+    // Senza DTEND: una notte
+    { uid: BLOCCATO, dataArrivo: "2026-11-10", dataPartenza: "2026-11-11" },
+    // Con data e ora (e TZID): conta solo la data; ripiegato con un tab
+    { uid: "ora@example.test", dataArrivo: "2026-11-15", dataPartenza: "2026-11-18" },
+    // DTEND uguale a DTSTART: una notte
+    { uid: "stesso-giorno@example.test", dataArrivo: "2026-11-25", dataPartenza: "2026-11-26" }
+  ]);
+});
+
+test("a capo LF, proprietà in minuscolo e testo non iCal", () => {
+  const lf = calendario.replace(/\r\n/g, "\n");
+  assert.deepEqual(parseIcal(lf), parseIcal(calendario));
+  const minuscolo = "BEGIN:VEVENT\ndtstart;value=date:20270101\nDtEnd;VALUE=DATE:20270103\nuid:x\nEND:VEVENT";
+  assert.deepEqual(parseIcal(minuscolo), [{ uid: "x", dataArrivo: "2027-01-01", dataPartenza: "2027-01-03" }]);
+  assert.deepEqual(parseIcal(""), []);
+  assert.deepEqual(parseIcal(undefined), []);
+  // Proprietà fuori da un VEVENT ignorate
+  assert.deepEqual(parseIcal("DTSTART;VALUE=DATE:20270101\nEND:VEVENT"), []);
+});
+
+/**********************************************
+ * AGGIORNAMENTO E PRENOTAZIONI
+ **********************************************/
+test("prenotazioni di tutti i calendari senza doppioni", async () => {
+  risposte = {
+    "/airbnb.ics": { status: 200, corpo: calendario },
+    "/booking.ics": { status: 200, corpo: BOOKING }
+  };
+  const record = await refreshReservations(STATION);
+  assert.deepEqual(record.calendari.map(c => [c.ok, c.errore, c.prenotazioni.length]), [[true, null, 4], [true, null, 2]]);
+
+  assert.deepEqual(await getReservations(STATION), [
+    { uid: AIRBNB, dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" },
+    { uid: "sovrapposta@booking.com", dataArrivo: "2026-11-03", dataPartenza: "2026-11-06" },
+    { uid: BLOCCATO, dataArrivo: "2026-11-10", dataPartenza: "2026-11-11" },
+    { uid: "ora@example.test", dataArrivo: "2026-11-15", dataPartenza: "2026-11-18" },
+    { uid: "stesso-giorno@example.test", dataArrivo: "2026-11-25", dataPartenza: "2026-11-26" }
+  ]);
+  // Nessun calendario configurato
+  assert.equal(await getReservations(SKYLINE), null);
+});
+
+/**********************************************
+ * CONTROLLO DI UN SOGGIORNO INVIATO
+ **********************************************/
+test("checkStay: prenotazione, periodi occupati e altri invii", async () => {
+  await indexStay({ id: "inviato", dataArrivo: "2026-11-03", dataPartenza: "2026-11-05", alloggi: [{ appartamento: "station" }] });
+
+  const [station, skyline] = await checkStay([STATION, SKYLINE], { dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" });
+  assert.deepEqual(station, {
+    property: STATION,
+    nonAggiornati: 0,
+    prenotazione: { uid: AIRBNB, dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" },
+    nelPeriodo: [{ uid: "sovrapposta@booking.com", dataArrivo: "2026-11-03", dataPartenza: "2026-11-06" }],
+    altriInvii: [{ id: "inviato", dataArrivo: "2026-11-03", dataPartenza: "2026-11-05" }]
+  });
+  assert.deepEqual(skyline, { property: SKYLINE, prenotazione: undefined, nonAggiornati: 0, nelPeriodo: [], altriInvii: [] });
+
+  // Date diverse da ogni prenotazione: solo i periodi occupati
+  const [periodo] = await checkStay([STATION], { dataArrivo: "2026-11-09", dataPartenza: "2026-11-16" });
+  assert.equal(periodo.prenotazione, null);
+  assert.deepEqual(periodo.nelPeriodo.map(p => p.uid), [BLOCCATO, "ora@example.test"]);
+  assert.deepEqual(periodo.altriInvii, []);
+
+  // Arrivo nel giorno di partenza di una prenotazione: nessuna sovrapposizione
+  const [libero] = await checkStay([STATION], { dataArrivo: "2026-11-18", dataPartenza: "2026-11-25" });
+  assert.equal(libero.prenotazione, null);
+  assert.deepEqual(libero.nelPeriodo, []);
+});
+
+test("calendario non raggiungibile: restano le prenotazioni lette prima", async () => {
+  risposte = {
+    "/airbnb.ics": { status: 200, corpo: calendario },
+    "/booking.ics": { status: 503, corpo: "" }
+  };
+  await refreshReservations(STATION);
+  const record = await loadRecord('calendari', "station");
+  assert.deepEqual(record.calendari.map(c => [c.ok, c.errore, c.prenotazioni.length]), [[true, null, 4], [false, "HTTP 503", 2]]);
+
+  // Risposta che non è un calendario
+  risposte["/airbnb.ics"] = { status: 200, corpo: "<html></html>" };
+  await refreshReservations(STATION);
+  const [station] = await checkStay([STATION], { dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" });
+  assert.equal(station.nonAggiornati, 2);
+  assert.equal(station.prenotazione.uid, AIRBNB);
+  assert.equal(station.nelPeriodo.length, 1);
+});
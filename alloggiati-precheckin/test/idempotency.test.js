@@ -0,0 +1,45 @@
+// Invii idempotenti (lib/idempotency.js): ripresa dopo una trasmissione
+// Path: /test/idempotency.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { beginSubmission, saveTransmission, completeSubmission, releaseSubmission } from '../lib/idempotency.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.KV_STORE_URL = `file:${dir}`;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const body = { appartamento: "station", guests: [{ cognome: "Rossi" }] };
+const chiave = () => `test-${crypto.randomUUID()}`;
+
+test("invio fallito prima della trasmissione: chiave di nuovo libera", async () => {
+  const key = chiave();
+  assert.equal((await beginSubmission(key, body)).stato, "nuovo");
+  assert.equal((await beginSubmission(key, body)).stato, "in-corso");
+  await releaseSubmission(key);
+  assert.equal((await beginSubmission(key, body)).stato, "nuovo");
+});
+
+test("dati già trasmessi: il nuovo tentativo riprende senza ritrasmettere", async () => {
+  const key = chiave();
+  const trasmissione = { submissionId: "s1", alloggi: { station: { alloggiatiWs: { stato: "inviato" }, statisticheWs: null } } };
+  await beginSubmission(key, body);
+  await saveTransmission(key, body, trasmissione);
+  // Richiesta ancora in corso (invio dell'email)
+  assert.equal((await beginSubmission(key, body)).stato, "in-corso");
+  // Email fallita: la chiave non torna libera
+  await releaseSubmission(key);
+
+  const ripresa = await beginSubmission(key, body);
+  assert.equal(ripresa.stato, "ripresa");
+  assert.deepEqual(ripresa.trasmissione, trasmissione);
+  // Una sola ripresa alla volta
+  assert.equal((await beginSubmission(key, body)).stato, "in-corso");
+  assert.equal((await beginSubmission(key, { ...body, appartamento: "altro" })).stato, "diverso");
+
+  await completeSubmission(key, body, { status: "ok" });
+  assert.deepEqual(await beginSubmission(key, body), { stato: "completato", risposta: { status: "ok" } });
+});
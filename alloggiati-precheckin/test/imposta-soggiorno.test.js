@@ -0,0 +1,139 @@
+// Calcolo dell'imposta di soggiorno (lib/imposta-soggiorno.js)
+// Path: /test/imposta-soggiorno.test.js
+//
+// Configurazione fissa in test/fixtures/imposta_soggiorno.json, così i test
+// non cambiano a ogni delibera comunale su data/imposta_soggiorno.json.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+fs.mkdirSync(path.join(dir, 'data'));
+fs.copyFileSync(new URL('./fixtures/imposta_soggiorno.json', import.meta.url), path.join(dir, 'data', 'imposta_soggiorno.json'));
+const cwd = process.cwd();
+process.chdir(dir);
+test.after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const { calcolaImposta, sezioneImposta } = await import('../lib/imposta-soggiorno.js');
+
+const CENTRO = { id: "ca-doro", zonaImposta: "centro-storico" };
+const TERRAFERMA = { id: "mestre", zonaImposta: "terraferma" };
+const ADULTO = { cognome: "Rossi", nome: "Mario", dataNascita: "1980-01-01" };
+
+const soggiorno = (dataArrivo, dataPartenza, guests = [ADULTO]) => ({ dataArrivo, dataPartenza, guests });
+const stagioni = (imposta) => imposta.notti.map(n => `${n.data.slice(5)} ${n.stagione}`);
+
+/**********************************************
+ * NOTTI TASSABILI
+ **********************************************/
+test("notti dalla notte di arrivo, al massimo nottiMassime", () => {
+  const imposta = calcolaImposta(CENTRO, soggiorno("2026-06-01", "2026-06-08"));
+  assert.equal(imposta.nottiMassime, 5);
+  assert.deepEqual(imposta.notti.map(n => n.data), ["2026-06-01", "2026-06-02", "2026-06-03", "2026-06-04", "2026-06-05"]);
+  assert.deepEqual(imposta.ospiti, [{ eta: 46, notti: 5, importo: 2000, esenzione: "", fascia: "" }]);
+  assert.equal(imposta.totale, 2000);
+
+  // Sotto il massimo: la notte di partenza non conta
+  const breve = calcolaImposta(CENTRO, soggiorno("2026-06-01", "2026-06-03"));
+  assert.equal(breve.notti.length, 2);
+  assert.equal(breve.totale, 800);
+  assert.equal(calcolaImposta(CENTRO, soggiorno("2026-06-01", "2026-06-06")).notti.length, 5);
+});
+
+/**********************************************
+ * STAGIONI (estremi compresi, vale la prima che contiene la notte)
+ **********************************************/
+test("stagioni: estremi dei periodi compresi", () => {
+  assert.deepEqual(stagioni(calcolaImposta(CENTRO, soggiorno("2026-01-05", "2026-01-09"))),
+    ["01-05 alta", "01-06 alta", "01-07 bassa", "01-08 bassa"]);
+  assert.deepEqual(stagioni(calcolaImposta(CENTRO, soggiorno("2026-01-30", "2026-02-02"))),
+    ["01-30 bassa", "01-31 bassa", "02-01 alta"]);
+  assert.deepEqual(stagioni(calcolaImposta(CENTRO, soggiorno("2026-10-31", "2026-11-03"))),
+    ["10-31 alta", "11-01 alta", "11-02 bassa"]);
+});
+
+test("stagioni: soggiorno a cavallo dell'anno", () => {
+  const imposta = calcolaImposta(CENTRO, soggiorno("2026-12-21", "2027-01-08"));
+  assert.deepEqual(stagioni(imposta), ["12-21 bassa", "12-22 bassa", "12-23 alta", "12-24 alta", "12-25 alta"]);
+  assert.deepEqual(imposta.notti.map(n => n.tariffa), [280, 280, 400, 400, 400]);
+  assert.equal(imposta.totale, 1760);
+});
+
+/**********************************************
+ * ZONE
+ **********************************************/
+test("zone: tariffa della zona dell'appartamento", () => {
+  const centro = calcolaImposta(CENTRO, soggiorno("2026-12-20", "2026-12-25"));
+  const terraferma = calcolaImposta(TERRAFERMA, soggiorno("2026-12-20", "2026-12-25"));
+  assert.deepEqual(centro.zona, { id: "centro-storico", nome: "Centro storico e isole" });
+  assert.deepEqual(terraferma.zona, { id: "terraferma", nome: "Terraferma" });
+  // 3 notti di bassa e 2 di alta
+  assert.equal(centro.totale, 3 * 280 + 2 * 400);
+  assert.equal(terraferma.totale, 3 * 220 + 2 * 320);
+  assert.equal(centro.comune, "Venezia");
+});
+
+test("appartamento senza zona configurata: nessuna imposta", () => {
+  assert.equal(calcolaImposta({ id: "altrove" }, soggiorno("2026-06-01", "2026-06-03")), null);
+  assert.equal(calcolaImposta({ id: "altrove", zonaImposta: "murano" }, soggiorno("2026-06-01", "2026-06-03")), null);
+  assert.equal(calcolaImposta(null, soggiorno("2026-06-01", "2026-06-03")), null);
+  assert.equal(sezioneImposta(null, []), null);
+});
+
+/**********************************************
+ * FASCE DI ETÀ (anni compiuti all'arrivo)
+ **********************************************/
+test("fasce di età: esenzione e riduzione", () => {
+  const guests = [
+    ADULTO,
+    // Compie 10 anni il giorno dopo l'arrivo: esente
+    { cognome: "Rossi", nome: "Luca", dataNascita: "2016-06-02" },
+    // Compie 10 anni il giorno dell'arrivo: riduzione del 30%
+    { cognome: "Rossi", nome: "Anna", dataNascita: "2016-06-01" },
+    // 16 anni: ancora ridotto; 17 anni: tariffa intera
+    { cognome: "Rossi", nome: "Paolo", dataNascita: "2009-06-02" },
+    { cognome: "Rossi", nome: "Sara", dataNascita: "2009-06-01" },
+    // Età non indicata: tariffa intera
+    { cognome: "Rossi", nome: "Ugo", dataNascita: "" }
+  ];
+  const imposta = calcolaImposta(TERRAFERMA, soggiorno("2026-06-01", "2026-06-04", guests));
+  const intera = 3 * 320;
+  assert.deepEqual(imposta.ospiti, [
+    { eta: 46, notti: 3, importo: intera, esenzione: "", fascia: "" },
+    { eta: 9, notti: 0, importo: 0, esenzione: "1", fascia: "Minore di 10 anni (esente)" },
+    { eta: 10, notti: 3, importo: 672, esenzione: "", fascia: "Minore da 10 a 16 anni (riduzione 30%)" },
+    { eta: 16, notti: 3, importo: 672, esenzione: "", fascia: "Minore da 10 a 16 anni (riduzione 30%)" },
+    { eta: 17, notti: 3, importo: intera, esenzione: "", fascia: "" },
+    { eta: null, notti: 3, importo: intera, esenzione: "", fascia: "" }
+  ]);
+  assert.equal(imposta.totale, 3 * intera + 2 * 672);
+});
+
+test("riduzione arrotondata al centesimo", () => {
+  // 70% di 2,20 € = 1,54 €; di 2,80 € + 4,00 € = 4,76 €
+  const ragazzo = { cognome: "Rossi", nome: "Luca", dataNascita: "2012-01-01" };
+  assert.equal(calcolaImposta(TERRAFERMA, soggiorno("2026-11-10", "2026-11-11", [ragazzo])).totale, 154);
+  assert.equal(calcolaImposta(CENTRO, soggiorno("2026-12-22", "2026-12-24", [ragazzo])).totale, 476);
+});
+
+/**********************************************
+ * RIEPILOGO PER L'HOST
+ **********************************************/
+test("sezione del riepilogo", () => {
+  const guests = [ADULTO, { cognome: "Rossi", nome: "Luca", dataNascita: "2020-05-05" }];
+  const imposta = calcolaImposta(TERRAFERMA, soggiorno("2026-01-06", "2026-01-08", guests));
+  const sezione = sezioneImposta(imposta, guests, "Mestre");
+  assert.equal(sezione.titolo, "IMPOSTA DI SOGGIORNO – Mestre (Venezia – Terraferma)");
+  assert.deepEqual(sezione.righe, [["Notti tassabili", "2 (massimo 5)"], ["Totale da riscuotere", "€ 5,40"]]);
+  assert.deepEqual(sezione.tabelle[0].righe, [["06/01/2026", "Alta stagione", "€ 3,20"], ["07/01/2026", "Bassa stagione", "€ 2,20"]]);
+  assert.deepEqual(sezione.tabelle[1].righe, [
+    ["ROSSI MARIO", "€ 5,40", "2 notti"],
+    ["ROSSI LUCA", "€ 0,00", "Minore di 10 anni (esente) [cod. 1]"]
+  ]);
+});
@@ -0,0 +1,107 @@
+// Movimento dei clienti ISTAT C/59 (lib/istat-c59.js) su un mese intero
+// Path: /test/istat-c59.test.js
+//
+// test/fixtures/c59-novembre.json: i soggiorni di novembre 2026 di una
+// struttura, uno arrivato a ottobre e uno che parte a dicembre. Le righe
+// giornaliere di ogni soggiorno sono sommate come nel modello mensile:
+// arrivi e presenze per stato di residenza e, per i residenti in Italia,
+// per regione.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildIstatC59 } from '../lib/istat-c59.js';
+
+const soggiorni = JSON.parse(fs.readFileSync(new URL('./fixtures/c59-novembre.json', import.meta.url), 'utf8'));
+
+const ITALIA = "100000100";
+const GERMANIA = "100000216";
+const FRANCIA = "100000215";
+const AUSTRIA = "100000203";
+const STATI_UNITI = "100000536";
+
+// Regioni delle province del fixture
+const REGIONI = { VE: "Veneto", PD: "Veneto", MI: "Lombardia", RM: "Lazio" };
+
+// Righe CSV di tutti i soggiorni nei giorni del mese (AAAA-MM)
+function righeMese(mese) {
+  return soggiorni.flatMap(stay => {
+    const { csv, errori } = buildIstatC59(stay);
+    assert.deepEqual(errori, []);
+    const [intestazione, ...righe] = csv.split("\r\n");
+    const campi = intestazione.split(";");
+    return righe
+      .map(r => Object.fromEntries(r.split(";").map((v, i) => [campi[i], v])))
+      .filter(r => r.data.startsWith(mese));
+  });
+}
+
+// Totali { arrivi, partenze, presenze } per chiave
+function totali(righe, chiave) {
+  const out = {};
+  for (const r of righe) {
+    const k = chiave(r);
+    if (!k) continue;
+    out[k] = out[k] || { arrivi: 0, partenze: 0, presenze: 0 };
+    for (const campo of ["arrivi", "partenze", "presenze"]) out[k][campo] += parseInt(r[campo], 10);
+  }
+  return out;
+}
+
+const novembre = righeMese("2026-11");
+
+/**********************************************
+ * TOTALI DEL MESE
+ **********************************************/
+test("arrivi e presenze per stato di residenza", () => {
+  assert.deepEqual(totali(novembre, r => r.stato_residenza), {
+    // Arrivati a ottobre: solo presenze e partenze a novembre
+    [GERMANIA]: { arrivi: 0, partenze: 2, presenze: 4 },
+    [ITALIA]: { arrivi: 5, partenze: 5, presenze: 16 },
+    // Cittadinanza straniera senza residenza indicata
+    [STATI_UNITI]: { arrivi: 1, partenze: 1, presenze: 2 },
+    // Cittadino italiano residente all'estero
+    [FRANCIA]: { arrivi: 1, partenze: 1, presenze: 5 },
+    // Partenza a dicembre: presenze delle notti del 28, 29 e 30
+    [AUSTRIA]: { arrivi: 2, partenze: 0, presenze: 6 }
+  });
+});
+
+test("residenti in Italia per regione e provincia", () => {
+  const italiani = novembre.filter(r => r.stato_residenza === ITALIA);
+  assert.deepEqual(totali(italiani, r => REGIONI[r.provincia_residenza]), {
+    Veneto: { arrivi: 3, partenze: 3, presenze: 9 },
+    Lombardia: { arrivi: 1, partenze: 1, presenze: 2 },
+    Lazio: { arrivi: 1, partenze: 1, presenze: 5 }
+  });
+  assert.deepEqual(totali(italiani, r => r.provincia_residenza), {
+    VE: { arrivi: 2, partenze: 2, presenze: 6 },
+    PD: { arrivi: 1, partenze: 1, presenze: 3 },
+    MI: { arrivi: 1, partenze: 1, presenze: 2 },
+    RM: { arrivi: 1, partenze: 1, presenze: 5 }
+  });
+  // Provincia solo per i residenti in Italia
+  assert.ok(novembre.filter(r => r.stato_residenza !== ITALIA).every(r => r.provincia_residenza === ""));
+});
+
+test("totali del mese: arrivi, presenze e camere occupate", () => {
+  const mese = totali(novembre, () => "totale").totale;
+  assert.deepEqual(mese, { arrivi: 9, partenze: 9, presenze: 33 });
+
+  // Camere occupate: una riga per giorno e provenienza, contate una volta al giorno
+  const camere = new Map(novembre.map(r => [r.data, parseInt(r.camere_occupate, 10)]));
+  assert.equal([...camere.values()].reduce((a, b) => a + b, 0), 2 + 3 + 2 + 5 + 3);
+  assert.equal(camere.get("2026-11-03"), 0);
+  assert.equal(camere.get("2026-11-30"), 1);
+  assert.ok(novembre.every(r => r.codice_struttura === "M0270425422" && r.camere_disponibili === "1" && r.letti_disponibili === "4"));
+  // Presenze di ogni notte entro i posti letto
+  const perNotte = totali(novembre, r => r.data);
+  assert.ok(Object.values(perNotte).every(t => t.presenze <= 4));
+});
+
+test("giorni di altri mesi esclusi", () => {
+  const dicembre = righeMese("2026-12");
+  assert.deepEqual(totali(dicembre, r => r.stato_residenza), { [AUSTRIA]: { arrivi: 0, partenze: 2, presenze: 2 } });
+  const ottobre = righeMese("2026-10");
+  assert.deepEqual(totali(ottobre, r => r.stato_residenza), { [GERMANIA]: { arrivi: 2, partenze: 0, presenze: 4 } });
+});
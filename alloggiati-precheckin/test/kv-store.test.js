@@ -0,0 +1,212 @@
+// Archivio chiave/valore (lib/kv-store.js): backend Redis verso un server
+// RESP finto in locale, backend SQLite solo dove node:sqlite esiste
+// Path: /test/kv-store.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { getKvStore } from '../lib/kv-store.js';
+
+const PASSWORD = "segreta";
+
+/**********************************************
+ * SERVER FINTO
+ * Comandi usati da lib/kv-store.js: AUTH, SELECT, SET (PX, NX), GET, DEL,
+ * INCR, PTTL. Le chiavi scadono come in Redis; ogni comando ricevuto
+ * finisce in comandi.
+ **********************************************/
+const dati = new Map(); // chiave -> { valore, scade (ms o null) }
+let comandi = [];
+
+const vivo = (chiave) => {
+  const voce = dati.get(chiave);
+  if (voce && voce.scade !== null && voce.scade <= Date.now()) dati.delete(chiave);
+  return dati.get(chiave) || null;
+};
+const bulk = (s) => s === null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+
+function esegui([nome, ...args]) {
+  switch (nome.toUpperCase()) {
+    case "AUTH":
+      return args[args.length - 1] === PASSWORD ? "+OK\r\n" : "-WRONGPASS invalid password\r\n";
+    case "SELECT":
+      return "+OK\r\n";
+    case "SET": {
+      const [chiave, valore, ...opzioni] = args;
+      const su = opzioni.map(o => o.toUpperCase());
+      if (su.includes("NX") && vivo(chiave)) return bulk(null);
+      const px = su.indexOf("PX");
+      dati.set(chiave, { valore, scade: px >= 0 ? Date.now() + Number(opzioni[px + 1]) : null });
+      return "+OK\r\n";
+    }
+    case "GET": {
+      const voce = vivo(args[0]);
+      return bulk(voce ? voce.valore : null);
+    }
+    case "DEL":
+      return `:${dati.delete(args[0]) ? 1 : 0}\r\n`;
+    case "INCR": {
+      const voce = vivo(args[0]) || { valore: "0", scade: null };
+      voce.valore = String(Number(voce.valore) + 1);
+      dati.set(args[0], voce);
+      return `:${voce.valore}\r\n`;
+    }
+    case "PTTL": {
+      const voce = vivo(args[0]);
+      return `:${!voce ? -2 : voce.scade === null ? -1 : voce.scade - Date.now()}\r\n`;
+    }
+    default:
+      return `-ERR unknown command '${nome}'\r\n`;
+  }
+}
+
+// Richieste RESP complete nel buffer: [[argomenti], ...] e resto non letto
+function leggiComandi(buf) {
+  const letti = [];
+  for (;;) {
+    const m = /^\*(\d+)\r\n/.exec(buf);
+    if (!m) break;
+    let pos = m[0].length;
+    const args = [];
+    for (let i = 0; i < Number(m[1]); i++) {
+      const l = /^\$(\d+)\r\n/.exec(buf.slice(pos));
+      if (!l) return { letti, resto: buf };
+      const inizio = pos + l[0].length;
+      if (buf.length < inizio + Number(l[1]) + 2) return { letti, resto: buf };
+      args.push(buf.slice(inizio, inizio + Number(l[1])));
+      pos = inizio + Number(l[1]) + 2;
+    }
+    letti.push(args);
+    buf = buf.slice(pos);
+  }
+  return { letti, resto: buf };
+}
+
+const server = net.createServer((socket) => {
+  let buf = "";
+  socket.on("data", (chunk) => {
+    const { letti, resto } = leggiComandi(buf + chunk.toString("utf8"));
+    buf = resto;
+    for (const args of letti) {
+      comandi.push(args);
+      socket.write(esegui(args));
+    }
+  });
+  socket.on("error", () => {});
+});
+
+let url = "";
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `redis://:${PASSWORD}@127.0.0.1:${server.address().port}/2`;
+  process.env.KV_STORE_URL = url;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  dati.clear();
+  comandi = [];
+});
+
+const attendi = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**********************************************
+ * BACKEND REDIS
+ **********************************************/
+test("redis: set e get di valori JSON, con password e database", async () => {
+  const kv = await getKvStore();
+  assert.equal(await kv.set("invio:abc", { stato: "inviato", righe: 2 }, 60000), true);
+  assert.deepEqual(await kv.get("invio:abc"), { stato: "inviato", righe: 2 });
+  assert.equal(await kv.get("invio:assente"), null);
+  assert.deepEqual(comandi.slice(0, 2), [["AUTH", PASSWORD], ["SELECT", "2"]]);
+});
+
+test("redis: onlyIfAbsent salva solo la prima volta", async () => {
+  const kv = await getKvStore();
+  assert.equal(await kv.set("prenotazione:1", { id: "a" }, 60000, { onlyIfAbsent: true }), true);
+  assert.equal(await kv.set("prenotazione:1", { id: "b" }, 60000, { onlyIfAbsent: true }), false);
+  assert.deepEqual(await kv.get("prenotazione:1"), { id: "a" });
+  // Senza onlyIfAbsent il valore si sovrascrive
+  assert.equal(await kv.set("prenotazione:1", { id: "c" }, 60000), true);
+  assert.deepEqual(await kv.get("prenotazione:1"), { id: "c" });
+});
+
+test("redis: le chiavi scadono dopo ttlMs", async () => {
+  const kv = await getKvStore();
+  await kv.set("sfida:1", { ok: true }, 50);
+  assert.ok(comandi.some(c => c[0] === "SET" && c[1] === "sfida:1" && c[3] === "PX" && c[4] === "50"));
+  assert.deepEqual(await kv.get("sfida:1"), { ok: true });
+  await attendi(80);
+  assert.equal(await kv.get("sfida:1"), null);
+  // Scaduta, la chiave si può riprendere con onlyIfAbsent
+  assert.equal(await kv.set("sfida:1", { ok: false }, 60000, { onlyIfAbsent: true }), true);
+});
+
+test("redis: del elimina la chiave", async () => {
+  const kv = await getKvStore();
+  await kv.set("invio:abc", { stato: "inviato" }, 60000);
+  await kv.del("invio:abc");
+  assert.equal(await kv.get("invio:abc"), null);
+  await kv.del("invio:abc");
+  assert.equal(await kv.set("invio:abc", { stato: "nuovo" }, 60000, { onlyIfAbsent: true }), true);
+});
+
+test("redis: incr conta dal primo incremento, con la sua scadenza", async () => {
+  const kv = await getKvStore();
+  const prima = await kv.incr("rate:1.2.3.4", 60000);
+  const seconda = await kv.incr("rate:1.2.3.4", 60000);
+  assert.equal(prima.count, 1);
+  assert.equal(seconda.count, 2);
+  assert.ok(Math.abs(seconda.expiresAt - prima.expiresAt) < 1000);
+  await kv.set("rate:breve", 0, 1);
+  await attendi(10);
+  assert.equal((await kv.incr("rate:breve", 60000)).count, 1);
+});
+
+test("redis: errore del server e server non raggiungibile", async () => {
+  process.env.KV_STORE_URL = url.replace(PASSWORD, "sbagliata");
+  try {
+    const kv = await getKvStore();
+    await assert.rejects(kv.get("invio:abc"), /Redis: WRONGPASS/);
+    process.env.KV_STORE_URL = "redis://127.0.0.1:1/0";
+    await assert.rejects((await getKvStore()).get("invio:abc"), /ECONNREFUSED/);
+  } finally {
+    process.env.KV_STORE_URL = url;
+  }
+});
+
+/**********************************************
+ * BACKEND SQLITE
+ **********************************************/
+const sqlite = await import('node:sqlite').then(() => true, () => false);
+
+test("sqlite: senza node:sqlite errore esplicito", { skip: sqlite && "node:sqlite disponibile" }, async () => {
+  process.env.KV_STORE_URL = `sqlite:${path.join(os.tmpdir(), 'precheckin-kv.db')}`;
+  try {
+    await assert.rejects(getKvStore(), /requires node:sqlite \(Node 22\.5 or later\)/);
+  } finally {
+    process.env.KV_STORE_URL = url;
+  }
+});
+
+test("sqlite: onlyIfAbsent, scadenza e del", { skip: !sqlite && "node:sqlite non disponibile" }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+  process.env.KV_STORE_URL = `sqlite:${path.join(dir, 'kv.db')}`;
+  try {
+    const kv = await getKvStore();
+    assert.equal(await kv.set("a", { n: 1 }, 50, { onlyIfAbsent: true }), true);
+    assert.equal(await kv.set("a", { n: 2 }, 50, { onlyIfAbsent: true }), false);
+    assert.deepEqual(await kv.get("a"), { n: 1 });
+    await attendi(80);
+    assert.equal(await kv.get("a"), null);
+    assert.equal((await kv.incr("c", 60000)).count, 1);
+    assert.equal((await kv.incr("c", 60000)).count, 2);
+    await kv.del("c");
+    assert.equal(await kv.get("c"), null);
+  } finally {
+    process.env.KV_STORE_URL = url;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,153 @@
+// Lettura MRZ (lib/mrz.js) sugli esemplari ICAO 9303
+// Path: /test/mrz.test.js
+//
+// Esemplari della Utopia (UTO) pubblicati nel Doc 9303: parte 4 (TD3,
+// passaporto), parte 5 (TD1, carta d'identità) e parte 6 (TD2).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cifraControllo, normalizzaMrz, parseMrz } from '../lib/mrz.js';
+import { traduci } from '../lib/i18n.js';
+
+const TD3 = [
+  "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+  "L898902C36UTO7408122F1204159ZE184226B<<<<<10"
+];
+const TD2 = [
+  "I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<",
+  "D231458907UTO7408122F1204159<<<<<<<6"
+];
+const TD1 = [
+  "I<UTOD231458907<<<<<<<<<<<<<<<",
+  "7408122F1204159UTO<<<<<<<<<<<6",
+  "ERIKSSON<<ANNA<MARIA<<<<<<<<<<"
+];
+// Numero documento di 12 caratteri: prosegue nei dati opzionali (parte 5)
+const TD1_NUMERO_LUNGO = [
+  "I<UTOD23145890<7349<<<<<<<<<<<",
+  "3407127M9507122UTO<<<<<<<<<<<2",
+  "STEVENSON<<PETER<JOHN<<<<<<<<<"
+];
+
+const ANNA = {
+  cognome: "ERIKSSON",
+  nome: "ANNA MARIA",
+  sesso: "2",
+  dataNascita: "1974-08-12",
+  scadenza: "2012-04-15",
+  cittadinanzaIso3: "UTO"
+};
+
+// Sostituisce il carattere in riga/colonna (0-based)
+function cambia(righe, riga, colonna, ch) {
+  return righe.map((r, i) => i === riga ? r.slice(0, colonna) + ch + r.slice(colonna + 1) : r);
+}
+
+const errore = (campo) => traduci("it", "mrz-cifra-controllo", { campo: traduci("it", campo) });
+const errori = (righe) => parseMrz(righe.join("\n"), "it").errori;
+
+/**********************************************
+ * CIFRA DI CONTROLLO (pesi 7, 3, 1)
+ **********************************************/
+test("cifra di controllo ICAO", () => {
+  assert.equal(cifraControllo("L898902C3"), "6");
+  assert.equal(cifraControllo("740812"), "2");
+  assert.equal(cifraControllo("120415"), "9");
+  assert.equal(cifraControllo("ZE184226B<<<<<"), "1");
+  assert.equal(cifraControllo("<<<<<<<<<"), "0");
+});
+
+/**********************************************
+ * ESEMPLARI VALIDI
+ **********************************************/
+test("TD3: passaporto", () => {
+  const r = parseMrz(TD3.join("\n"));
+  assert.equal(r.ok, true);
+  assert.equal(r.formato, "TD3");
+  assert.deepEqual(r.errori, []);
+  assert.deepEqual(r.dati, { ...ANNA, numeroDocumento: "L898902C3", tipoDocumento: "PASOR" });
+});
+
+test("TD2", () => {
+  const r = parseMrz(TD2.join("\n"));
+  assert.equal(r.ok, true);
+  assert.equal(r.formato, "TD2");
+  assert.deepEqual(r.dati, { ...ANNA, numeroDocumento: "D23145890", tipoDocumento: "IDENT" });
+});
+
+test("TD1: carta d'identità", () => {
+  const r = parseMrz(TD1.join("\n"));
+  assert.equal(r.ok, true);
+  assert.equal(r.formato, "TD1");
+  assert.deepEqual(r.dati, { ...ANNA, numeroDocumento: "D23145890", tipoDocumento: "IDENT" });
+});
+
+test("TD1: numero documento oltre 9 caratteri", () => {
+  const r = parseMrz(TD1_NUMERO_LUNGO.join("\n"));
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.dati, {
+    cognome: "STEVENSON",
+    nome: "PETER JOHN",
+    sesso: "1",
+    dataNascita: "1934-07-12",
+    scadenza: "1995-07-12",
+    numeroDocumento: "D23145890734",
+    tipoDocumento: "IDENT",
+    cittadinanzaIso3: "UTO"
+  });
+  // Cifra del numero lungo (dopo 734) errata
+  assert.deepEqual(errori(cambia(TD1_NUMERO_LUNGO, 0, 18, "8")), [errore("mrz-numero-documento"), errore("mrz-complessiva")]);
+});
+
+test("testo incollato: una riga, minuscole, spazi e virgolette al posto di <", () => {
+  assert.deepEqual(normalizzaMrz(TD3.join("")), TD3);
+  const incollato = TD1.join(" \r\n ").toLowerCase().replace(/<</g, "««");
+  assert.equal(parseMrz(incollato).ok, true);
+  assert.equal(parseMrz(TD2.join("")).formato, "TD2");
+});
+
+test("formato non riconosciuto", () => {
+  const r = parseMrz([TD3[0], TD3[1].slice(0, 43)].join("\n"), "it");
+  assert.equal(r.ok, false);
+  assert.equal(r.dati, null);
+  assert.deepEqual(r.errori, [traduci("it", "mrz-formato")]);
+  assert.equal(parseMrz("").ok, false);
+});
+
+/**********************************************
+ * CIFRE DI CONTROLLO ERRATE
+ * Ogni cifra di un campo entra anche nella complessiva: alterarla fa
+ * fallire entrambe, alterare solo la complessiva fa fallire solo quella
+ **********************************************/
+test("TD3: cifre di controllo errate", () => {
+  assert.deepEqual(errori(cambia(TD3, 1, 9, "7")), [errore("mrz-numero-documento"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD3, 1, 19, "3")), [errore("mrz-data-nascita"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD3, 1, 27, "8")), [errore("mrz-scadenza"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD3, 1, 42, "2")), [errore("mrz-numero-personale"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD3, 1, 43, "1")), [errore("mrz-complessiva")]);
+  // Dato alterato (giorno di nascita 13) con le cifre originali
+  assert.deepEqual(errori(cambia(TD3, 1, 18, "3")), [errore("mrz-data-nascita"), errore("mrz-complessiva")]);
+  // I dati restano leggibili ma il risultato non è valido
+  const r = parseMrz(cambia(TD3, 1, 43, "1").join("\n"));
+  assert.equal(r.ok, false);
+  assert.equal(r.dati.numeroDocumento, "L898902C3");
+});
+
+test("TD2: cifre di controllo errate", () => {
+  assert.deepEqual(errori(cambia(TD2, 1, 9, "8")), [errore("mrz-numero-documento"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD2, 1, 19, "3")), [errore("mrz-data-nascita"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD2, 1, 27, "8")), [errore("mrz-scadenza"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD2, 1, 35, "7")), [errore("mrz-complessiva")]);
+});
+
+test("TD1: cifre di controllo errate", () => {
+  assert.deepEqual(errori(cambia(TD1, 0, 14, "8")), [errore("mrz-numero-documento"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD1, 1, 6, "3")), [errore("mrz-data-nascita"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD1, 1, 14, "8")), [errore("mrz-scadenza"), errore("mrz-complessiva")]);
+  assert.deepEqual(errori(cambia(TD1, 1, 29, "7")), [errore("mrz-complessiva")]);
+});
+
+test("errori in inglese e italiano senza lingua", () => {
+  const [messaggio] = parseMrz(cambia(TD3, 1, 43, "1").join("\n")).errori;
+  assert.equal(messaggio, "Check digit error: composite / Cifra di controllo errata: complessiva");
+});
@@ -0,0 +1,127 @@
+// Chiavi OpenPGP degli host: revoca e scadenza (lib/openpgp.js, lib/properties.js)
+// Path: /test/openpgp.test.js
+//
+// test/fixtures/pgp: chiavi di prova generate con GnuPG (Curve25519).
+// scaduta e sottochiave-scaduta sono state create il 2020-01-01 con
+// scadenza di un anno (2020-12-31); sottochiave-rinnovata ha la stessa
+// sottochiave scaduta più una nuova senza scadenza.
+// rsa e cv25519 hanno anche la chiave privata (*-privata.asc, senza
+// passphrase): i messaggi cifrati si decifrano con GnuPG, se installato.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { encryptMessage, readPublicKey } from '../lib/openpgp.js';
+import { getPublicKeys } from '../lib/properties.js';
+import { encryptEmail } from '../lib/email.js';
+
+const chiave = (nome) => fs.readFileSync(new URL(`./fixtures/pgp/${nome}.asc`, import.meta.url), 'utf8');
+const keyId = (k) => k.keyId.toString("hex").toUpperCase();
+const NEL_2020 = Date.parse("2020-06-01T00:00:00Z");
+const SCADENZA = Date.parse("2020-12-31T00:00:00Z");
+
+test("chiave valida: prima sottochiave di cifratura, senza scadenza", () => {
+  const k = readPublicKey(chiave("valida"));
+  assert.equal(keyId(k), "98C2BA3888AF5BB0");
+  assert.equal(k.scadeAt, null);
+});
+
+test("chiave revocata o scaduta rifiutata", () => {
+  assert.throws(() => readPublicKey(chiave("revocata")), /key revoked/);
+  assert.throws(() => readPublicKey(chiave("scaduta")), /key expired/);
+  // Prima della scadenza è accettata, con la data di scadenza
+  assert.equal(readPublicKey(chiave("scaduta"), NEL_2020).scadeAt, SCADENZA);
+});
+
+test("sottochiave revocata o scaduta: si usa un'altra sottochiave valida", () => {
+  assert.throws(() => readPublicKey(chiave("sottochiave-revocata")), /subkeys expired or revoked/);
+  assert.throws(() => readPublicKey(chiave("sottochiave-scaduta")), /subkeys expired or revoked/);
+  assert.equal(keyId(readPublicKey(chiave("sottochiave-scaduta"), NEL_2020)), "C3799F1631B0E98C");
+  assert.equal(keyId(readPublicKey(chiave("sottochiave-rinnovata"))), "B26141D87BB08014");
+});
+
+test("chiavi degli appartamenti: escluse quelle non valide, mai l'invio in chiaro", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+  fs.mkdirSync(path.join(dir, 'data', 'pgp'), { recursive: true });
+  for (const nome of ["valida", "scaduta", "revocata"]) {
+    fs.writeFileSync(path.join(dir, 'data', 'pgp', `${nome}.asc`), chiave(nome));
+  }
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const chiavi = getPublicKeys([{ chiaviPgp: ["valida.asc", "scaduta.asc"] }, { chiaviPgp: ["valida.asc"] }]);
+    assert.deepEqual(chiavi.map(keyId), ["98C2BA3888AF5BB0"]);
+    assert.deepEqual(getPublicKeys([{ id: "senza-chiavi" }]), []);
+    assert.throws(() => getPublicKeys([{ chiaviPgp: ["scaduta.asc", "revocata.asc"] }]), /no valid host key/);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("email cifrata: senza replyTo con l'email dell'ospite", () => {
+  const payload = { to: ["host@example.test"], subject: "Arrivo", text: "Riepilogo", replyTo: "ospite@example.test" };
+  const cifrata = encryptEmail(payload, [readPublicKey(chiave("valida"))], { titolo: "PRE CHECK-IN", sezioni: [] });
+  assert.equal("replyTo" in cifrata, false);
+  assert.deepEqual(cifrata.to, payload.to);
+  assert.deepEqual(cifrata.attachments.map(a => a.filename), ["riepilogo.txt.asc"]);
+});
+
+/**********************************************
+ * CIFRATURA E DECIFRATURA CON GNUPG
+ **********************************************/
+
+// Portachiavi temporaneo, con l'agent di GnuPG fermato prima di cancellarlo
+function rimuovi(home) {
+  try {
+    execFileSync('gpgconf', ['--homedir', home, '--kill', 'gpg-agent'], { stdio: 'ignore' });
+  } catch (e) {
+    // Agent non avviato
+  }
+  fs.rmSync(home, { recursive: true, force: true });
+}
+
+let gpg = null;
+try {
+  execFileSync('gpg', ['--version'], { stdio: 'ignore' });
+  gpg = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-gpg-'));
+  for (const nome of ["rsa", "cv25519"]) {
+    execFileSync('gpg', ['--homedir', gpg, '--batch', '--import'], { input: chiave(`${nome}-privata`), stdio: ['pipe', 'ignore', 'ignore'] });
+  }
+} catch (e) {
+  // GnuPG non disponibile: test di decifratura saltati
+}
+test.after(() => gpg && rimuovi(gpg));
+
+const decifra = (messaggio) => execFileSync('gpg', ['--homedir', gpg, '--batch', '--quiet', '--decrypt'], { input: messaggio, stdio: ['pipe', 'pipe', 'ignore'] });
+
+// Testo con caratteri non ASCII e dati binari (allegati)
+const TESTO = "Riepilogo – Città: Venezia\n";
+const BINARIO = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 37) % 256));
+
+for (const [nome, sottochiave] of [["rsa", "32A3113ADE38856A"], ["cv25519", "AF2BDF7D1E57DD8E"]]) {
+  test(`cifratura ${nome}: decifrata con la chiave privata`, { skip: !gpg && "GnuPG non disponibile" }, () => {
+    const k = readPublicKey(chiave(nome));
+    assert.equal(keyId(k), sottochiave);
+    assert.equal(decifra(encryptMessage(TESTO, { filename: "riepilogo.txt", keys: [k] })).toString('utf8'), TESTO);
+    assert.deepEqual(decifra(encryptMessage(BINARIO, { filename: "alloggiati.txt", keys: [k] })), BINARIO);
+  });
+}
+
+test("cifratura per più chiavi: ogni host decifra lo stesso messaggio", { skip: !gpg && "GnuPG non disponibile" }, () => {
+  const messaggio = encryptMessage(TESTO, { keys: [readPublicKey(chiave("rsa")), readPublicKey(chiave("cv25519"))] });
+  for (const nome of ["rsa", "cv25519"]) {
+    // Portachiavi con la sola chiave privata di questo host
+    const solo = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-gpg-'));
+    try {
+      execFileSync('gpg', ['--homedir', solo, '--batch', '--import'], { input: chiave(`${nome}-privata`), stdio: ['pipe', 'ignore', 'ignore'] });
+      const testo = execFileSync('gpg', ['--homedir', solo, '--batch', '--quiet', '--decrypt'], { input: messaggio, stdio: ['pipe', 'pipe', 'ignore'] });
+      assert.equal(testo.toString('utf8'), TESTO);
+    } finally {
+      rimuovi(solo);
+    }
+  }
+});
@@ -0,0 +1,89 @@
+// Conservazione e cancellazione dei dati (lib/privacy.js): voci temporanee
+// dell'invio e calendari oltre all'archivio dei soggiorni
+// Path: /test/privacy.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { eraseGuestData, purgeExpired } from '../lib/privacy.js';
+import { saveRecord, loadRecord } from '../lib/storage.js';
+import { beginSubmission, completeSubmission } from '../lib/idempotency.js';
+import { consumeChallenge } from '../lib/anti-bot.js';
+import { reserveBooking } from '../lib/booking-link.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.STORAGE_DIR = path.join(dir, 'storage');
+process.env.KV_STORE_URL = `file:${path.join(dir, 'kv')}`;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ROSSI = { cognome: "Rossi", nome: "Mario", dataNascita: "1970-03-01" };
+const BIANCHI = { cognome: "Bianchi", nome: "Anna", dataNascita: "1975-06-12" };
+const ORA = Date.now();
+
+// Soggiorno registrato con le voci dell'invio nell'archivio chiave-valore
+async function registra(id, { dataArrivo, dataPartenza, guests }) {
+  const submissionKey = `chiave-${id}-${crypto.randomUUID()}`;
+  const body = { guests };
+  await beginSubmission(submissionKey, body);
+  await completeSubmission(submissionKey, body, { status: "ok", riferimento: id });
+  await consumeChallenge(`sfida-${id}`, ORA + 60 * 60 * 1000);
+  await reserveBooking({ id: `prenotazione-${id}`, exp: ORA + 60 * 60 * 1000 }, id);
+  await saveRecord('stays', id, {
+    appartamento: "station", dataArrivo, dataPartenza, guests,
+    alloggi: [{ appartamento: "station", dataArrivo, dataPartenza, guests }],
+    chiaviInvio: { submissionKey, challengeId: `sfida-${id}`, booking: `prenotazione-${id}` }
+  });
+  return { submissionKey, body };
+}
+
+// Voci ancora presenti: stato della chiave di invio, token e prenotazione riusabili
+async function voci(id, { submissionKey, body }) {
+  return {
+    invio: (await beginSubmission(submissionKey, body)).stato,
+    token: !(await consumeChallenge(`sfida-${id}`, ORA + 60 * 60 * 1000)),
+    prenotazione: !(await reserveBooking({ id: `prenotazione-${id}`, exp: ORA + 60 * 60 * 1000 }, "altro-invio"))
+  };
+}
+
+test("cancellazione: voci dell'invio e prenotazione nel calendario eliminate", async () => {
+  const invio = await registra("s1", { dataArrivo: "2026-11-02", dataPartenza: "2026-11-04", guests: [ROSSI] });
+  await saveRecord('calendari', "station", {
+    appartamento: "station",
+    calendari: [{ ok: true, errore: null, prenotazioni: [
+      { uid: "a", dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" },
+      { uid: "b", dataArrivo: "2026-11-10", dataPartenza: "2026-11-12" }
+    ] }]
+  });
+
+  assert.deepEqual(await eraseGuestData(ROSSI), { soggiorni: 1, ospiti: 1 });
+  assert.equal(await loadRecord('stays', "s1"), null);
+  assert.deepEqual(await voci("s1", invio), { invio: "nuovo", token: false, prenotazione: false });
+  assert.deepEqual((await loadRecord('calendari', "station")).calendari[0].prenotazioni.map(p => p.uid), ["b"]);
+});
+
+test("cancellazione di un ospite del gruppo: eliminata solo la risposta conservata", async () => {
+  const invio = await registra("s2", { dataArrivo: "2026-12-02", dataPartenza: "2026-12-04", guests: [ROSSI, BIANCHI] });
+  assert.deepEqual(await eraseGuestData(ROSSI), { soggiorni: 1, ospiti: 1 });
+  assert.ok(await loadRecord('stays', "s2"));
+  assert.deepEqual(await voci("s2", invio), { invio: "nuovo", token: true, prenotazione: true });
+});
+
+test("scadenza: voci dei soggiorni eliminati e prenotazioni passate dei calendari", async () => {
+  const invio = await registra("s3", { dataArrivo: "2020-01-02", dataPartenza: "2020-01-04", guests: [BIANCHI] });
+  await saveRecord('calendari', "skyline", {
+    appartamento: "skyline",
+    calendari: [
+      { ok: true, errore: null, prenotazioni: [{ uid: "vecchia", dataArrivo: "2020-01-02", dataPartenza: "2020-01-04" }] },
+      { ok: true, errore: null, prenotazioni: [{ uid: "futura", dataArrivo: "2027-01-02", dataPartenza: "2027-01-04" }] }
+    ]
+  });
+
+  const eliminati = await purgeExpired();
+  assert.equal(eliminati.stays, 1);
+  assert.equal(eliminati.calendari, 1);
+  assert.deepEqual(await voci("s3", invio), { invio: "nuovo", token: false, prenotazione: false });
+  const calendari = (await loadRecord('calendari', "skyline")).calendari;
+  assert.deepEqual(calendari.map(c => c.prenotazioni.map(p => p.uid)), [[], ["futura"]]);
+});
@@ -0,0 +1,38 @@
+// Ordine dei risultati della ricerca di comuni e stati (lib/reference-search.js)
+// Path: /test/reference-search.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cercaRiferimenti } from '../lib/reference-search.js';
+
+const nomi = (tipo, q, limite = 5) => cercaRiferimenti(tipo, { q, limite }).map(v => v.nome);
+
+test("nome uguale prima dei nomi che iniziano con il testo", () => {
+  assert.equal(nomi("comuni", "roma")[0], "ROMA (RM)");
+  assert.equal(nomi("comuni", "venezia")[0], "VENEZIA (VE)");
+});
+
+test("a parità, prima il nome di cui il testo copre la parte più lunga", () => {
+  // In ordine alfabetico BARADILI e BARANO D'ISCHIA verrebbero prima di BARI
+  assert.deepEqual(nomi("comuni", "bar", 2), ["BARD (AO)", "BARI (BA)"]);
+  assert.deepEqual(nomi("comuni", "pis", 2), ["PISA (PI)", "PISANO (NO)"]);
+});
+
+test("nome che inizia con il testo prima di una parola del nome", () => {
+  const risultati = nomi("comuni", "venez", 50);
+  assert.equal(risultati[0], "VENEZIA (VE)");
+  assert.ok(risultati.indexOf("SAN MARTINO DI VENEZZE (RO)") > 0);
+});
+
+test("errori di battitura: nome intero simile prima di una parola simile", () => {
+  const risultati = nomi("comuni", "veneza", 10);
+  assert.equal(risultati[0], "VENEZIA (VE)");
+  assert.ok(risultati.includes("ANGUILLARA VENETA (PD)"));
+  assert.equal(nomi("comuni", "bolgona")[0], "BOLOGNA (BO)");
+  assert.equal(nomi("comuni", "milno")[0], "MILANO (MI)");
+});
+
+test("errori di battitura: prima il nome più vicino al testo", () => {
+  assert.deepEqual(nomi("comuni", "firenzw"), ["FIRENZE (FI)", "FIRENZUOLA (FI)"]);
+  assert.equal(nomi("stati", "germnia")[0], "Germania / Germany");
+});
@@ -0,0 +1,157 @@
+// Client del web service Ross1000 (lib/ross1000-ws.js) contro un servizio
+// SOAP finto in locale
+// Path: /test/ross1000-ws.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { inviaMovimentazione, parseRossResponse } from '../lib/ross1000-ws.js';
+import { buildRoss1000 } from '../lib/ross1000.js';
+import { getExporter } from '../lib/statistiche.js';
+import { getTags } from '../lib/xml.js';
+
+const CREDENZIALI = { utente: "Z07886", password: "segreta" };
+const soggiorno = JSON.parse(fs.readFileSync(new URL('./fixtures/soggiorno.json', import.meta.url), 'utf8'));
+const { xml, arrivi } = buildRoss1000(soggiorno);
+
+const busta = (contenuto) => `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>
+<ns2:inviaMovimentazioneResponse xmlns:ns2="http://checkin.ws.service.turismo5.gies.it/"><return>${contenuto}</return></ns2:inviaMovimentazioneResponse>
+</soap:Body></soap:Envelope>`;
+
+const arrivo = (idswh, esito, errore = "") => `<arrivo><idswh>${idswh}</idswh><esito>${esito}</esito>${errore ? `<errore>${errore}</errore>` : ""}</arrivo>`;
+
+/**********************************************
+ * SERVIZIO FINTO
+ * Accetta solo CREDENZIALI; risposta() restituisce { status, corpo }
+ **********************************************/
+let risposta = null;
+let richieste = [];
+
+const server = http.createServer((req, res) => {
+  let corpo = "";
+  req.on('data', (c) => { corpo += c; });
+  req.on('end', () => {
+    richieste.push(corpo);
+    const atteso = `Basic ${Buffer.from(`${CREDENZIALI.utente}:${CREDENZIALI.password}`).toString("base64")}`;
+    if (req.headers.authorization !== atteso) {
+      res.writeHead(401, { "Content-Type": "text/plain" });
+      res.end("Unauthorized");
+      return;
+    }
+    const r = risposta();
+    res.writeHead(r.status || 200, { "Content-Type": "text/xml; charset=utf-8" });
+    res.end(r.corpo);
+  });
+});
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.ROSS1000_WS_URL = `http://127.0.0.1:${server.address().port}/ws/checkinV2`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  risposta = null;
+  richieste = [];
+});
+
+/**********************************************
+ * INVIO
+ **********************************************/
+test("movimentazione accettata", async () => {
+  risposta = () => ({ corpo: busta(`<esito>OK</esito>${arrivi.map(a => arrivo(a.idswh, "OK")).join("")}`) });
+  const r = await inviaMovimentazione(CREDENZIALI, xml, arrivi);
+  assert.equal(r.stato, "inviato");
+  assert.equal(r.errore, null);
+  assert.deepEqual(r.esiti, arrivi.map(a => ({ ...a, esito: true, errore: null })));
+
+  // Il contenuto di <movimenti> dentro <movimentazione>
+  assert.match(richieste[0], /<movimentazione>\s*<codice>/);
+  assert.doesNotMatch(richieste[0], /<movimenti>/);
+});
+
+test("credenziali rifiutate: stato errore", async () => {
+  const r = await inviaMovimentazione({ ...CREDENZIALI, password: "sbagliata" }, xml, arrivi);
+  assert.equal(r.stato, "errore");
+  assert.equal(r.errore, "HTTP 401");
+  assert.deepEqual(r.esiti, []);
+});
+
+test("un arrivo rifiutato: invio parziale con l'errore dell'ospite", async () => {
+  risposta = () => ({ corpo: busta(`<esito>OK</esito>${arrivo(arrivi[0].idswh, "OK")}${arrivo(arrivi[1].idswh, "KO", "Cittadinanza &amp; residenza non valide")}`) });
+  const r = await inviaMovimentazione(CREDENZIALI, xml, arrivi);
+  assert.equal(r.stato, "parziale");
+  assert.deepEqual(r.esiti[1], { ...arrivi[1], esito: false, errore: "Cittadinanza & residenza non valide" });
+});
+
+test("SOAP fault: stato errore con il messaggio del servizio", async () => {
+  risposta = () => ({
+    status: 500,
+    corpo: `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body><soap:Fault><faultcode>soap:Server</faultcode><faultstring>Struttura non abilitata</faultstring></soap:Fault></soap:Body></soap:Envelope>`
+  });
+  const r = await inviaMovimentazione(CREDENZIALI, xml, arrivi);
+  assert.equal(r.stato, "errore");
+  assert.equal(r.errore, "SOAP fault: Struttura non abilitata");
+});
+
+test("rettifica senza arrivi: vale l'esito generale", async () => {
+  risposta = () => ({ corpo: busta(`<esito>KO</esito><errore>Giorno già chiuso</errore>`) });
+  const r = await inviaMovimentazione(CREDENZIALI, xml, []);
+  assert.equal(r.stato, "rifiutato");
+  assert.equal(r.errore, "Giorno già chiuso");
+});
+
+/**********************************************
+ * LETTURA DELLA RISPOSTA
+ **********************************************/
+test("esito per arrivo con o senza prefisso, esito generale per gli altri", () => {
+  const arriviTest = [{ idswh: "1000", ospite: "ROSSI MARIO" }, { idswh: "1001", ospite: "ROSSI ANNA" }, { idswh: "1002", ospite: "ROSSI LUCA" }];
+  const r = parseRossResponse(busta(`<codice>0</codice>
+    <ns2:arrivo><ns2:idswh>1000</ns2:idswh><ns2:esito>accettato</ns2:esito></ns2:arrivo>
+    <arrivo><idswh>1001</idswh><descrizione>Data di nascita non valida</descrizione></arrivo>`), arriviTest);
+  assert.equal(r.esito, true);
+  assert.equal(r.errore, null);
+  assert.deepEqual(r.esiti.map(e => [e.idswh, e.esito, e.errore]), [
+    ["1000", true, null],
+    ["1001", false, "Data di nascita non valida"],
+    ["1002", true, null]
+  ]);
+});
+
+test("esito generale negativo senza dettaglio: tutti gli arrivi rifiutati", () => {
+  const r = parseRossResponse(busta(`<esito>false</esito><messaggio>Movimentazione duplicata</messaggio>`), arrivi);
+  assert.equal(r.esito, false);
+  assert.equal(r.errore, "Movimentazione duplicata");
+  assert.ok(r.esiti.every(e => !e.esito && e.errore === "Movimentazione duplicata"));
+
+  // Arrivo rifiutato senza messaggio
+  const senzaMessaggio = parseRossResponse(busta(`<esito>OK</esito>${arrivo(arrivi[0].idswh, "KO")}`), arrivi);
+  assert.equal(senzaMessaggio.esiti[0].errore, "Arrivo rifiutato");
+});
+
+/**********************************************
+ * FILE DA ALLEGARE DOPO UN INVIO PARZIALE
+ **********************************************/
+test("invio parziale: allegati solo i movimenti degli arrivi rifiutati", async () => {
+  risposta = () => ({ corpo: busta(`<esito>OK</esito>${arrivo(arrivi[0].idswh, "OK")}${arrivo(arrivi[1].idswh, "KO", "Cittadinanza non valida")}`) });
+  const r = await inviaMovimentazione(CREDENZIALI, xml, arrivi);
+  const ross1000 = getExporter("ross1000");
+  const [file, ...altri] = ross1000.soloRifiutati(soggiorno, ross1000.genera(soggiorno), r.esiti);
+  assert.deepEqual(altri, []);
+  assert.equal(file.estensione, "xml");
+  assert.match(file.descrizione, /solo arrivi rifiutati/);
+
+  // Giorno di arrivo e di partenza, con il solo ospite rifiutato
+  const movimenti = getTags(file.contenuto, 'movimento');
+  assert.deepEqual(movimenti.map(m => getTags(m, 'data')[0]), ["20261102", "20261104"]);
+  const [arrivoRifiutato, partenzaRifiutata] = movimenti;
+  assert.deepEqual(getTags(getTags(arrivoRifiutato, 'arrivi')[0], 'idswh'), [arrivi[1].idswh]);
+  assert.deepEqual(getTags(getTags(partenzaRifiutata, 'partenze')[0], 'idswh'), [arrivi[1].idswh]);
+  // La prenotazione è già stata accettata
+  assert.deepEqual(getTags(file.contenuto, 'prenotazioni'), []);
+  assert.equal(getTags(file.contenuto, 'codice')[0], soggiorno.codiceStruttura);
+
+  // Nessun arrivo rifiutato: nessun file
+  assert.deepEqual(ross1000.soloRifiutati(soggiorno, ross1000.genera(soggiorno), r.esiti.map(e => ({ ...e, esito: true }))), []);
+});
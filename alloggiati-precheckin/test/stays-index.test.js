@@ -0,0 +1,59 @@
+// Indice dei soggiorni per appartamento e mese (lib/stays-index.js)
+// Path: /test/stays-index.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { indexStay, unindexStay, findStays, camereAltriSoggiorni } from '../lib/stays-index.js';
+import { saveRecord } from '../lib/storage.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'precheckin-test-'));
+process.env.STORAGE_DIR = dir;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const soggiorno = (id, dataArrivo, dataPartenza, appartamenti = ["station"]) => ({
+  id, dataArrivo, dataPartenza, alloggi: appartamenti.map(appartamento => ({ appartamento }))
+});
+
+test("soggiorni a cavallo di mese e anno trovati da entrambi i lati", async () => {
+  await indexStay(soggiorno("a", "2026-12-28", "2027-01-03"));
+  await indexStay(soggiorno("b", "2027-01-03", "2027-01-05"));
+  await indexStay(soggiorno("c", "2026-12-30", "2027-01-02", ["skyline"]));
+
+  assert.deepEqual(await findStays("station", { dataArrivo: "2026-12-20", dataPartenza: "2026-12-29" }),
+    [{ id: "a", dataArrivo: "2026-12-28", dataPartenza: "2027-01-03" }]);
+  // Partenza e arrivo nello stesso giorno: nessuna sovrapposizione
+  assert.deepEqual((await findStays("station", { dataArrivo: "2027-01-01", dataPartenza: "2027-01-04" })).map(s => s.id).sort(), ["a", "b"]);
+  assert.deepEqual((await findStays("station", { dataArrivo: "2027-01-03", dataPartenza: "2027-01-04" })).map(s => s.id), ["b"]);
+  assert.deepEqual((await findStays("skyline", { dataArrivo: "2027-01-01", dataPartenza: "2027-01-02" })).map(s => s.id), ["c"]);
+});
+
+test("rettifica: voci dei mesi non più occupati eliminate", async () => {
+  const prima = soggiorno("d", "2027-03-25", "2027-04-05");
+  await indexStay(prima);
+  await unindexStay(prima);
+  await indexStay({ ...prima, dataPartenza: "2027-03-28" });
+  assert.deepEqual(await findStays("station", { dataArrivo: "2027-04-01", dataPartenza: "2027-04-02" }), []);
+  assert.deepEqual((await findStays("station", { dataArrivo: "2027-03-27", dataPartenza: "2027-03-29" })).map(s => s.id), ["d"]);
+});
+
+test("camere di altri soggiorni per le rettifiche", async () => {
+  const property = { id: "family", camere: 3 };
+  const registra = async (id, dataArrivo, dataPartenza, camereOccupate) => {
+    const stay = await saveRecord('stays', id, {
+      dataArrivo, dataPartenza, alloggi: [{ appartamento: "family", dataArrivo, dataPartenza, camereOccupate }]
+    });
+    await indexStay(stay);
+  };
+  await registra("e", "2027-05-01", "2027-05-10", 1);
+  // Arrivo nel giorno della partenza di "e" e soggiorno con tutte le camere
+  await registra("f", "2027-05-10", "2027-05-12", 2);
+  await registra("g", "2027-05-11", "2027-05-13", undefined);
+
+  // Partenza anticipata di "e" dal 10 all'8: il 10 resta occupato da "f"
+  assert.deepEqual(await camereAltriSoggiorni(property, { dal: "2027-05-08", al: "2027-05-10", escluso: "e" }), { "2027-05-10": 2 });
+  assert.deepEqual(await camereAltriSoggiorni(property, { dal: "2027-05-10", al: "2027-05-13", escluso: "e" }),
+    { "2027-05-10": 2, "2027-05-11": 5, "2027-05-12": 3 });
+});
@@ -0,0 +1,200 @@
+// Tracciati Alloggiati Web e GIES (lib/tracciati.js) contro file di riferimento
+// Path: /test/tracciati.test.js
+//
+// test/fixtures/soggiorno.json è il soggiorno di partenza; alloggiati.txt,
+// ross1000.gies.txt e ross1000.xml sono i file attesi, controllati a mano
+// sul tracciato. Se un cambiamento voluto del tracciato li modifica, vanno
+// rigenerati e ricontrollati riga per riga.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildSchedine } from '../lib/alloggiati-txt.js';
+import { buildRoss1000 } from '../lib/ross1000.js';
+import { buildIstatC59 } from '../lib/istat-c59.js';
+import { traduci } from '../lib/i18n.js';
+import {
+  TRACCIATO_ALLOGGIATI, TRACCIATI_GIES, componiRecord, componiGies, leggiRecord, posizioniCampi, traslittera
+} from '../lib/tracciati.js';
+
+const fixture = (nome) => fs.readFileSync(new URL(`./fixtures/${nome}`, import.meta.url), 'utf8');
+// I file di riferimento sono salvati con a capo CRLF
+const righe = (testo) => testo.replace(/\r\n/g, "\n").replace(/\n+$/, "").split("\n");
+
+const soggiorno = JSON.parse(fixture('soggiorno.json'));
+
+// Schedina valida da modificare campo per campo
+const SCHEDINA = {
+  tipoAlloggiato: "16",
+  dataArrivo: "2026-11-02",
+  giorni: 3,
+  cognome: "rossi",
+  nome: "mario",
+  sesso: "1",
+  dataNascita: "1980-05-17",
+  comuneNascita: "405027042",
+  provinciaNascita: "VE",
+  statoNascita: "100000100",
+  cittadinanza: "100000100",
+  tipoDocumento: "IDENT",
+  numeroDocumento: "CA12345AB",
+  luogoRilascio: "405027042"
+};
+
+const schedina = (valori) => componiRecord(TRACCIATO_ALLOGGIATI, { ...SCHEDINA, ...valori });
+const errore = (chiave, parametri) => traduci(undefined, chiave, parametri);
+
+/**********************************************
+ * FILE DI RIFERIMENTO
+ **********************************************/
+test("schedine Alloggiati uguali al file di riferimento", () => {
+  const { lines, errori } = buildSchedine(soggiorno.guests, soggiorno.dataArrivo, soggiorno.numeroNotti);
+  assert.deepEqual(errori, []);
+  assert.deepEqual(lines, righe(fixture('alloggiati.txt')));
+  lines.forEach(l => assert.equal(l.length, 168));
+});
+
+test("movimentazione GIES e XML uguali ai file di riferimento", () => {
+  const { gies, xml, errori } = buildRoss1000(soggiorno);
+  assert.deepEqual(errori, []);
+  assert.deepEqual(righe(gies), righe(fixture('ross1000.gies.txt')));
+  assert.deepEqual(righe(xml), righe(fixture('ross1000.xml')));
+});
+
+test("rettifica: camere di altri soggiorni sommate a quelle del soggiorno", () => {
+  const stay = { ...soggiorno, camere: 3, camereOccupate: 1 };
+  const opzioni = { dal: "2026-11-03", al: "2026-11-05", altreCamere: { "2026-11-04": 2, "2026-11-05": 3 } };
+  const camere = (r) => righe(r.gies).filter(l => l.startsWith("MOV|")).map(l => l.split("|").slice(1, 4).join("|"));
+  assert.deepEqual(camere(buildRoss1000(stay, opzioni)), ["20261103|SI|1", "20261104|SI|2", "20261105|SI|3"]);
+  // Mai più delle camere dell'appartamento
+  assert.deepEqual(camere(buildRoss1000(stay, { ...opzioni, altreCamere: { "2026-11-03": 3 } })), ["20261103|SI|3", "20261104|SI|0", "20261105|SI|0"]);
+  const c59 = righe(buildIstatC59(stay, opzioni).csv).slice(1).map(l => l.split(";").slice(0, 3).join(";"));
+  assert.deepEqual([...new Set(c59)], ["2026-11-03;Z07886;1", "2026-11-04;Z07886;2", "2026-11-05;Z07886;3"]);
+});
+
+test("il file GIES usa tutti i tracciati", () => {
+  const tipi = new Set(righe(fixture('ross1000.gies.txt')).map(r => r.split("|")[0]));
+  assert.deepEqual([...tipi].sort(), Object.keys(TRACCIATI_GIES).sort());
+});
+
+/**********************************************
+ * TRACCIATO ALLOGGIATI WEB
+ **********************************************/
+test("tracciato Alloggiati di 168 caratteri", () => {
+  assert.equal(TRACCIATO_ALLOGGIATI.reduce((n, def) => n + def.lunghezza, 0), 168);
+  const posizioni = posizioniCampi(TRACCIATO_ALLOGGIATI);
+  assert.deepEqual(posizioni.tipoAlloggiato, [0, 2]);
+  assert.deepEqual(posizioni.cognome, [14, 64]);
+  assert.deepEqual(posizioni.luogoRilascio, [159, 168]);
+});
+
+test("campi riempiti a destra con spazi e numeri con zeri a sinistra", () => {
+  const { riga, errori } = schedina({});
+  assert.deepEqual(errori, []);
+  assert.equal(riga.length, 168);
+  assert.equal(riga.slice(12, 14), "03");
+  assert.equal(riga.slice(14, 64), "rossi".padEnd(50, " "));
+  assert.equal(riga.slice(64, 94), "mario".padEnd(30, " "));
+  assert.equal(riga.slice(139, 159), "CA12345AB".padEnd(20, " "));
+});
+
+test("campi facoltativi vuoti come spazi", () => {
+  const { riga } = schedina({ comuneNascita: "", provinciaNascita: "", tipoDocumento: "", numeroDocumento: "", luogoRilascio: "" });
+  assert.equal(riga.length, 168);
+  assert.equal(riga.slice(105, 116), " ".repeat(11));
+  assert.equal(riga.slice(134), " ".repeat(34));
+});
+
+test("lettura della riga composta", () => {
+  const { riga } = schedina({});
+  const letto = leggiRecord(TRACCIATO_ALLOGGIATI, riga);
+  assert.equal(letto.cognome, "rossi");
+  assert.equal(letto.giorni, "03");
+  assert.equal(letto.dataArrivo, "02/11/2026");
+  assert.equal(letto.luogoRilascio, "405027042");
+});
+
+test("nessun troncamento: valori più lunghi della larghezza sono errori", () => {
+  assert.equal(schedina({ cognome: "a".repeat(50) }).errori.length, 0);
+  const lungo = schedina({ cognome: "a".repeat(51) });
+  assert.equal(lungo.riga, null);
+  assert.deepEqual(lungo.errori, [{ campo: "cognome", message: errore("troppo-lungo", { max: 50 }) }]);
+  assert.equal(schedina({ nome: "b".repeat(31) }).errori[0].campo, "nome");
+  assert.equal(schedina({ numeroDocumento: "X".repeat(21) }).errori[0].campo, "numeroDocumento");
+});
+
+test("giorni di permanenza da 1 a 30", () => {
+  assert.equal(schedina({ giorni: 1 }).riga.slice(12, 14), "01");
+  assert.equal(schedina({ giorni: 30 }).riga.slice(12, 14), "30");
+  const messaggio = errore("numero-tra", { minimo: 1, massimo: 30 });
+  for (const giorni of [0, 31, 100, "2.5", "-1"]) {
+    assert.deepEqual(schedina({ giorni }).errori, [{ campo: "giorni", message: messaggio }], `giorni ${giorni}`);
+  }
+});
+
+test("campi obbligatori, codici e date", () => {
+  assert.deepEqual(schedina({ cognome: "" }).errori, [{ campo: "cognome", message: errore("obbligatorio") }]);
+  assert.deepEqual(schedina({ sesso: "M" }).errori, [{ campo: "sesso", message: errore("codice-non-valido") }]);
+  assert.deepEqual(schedina({ comuneNascita: "27042" }).errori, [{ campo: "comuneNascita", message: errore("codice-non-valido") }]);
+  assert.deepEqual(schedina({ dataNascita: "1980-02-30" }).errori, [{ campo: "dataNascita", message: errore("data-non-valida") }]);
+  assert.deepEqual(schedina({ tipoAlloggiato: "21" }).errori, [{ campo: "tipoAlloggiato", message: errore("codice-non-valido") }]);
+});
+
+/**********************************************
+ * TRASLITTERAZIONE
+ **********************************************/
+test("traslitterazione in lettere latine senza accenti", () => {
+  assert.equal(traslittera("Müller"), "Muller");
+  assert.equal(traslittera("José"), "Jose");
+  assert.equal(traslittera("Straße"), "Strasse");
+  assert.equal(traslittera("Łukasz Øster"), "Lukasz Oster");
+  assert.equal(traslittera("Æsir Œuvre"), "AEsir OEuvre");
+  assert.equal(traslittera("D’Angelo"), "D'Angelo");
+  assert.equal(traslittera("O`Neil"), "O'Neil");
+  // Accento come carattere combinante (NFD)
+  assert.equal(traslittera("Rene\u0301e"), "Renee");
+  assert.equal(traslittera("  Anna   Maria "), "Anna Maria");
+});
+
+test("scritture non latine e simboli non ammessi", () => {
+  const messaggio = errore("lettere-latine");
+  assert.deepEqual(schedina({ cognome: "Иванов" }).errori, [{ campo: "cognome", message: messaggio }]);
+  assert.deepEqual(schedina({ nome: "山田" }).errori, [{ campo: "nome", message: messaggio }]);
+  assert.deepEqual(schedina({ cognome: "Rossi2" }).errori, [{ campo: "cognome", message: messaggio }]);
+  assert.equal(schedina({ cognome: "d'angelo-rossi jr." }).errori.length, 0);
+});
+
+test("lunghezza controllata dopo la traslitterazione", () => {
+  // ß diventa ss: 25 caratteri nel form, 50 nel file
+  assert.equal(schedina({ cognome: "ß".repeat(25) }).errori.length, 0);
+  assert.equal(schedina({ cognome: "ß".repeat(26) }).errori[0].message, errore("troppo-lungo", { max: 50 }));
+});
+
+/**********************************************
+ * TRACCIATI GIES
+ **********************************************/
+test("record GIES separati da |", () => {
+  assert.equal(componiGies("HDR", { codiceStruttura: "Z07886" }).riga, "HDR|Z07886|GIES");
+  assert.equal(componiGies("MOV", { data: "20261102", apertura: "SI", camereOccupate: 1, camereDisponibili: 1, lettiDisponibili: 4 }).riga, "MOV|20261102|SI|1|1|4");
+  assert.equal(componiGies("PAR", { idswh: 1000, tipo: "16", dataArrivo: "20261102" }).riga, "PAR|1000|16|20261102");
+  assert.equal(componiGies("END").riga, "END");
+});
+
+test("GIES: nessun separatore o a capo nei campi", () => {
+  assert.deepEqual(componiGies("HDR", { codiceStruttura: "Z07|886" }).errori, [{ campo: "codiceStruttura", message: errore("codice-non-valido") }]);
+  const valori = {
+    idswh: 1000, tipo: "16", sesso: "M", cittadinanza: "100000100", statoResidenza: "100000100",
+    dataNascita: "19800517", statoNascita: "100000100"
+  };
+  assert.equal(componiGies("ARR", { ...valori, esenzione: "E01" }).errori.length, 0);
+  assert.equal(componiGies("ARR", { ...valori, esenzione: "E0|1" }).errori[0].campo, "esenzione");
+  assert.equal(componiGies("ARR", { ...valori, esenzione: "E01\nX" }).errori[0].campo, "esenzione");
+});
+
+test("GIES: campi obbligatori e formati", () => {
+  assert.deepEqual(componiGies("HDR", {}).errori, [{ campo: "codiceStruttura", message: errore("obbligatorio") }]);
+  assert.equal(componiGies("MOV", { data: "2026-11-02", apertura: "SI", camereOccupate: 1, camereDisponibili: 1, lettiDisponibili: 4 }).errori[0].campo, "data");
+  assert.equal(componiGies("PRE", {
+    idswh: "1000", arrivo: "20261102", partenza: "20261104", ospiti: 2, camere: 1, prezzo: "0.00", statoProvenienza: "100000100"
+  }).errori[0].campo, "idswh");
+});
@@ -0,0 +1,62 @@
+// Controlli degli ospiti (lib/validation.js) e periodi di validità dei comuni
+// Path: /test/validation.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGuests } from '../lib/validation.js';
+import { cercaRiferimenti } from '../lib/reference-search.js';
+import { getProperty } from '../lib/properties.js';
+
+// VALSAMOGGIA (BO): comune nato dalla fusione del 2014
+const VALSAMOGGIA = "408037061";
+// MOSSO (BI): comune soppresso alla fine del 2018 (fuso in VALDILANA)
+const MOSSO = "401096501";
+
+const ospite = (valori) => ({
+  tipoAlloggiato: "16",
+  cognome: "Rossi",
+  nome: "Mario",
+  sesso: "1",
+  dataNascita: "1970-03-01",
+  comuneNascita: VALSAMOGGIA,
+  provinciaNascita: "BO",
+  statoNascita: "100000100",
+  cittadinanza: "100000100",
+  comuneResidenza: VALSAMOGGIA,
+  tipoDocumento: "IDENT",
+  numeroDocumento: "CA12345AB",
+  luogoRilascio: VALSAMOGGIA,
+  ...valori
+});
+
+const soggiorno = { dataArrivo: "2026-11-02", dataPartenza: "2026-11-04" };
+
+// Errore sul comune di nascita (messaggi senza lingua: "English / Italiano")
+const erroreComune = (guests, appartamenti) => validateGuests(guests, { ...soggiorno, appartamenti })
+  .filter(e => e.field === "comuneNascita").map(e => e.message);
+
+test("comune di nascita nato da una fusione successiva alla nascita: rifiutato", () => {
+  const appartamenti = [getProperty("station")];
+  assert.deepEqual(erroreComune([ospite()], appartamenti),
+    ["Municipality did not exist on the date of birth / Il comune non esisteva alla data di nascita"]);
+  assert.deepEqual(validateGuests([ospite({ dataNascita: "2015-03-01" })], { ...soggiorno, appartamenti }), []);
+});
+
+test("comune di nascita soppresso prima della nascita: rifiutato", () => {
+  const appartamenti = [getProperty("station")];
+  const mosso = (dataNascita) => ospite({ dataNascita, comuneNascita: MOSSO, provinciaNascita: "BI" });
+  assert.deepEqual(erroreComune([mosso("2010-05-01")], appartamenti), []);
+  // Ultimo giorno di validità compreso
+  assert.deepEqual(erroreComune([mosso("2018-12-31")], appartamenti), []);
+  assert.equal(erroreComune([mosso("2019-01-01")], appartamenti).length, 1);
+});
+
+test("ricerca con data: solo i comuni esistenti alla data", () => {
+  assert.deepEqual(cercaRiferimenti("comuni", { q: "valsamoggia", data: "1970-03-01" }), []);
+  assert.deepEqual(cercaRiferimenti("comuni", { q: "valsamoggia", data: "2015-03-01" }).map(c => c.codice), [VALSAMOGGIA]);
+  const mosso = (data) => cercaRiferimenti("comuni", { q: "mosso", data, limite: 50 }).map(c => c.codice);
+  assert.equal(mosso("2010-01-01")[0], MOSSO);
+  assert.ok(!mosso("2020-01-01").includes(MOSSO));
+  // Senza data anche i comuni soppressi
+  assert.ok(cercaRiferimenti("comuni", { q: "mosso", limite: 50 }).some(c => c.codice === MOSSO));
+});